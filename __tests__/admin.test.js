@@ -0,0 +1,81 @@
+// Unit Tests for admin roles, credentials and admin tokens
+// Run with: npm test
+
+import {
+    ADMIN_ROLES,
+    MIN_PASSWORD_LENGTH,
+    generateAdminToken,
+    hasPermission,
+    hashAdminToken,
+    hashPassword,
+    looksLikeAdminToken,
+    parseAdminRole,
+    parseAdminUsername,
+    parsePassword,
+    toApiAdmin,
+    verifyPassword
+} from '../utils/admin.js';
+
+describe('Admin Accounts', () => {
+    test('roles should grant permissions from owner down to read_only', () => {
+        expect(ADMIN_ROLES).toEqual(['owner', 'moderator', 'read_only']);
+        expect(hasPermission('owner', 'admins:manage')).toBe(true);
+        expect(hasPermission('moderator', 'admins:manage')).toBe(false);
+        expect(hasPermission('moderator', 'whitelist:write')).toBe(true);
+        expect(hasPermission('read_only', 'whitelist:write')).toBe(false);
+        expect(hasPermission('read_only', 'security:read')).toBe(true);
+        expect(hasPermission('unknown', 'whitelist:read')).toBe(false);
+        expect(hasPermission(undefined, 'whitelist:read')).toBe(false);
+    });
+
+    test('admin tokens should be random, recognizable and hashed', () => {
+        const token = generateAdminToken();
+        expect(looksLikeAdminToken(token)).toBe(true);
+        expect(token).not.toBe(generateAdminToken());
+        expect(hashAdminToken(token)).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashAdminToken(token)).toBe(hashAdminToken(token));
+
+        expect(looksLikeAdminToken('BREW-ABC234')).toBe(false);
+        expect(looksLikeAdminToken('adm_short')).toBe(false);
+        expect(looksLikeAdminToken(null)).toBe(false);
+    });
+
+    test('verifyPassword should check salted hashes and reject unknown admins', async () => {
+        const stored = await hashPassword('correct horse battery');
+        expect(stored).not.toContain('correct');
+        expect(await verifyPassword('correct horse battery', stored)).toBe(true);
+        expect(await verifyPassword('correct horse batterz', stored)).toBe(false);
+        expect(await verifyPassword('correct horse battery', null)).toBe(false);
+    });
+
+    test('parseAdminUsername should normalize and validate usernames', () => {
+        expect(parseAdminUsername('  Alice.Admin ')).toEqual({ username: 'alice.admin' });
+        expect(parseAdminUsername('ab').error).toBeDefined();
+        expect(parseAdminUsername('alice admin').error).toBeDefined();
+        expect(parseAdminUsername(42).error).toBeDefined();
+    });
+
+    test('parseAdminRole and parsePassword should reject invalid values', () => {
+        expect(parseAdminRole('moderator')).toEqual({ role: 'moderator' });
+        expect(parseAdminRole('root').error).toBeDefined();
+        expect(parsePassword('x'.repeat(MIN_PASSWORD_LENGTH))).toEqual({ password: 'x'.repeat(MIN_PASSWORD_LENGTH) });
+        expect(parsePassword('x'.repeat(MIN_PASSWORD_LENGTH - 1)).error).toBeDefined();
+        expect(parsePassword(undefined).error).toBeDefined();
+    });
+
+    test('toApiAdmin should expose permissions but not the password hash', () => {
+        const admin = toApiAdmin({
+            id: '3', username: 'mod', role: 'moderator', password_hash: 'scrypt$x$y',
+            created_by: 1, created_at: '2026-03-01 12:00:00', last_login_at: null, disabled_at: null
+        });
+        expect(admin).toEqual({
+            id: 3,
+            username: 'mod',
+            role: 'moderator',
+            permissions: ['whitelist:read', 'whitelist:write', 'users:read', 'users:write', 'security:read', 'audit:read'],
+            createdBy: 1,
+            createdAt: '2026-03-01T12:00:00.000Z',
+            lastLoginAt: null
+        });
+    });
+});
@@ -0,0 +1,85 @@
+// Router tests for /api/admin login and admin accounts (routes/adminAccounts.js)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import adminAccountRoutes from '../routes/adminAccounts.js';
+import { hashPassword } from '../utils/admin.js';
+import { FREE_ATTEMPTS } from '../utils/bruteForce.js';
+import { openTestDatabase, routerApp, signedInAdmin } from './helpers/routerApp.js';
+
+describe('/api/admin account routes', () => {
+    const app = routerApp({ '/api/admin': adminAccountRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('admin-account-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    describe('POST /login', () => {
+        test('should issue an admin token for valid credentials and 401 otherwise', async () => {
+            await queries.createAdmin('barista', 'moderator', await hashPassword('correct horse battery'));
+
+            const ok = await request(app).post('/api/admin/login').send({ username: 'barista', password: 'correct horse battery' });
+            expect(ok.status).toBe(200);
+            expect(ok.body.admin).toMatchObject({ username: 'barista', role: 'moderator' });
+            expect((await request(app).get('/api/admin/me').set({ Authorization: `Bearer ${ok.body.token}` })).status).toBe(200);
+
+            const wrong = await request(app).post('/api/admin/login').send({ username: 'barista', password: 'wrong password!' });
+            expect(wrong.status).toBe(401);
+        });
+
+        // Last in this block: it locks out the test client's IP
+        test('should answer 429 with Retry-After once an IP keeps failing', async () => {
+            const statuses = [];
+            for (let i = 0; i <= FREE_ATTEMPTS.ip; i++) {
+                statuses.push((await request(app).post('/api/admin/login').send({ username: 'nobody', password: 'guessing' })).status);
+            }
+            expect(statuses).toContain(401);
+
+            const locked = await request(app).post('/api/admin/login').send({ username: 'barista', password: 'correct horse battery' });
+            expect(locked.status).toBe(429);
+            expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+        });
+    });
+
+    describe('PATCH /admins/:id', () => {
+        test('should keep one active owner when two owners demote each other at once', async () => {
+            const first = await signedInAdmin('owner');
+            const second = await signedInAdmin('owner');
+            const owners = await queries.countActiveOwners();
+
+            const responses = await Promise.all([
+                request(app).patch(`/api/admin/admins/${second.admin.id}`).set(first.headers).send({ role: 'moderator' }),
+                request(app).patch(`/api/admin/admins/${first.admin.id}`).set(second.headers).send({ disabled: true })
+            ]);
+
+            expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+            expect(responses.find(res => res.status === 409).body.error).toBe('Cannot remove the last active owner');
+            expect(await queries.countActiveOwners()).toBe(owners - 1);
+        });
+
+        test('should answer 409 when an admin changes their own role', async () => {
+            const { admin, headers } = await signedInAdmin('owner');
+
+            const res = await request(app).patch(`/api/admin/admins/${admin.id}`).set(headers).send({ role: 'read_only' });
+            expect(res.status).toBe(409);
+            expect((await queries.getAdmin(admin.id)).role).toBe('owner');
+        });
+
+        test('should answer 403 without admins:manage and 401 without a token', async () => {
+            const owner = await signedInAdmin('owner');
+            const moderator = await signedInAdmin('moderator');
+
+            const forbidden = await request(app).patch(`/api/admin/admins/${owner.admin.id}`).set(moderator.headers).send({ disabled: true });
+            expect(forbidden.status).toBe(403);
+
+            const anonymous = await request(app).patch(`/api/admin/admins/${owner.admin.id}`).send({ disabled: true });
+            expect(anonymous.status).toBe(401);
+        });
+    });
+});
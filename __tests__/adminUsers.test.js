@@ -0,0 +1,60 @@
+// Unit Tests for the admin user list query and API shape
+// Run with: npm test
+
+import {
+    MAX_USER_PAGE_SIZE,
+    parseSuspensionReason,
+    parseUserListQuery,
+    toApiAdminUser
+} from '../utils/adminUsers.js';
+
+describe('Admin User Management', () => {
+    test('parseUserListQuery should build filters with defaults', () => {
+        expect(parseUserListQuery({}).filters).toEqual({ limit: 50, offset: 0 });
+        expect(parseUserListQuery({ search: '  anna ', status: 'suspended', limit: '10', offset: '20' }).filters).toEqual({
+            search: 'anna',
+            status: 'suspended',
+            limit: 10,
+            offset: 20
+        });
+        expect(parseUserListQuery({ search: '   ' }).filters.search).toBeUndefined();
+    });
+
+    test('parseUserListQuery should reject invalid values', () => {
+        expect(parseUserListQuery({ status: 'deleted' }).error).toBeDefined();
+        expect(parseUserListQuery({ limit: String(MAX_USER_PAGE_SIZE + 1) }).error).toBeDefined();
+        expect(parseUserListQuery({ limit: '0' }).error).toBeDefined();
+        expect(parseUserListQuery({ offset: '1.5' }).error).toBeDefined();
+    });
+
+    test('parseSuspensionReason should accept an optional trimmed reason', () => {
+        expect(parseSuspensionReason(undefined)).toEqual({ reason: null });
+        expect(parseSuspensionReason('  spam  ')).toEqual({ reason: 'spam' });
+        expect(parseSuspensionReason(42).error).toBeDefined();
+        expect(parseSuspensionReason('x'.repeat(501)).error).toBeDefined();
+    });
+
+    test('toApiAdminUser should map list rows and show suspensions', () => {
+        const row = {
+            id: '4', username: 'anna_1234', email: 'anna@example.com',
+            grinder_preference: 'comandante', method_preference: 'chemex', water_hardness: '8.5',
+            created_at: '2026-03-01 12:00:00', last_login_at: null,
+            suspended_at: null, suspension_reason: null, coffee_count: '3', active_devices: 1
+        };
+        expect(toApiAdminUser(row)).toEqual({
+            id: 4,
+            username: 'anna_1234',
+            email: 'anna@example.com',
+            status: 'active',
+            createdAt: '2026-03-01T12:00:00.000Z',
+            lastLoginAt: null,
+            preferences: { grinder: 'comandante', method: 'chemex', waterHardness: 8.5 },
+            coffeeCount: 3,
+            activeDevices: 1
+        });
+
+        const suspended = toApiAdminUser({ ...row, suspended_at: '2026-03-02T08:00:00.000Z', suspension_reason: 'spam', coffee_count: undefined });
+        expect(suspended).toMatchObject({ status: 'suspended', suspendedAt: '2026-03-02T08:00:00.000Z', suspensionReason: 'spam' });
+        expect(suspended.coffeeCount).toBeUndefined();
+    });
+});
@@ -0,0 +1,86 @@
+// Router tests for /api/admin/users (list, inspect, suspend, unbind, delete)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import adminUserRoutes from '../routes/adminUsers.js';
+import coffeeRoutes from '../routes/coffees.js';
+import { openTestDatabase, routerApp, signedInAdmin, signedInUser } from './helpers/routerApp.js';
+
+describe('/api/admin/users routes', () => {
+    const app = routerApp({ '/api/admin/users': adminUserRoutes, '/api/coffees': coffeeRoutes });
+    let closeDatabase;
+    let moderator;
+
+    const putCoffee = headers => request(app).put('/api/coffees/kochere').set(headers).send({ coffee: { name: 'Kochere' } });
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('admin-user-routes');
+        moderator = await signedInAdmin('moderator');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('a suspended user should get 403, and after unsuspending sign in again', async () => {
+        const { user, headers } = await signedInUser('suspect');
+        expect((await putCoffee(headers)).status).toBe(201);
+
+        const suspended = await request(app).post(`/api/admin/users/${user.id}/suspend`).set(moderator.headers).send({ reason: 'spam' });
+        expect(suspended.status).toBe(200);
+        expect(suspended.body.user).toMatchObject({ status: 'suspended', suspensionReason: 'spam' });
+        expect((await putCoffee(headers)).status).toBe(403);
+        expect((await request(app).get('/api/coffees').set(headers)).status).toBe(403);
+
+        const again = await request(app).post(`/api/admin/users/${user.id}/suspend`).set(moderator.headers).send({});
+        expect(again.status).toBe(409);
+
+        expect((await request(app).post(`/api/admin/users/${user.id}/unsuspend`).set(moderator.headers)).status).toBe(200);
+        expect((await request(app).post(`/api/admin/users/${user.id}/unsuspend`).set(moderator.headers)).status).toBe(409);
+        // The suspension ended the old sessions
+        expect((await putCoffee(headers)).status).toBe(401);
+    });
+
+    test('a suspension written by another instance should stop writes at once and reads within the token lifetime', async () => {
+        const { user, headers } = await signedInUser('suspect');
+
+        // Straight to the database – this process never saw the suspension
+        await queries.setUserSuspension(user.id, new Date().toISOString(), null);
+
+        expect((await request(app).get('/api/coffees').set(headers)).status).toBe(200);
+        expect((await putCoffee(headers)).status).toBe(403);
+        // The write check told this process – reads stop too from now on
+        expect((await request(app).get('/api/coffees').set(headers)).status).toBe(403);
+    });
+
+    test('should list, inspect and unbind devices, and answer 404 for unknown users', async () => {
+        const { user, device } = await signedInUser('listed');
+
+        const list = await request(app).get(`/api/admin/users?search=${encodeURIComponent(user.username)}`).set(moderator.headers);
+        expect(list.status).toBe(200);
+        expect(list.body.users.map(row => row.id)).toEqual([user.id]);
+
+        const detail = await request(app).get(`/api/admin/users/${user.id}`).set(moderator.headers);
+        expect(detail.status).toBe(200);
+        expect(detail.body.devices).toHaveLength(1);
+
+        expect((await request(app).delete(`/api/admin/users/${user.id}/devices/${device.id}`).set(moderator.headers)).status).toBe(200);
+        expect((await request(app).delete(`/api/admin/users/${user.id}/devices/${device.id}`).set(moderator.headers)).status).toBe(404);
+        expect((await request(app).get('/api/admin/users/999999').set(moderator.headers)).status).toBe(404);
+        expect((await request(app).get('/api/admin/users?status=banned').set(moderator.headers)).status).toBe(400);
+    });
+
+    test('delete should need users:delete and remove the account with its data', async () => {
+        const owner = await signedInAdmin('owner');
+        const { user, headers } = await signedInUser('deleted');
+        await putCoffee(headers);
+
+        expect((await request(app).delete(`/api/admin/users/${user.id}`).set(moderator.headers)).status).toBe(403);
+
+        const res = await request(app).delete(`/api/admin/users/${user.id}`).set(owner.headers);
+        expect(res.status).toBe(200);
+        expect(await queries.getUserById(user.id)).toBeFalsy();
+        expect((await request(app).delete(`/api/admin/users/${user.id}`).set(owner.headers)).status).toBe(404);
+    });
+});
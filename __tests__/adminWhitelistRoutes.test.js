@@ -0,0 +1,137 @@
+// Router tests for /api/admin/whitelist (CSV import/export, invites)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import adminRoutes from '../routes/admin.js';
+import { openTestDatabase, routerApp, signedInAdmin } from './helpers/routerApp.js';
+
+describe('/api/admin/whitelist routes', () => {
+    const app = routerApp({ '/api/admin': adminRoutes });
+    let closeDatabase;
+    let moderator;
+    let readOnly;
+
+    const importCsv = (csv, query = '') => request(app).post(`/api/admin/whitelist/import${query}`)
+        .set(moderator.headers).set('Content-Type', 'text/csv').send(csv);
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('admin-whitelist-routes');
+        moderator = await signedInAdmin('moderator');
+        readOnly = await signedInAdmin('read_only');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    describe('CSV import and export', () => {
+        const CSV = 'email,name,website,note\nana@example.com,Ana,,roaster\nnot-an-email,Bo,,\nana@example.com,Ana again,,\n';
+
+        test('a dry run should report each row without writing anything', async () => {
+            const res = await importCsv(CSV, '?dryRun=true');
+            expect(res.status).toBe(200);
+            expect(res.body.summary).toEqual({ added: 1, duplicate: 1, invalid: 1 });
+            expect(await queries.getWhitelistedEmails(['ana@example.com'])).toEqual(new Set());
+        });
+
+        test('an import should add new rows and report the ones already on the list', async () => {
+            const first = await importCsv(CSV);
+            expect(first.status).toBe(200);
+            expect(first.body.results.map(result => result.status)).toEqual(['added', 'invalid', 'duplicate']);
+
+            const second = await importCsv('email\nana@example.com\ncleo@example.com\n');
+            expect(second.body.summary).toEqual({ added: 1, duplicate: 1, invalid: 0 });
+        });
+
+        test('the export should list every entry with its computed status as CSV', async () => {
+            const res = await request(app).get('/api/admin/whitelist/export').set(readOnly.headers);
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toMatch(/^text\/csv/);
+            const [header, ...lines] = res.text.trim().split(/\r?\n/);
+            expect(header).toBe('email,name,website,note,status,added_at');
+            expect(lines.find(line => line.startsWith('ana@example.com,Ana,,roaster,invited,'))).toBeDefined();
+        });
+
+        test('should answer 400 for an empty CSV and 403 without whitelist:write', async () => {
+            expect((await importCsv('')).status).toBe(400);
+
+            const forbidden = await request(app).post('/api/admin/whitelist/import')
+                .set(readOnly.headers).set('Content-Type', 'text/csv').send(CSV);
+            expect(forbidden.status).toBe(403);
+        });
+    });
+
+    describe('invites', () => {
+        const realFetch = globalThis.fetch;
+        let mailOk;
+        let mailsSent;
+
+        const statusOf = async email => (await queries.getWhitelistWithStatus()).find(entry => entry.email === email).status;
+
+        beforeEach(() => {
+            mailOk = true;
+            mailsSent = 0;
+            globalThis.fetch = async () => {
+                if (!mailOk) return new Response('down', { status: 500 });
+                mailsSent += 1;
+                return new Response('{}', { status: 200 });
+            };
+        });
+
+        afterEach(() => {
+            globalThis.fetch = realFetch;
+        });
+
+        test('an invite should mail a token and move the entry to "sent", then throttle resends with 429', async () => {
+            const id = await queries.addWhitelistEntry('dora@example.com', 'Dora');
+
+            const sent = await request(app).post(`/api/admin/whitelist/${id}/invite`).set(moderator.headers);
+            expect(sent.status).toBe(200);
+            expect(sent.body.resent).toBe(false);
+            expect(mailsSent).toBe(1);
+            expect(await statusOf('dora@example.com')).toBe('sent');
+
+            const again = await request(app).post(`/api/admin/whitelist/${id}/invite`).set(moderator.headers);
+            expect(again.status).toBe(429);
+            expect(Number(again.headers['retry-after'])).toBeGreaterThan(0);
+            expect(mailsSent).toBe(1);
+        });
+
+        test('a failed mail should leave the entry "invited" so it can be retried', async () => {
+            const id = await queries.addWhitelistEntry('emil@example.com', 'Emil');
+
+            mailOk = false;
+            expect((await request(app).post(`/api/admin/whitelist/${id}/invite`).set(moderator.headers)).status).toBe(500);
+            expect(await statusOf('emil@example.com')).toBe('invited');
+
+            mailOk = true;
+            expect((await request(app).post(`/api/admin/whitelist/${id}/invite`).set(moderator.headers)).status).toBe(200);
+        });
+
+        test('should answer 409 for registered entries and 404 for unknown ones', async () => {
+            const id = await queries.addWhitelistEntry('finn@example.com', 'Finn');
+            const registrationId = await queries.createRegistration('finn@example.com', 'BREW-FINN01');
+            const userId = await queries.createUser('finn', 'BREW-FINN01', null, null);
+            await queries.markRegistrationUsed(registrationId, userId);
+
+            expect((await request(app).post(`/api/admin/whitelist/${id}/invite`).set(moderator.headers)).status).toBe(409);
+            expect((await request(app).post('/api/admin/whitelist/999999/invite').set(moderator.headers)).status).toBe(404);
+            expect(mailsSent).toBe(0);
+        });
+
+        test('the bulk invite should report a result per entry', async () => {
+            const fresh = await queries.addWhitelistEntry('gala@example.com', 'Gala');
+            const throttled = await queries.addWhitelistEntry('hugo@example.com', 'Hugo');
+            await request(app).post(`/api/admin/whitelist/${throttled}/invite`).set(moderator.headers);
+
+            const res = await request(app).post('/api/admin/whitelist/invite').set(moderator.headers)
+                .send({ ids: [fresh, throttled, 999999] });
+            expect(res.status).toBe(200);
+            expect(res.body.results.map(result => result.status)).toEqual(['sent', 'throttled', 'not_found']);
+            expect(res.body.summary).toEqual({ sent: 1, throttled: 1, not_found: 1 });
+
+            expect((await request(app).post('/api/admin/whitelist/invite').set(moderator.headers).send({ ids: [] })).status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,79 @@
+// Unit Tests for audit diffs and the audit log query
+// Run with: npm test
+
+import {
+    MAX_AUDIT_PAGE_SIZE,
+    auditDiff,
+    isEmptyDiff,
+    parseAuditQuery,
+    toApiAuditEvent
+} from '../utils/audit.js';
+
+describe('Audit Log', () => {
+    const entry = { email: 'a@b.de', name: 'Anna', website: '', note: 'beta' };
+    const fields = ['email', 'name', 'website', 'note'];
+
+    test('auditDiff should keep only the changed fields', () => {
+        expect(auditDiff(entry, { ...entry, note: 'vip', name: 'Anna' }, fields)).toEqual({
+            before: { note: 'beta' },
+            after: { note: 'vip' }
+        });
+        expect(isEmptyDiff(auditDiff(entry, { ...entry }, fields))).toBe(true);
+    });
+
+    test('auditDiff should record the full state on create and delete', () => {
+        expect(auditDiff(null, entry, fields)).toEqual({ before: null, after: entry });
+        expect(auditDiff(entry, null, fields)).toEqual({ before: entry, after: null });
+        expect(auditDiff(null, { email: 'x@y.de' }, ['email', 'note'])).toEqual({
+            before: null,
+            after: { email: 'x@y.de', note: null }
+        });
+    });
+
+    test('parseAuditQuery should build filters and an exclusive end of day', () => {
+        const { filters } = parseAuditQuery({
+            actorType: 'admin', actorId: '3', entityType: 'whitelist', entityId: ' 12 ',
+            action: 'whitelist.deleted', from: '2026-03-01', to: '2026-03-31', limit: '10', offset: '20'
+        });
+        expect(filters).toEqual({
+            actorType: 'admin',
+            actorId: 3,
+            entityType: 'whitelist',
+            entityId: '12',
+            action: 'whitelist.deleted',
+            from: '2026-03-01T00:00:00.000Z',
+            to: '2026-04-01T00:00:00.000Z',
+            limit: 10,
+            offset: 20
+        });
+        expect(parseAuditQuery({}).filters).toEqual({ limit: 50, offset: 0 });
+    });
+
+    test('parseAuditQuery should reject invalid values', () => {
+        expect(parseAuditQuery({ actorType: 'robot' }).error).toBeDefined();
+        expect(parseAuditQuery({ actorId: 'x' }).error).toBeDefined();
+        expect(parseAuditQuery({ from: '2026-02-30' }).error).toBe('from must be YYYY-MM-DD');
+        expect(parseAuditQuery({ limit: String(MAX_AUDIT_PAGE_SIZE + 1) }).error).toBeDefined();
+        expect(parseAuditQuery({ offset: '-1' }).error).toBeDefined();
+    });
+
+    test('toApiAuditEvent should parse the stored JSON', () => {
+        expect(toApiAuditEvent({
+            id: '5', actor_type: 'admin', actor_id: '2', action: 'whitelist.updated',
+            entity_type: 'whitelist', entity_id: '12', before_state: '{"note":"beta"}', after_state: '{"note":"vip"}',
+            details: null, ip: '127.0.0.1', created_at: '2026-03-01T12:00:00.000Z'
+        })).toEqual({
+            id: 5,
+            actorType: 'admin',
+            actorId: 2,
+            action: 'whitelist.updated',
+            entityType: 'whitelist',
+            entityId: '12',
+            before: { note: 'beta' },
+            after: { note: 'vip' },
+            details: null,
+            ip: '127.0.0.1',
+            createdAt: '2026-03-01T12:00:00.000Z'
+        });
+    });
+});
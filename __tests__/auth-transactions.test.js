@@ -1,5 +1,8 @@
 // Tests for authentication middleware and transaction support
-import { initDatabase, queries, closeDatabase, beginTransaction, commit, rollback } from '../db/database.js';
+import { initDatabase, queries, closeDatabase, withTransaction } from '../db/database.js';
+import { runMigrations } from '../db/migrator.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { clearUserSuspended, signAccessToken } from '../utils/session.js';
 
 describe('Authentication and Transactions', () => {
     beforeAll(async () => {
@@ -7,6 +10,7 @@ describe('Authentication and Transactions', () => {
         process.env.NODE_ENV = 'development';
         delete process.env.DATABASE_URL;
         await initDatabase();
+        await runMigrations();
     });
 
     afterAll(async () => {
@@ -22,16 +26,15 @@ describe('Authentication and Transactions', () => {
         });
 
         test('should commit transaction successfully', async () => {
-            await beginTransaction();
-
             const coffeeData = JSON.stringify({
                 name: 'Transaction Test Coffee',
                 origin: 'Colombia',
                 process: 'washed'
             });
 
-            await queries.saveCoffee(testUserId, 'tx-coffee-1', coffeeData);
-            await commit();
+            await withTransaction(async (tx) => {
+                await tx.queries.saveCoffee(testUserId, 'tx-coffee-1', coffeeData);
+            });
 
             const coffees = await queries.getUserCoffees(testUserId);
             expect(coffees.length).toBeGreaterThan(0);
@@ -42,22 +45,18 @@ describe('Authentication and Transactions', () => {
             const initialCoffees = await queries.getUserCoffees(testUserId);
             const initialCount = initialCoffees.length;
 
-            await beginTransaction();
-
-            try {
+            await expect(withTransaction(async (tx) => {
                 const coffeeData = JSON.stringify({
                     name: 'Coffee to be rolled back',
                     origin: 'Ethiopia',
                     process: 'natural'
                 });
 
-                await queries.saveCoffee(testUserId, 'tx-coffee-1', coffeeData);
+                await tx.queries.saveCoffee(testUserId, 'tx-coffee-2', coffeeData);
 
                 // Simulate an error
                 throw new Error('Simulated error');
-            } catch (error) {
-                await rollback();
-            }
+            })).rejects.toThrow('Simulated error');
 
             // Coffee count should remain the same after rollback
             const coffeesAfterRollback = await queries.getUserCoffees(testUserId);
@@ -66,18 +65,17 @@ describe('Authentication and Transactions', () => {
 
         test('should protect against data loss during sync operation', async () => {
             // First, add some initial coffees
-            await beginTransaction();
-            await queries.deleteUserCoffees(testUserId);
-            
             const initialCoffees = [
                 { name: 'Coffee 1', origin: 'Brazil' },
                 { name: 'Coffee 2', origin: 'Guatemala' }
             ];
 
-            for (const coffee of initialCoffees) {
-                await queries.saveCoffee(testUserId, `initial-${coffee.name}`, JSON.stringify(coffee));
-            }
-            await commit();
+            await withTransaction(async (tx) => {
+                await tx.queries.deleteUserCoffees(testUserId);
+                for (const coffee of initialCoffees) {
+                    await tx.queries.saveCoffee(testUserId, `initial-${coffee.name}`, JSON.stringify(coffee));
+                }
+            });
 
             // Now test transaction protection during sync
             const newCoffees = [
@@ -86,21 +84,17 @@ describe('Authentication and Transactions', () => {
                 { name: 'New Coffee 3', origin: 'Burundi' }
             ];
 
-            await beginTransaction();
-            
-            try {
-                await queries.deleteUserCoffees(testUserId);
-                
+            await expect(withTransaction(async (tx) => {
+                await tx.queries.deleteUserCoffees(testUserId);
+
                 // Simulate partial save (error after 2 coffees)
                 for (let i = 0; i < 2; i++) {
-                    await queries.saveCoffee(testUserId, `new-${i}`, JSON.stringify(newCoffees[i]));
+                    await tx.queries.saveCoffee(testUserId, `new-${i}`, JSON.stringify(newCoffees[i]));
                 }
-                
+
                 // Simulate error
                 throw new Error('Database error during save');
-            } catch (error) {
-                await rollback();
-            }
+            })).rejects.toThrow('Database error during save');
 
             // Original coffees should still be there
             const coffeesAfterFailedSync = await queries.getUserCoffees(testUserId);
@@ -110,6 +104,106 @@ describe('Authentication and Transactions', () => {
             expect(parsedCoffees.some(c => c.name === 'Coffee 1')).toBe(true);
             expect(parsedCoffees.some(c => c.name === 'Coffee 2')).toBe(true);
         });
+
+        test('should roll back only the inner savepoint of a nested transaction', async () => {
+            await withTransaction(async (tx) => {
+                await tx.queries.deleteUserCoffees(testUserId);
+                await tx.queries.saveCoffee(testUserId, 'outer', JSON.stringify({ name: 'Outer' }));
+
+                await expect(tx.withTransaction(async (inner) => {
+                    await inner.queries.saveCoffee(testUserId, 'inner', JSON.stringify({ name: 'Inner' }));
+                    throw new Error('inner failure');
+                })).rejects.toThrow('inner failure');
+
+                await tx.withTransaction(async (inner) => {
+                    await inner.queries.saveCoffee(testUserId, 'inner-ok', JSON.stringify({ name: 'Inner OK' }));
+                });
+            });
+
+            const uids = (await queries.getUserCoffees(testUserId)).map(c => c.coffee_uid).sort();
+            expect(uids).toEqual(['inner-ok', 'outer']);
+        });
+
+        test('should serialize concurrent transactions', async () => {
+            await queries.deleteUserCoffees(testUserId);
+
+            const results = await Promise.allSettled([
+                withTransaction(async (tx) => {
+                    await tx.queries.saveCoffee(testUserId, 'concurrent-fail', JSON.stringify({ name: 'Fail' }));
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    throw new Error('first fails');
+                }),
+                withTransaction(async (tx) => {
+                    await tx.queries.saveCoffee(testUserId, 'concurrent-ok', JSON.stringify({ name: 'OK' }));
+                })
+            ]);
+
+            expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+            const uids = (await queries.getUserCoffees(testUserId)).map(c => c.coffee_uid);
+            expect(uids).toEqual(['concurrent-ok']);
+        });
+    });
+
+    describe('authenticateUser database check', () => {
+        let userId;
+        let sessionId;
+        let accessToken;
+
+        const run = async (method) => {
+            const req = {
+                method,
+                headers: { authorization: `Bearer ${accessToken}`, 'x-device-id': 'session-check-device' },
+                body: {},
+                query: {}
+            };
+            const res = {
+                statusCode: 200,
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            let nextCalled = false;
+            await authenticateUser(req, res, () => { nextCalled = true; });
+            return { res, nextCalled };
+        };
+
+        beforeEach(async () => {
+            process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+            userId = await queries.createUser('sessioncheck_' + Date.now(), 'session-check-token-' + Date.now());
+            const deviceRowId = await queries.registerDevice(userId, 'session-check-device', '{}');
+            sessionId = await queries.createSession(userId, deviceRowId, 'a'.repeat(64), new Date(Date.now() + 60000).toISOString());
+            accessToken = signAccessToken({
+                userId, username: 'sessioncheck', sessionId, deviceRowId, deviceId: 'session-check-device'
+            });
+        });
+
+        afterEach(() => {
+            clearUserSuspended(userId);
+        });
+
+        test('should pass writes of an active session', async () => {
+            expect((await run('POST')).nextCalled).toBe(true);
+        });
+
+        test('should reject writes of a session revoked in the database', async () => {
+            await queries.revokeSessions(userId, { sessionId });
+            const { res, nextCalled } = await run('PATCH');
+            expect(nextCalled).toBe(false);
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('should reject writes at once and reads once this instance knows about a suspension', async () => {
+            await queries.setUserSuspension(userId, new Date().toISOString(), 'test');
+
+            // Reads trust the signed token until it expires (documented window, API_DOCUMENTATION.md 2c)
+            expect((await run('GET')).nextCalled).toBe(true);
+
+            const { res, nextCalled } = await run('DELETE');
+            expect(nextCalled).toBe(false);
+            expect(res.statusCode).toBe(403);
+            expect(res.body.error).toBe('Account suspended');
+
+            expect((await run('GET')).res.statusCode).toBe(403);
+        });
     });
 
     describe('Auth Credential Extraction', () => {
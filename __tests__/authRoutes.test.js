@@ -0,0 +1,138 @@
+// Router tests for /api/auth (validate, pair, recover, refresh, logout, rotate-token)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import authRoutes from '../routes/auth.js';
+import {
+    MAX_RECOVERY_MAILS_PER_HOUR,
+    generateRecoveryCode,
+    hashRecoveryCode,
+    recentRecoveryThreshold
+} from '../utils/recovery.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('/api/auth routes', () => {
+    const app = routerApp({ '/api/auth': authRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('auth-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    describe('GET /validate', () => {
+        test('should create one user when two first logins use the same registration token', async () => {
+            const token = 'BREW-FIRST2';
+            await queries.createRegistration('first@example.com', token);
+            const usersBefore = await queries.getUserCount();
+
+            const responses = await Promise.all(['phone-a', 'phone-b'].map(deviceId =>
+                request(app).get('/api/auth/validate').set({ Authorization: `Bearer ${token}`, 'X-Device-ID': deviceId })
+            ));
+
+            expect(await queries.getUserCount()).toBe(usersBefore + 1);
+            expect(responses.map(res => res.status).sort()).toEqual([200, 403]);
+            const rejected = responses.find(res => res.status === 403);
+            expect(rejected.body.error).toMatch(/pair it from a signed-in device/);
+        });
+    });
+
+    describe('account recovery', () => {
+        const realFetch = globalThis.fetch;
+        let mailOk;
+        let mailsSent;
+
+        /**
+         * Signed-in user whose registration carries the given email
+         */
+        const userWithEmail = async (email) => {
+            const account = await signedInUser('recover');
+            const registrationId = await queries.createRegistration(email, `${account.token}-R`);
+            await queries.markRegistrationUsed(registrationId, account.user.id);
+            return account;
+        };
+
+        beforeEach(() => {
+            mailOk = true;
+            mailsSent = 0;
+            globalThis.fetch = async () => {
+                if (!mailOk) return new Response('down', { status: 500 });
+                mailsSent += 1;
+                return new Response('{}', { status: 200 });
+            };
+        });
+
+        afterEach(() => {
+            globalThis.fetch = realFetch;
+        });
+
+        test('POST /recover should answer the same way when the mail fails and drop the code', async () => {
+            const { user } = await userWithEmail('mailfail@example.com');
+            const unknown = await request(app).post('/api/auth/recover').send({ email: 'nobody@example.com' });
+
+            mailOk = false;
+            const failed = await request(app).post('/api/auth/recover').send({ email: 'mailfail@example.com' });
+
+            expect(failed.status).toBe(200);
+            expect(failed.body).toEqual(unknown.body);
+            expect(await queries.countRecoveryCodesExpiringAfter(user.id, recentRecoveryThreshold())).toBe(0);
+        });
+
+        test('POST /recover/redeem should work on a device id another account bound first', async () => {
+            const { user } = await userWithEmail('redeem@example.com');
+            const other = await signedInUser('other');
+            const code = generateRecoveryCode();
+            await queries.createRecoveryCode(user.id, hashRecoveryCode(code), new Date(Date.now() + 60000).toISOString());
+
+            const res = await request(app).post('/api/auth/recover/redeem')
+                .send({ code, deviceId: other.device.device_id });
+
+            expect(res.status).toBe(200);
+            expect(res.body.user.id).toBe(user.id);
+            expect(res.body.device.deviceId).toBe(other.device.device_id);
+        });
+
+        test('POST /recover/redeem should sign out the old devices, audit the recovery and work only once', async () => {
+            const { user, headers } = await userWithEmail('lostphone@example.com');
+            const code = generateRecoveryCode();
+            await queries.createRecoveryCode(user.id, hashRecoveryCode(code), new Date(Date.now() + 60000).toISOString());
+
+            const redeemed = await request(app).post('/api/auth/recover/redeem').send({ code, deviceId: 'new-phone-1' });
+            expect(redeemed.status).toBe(200);
+            expect((await request(app).post('/api/auth/logout').set(headers)).status).toBe(401);
+            expect(await queries.getAuditEvents({ action: 'account.recovered', entityId: String(user.id) })).toHaveLength(1);
+
+            const reused = await request(app).post('/api/auth/recover/redeem').send({ code, deviceId: 'new-phone-2' });
+            expect(reused.status).toBe(400);
+        });
+
+        test('POST /recover should stop mailing an account after the hourly limit', async () => {
+            const { user } = await userWithEmail('throttled@example.com');
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            for (let i = 1; i < MAX_RECOVERY_MAILS_PER_HOUR; i++) {
+                await queries.createRecoveryCode(user.id, hashRecoveryCode(generateRecoveryCode()), expiresAt);
+            }
+
+            await request(app).post('/api/auth/recover').send({ email: 'throttled@example.com' });
+            expect(mailsSent).toBe(1);
+
+            const res = await request(app).post('/api/auth/recover').send({ email: 'throttled@example.com' });
+            expect(res.status).toBe(200);
+            expect(mailsSent).toBe(1);
+        });
+
+        // Last in this file: it uses up the hourly request limit of /recover and /recover/redeem
+        test('should answer 429 once a client exceeds the recovery request limit', async () => {
+            const statuses = [];
+            for (let i = 0; i < 10; i++) {
+                statuses.push((await request(app).post('/api/auth/recover').send({ email: 'nobody@example.com' })).status);
+            }
+            expect(statuses).toContain(429);
+            expect(statuses.at(-1)).toBe(429);
+        });
+    });
+});
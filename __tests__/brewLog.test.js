@@ -0,0 +1,120 @@
+// Unit Tests for brew log validation
+// Run with: npm test
+
+import { parseBrewInput, parseBrewQuery, toApiBrew, MAX_BREW_PAGE_SIZE } from '../utils/brewLog.js';
+
+const options = { methods: ['v60', 'chemex'], grinders: ['comandante_mk4', 'fellow_gen2'] };
+
+describe('Brew Log', () => {
+    describe('parseBrewInput', () => {
+        test('should map API fields to columns', () => {
+            const { brew, error } = parseBrewInput({
+                coffeeId: 'abc',
+                method: 'v60',
+                grinder: 'comandante_mk4',
+                grindSetting: '<b>24</b> clicks',
+                dose: 15,
+                water: '250',
+                temperature: 94,
+                totalTime: 180,
+                waterHardness: 8.5,
+                rating: 4,
+                notes: 'sweet',
+                brewedAt: '2026-03-01T09:30:00+01:00'
+            }, options);
+
+            expect(error).toBeUndefined();
+            expect(brew).toEqual({
+                coffee_uid: 'abc',
+                method: 'v60',
+                grinder: 'comandante_mk4',
+                grind_setting: '24 clicks',
+                dose_g: 15,
+                water_g: 250,
+                ratio: 16.7,
+                temperature_c: 94,
+                total_time_s: 180,
+                water_hardness: 8.5,
+                rating: 4,
+                notes: 'sweet',
+                brewed_at: '2026-03-01T08:30:00.000Z'
+            });
+        });
+
+        test('should default brewedAt to now and keep an explicit ratio', () => {
+            const { brew } = parseBrewInput({ coffeeId: 7, dose: 15, water: 250, ratio: 16 }, options);
+            expect(brew.coffee_uid).toBe('7');
+            expect(brew.ratio).toBe(16);
+            expect(Math.abs(Date.parse(brew.brewed_at) - Date.now())).toBeLessThan(5000);
+        });
+
+        test('should map equipment ids to columns and keep explicit nulls', () => {
+            const { brew } = parseBrewInput({ coffeeId: 'a', equipment: { grinder: 12, kettle: null } }, options);
+            expect(brew.grinder_equipment_id).toBe(12);
+            expect(brew.kettle_equipment_id).toBeNull();
+            expect(brew).not.toHaveProperty('brewer_equipment_id');
+        });
+
+        test.each([
+            [{}, 'coffeeId required'],
+            [{ coffeeId: 'a', method: 'french_press' }, /Invalid method/],
+            [{ coffeeId: 'a', grinder: 'unknown' }, /Invalid grinder/],
+            [{ coffeeId: 'a', dose: 0 }, /dose must be/],
+            [{ coffeeId: 'a', rating: 4.5 }, /rating must be an integer/],
+            [{ coffeeId: 'a', rating: 6 }, /rating must be/],
+            [{ coffeeId: 'a', temperature: 'hot' }, /temperature must be/],
+            [{ coffeeId: 'a', brewedAt: 'yesterday' }, 'brewedAt must be an ISO date'],
+            [{ coffeeId: 'a', equipment: [1] }, /equipment must be an object/],
+            [{ coffeeId: 'a', equipment: { scale: '3' } }, 'equipment.scale must be an equipment id']
+        ])('should reject %j', (body, expected) => {
+            const { error } = parseBrewInput(body, options);
+            if (expected instanceof RegExp) expect(error).toMatch(expected);
+            else expect(error).toBe(expected);
+        });
+    });
+
+    describe('parseBrewQuery', () => {
+        test('should default to the first page', () => {
+            expect(parseBrewQuery({}).filters).toEqual({ limit: 20, offset: 0 });
+        });
+
+        test('should turn inclusive days into a half-open range', () => {
+            const { filters } = parseBrewQuery({ coffeeId: 'abc', from: '2026-02-28', to: '2026-02-28', limit: '5', offset: '10' });
+            expect(filters).toEqual({
+                coffeeUid: 'abc',
+                from: '2026-02-28T00:00:00.000Z',
+                to: '2026-03-01T00:00:00.000Z',
+                limit: 5,
+                offset: 10
+            });
+        });
+
+        test.each([
+            [{ from: '2026-02-30' }, 'from must be YYYY-MM-DD'],
+            [{ to: '01.03.2026' }, 'to must be YYYY-MM-DD'],
+            [{ from: '2026-03-02', to: '2026-03-01' }, 'from must not be after to'],
+            [{ limit: String(MAX_BREW_PAGE_SIZE + 1) }, /limit must be/],
+            [{ offset: '-1' }, /offset must be/]
+        ])('should reject %j', (query, expected) => {
+            const { error } = parseBrewQuery(query);
+            if (expected instanceof RegExp) expect(error).toMatch(expected);
+            else expect(error).toBe(expected);
+        });
+    });
+
+    test('toApiBrew should convert columns back to API fields', () => {
+        const brew = toApiBrew({
+            id: '3', coffee_uid: 'abc', method: 'v60', grinder: null, grind_setting: '24',
+            dose_g: '15', water_g: 250, ratio: 16.7, temperature_c: null, total_time_s: 180,
+            water_hardness: null, rating: 4, notes: null, brewed_at: new Date('2026-03-01T08:30:00Z'),
+            grinder_equipment_id: '12', brewer_equipment_id: null, kettle_equipment_id: null, scale_equipment_id: 4
+        });
+        expect(brew).toEqual({
+            id: 3, coffeeId: 'abc', method: 'v60', grinder: null, grindSetting: '24',
+            dose: 15, water: 250, ratio: 16.7, temperature: null, totalTime: 180,
+            waterHardness: null, rating: 4,
+            equipment: { grinder: 12, brewer: null, kettle: null, scale: 4 },
+            notes: null, brewedAt: '2026-03-01T08:30:00.000Z'
+        });
+    });
+});
@@ -0,0 +1,109 @@
+// Tests for the coffee card editor endpoint (PATCH /api/brews/:id)
+// Calls the route handler directly against a temporary SQLite database
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { initDatabase, closeDatabase, queries } from '../db/database.js';
+import { runMigrations } from '../db/migrator.js';
+import router from '../routes/brews.js';
+
+describe('PATCH /api/brews/:id', () => {
+    const suffix = `${process.pid}_${Date.now()}`;
+    const sqlitePath = path.join(os.tmpdir(), `dripmate-brews-${suffix}.db`);
+    const savedEnv = {};
+    let userId;
+
+    // The handler after authenticateUser
+    const patchHandler = router.stack
+        .find(layer => layer.route?.path === '/:id' && layer.route.methods.patch)
+        .route.stack.at(-1).handle;
+
+    const patch = async (id, body, ifMatch) => {
+        const req = {
+            params: { id },
+            body,
+            user: { id: userId, username: 'editor' },
+            get: name => (name.toLowerCase() === 'if-match' ? ifMatch : undefined)
+        };
+        const res = {
+            statusCode: 200,
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(payload) { this.body = payload; return this; }
+        };
+        await patchHandler(req, res);
+        return res;
+    };
+
+    beforeAll(async () => {
+        for (const key of ['NODE_ENV', 'DATABASE_URL', 'DATABASE_PATH']) {
+            savedEnv[key] = process.env[key];
+        }
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        process.env.DATABASE_PATH = sqlitePath;
+        await initDatabase();
+        await runMigrations();
+        userId = await queries.createUser(`editor_${suffix}`, `EDIT-${suffix}`, null, null);
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        fs.rmSync(sqlitePath, { force: true });
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    beforeEach(async () => {
+        await queries.saveCoffee(userId, 'kochere', { name: 'Kochere', origin: 'Ethiopia' }, 'chemex');
+        await queries.saveCoffee(userId, 'huila', { name: 'Huila', origin: 'Colombia' }, 'v60');
+    });
+
+    test('should update only the coffee with that uid and keep its brew method', async () => {
+        const other = await queries.getUserCoffee(userId, 'huila');
+        const before = await queries.getUserCoffee(userId, 'kochere');
+
+        const res = await patch('kochere', { origin: '<b>Sidama</b>', tastingNotes: 'peach' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.coffee).toMatchObject({ id: 'kochere', name: 'Kochere', origin: 'Sidama', tastingNotes: 'peach' });
+        expect(res.headers.ETag).toBe(`"${before.revision + 1}"`);
+
+        const stored = await queries.getUserCoffee(userId, 'kochere');
+        expect(stored.method).toBe('chemex');
+        expect(stored.revision).toBe(before.revision + 1);
+
+        const untouched = await queries.getUserCoffee(userId, 'huila');
+        expect(untouched.revision).toBe(other.revision);
+        expect(JSON.parse(untouched.data)).toEqual(JSON.parse(other.data));
+    });
+
+    test('should answer 412 with the current coffee when If-Match is stale', async () => {
+        const { revision } = await queries.getUserCoffee(userId, 'kochere');
+
+        const res = await patch('kochere', { origin: 'Guji' }, `"${revision - 1}"`);
+        expect(res.statusCode).toBe(412);
+        expect(res.headers.ETag).toBe(`"${revision}"`);
+        expect(res.body.coffee).toMatchObject({ id: 'kochere', revision });
+
+        const stored = await queries.getUserCoffee(userId, 'kochere');
+        expect(stored.revision).toBe(revision);
+        expect(JSON.parse(stored.data).origin).not.toBe('Guji');
+    });
+
+    test('should accept the current revision in If-Match', async () => {
+        const { revision } = await queries.getUserCoffee(userId, 'kochere');
+        const res = await patch('kochere', { process: 'washed' }, `"${revision}"`);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.coffee.process).toBe('washed');
+    });
+
+    test('should reject unknown coffees, fields and invalid roast dates', async () => {
+        expect((await patch('missing', { origin: 'Kenya' })).statusCode).toBe(404);
+        expect((await patch('kochere', { method: 'aeropress' })).body.error).toBe('No valid fields to update');
+        expect((await patch('kochere', { roastDate: '01.03.2026' })).body.error).toBe('roastDate must be YYYY-MM-DD');
+    });
+});
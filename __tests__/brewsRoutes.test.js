@@ -0,0 +1,83 @@
+// Router tests for /api/brews (brew session log)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import brewsRoutes from '../routes/brews.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('/api/brews/log routes', () => {
+    const app = routerApp({ '/api/brews': brewsRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('brews-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('POST should log a brew (201) with the user preferences as defaults', async () => {
+        const { user, headers } = await signedInUser('brewer');
+        await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+
+        const res = await request(app).post('/api/brews/log').set(headers)
+            .send({ coffeeId: 'kochere', dose: 15, water: 250, rating: 4, brewedAt: '2026-03-01T08:00:00.000Z' });
+        expect(res.status).toBe(201);
+        expect(res.body.brew).toMatchObject({
+            coffeeId: 'kochere',
+            method: await queries.getMethodPreference(user.id),
+            dose: 15,
+            water: 250,
+            rating: 4,
+            brewedAt: '2026-03-01T08:00:00.000Z'
+        });
+    });
+
+    test('POST should answer 404 for an unknown coffee and 400 for invalid values', async () => {
+        const { user, headers } = await signedInUser('brewer');
+        await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+
+        expect((await request(app).post('/api/brews/log').set(headers).send({ coffeeId: 'missing' })).status).toBe(404);
+
+        const invalid = await request(app).post('/api/brews/log').set(headers).send({ coffeeId: 'kochere', rating: 6 });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error).toBe('rating must be an integer between 1 and 5');
+    });
+
+    test('GET should filter by coffee and date range and page the results', async () => {
+        const { user, headers } = await signedInUser('brewer');
+        await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+        await queries.saveCoffee(user.id, 'huila', { name: 'Huila' });
+        for (const [coffeeId, brewedAt] of [
+            ['kochere', '2026-03-01T08:00:00.000Z'],
+            ['kochere', '2026-03-02T08:00:00.000Z'],
+            ['kochere', '2026-03-05T08:00:00.000Z'],
+            ['huila', '2026-03-02T09:00:00.000Z']
+        ]) {
+            await request(app).post('/api/brews/log').set(headers).send({ coffeeId, brewedAt });
+        }
+
+        const res = await request(app).get('/api/brews/log?coffeeId=kochere&from=2026-03-01&to=2026-03-02&limit=1').set(headers);
+        expect(res.status).toBe(200);
+        expect(res.body.brews.map(brew => brew.brewedAt)).toEqual(['2026-03-02T08:00:00.000Z']);
+        expect(res.body.pagination).toEqual({ limit: 1, offset: 0, total: 2 });
+
+        expect((await request(app).get('/api/brews/log?from=2026-03-05&to=2026-03-01').set(headers)).status).toBe(400);
+    });
+
+    test('DELETE should remove only the user\'s own brews', async () => {
+        const owner = await signedInUser('brewer');
+        const other = await signedInUser('brewer');
+        await queries.saveCoffee(owner.user.id, 'kochere', { name: 'Kochere' });
+        const { body: { brew } } = await request(app).post('/api/brews/log').set(owner.headers).send({ coffeeId: 'kochere' });
+
+        expect((await request(app).delete(`/api/brews/log/${brew.id}`).set(other.headers)).status).toBe(404);
+        expect((await request(app).delete('/api/brews/log/abc').set(owner.headers)).status).toBe(400);
+
+        const res = await request(app).delete(`/api/brews/log/${brew.id}`).set(owner.headers);
+        expect(res.status).toBe(200);
+        expect(res.body.deleted).toBe(brew.id);
+    });
+});
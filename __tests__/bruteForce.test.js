@@ -0,0 +1,135 @@
+// Unit Tests for failed-attempt tracking, lockouts and the security event query
+// Run with: npm test
+
+import {
+    FAILURE_WINDOW_MS,
+    FREE_ATTEMPTS,
+    LOCKOUT_BASE_MS,
+    LOCKOUT_MAX_MS,
+    clearFailedAttempts,
+    getLockout,
+    lockoutDuration,
+    parseSecurityEventQuery,
+    recordFailedAttempt,
+    toApiSecurityEvent
+} from '../utils/bruteForce.js';
+
+/**
+ * In-memory stand-in for the auth_failures / security_events helpers
+ */
+function fakeQueries() {
+    const failures = new Map();
+    const events = [];
+    return {
+        events,
+        failures,
+        async getAuthFailure(scope, subject) {
+            return failures.get(`${scope}:${subject}`) ?? null;
+        },
+        async incrementAuthFailure(scope, subject, failedAt, windowStart) {
+            const row = failures.get(`${scope}:${subject}`);
+            const count = row && row.last_failure_at > windowStart ? row.failures + 1 : 1;
+            failures.set(`${scope}:${subject}`, { ...row, failures: count, last_failure_at: failedAt });
+            return count;
+        },
+        async lockAuthFailure(scope, subject, lockedUntil) {
+            const row = failures.get(`${scope}:${subject}`);
+            if (!row.locked_until || row.locked_until < lockedUntil) row.locked_until = lockedUntil;
+        },
+        async clearAuthFailure(scope, subject) {
+            failures.delete(`${scope}:${subject}`);
+        },
+        async createSecurityEvent(event) {
+            events.push(event);
+        }
+    };
+}
+
+describe('Brute-force Protection', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    const client = { ip: '203.0.113.7', deviceId: 'phone-1' };
+    const details = { endpoint: '/api/auth/validate', reason: 'invalid_token' };
+
+    test('lockoutDuration should double after the free attempts and stop at the maximum', () => {
+        expect(lockoutDuration('device', FREE_ATTEMPTS.device)).toBe(0);
+        expect(lockoutDuration('device', FREE_ATTEMPTS.device + 1)).toBe(LOCKOUT_BASE_MS);
+        expect(lockoutDuration('device', FREE_ATTEMPTS.device + 2)).toBe(LOCKOUT_BASE_MS * 2);
+        expect(lockoutDuration('device', FREE_ATTEMPTS.device + 30)).toBe(LOCKOUT_MAX_MS);
+        expect(lockoutDuration('ip', FREE_ATTEMPTS.device + 1)).toBe(0);
+    });
+
+    test('recordFailedAttempt should lock the device once its free attempts are used', async () => {
+        const q = fakeQueries();
+        for (let i = 0; i < FREE_ATTEMPTS.device; i++) {
+            expect(await recordFailedAttempt(q, client, details, now)).toBe(0);
+        }
+        expect(await getLockout(q, client, now)).toBe(0);
+
+        expect(await recordFailedAttempt(q, client, details, now)).toBe(LOCKOUT_BASE_MS / 1000);
+        expect(await getLockout(q, client, now)).toBe(LOCKOUT_BASE_MS / 1000);
+        expect(await getLockout(q, { ...client, deviceId: 'laptop' }, now)).toBe(0);
+        expect(await getLockout(q, client, now + LOCKOUT_BASE_MS)).toBe(0);
+
+        expect(q.events.filter(e => e.type === 'auth.failed')).toHaveLength(FREE_ATTEMPTS.device + 1);
+        expect(q.events.find(e => e.type === 'auth.lockout')).toMatchObject({
+            ip: client.ip,
+            deviceId: 'phone-1',
+            details: { ...details, scope: 'device', failures: FREE_ATTEMPTS.device + 1 }
+        });
+    });
+
+    test('changing the device id should not escape the IP lockout', async () => {
+        const q = fakeQueries();
+        for (let i = 0; i <= FREE_ATTEMPTS.ip; i++) {
+            await recordFailedAttempt(q, { ip: client.ip, deviceId: `device-${i}` }, details, now);
+        }
+        expect(await getLockout(q, { ip: client.ip, deviceId: 'fresh' }, now)).toBe(LOCKOUT_BASE_MS / 1000);
+        expect(await getLockout(q, { ip: '198.51.100.1', deviceId: 'fresh' }, now)).toBe(0);
+    });
+
+    test('counters should restart after the failure window and reset the device on success', async () => {
+        const q = fakeQueries();
+        await recordFailedAttempt(q, client, details, now);
+        await recordFailedAttempt(q, client, details, now + FAILURE_WINDOW_MS);
+        expect(q.failures.get('device:phone-1').failures).toBe(1);
+
+        await clearFailedAttempts(q, client);
+        expect(q.failures.has('device:phone-1')).toBe(false);
+        expect(q.failures.has(`ip:${client.ip}`)).toBe(true);
+    });
+
+    test('parseSecurityEventQuery should build filters with defaults', () => {
+        expect(parseSecurityEventQuery({})).toEqual({ filters: { limit: 50, offset: 0 } });
+        expect(parseSecurityEventQuery({ type: 'auth.lockout', ip: ' 203.0.113.7 ', from: '2026-03-01', to: '2026-03-01', limit: '10' }))
+            .toEqual({
+                filters: {
+                    type: 'auth.lockout',
+                    ip: '203.0.113.7',
+                    from: '2026-03-01T00:00:00.000Z',
+                    to: '2026-03-02T00:00:00.000Z',
+                    limit: 10,
+                    offset: 0
+                }
+            });
+    });
+
+    test.each([
+        [{ type: 'auth.other' }, /type must be one of/],
+        [{ userId: 'abc' }, /userId/],
+        [{ from: '2026-02-30' }, /from must be YYYY-MM-DD/],
+        [{ limit: '500' }, /limit must be between 1 and 200/],
+        [{ offset: '-1' }, /offset/]
+    ])('parseSecurityEventQuery(%p) should fail', (query, message) => {
+        expect(parseSecurityEventQuery(query).error).toMatch(message);
+    });
+
+    test('toApiSecurityEvent should parse details', () => {
+        expect(toApiSecurityEvent({
+            id: 3, type: 'auth.failed', ip: '203.0.113.7', device_id: 'phone-1', user_id: null,
+            details: '{"reason":"invalid_token"}', created_at: '2026-03-01T12:00:00.000Z'
+        })).toEqual({
+            id: 3, type: 'auth.failed', ip: '203.0.113.7', deviceId: 'phone-1', userId: null,
+            details: { reason: 'invalid_token' }, createdAt: '2026-03-01T12:00:00.000Z'
+        });
+    });
+});
@@ -0,0 +1,155 @@
+// Unit Tests for custom grinders/methods and the per-user catalog
+// Run with: npm test
+
+import {
+    buildCatalog,
+    customKey,
+    describeMethod,
+    parseCustomGrinderInput,
+    parseCustomKey,
+    parseCustomMethodInput
+} from '../utils/catalog.js';
+import { convertSetting, describeGrinder, micronsToSetting } from '../utils/grinders.js';
+import { computeRecipe } from '../utils/recipe.js';
+
+const kinuRow = {
+    id: 3, name: 'Kinu M47', unit: 'setting', min_setting: 0, max_setting: 10, step: 0.1,
+    ref_setting: 4.5, ref_microns: 650, microns_per_unit: 120
+};
+const frenchPressRow = {
+    id: 7, name: 'French Press', style: 'immersion', dose_g: 30, ratio: 15,
+    temperature_c: 95, grind_microns: 1000, total_time_s: 240
+};
+
+describe('Custom Equipment Catalog', () => {
+    test.each([
+        ['custom_3', 3],
+        ['custom_12', 12],
+        ['custom_', null],
+        ['v60', null],
+        [42, null]
+    ])('parseCustomKey(%j) → %j', (key, expected) => {
+        expect(parseCustomKey(key)).toBe(expected);
+    });
+
+    test('buildCatalog should keep the built-ins and add custom keys', () => {
+        const { grinders, methods } = buildCatalog([kinuRow], [frenchPressRow]);
+        expect(grinders.comandante_mk4).toBeDefined();
+        expect(grinders[customKey(3)].custom).toBe(true);
+        expect(methods.v60).toBeDefined();
+        expect(methods.custom_7.style).toBe('immersion');
+    });
+
+    test('custom grinders should convert through their calibration point', () => {
+        const { grinders } = buildCatalog([kinuRow]);
+        expect(micronsToSetting('custom_3', 650, grinders).setting).toBe('4.5');
+        expect(convertSetting('custom_3', 'comandante_mk4', '4.5', grinders).setting).toBe('24');
+        expect(convertSetting('comandante_mk4', 'custom_3', '24', grinders).setting).toBe('4.5');
+    });
+
+    test('describeGrinder should expose the calibration of custom grinders', () => {
+        const { grinders } = buildCatalog([kinuRow]);
+        expect(describeGrinder('custom_3', grinders)).toEqual({
+            id: 'custom_3',
+            name: 'Kinu M47',
+            unit: 'setting',
+            min: '0',
+            max: '10',
+            step: 0.1,
+            microns: { min: 110, max: 1310 },
+            custom: true,
+            calibration: { setting: 4.5, microns: 650 }
+        });
+    });
+
+    test('computeRecipe should use custom methods and grinders', () => {
+        const { grinders, methods } = buildCatalog([kinuRow], [frenchPressRow]);
+        const recipe = computeRecipe({ coffee: { process: 'washed' }, method: 'custom_7', grinder: 'custom_3', methods, grinders });
+
+        expect(recipe.temperature).toBe(95);
+        expect(recipe.water).toBe(450);
+        expect(recipe.grind.setting).toBe('7.4');
+        expect(recipe.pours).toEqual([
+            { at: 0, water: 450, label: 'fill & stir' },
+            { at: 240, water: 450, label: 'serve' }
+        ]);
+    });
+
+    test('describeMethod should list built-in and custom methods alike', () => {
+        const { methods } = buildCatalog([], [frenchPressRow]);
+        expect(describeMethod('v60', methods)).toMatchObject({ id: 'v60', name: 'Hario V60', style: 'pour_over' });
+        expect(describeMethod('custom_7', methods)).toEqual({
+            id: 'custom_7', name: 'French Press', style: 'immersion',
+            dose: 30, ratio: 15, temperature: 95, grindMicrons: 1000, totalTime: 240, custom: true
+        });
+    });
+});
+
+describe('parseCustomGrinderInput', () => {
+    const valid = { name: 'Kinu M47', unit: 'setting', min: 0, max: 10, step: 0.1, calibration: { setting: 4.5, microns: 650 } };
+
+    test('should return column values', () => {
+        expect(parseCustomGrinderInput(valid)).toEqual({
+            grinder: {
+                name: 'Kinu M47', unit: 'setting', min_setting: 0, max_setting: 10, step: 0.1,
+                ref_setting: 4.5, ref_microns: 650, microns_per_unit: 120
+            }
+        });
+    });
+
+    test('should calibrate against a built-in grinder setting', () => {
+        const { grinder } = parseCustomGrinderInput({
+            ...valid,
+            calibration: { setting: 4.5, grinder: 'comandante_mk4', grinderSetting: '24 clicks' }
+        });
+        expect(grinder.ref_microns).toBe(648);
+    });
+
+    test('should strip HTML from the name and default unit and step', () => {
+        const { grinder } = parseCustomGrinderInput({ name: '<b>Orea</b> Z1', min: 1, max: 41, calibration: { setting: 20, microns: 600 } });
+        expect(grinder).toMatchObject({ name: 'Orea Z1', unit: 'clicks', step: 1, microns_per_unit: 30 });
+    });
+
+    test.each([
+        ['missing body', null, 'Grinder object required'],
+        ['missing name', { ...valid, name: '  ' }, 'name required'],
+        ['unknown unit', { ...valid, unit: 'turns' }, 'Invalid unit'],
+        ['inverted range', { ...valid, min: 10, max: 0 }, 'min and max'],
+        ['zero step', { ...valid, step: 0 }, 'step must be'],
+        ['missing calibration', { ...valid, calibration: undefined }, 'calibration required'],
+        ['calibration outside range', { ...valid, calibration: { setting: 12, microns: 650 } }, 'calibration.setting'],
+        ['implausible microns', { ...valid, calibration: { setting: 4.5, microns: 5000 } }, 'calibration.microns'],
+        ['custom reference grinder', { ...valid, calibration: { setting: 4.5, grinder: 'custom_1', grinderSetting: 3 } }, 'built-in grinder'],
+        ['reference setting out of range', { ...valid, calibration: { setting: 4.5, grinder: 'baratza', grinderSetting: 60 } }, 'calibration.grinderSetting'],
+        ['negative finest setting', { ...valid, micronsPerUnit: 500 }, 'below 0 µm']
+    ])('should reject %s', (_label, body, error) => {
+        expect(parseCustomGrinderInput(body).error).toContain(error);
+    });
+});
+
+describe('parseCustomMethodInput', () => {
+    const valid = { name: 'French Press', style: 'immersion', dose: 30, ratio: 15, temperature: 95, grindMicrons: 1000, totalTime: 240 };
+
+    test('should return column values', () => {
+        expect(parseCustomMethodInput(valid)).toEqual({
+            method: {
+                name: 'French Press', style: 'immersion', dose_g: 30, ratio: 15,
+                temperature_c: 95, grind_microns: 1000, total_time_s: 240
+            }
+        });
+    });
+
+    test('should default to a pour-over', () => {
+        expect(parseCustomMethodInput({ ...valid, style: undefined }).method.style).toBe('pour_over');
+    });
+
+    test.each([
+        ['missing name', { ...valid, name: undefined }, 'name required'],
+        ['unknown style', { ...valid, style: 'espresso' }, 'Invalid style'],
+        ['missing dose', { ...valid, dose: undefined }, 'dose must be'],
+        ['boiling temperature', { ...valid, temperature: 100 }, 'temperature must be'],
+        ['fractional time', { ...valid, totalTime: 240.5 }, 'totalTime must be an integer']
+    ])('should reject %s', (_label, body, error) => {
+        expect(parseCustomMethodInput(body).error).toContain(error);
+    });
+});
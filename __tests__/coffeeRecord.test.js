@@ -0,0 +1,67 @@
+// Unit Tests for the coffee column mapping
+// Run with: npm test
+
+import { toCoffeeRecord, fromCoffeeRecord, COFFEE_COLUMN_NAMES } from '../db/coffeeRecord.js';
+
+describe('Coffee Record Mapping', () => {
+    const coffee = {
+        id: 'abc',
+        name: 'Kochere',
+        origin: 'Ethiopia',
+        process: 'natural',
+        altitude: '1900-2100',
+        roastDate: '2026-02-01',
+        favorite: false,
+        customAmount: 15.5,
+        feedback: { acidity: 'high', legacyKey: 1 },
+        feedbackHistory: [{ timestamp: '2026-02-03T10:00:00.000Z', previousTemp: '93°C', newTemp: '94°C', customTempApplied: true }],
+        somethingNew: { nested: true }
+    };
+
+    test('should move typed known fields into columns', () => {
+        const { columns, extras, history } = toCoffeeRecord(coffee);
+
+        expect(columns.name).toBe('Kochere');
+        expect(columns.roast_date).toBe('2026-02-01');
+        expect(columns.favorite).toBe(false);
+        expect(columns.custom_amount).toBe(15.5);
+        expect(JSON.parse(columns.feedback)).toEqual({ acidity: 'high', legacyKey: 1 });
+        expect(columns.cultivar).toBeNull();
+        expect(Object.keys(columns).sort()).toEqual([...COFFEE_COLUMN_NAMES].sort());
+
+        expect(extras).toEqual({ id: 'abc', somethingNew: { nested: true } });
+        expect(history).toEqual([{
+            recorded_at: '2026-02-03T10:00:00.000Z',
+            previous_grind: null,
+            new_grind: null,
+            previous_temp: '93°C',
+            new_temp: '94°C',
+            grind_offset_delta: null,
+            custom_temp_applied: true,
+            reset_to_initial: null
+        }]);
+    });
+
+    test('should keep fields with unexpected types in the JSON data', () => {
+        const { columns, extras } = toCoffeeRecord({ favorite: 'yes', grindOffset: '3', feedbackHistory: [] });
+
+        expect(columns.favorite).toBeNull();
+        expect(columns.grind_offset).toBeNull();
+        expect(extras).toEqual({ favorite: 'yes', grindOffset: '3', feedbackHistory: [] });
+    });
+
+    test('should round-trip through columns (SQLite integer booleans)', () => {
+        const { columns, extras, history } = toCoffeeRecord(coffee);
+        const row = { ...columns, favorite: 0, data: JSON.stringify(extras) };
+        const historyRows = history.map(h => ({ ...h, custom_temp_applied: 1 }));
+
+        expect(fromCoffeeRecord(row, historyRows)).toEqual(coffee);
+    });
+
+    test('should handle empty input', () => {
+        const { columns, extras, history } = toCoffeeRecord(null);
+        expect(extras).toEqual({});
+        expect(history).toEqual([]);
+        expect(fromCoffeeRecord({ ...columns, data: '{}' })).toEqual({});
+    });
+});
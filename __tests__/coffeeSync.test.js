@@ -0,0 +1,146 @@
+// Unit Tests for the coffee delta sync rules
+// Run with: npm test
+
+import {
+    SYNC_REJECT_REASONS,
+    ifMatchSatisfied,
+    parseCursor,
+    parseIfMatch,
+    resolveSyncChange,
+    sendPreconditionFailed,
+    toEtag,
+    toIsoTimestamp,
+    toSyncItem,
+    validateSyncChange
+} from '../utils/coffeeSync.js';
+
+describe('Coffee Sync', () => {
+    describe('parseCursor', () => {
+        test('should treat a missing cursor as 0', () => {
+            expect(parseCursor(undefined)).toBe(0);
+            expect(parseCursor('')).toBe(0);
+        });
+
+        test('should accept numbers and numeric strings', () => {
+            expect(parseCursor('42')).toBe(42);
+            expect(parseCursor(7)).toBe(7);
+        });
+
+        test('should reject anything else', () => {
+            expect(parseCursor('-1')).toBeNull();
+            expect(parseCursor('1.5')).toBeNull();
+            expect(parseCursor('abc')).toBeNull();
+        });
+    });
+
+    describe('toIsoTimestamp', () => {
+        test('should read SQLite timestamps as UTC', () => {
+            expect(toIsoTimestamp('2026-03-01 08:30:00')).toBe('2026-03-01T08:30:00.000Z');
+        });
+
+        test('should convert Date objects and ISO strings', () => {
+            expect(toIsoTimestamp(new Date('2026-03-01T08:30:00Z'))).toBe('2026-03-01T08:30:00.000Z');
+            expect(toIsoTimestamp('2026-03-01T09:30:00+01:00')).toBe('2026-03-01T08:30:00.000Z');
+        });
+
+        test('should return null for empty or invalid values', () => {
+            expect(toIsoTimestamp(null)).toBeNull();
+            expect(toIsoTimestamp('not a date')).toBeNull();
+        });
+    });
+
+    describe('validateSyncChange', () => {
+        test('should accept upserts and deletions', () => {
+            expect(validateSyncChange({ id: 'a', baseRevision: 1, coffee: { name: 'A' } })).toBeNull();
+            expect(validateSyncChange({ id: 'a', updatedAt: '2026-03-01T08:30:00Z', deleted: true })).toBeNull();
+        });
+
+        test('should reject malformed changes', () => {
+            expect(validateSyncChange(null)).toBe('change must be an object');
+            expect(validateSyncChange({ coffee: {} })).toBe('id required');
+            expect(validateSyncChange({ id: '  ', coffee: {} })).toBe('invalid id');
+            expect(validateSyncChange({ id: 'a', baseRevision: -1, coffee: {} })).toMatch(/baseRevision/);
+            expect(validateSyncChange({ id: 'a', updatedAt: 'yesterday', coffee: {} })).toMatch(/updatedAt/);
+            expect(validateSyncChange({ id: 'a', coffee: [] })).toMatch(/coffee object/);
+        });
+    });
+
+    describe('resolveSyncChange', () => {
+        const server = { revision: 3, updatedAt: '2026-03-01T08:30:00.000Z' };
+
+        test.each([
+            ['unknown coffee', null, { id: 'a' }, true, undefined],
+            ['matching baseRevision', server, { baseRevision: 3 }, true, undefined],
+            ['outdated baseRevision', server, { baseRevision: 2 }, false, SYNC_REJECT_REASONS.REVISION_MISMATCH],
+            ['baseRevision wins over updatedAt', server, { baseRevision: 2, updatedAt: '2030-01-01T00:00:00Z' }, false, SYNC_REJECT_REASONS.REVISION_MISMATCH],
+            ['newer updatedAt', server, { updatedAt: '2026-03-01T09:00:00Z' }, true, undefined],
+            ['equal updatedAt', server, { updatedAt: '2026-03-01T08:30:00Z' }, true, undefined],
+            ['older updatedAt', server, { updatedAt: '2026-03-01T08:00:00Z' }, false, SYNC_REJECT_REASONS.STALE_UPDATE],
+            ['no version info', server, {}, false, SYNC_REJECT_REASONS.VERSION_REQUIRED]
+        ])('%s', (_label, serverCopy, change, accept, reason) => {
+            const decision = resolveSyncChange(serverCopy, change);
+            expect(decision.accept).toBe(accept);
+            expect(decision.reason).toBe(reason);
+        });
+    });
+
+    describe('ETag / If-Match', () => {
+        test('toEtag should quote the revision', () => {
+            expect(toEtag(3)).toBe('"3"');
+        });
+
+        test('parseIfMatch should read lists, wildcards and ignore weak or malformed tags', () => {
+            expect(parseIfMatch(undefined)).toBeNull();
+            expect(parseIfMatch('  ')).toBeNull();
+            expect(parseIfMatch('*')).toBe('*');
+            expect(parseIfMatch('"3", "4"')).toEqual([3, 4]);
+            expect(parseIfMatch('W/"3"')).toEqual([]);
+            expect(parseIfMatch('3')).toEqual([]);
+        });
+
+        test.each([
+            ['no header', null, 3, true],
+            ['matching revision', [3], 3, true],
+            ['one of several tags', [2, 3], 3, true],
+            ['stale revision', [2], 3, false],
+            ['wildcard on existing coffee', '*', 3, true],
+            ['wildcard on missing coffee', '*', null, false],
+            ['tag on missing coffee', [1], null, false],
+            ['weak or malformed tags only', [], 3, false]
+        ])('ifMatchSatisfied: %s', (_label, ifMatch, revision, expected) => {
+            expect(ifMatchSatisfied(ifMatch, revision)).toBe(expected);
+        });
+    });
+
+    describe('responses', () => {
+        const row = { coffee_uid: 'abc', data: '{"name":"Kochere"}', created_at: '2026-03-01 10:00:00', revision: 4 };
+
+        /**
+         * Minimal Express response recording status, headers and body
+         */
+        const fakeResponse = () => ({
+            headers: {},
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        });
+
+        test('toSyncItem should return the API coffee or a tombstone', () => {
+            expect(toSyncItem(row)).toEqual({ id: 'abc', name: 'Kochere', savedAt: '2026-03-01 10:00:00', revision: 4 });
+            expect(toSyncItem({ ...row, removed_at: '2026-03-02 08:00:00', revision: 5 })).toEqual({
+                id: 'abc', deleted: true, deletedAt: '2026-03-02T08:00:00.000Z', tombstone: true, revision: 5
+            });
+        });
+
+        test('sendPreconditionFailed should send the current copy with its ETag', () => {
+            const res = sendPreconditionFailed(fakeResponse(), row);
+            expect(res.statusCode).toBe(412);
+            expect(res.headers.ETag).toBe('"4"');
+            expect(res.body.coffee).toMatchObject({ id: 'abc', revision: 4 });
+
+            const gone = sendPreconditionFailed(fakeResponse(), null);
+            expect(gone.headers).toEqual({});
+            expect(gone.body.coffee).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,163 @@
+// Router tests for /api/coffees (library, single coffee, If-Match)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import coffeeRoutes from '../routes/coffees.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('/api/coffees routes', () => {
+    const app = routerApp({ '/api/coffees': coffeeRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('coffee-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    describe('single coffee (/:uid)', () => {
+        test('PUT should create (201), then replace (200) without touching the other coffees', async () => {
+            const { user, headers } = await signedInUser('single');
+            await queries.saveCoffee(user.id, 'huila', { name: 'Huila' });
+
+            const created = await request(app).put('/api/coffees/kochere').set(headers).send({ coffee: { name: 'Kochere' } });
+            expect(created.status).toBe(201);
+            expect(created.headers.etag).toBe(`"${created.body.coffee.revision}"`);
+
+            const replaced = await request(app).put('/api/coffees/kochere').set(headers).send({ coffee: { name: 'Kochere Natural' } });
+            expect(replaced.status).toBe(200);
+            expect(replaced.body.coffee).toMatchObject({ id: 'kochere', name: 'Kochere Natural' });
+            expect(await queries.getUserCoffee(user.id, 'huila')).toBeTruthy();
+        });
+
+        test('GET, PATCH and DELETE should answer 404 for an unknown coffee', async () => {
+            const { headers } = await signedInUser('single');
+
+            expect((await request(app).get('/api/coffees/missing').set(headers)).status).toBe(404);
+            expect((await request(app).patch('/api/coffees/missing').set(headers).send({ coffee: { origin: 'Kenya' } })).status).toBe(404);
+            expect((await request(app).delete('/api/coffees/missing').set(headers)).status).toBe(404);
+        });
+
+        test('PATCH should merge the given fields and DELETE should leave a tombstone', async () => {
+            const { user, headers } = await signedInUser('single');
+            await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere', origin: 'Ethiopia' });
+
+            const patched = await request(app).patch('/api/coffees/kochere').set(headers).send({ coffee: { process: 'washed' } });
+            expect(patched.status).toBe(200);
+            expect(patched.body.coffee).toMatchObject({ name: 'Kochere', origin: 'Ethiopia', process: 'washed' });
+
+            const deleted = await request(app).delete('/api/coffees/kochere').set(headers);
+            expect(deleted.status).toBe(200);
+            expect(deleted.body.deleted).toBe('kochere');
+            expect((await request(app).get('/api/coffees/kochere').set(headers)).status).toBe(404);
+        });
+
+        test('should answer 400 for a missing coffee object or empty changes and 401 for a foreign token', async () => {
+            const { headers } = await signedInUser('single');
+
+            expect((await request(app).put('/api/coffees/kochere').set(headers).send({})).status).toBe(400);
+            expect((await request(app).patch('/api/coffees/kochere').set(headers).send({ coffee: {} })).status).toBe(400);
+            expect((await request(app).get('/api/coffees/kochere').set({ ...headers, Authorization: 'Bearer BREW-ABC123' })).status).toBe(401);
+        });
+    });
+
+    describe('delta sync', () => {
+        test('GET /changes should report changes and tombstones after the cursor', async () => {
+            const { user, headers } = await signedInUser('sync');
+            await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+            const first = await request(app).get('/api/coffees/changes?since=0').set(headers);
+            expect(first.status).toBe(200);
+            expect(first.body.changes.map(change => change.id)).toEqual(['kochere']);
+
+            await queries.deleteCoffee(user.id, 'kochere');
+            const next = await request(app).get(`/api/coffees/changes?since=${first.body.cursor}`).set(headers);
+            expect(next.body.changes).toEqual([expect.objectContaining({ id: 'kochere', tombstone: true })]);
+            expect(Number(next.body.cursor)).toBeGreaterThan(Number(first.body.cursor));
+        });
+
+        test('POST /sync should accept current changes, reject stale ones and return unseen server changes', async () => {
+            const { user, headers } = await signedInUser('sync');
+            await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+            const { revision } = await queries.getUserCoffee(user.id, 'kochere');
+            await queries.saveCoffee(user.id, 'huila', { name: 'Huila' });
+
+            const res = await request(app).post('/api/coffees/sync').set(headers).send({
+                cursor: '0',
+                changes: [
+                    { id: 'kochere', baseRevision: revision, coffee: { name: 'Kochere Washed' } },
+                    { id: 'huila', baseRevision: 0, coffee: { name: 'Stale Huila' } },
+                    { id: 'new-bag', coffee: { name: 'Gesha' } }
+                ]
+            });
+            expect(res.status).toBe(200);
+            expect(res.body.accepted.map(item => item.id)).toEqual(['kochere', 'new-bag']);
+            expect(res.body.rejected).toEqual([
+                expect.objectContaining({ id: 'huila', reason: 'revision_mismatch', server: expect.objectContaining({ name: 'Huila' }) })
+            ]);
+            expect(res.body.changes.map(change => change.id)).toEqual(['huila']);
+        });
+
+        test('should answer 400 for a cursor the server never issued', async () => {
+            const { headers } = await signedInUser('sync');
+
+            expect((await request(app).get('/api/coffees/changes?since=abc').set(headers)).status).toBe(400);
+            expect((await request(app).post('/api/coffees/sync').set(headers).send({ cursor: -1, changes: [] })).status).toBe(400);
+        });
+    });
+
+    describe('POST / with If-Match', () => {
+        test('should save when the library ETag is current and return the new one', async () => {
+            const { user, headers } = await signedInUser('library');
+            const list = await request(app).get('/api/coffees').set(headers);
+            expect(list.headers.etag).toBe('"0"');
+
+            const res = await request(app).post('/api/coffees').set(headers).set('If-Match', list.headers.etag)
+                .send({ coffees: [{ id: 'kochere', name: 'Kochere' }] });
+            expect(res.status).toBe(200);
+            expect(res.headers.etag).toBe(`"${await queries.getCoffeeCursor(user.id)}"`);
+            expect(res.headers.etag).not.toBe(list.headers.etag);
+        });
+
+        test('should answer 412 with the coffees changed since a stale library ETag', async () => {
+            const { user, headers } = await signedInUser('library');
+            await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+            const { headers: { etag } } = await request(app).get('/api/coffees').set(headers);
+
+            // Another tab adds a coffee in the meantime
+            await queries.saveCoffee(user.id, 'huila', { name: 'Huila' });
+
+            const res = await request(app).post('/api/coffees').set(headers).set('If-Match', etag)
+                .send({ coffees: [{ id: 'kochere', name: 'Kochere' }] });
+            expect(res.status).toBe(412);
+            expect(res.headers.etag).toBe(`"${await queries.getCoffeeCursor(user.id)}"`);
+            expect(res.body.conflicts).toEqual([{ id: 'huila', coffee: expect.objectContaining({ id: 'huila', name: 'Huila' }) }]);
+            expect(await queries.getUserCoffee(user.id, 'huila')).toBeTruthy();
+        });
+
+        test('should answer 412 for an ETag the server never issued', async () => {
+            const { headers } = await signedInUser('library');
+
+            const res = await request(app).post('/api/coffees').set(headers).set('If-Match', '"7"')
+                .send({ coffees: [{ id: 'kochere', name: 'Kochere' }] });
+            expect(res.status).toBe(412);
+            expect(res.body.conflicts).toEqual([]);
+        });
+    });
+
+    describe('PUT /:uid with If-Match', () => {
+        test('should answer 412 with the server copy when If-Match is stale', async () => {
+            const { user, headers } = await signedInUser('single');
+            await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere' });
+            const { revision } = await queries.getUserCoffee(user.id, 'kochere');
+
+            const res = await request(app).put('/api/coffees/kochere').set(headers).set('If-Match', `"${revision - 1}"`)
+                .send({ coffee: { name: 'Overwritten' } });
+            expect(res.status).toBe(412);
+            expect(res.headers.etag).toBe(`"${revision}"`);
+            expect(res.body.coffee).toMatchObject({ id: 'kochere', name: 'Kochere', revision });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+// Unit Tests for CSV parsing/formatting and the whitelist import/export
+// Run with: npm test
+
+import { formatCsv, parseCsv } from '../utils/csv.js';
+import {
+    INVITE_RESEND_COOLDOWN_MS,
+    MAX_BULK_INVITES,
+    inviteRetryAfter,
+    isValidEmail,
+    parseInviteIds,
+    parseWhitelistCsv,
+    sendRegistrationToken,
+    whitelistToCsv
+} from '../utils/whitelist.js';
+
+describe('CSV', () => {
+    test('parseCsv should handle quotes, escaped quotes and multi-line fields', () => {
+        const { records } = parseCsv('\uFEFFa,"b, c","say ""hi"""\r\n\r\n"multi\nline",x,\n');
+        expect(records).toEqual([
+            { line: 1, fields: ['a', 'b, c', 'say "hi"'] },
+            { line: 3, fields: ['multi\nline', 'x', ''] }
+        ]);
+    });
+
+    test('parseCsv should reject an unterminated quote', () => {
+        expect(parseCsv('a,"b\nc').error).toMatch(/line 1/);
+    });
+
+    test('formatCsv should quote only where needed and round-trip', () => {
+        const rows = [['email', 'note'], ['a@b.de', 'likes "light", fruity'], ['c@d.de', 'two\nlines']];
+        const text = formatCsv(rows);
+        expect(text).toBe('email,note\r\na@b.de,"likes ""light"", fruity"\r\nc@d.de,"two\nlines"\r\n');
+        expect(parseCsv(text).records.map(record => record.fields)).toEqual(rows);
+    });
+});
+
+describe('Whitelist CSV', () => {
+    test('isValidEmail should require a domain and no spaces', () => {
+        expect(isValidEmail('anna@example.com')).toBe(true);
+        expect(isValidEmail('anna@localhost')).toBe(false);
+        expect(isValidEmail('anna @example.com')).toBe(false);
+        expect(isValidEmail('')).toBe(false);
+    });
+
+    test('parseWhitelistCsv should read positional columns without a header', () => {
+        const { rows, results } = parseWhitelistCsv('Anna@Example.com, Anna ,anna.coffee,beta\nben@example.com');
+        expect(results).toEqual([]);
+        expect(rows).toEqual([
+            { line: 1, email: 'anna@example.com', name: 'Anna', website: 'anna.coffee', note: 'beta' },
+            { line: 2, email: 'ben@example.com', name: '', website: '', note: '' }
+        ]);
+    });
+
+    test('parseWhitelistCsv should map header columns and report invalid and duplicate rows', () => {
+        const csv = 'note,Email,name\nvip,anna@example.com,Anna\n,not-an-email,\nagain,ANNA@example.com,\n';
+        const { rows, results } = parseWhitelistCsv(csv);
+        expect(rows).toEqual([{ line: 2, email: 'anna@example.com', name: 'Anna', website: '', note: 'vip' }]);
+        expect(results).toEqual([
+            { line: 3, email: 'not-an-email', status: 'invalid', error: 'Invalid email' },
+            { line: 4, email: 'anna@example.com', status: 'duplicate', error: 'Duplicate in file' }
+        ]);
+    });
+
+    test('parseWhitelistCsv should reject empty files and unknown columns', () => {
+        expect(parseWhitelistCsv('').error).toBe('CSV required');
+        expect(parseWhitelistCsv('email,name\n').error).toBe('CSV has no rows');
+        expect(parseWhitelistCsv('email,phone\na@b.de,123').error).toMatch(/phone/);
+    });
+
+    test('whitelistToCsv should export status and neutralize formulas, which the import strips again', () => {
+        const csv = whitelistToCsv([{
+            email: 'anna@example.com', name: '=HYPERLINK("x")', website: '', note: '-1',
+            status: 'sent', added_at: '2026-03-01 12:00:00'
+        }]);
+        expect(csv).toBe(
+            'email,name,website,note,status,added_at\r\n'
+            + 'anna@example.com,"\'=HYPERLINK(""x"")",,\'-1,sent,2026-03-01T12:00:00.000Z\r\n'
+        );
+
+        const { rows } = parseWhitelistCsv(csv);
+        expect(rows[0]).toMatchObject({ name: '=HYPERLINK("x")', note: '-1' });
+    });
+});
+
+describe('Whitelist invites', () => {
+    test('inviteRetryAfter should count down the resend cooldown', () => {
+        const sentAt = '2026-03-01T12:00:00.000Z';
+        const sent = Date.parse(sentAt);
+        expect(inviteRetryAfter(sentAt, sent)).toBe(INVITE_RESEND_COOLDOWN_MS / 1000);
+        expect(inviteRetryAfter('2026-03-01 12:00:00', sent + INVITE_RESEND_COOLDOWN_MS - 1500)).toBe(2);
+        expect(inviteRetryAfter(sentAt, sent + INVITE_RESEND_COOLDOWN_MS)).toBe(0);
+        expect(inviteRetryAfter(null, sent)).toBe(0);
+    });
+
+    test('parseInviteIds should require positive integer ids and drop duplicates', () => {
+        expect(parseInviteIds([3, '4', 3])).toEqual({ ids: [3, 4] });
+        expect(parseInviteIds([]).error).toMatch(/non-empty/);
+        expect(parseInviteIds('3').error).toMatch(/non-empty/);
+        expect(parseInviteIds([1, 0]).error).toMatch(/positive/);
+        expect(parseInviteIds([1.5]).error).toMatch(/positive/);
+        expect(parseInviteIds(Array.from({ length: MAX_BULK_INVITES + 1 }, (_, i) => i + 1)).error).toMatch(/At most/);
+    });
+
+    describe('sendRegistrationToken', () => {
+        const realFetch = globalThis.fetch;
+        const email = 'invitee@example.com';
+        let mailOk;
+        let calls;
+
+        /**
+         * In-memory stand-in for the registration helpers
+         */
+        const fakeQueries = (current = null) => ({
+            tokenExists: async () => false,
+            getRegistrationByEmail: async () => current,
+            createRegistration: async () => { calls.push('create'); return 7; },
+            deletePendingRegistration: async (id) => calls.push(`delete:${id}`),
+            updateRegistrationToken: async (id) => { calls.push(`update:${id}`); return current?.swap ?? null; },
+            restoreRegistrationToken: async (id) => calls.push(`restore:${id}`)
+        });
+
+        beforeEach(() => {
+            mailOk = true;
+            calls = [];
+            globalThis.fetch = async () => {
+                calls.push('mail');
+                return mailOk ? new Response('{}', { status: 200 }) : new Response('down', { status: 500 });
+            };
+        });
+
+        afterEach(() => {
+            globalThis.fetch = realFetch;
+        });
+
+        test('should store a new registration before mailing it', async () => {
+            expect(await sendRegistrationToken(fakeQueries(), email, null)).toEqual({ status: 'sent', registrationId: 7 });
+            expect(calls).toEqual(['create', 'mail']);
+        });
+
+        test('should drop a new registration when the mail fails', async () => {
+            mailOk = false;
+            await expect(sendRegistrationToken(fakeQueries(), email, null)).rejects.toThrow('Resend error');
+            expect(calls).toEqual(['create', 'mail', 'delete:7']);
+        });
+
+        test('should restore the previous token when a resend cannot be mailed', async () => {
+            const registration = { id: 3, token_sent_at: '2026-01-01T00:00:00.000Z', swap: { replacement: 'x' } };
+            mailOk = false;
+            await expect(sendRegistrationToken(fakeQueries(registration), email, registration)).rejects.toThrow('Resend error');
+            expect(calls).toEqual(['update:3', 'mail', 'restore:3']);
+        });
+
+        test('should throttle resends within the cooldown', async () => {
+            const registration = { id: 3, token_sent_at: new Date().toISOString() };
+            const result = await sendRegistrationToken(fakeQueries(registration), email, registration);
+            expect(result.status).toBe('throttled');
+            expect(result.retryAfter).toBeGreaterThan(0);
+            expect(calls).toEqual([]);
+        });
+
+        test('should not replace a token that has been used', async () => {
+            const registration = { id: 3, user_id: 9, used: true };
+            expect(await sendRegistrationToken(fakeQueries(registration), email, registration)).toEqual({ status: 'already_registered' });
+            expect(calls).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+// Router tests for custom grinders and brew methods (/api/user/grinder, /api/user/method)
+// Run with: npm test
+
+import request from 'supertest';
+import grinderRoutes from '../routes/grinder.js';
+import methodRoutes from '../routes/method.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('custom grinder and method routes', () => {
+    const app = routerApp({ '/api/user/grinder': grinderRoutes, '/api/user/method': methodRoutes });
+    let closeDatabase;
+
+    const KINU = { name: 'Kinu M47', unit: 'setting', min: 0, max: 8, step: 0.1, micronsPerUnit: 100, calibration: { setting: 4, microns: 600 } };
+    const FRENCH_PRESS = { name: 'French Press', style: 'immersion', dose: 30, ratio: 16, temperature: 94, grindMicrons: 1000, totalTime: 240 };
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('custom-catalog-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('a custom grinder should be selectable and protected from deletion while selected', async () => {
+        const { headers } = await signedInUser('kinu');
+
+        const created = await request(app).post('/api/user/grinder/custom').set(headers).send(KINU);
+        expect(created.status).toBe(201);
+        const key = created.body.grinder.id;
+        expect(key).toMatch(/^custom_\d+$/);
+
+        expect((await request(app).post('/api/user/grinder').set(headers).send({ grinder: key })).status).toBe(200);
+        expect((await request(app).get('/api/user/grinder').set(headers)).body.grinder).toBe(key);
+        expect((await request(app).delete(`/api/user/grinder/custom/${key}`).set(headers)).status).toBe(409);
+
+        await request(app).post('/api/user/grinder').set(headers).send({ grinder: 'comandante_mk4' });
+        expect((await request(app).delete(`/api/user/grinder/custom/${key}`).set(headers)).status).toBe(200);
+        expect((await request(app).delete(`/api/user/grinder/custom/${key}`).set(headers)).status).toBe(404);
+    });
+
+    test('a custom method should be selectable and protected from deletion while selected', async () => {
+        const { headers } = await signedInUser('press');
+
+        const created = await request(app).post('/api/user/method/custom').set(headers).send(FRENCH_PRESS);
+        expect(created.status).toBe(201);
+        const key = created.body.method.id;
+
+        expect((await request(app).post('/api/user/method').set(headers).send({ method: key })).status).toBe(200);
+        expect((await request(app).delete(`/api/user/method/custom/${key}`).set(headers)).status).toBe(409);
+
+        await request(app).post('/api/user/method').set(headers).send({ method: 'v60' });
+        expect((await request(app).delete(`/api/user/method/custom/${key}`).set(headers)).status).toBe(200);
+    });
+
+    test('should answer 400 for invalid definitions and for another user\'s custom entries', async () => {
+        const owner = await signedInUser('kinu');
+        const other = await signedInUser('kinu');
+
+        expect((await request(app).post('/api/user/grinder/custom').set(owner.headers).send({ ...KINU, max: 0 })).status).toBe(400);
+        expect((await request(app).post('/api/user/method/custom').set(owner.headers).send({ ...FRENCH_PRESS, ratio: 40 })).status).toBe(400);
+
+        const { body: { grinder } } = await request(app).post('/api/user/grinder/custom').set(owner.headers).send(KINU);
+        expect((await request(app).post('/api/user/grinder').set(other.headers).send({ grinder: grinder.id })).status).toBe(400);
+        expect((await request(app).delete(`/api/user/grinder/custom/${grinder.id}`).set(other.headers)).status).toBe(404);
+    });
+});
@@ -2,6 +2,7 @@
 // Run with: npm test
 
 import { initDatabase, queries, closeDatabase, getDatabaseType } from '../db/database.js';
+import { runMigrations } from '../db/migrator.js';
 
 describe('Database Module', () => {
     beforeAll(async () => {
@@ -9,6 +10,7 @@ describe('Database Module', () => {
         process.env.NODE_ENV = 'development';
         delete process.env.DATABASE_URL;
         await initDatabase();
+        await runMigrations();
     });
 
     afterAll(async () => {
@@ -110,6 +112,20 @@ describe('Database Module', () => {
             expect(uids).not.toContain('drop-1');
         });
 
+        test('should get and delete a single coffee by uid without touching others', async () => {
+            await queries.saveCoffee(testUserId, 'single-1', JSON.stringify({ name: 'Single 1' }));
+            await queries.saveCoffee(testUserId, 'single-2', JSON.stringify({ name: 'Single 2' }));
+
+            const coffee = await queries.getUserCoffee(testUserId, 'single-1');
+            expect(JSON.parse(coffee.data).name).toBe('Single 1');
+            expect(await queries.getUserCoffee(testUserId, 'missing')).toBeNull();
+
+            expect(await queries.deleteCoffee(testUserId, 'single-1')).toBe(true);
+            expect(await queries.deleteCoffee(testUserId, 'single-1')).toBe(false);
+            expect(await queries.getUserCoffee(testUserId, 'single-1')).toBeNull();
+            expect(await queries.getUserCoffee(testUserId, 'single-2')).not.toBeNull();
+        });
+
         test('should retrieve user coffees', async () => {
             const coffees = await queries.getUserCoffees(testUserId);
             expect(Array.isArray(coffees)).toBe(true);
@@ -0,0 +1,69 @@
+// Unit Tests for multi-device accounts and pairing codes
+// Run with: npm test
+
+import {
+    formatPairingCode,
+    generatePairingCode,
+    isExpired,
+    isValidDeviceId,
+    normalizePairingCode,
+    parseDeviceName,
+    toApiDevice
+} from '../utils/devices.js';
+
+describe('Devices', () => {
+    test('generatePairingCode should round-trip through format and normalize', () => {
+        const code = generatePairingCode();
+        expect(code).toMatch(/^[A-Z2-9]{8}$/);
+        expect(formatPairingCode(code)).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+        expect(normalizePairingCode(formatPairingCode(code).toLowerCase())).toBe(code);
+    });
+
+    test.each([
+        ['k7qm-3xtp', 'K7QM3XTP'],
+        [' K7QM 3XTP ', 'K7QM3XTP'],
+        ['K7QM-3XT', null],
+        ['K7QM-3XT0', null],
+        [12345678, null]
+    ])('normalizePairingCode(%p) → %p', (value, expected) => {
+        expect(normalizePairingCode(value)).toBe(expected);
+    });
+
+    test('isValidDeviceId should require a non-empty string of up to 200 characters', () => {
+        expect(isValidDeviceId('dev-1')).toBe(true);
+        expect(isValidDeviceId('  ')).toBe(false);
+        expect(isValidDeviceId('x'.repeat(201))).toBe(false);
+        expect(isValidDeviceId(42)).toBe(false);
+    });
+
+    test.each([
+        [undefined, {}, { name: null }],
+        ['  <b>iPad</b> ', {}, { name: 'iPad' }],
+        ['', {}, { error: 'name must be a non-empty string' }],
+        [undefined, { required: true }, { error: 'name required' }]
+    ])('parseDeviceName(%p, %p)', (value, options, expected) => {
+        expect(parseDeviceName(value, options)).toEqual(expected);
+    });
+
+    test('isExpired should read SQLite and PostgreSQL timestamps', () => {
+        const now = new Date('2026-03-01T12:00:00Z');
+        expect(isExpired('2026-03-01 11:59:59', now)).toBe(true);
+        expect(isExpired('2026-03-01T12:10:00.000Z', now)).toBe(false);
+        expect(isExpired(new Date('2026-03-01T12:00:00Z'), now)).toBe(true);
+        expect(isExpired(null, now)).toBe(true);
+    });
+
+    test('toApiDevice should parse device info and mark the current device', () => {
+        const row = {
+            id: '4', device_id: 'dev-4', name: 'Phone', device_info: '{"os":"iOS"}',
+            created_at: '2026-03-01 10:00:00', last_seen_at: null, revoked_at: null
+        };
+        expect(toApiDevice(row, 4)).toEqual({
+            id: 4, deviceId: 'dev-4', name: 'Phone', deviceInfo: { os: 'iOS' }, current: true,
+            createdAt: '2026-03-01T10:00:00.000Z', lastSeenAt: null
+        });
+        expect(toApiDevice({ ...row, device_info: 'not json', revoked_at: '2026-03-02 08:00:00' })).toMatchObject({
+            deviceInfo: null, current: false, revokedAt: '2026-03-02T08:00:00.000Z'
+        });
+    });
+});
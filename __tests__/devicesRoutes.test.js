@@ -0,0 +1,72 @@
+// Router tests for /api/user/devices and device pairing (POST /api/auth/pair)
+// Run with: npm test
+
+import request from 'supertest';
+import authRoutes from '../routes/auth.js';
+import deviceRoutes from '../routes/devices.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('device routes', () => {
+    const app = routerApp({ '/api/auth': authRoutes, '/api/user/devices': deviceRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('device-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    /** Pair a second device through a code issued by the signed-in one */
+    async function pairSecondDevice(headers, deviceId) {
+        const issued = await request(app).post('/api/user/devices/pairing-code').set(headers);
+        expect(issued.status).toBe(201);
+        const paired = await request(app).post('/api/auth/pair').send({ code: issued.body.code, deviceId, name: 'Laptop' });
+        expect(paired.status).toBe(200);
+        return { code: issued.body.code, paired };
+    }
+
+    test('a pairing code should add one device and work only once', async () => {
+        const { headers } = await signedInUser('pair');
+        const { code, paired } = await pairSecondDevice(headers, 'laptop-1');
+
+        const laptopHeaders = { Authorization: `Bearer ${paired.body.session.accessToken}`, 'X-Device-ID': 'laptop-1' };
+        const list = await request(app).get('/api/user/devices').set(laptopHeaders);
+        expect(list.status).toBe(200);
+        expect(list.body.devices).toHaveLength(2);
+
+        const reused = await request(app).post('/api/auth/pair').send({ code, deviceId: 'laptop-2' });
+        expect(reused.status).toBe(400);
+    });
+
+    test('should answer 409 when revoking the only active device', async () => {
+        const { device, headers } = await signedInUser('pair');
+
+        const res = await request(app).delete(`/api/user/devices/${device.id}`).set(headers);
+        expect(res.status).toBe(409);
+        expect(res.body.error).toBe('Cannot revoke the only active device');
+    });
+
+    test('a revoked device should be signed out of writes at once', async () => {
+        const { headers } = await signedInUser('pair');
+        const { paired } = await pairSecondDevice(headers, 'laptop-3');
+        const laptopHeaders = { Authorization: `Bearer ${paired.body.session.accessToken}`, 'X-Device-ID': 'laptop-3' };
+
+        expect((await request(app).delete(`/api/user/devices/${paired.body.device.id}`).set(headers)).status).toBe(200);
+        expect((await request(app).post('/api/user/devices/pairing-code').set(laptopHeaders)).status).toBe(401);
+        expect((await request(app).delete(`/api/user/devices/${paired.body.device.id}`).set(headers)).status).toBe(404);
+    });
+
+    test('rename should answer 400 without a name and 404 for another user\'s device', async () => {
+        const owner = await signedInUser('pair');
+        const other = await signedInUser('pair');
+
+        expect((await request(app).patch(`/api/user/devices/${owner.device.id}`).set(owner.headers).send({})).status).toBe(400);
+        expect((await request(app).patch(`/api/user/devices/${owner.device.id}`).set(other.headers).send({ name: 'Mine' })).status).toBe(404);
+
+        const renamed = await request(app).patch(`/api/user/devices/${owner.device.id}`).set(owner.headers).send({ name: 'Kitchen phone' });
+        expect(renamed.status).toBe(200);
+        expect(renamed.body.device.name).toBe('Kitchen phone');
+    });
+});
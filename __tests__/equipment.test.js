@@ -0,0 +1,84 @@
+// Unit Tests for equipment inventory validation
+// Run with: npm test
+
+import { checkCoffeeEquipment, parseEquipmentInput, toApiEquipment, equipmentColumn } from '../utils/equipment.js';
+import { buildCatalog } from '../utils/catalog.js';
+
+const catalog = buildCatalog(
+    [{ id: 3, name: 'Kinu M47', unit: 'setting', min_setting: 0, max_setting: 10, step: 0.1, ref_setting: 4.5, ref_microns: 650, microns_per_unit: 120 }],
+    []
+);
+
+describe('Equipment Inventory', () => {
+    describe('parseEquipmentInput', () => {
+        test('should require a catalog model for grinders', () => {
+            expect(parseEquipmentInput({ type: 'grinder', name: 'Kinu at work', model: 'custom_3' }, catalog)).toEqual({
+                item: { type: 'grinder', name: 'Kinu at work', model: 'custom_3', notes: null }
+            });
+            expect(parseEquipmentInput({ type: 'grinder', name: 'Kinu' }, catalog).error).toMatch(/Valid grinder model required/);
+        });
+
+        test('should check brewers against the method catalog', () => {
+            expect(parseEquipmentInput({ type: 'brewer', name: 'Glass V60', model: 'v60' }, catalog).item.model).toBe('v60');
+            expect(parseEquipmentInput({ type: 'brewer', name: 'Clever', model: 'clever' }, catalog).error).toMatch(/Valid brewer model required/);
+        });
+
+        test('should accept free-text models for kettles and scales', () => {
+            const { item } = parseEquipmentInput({ type: 'kettle', name: '<i>Stagg</i> EKG', notes: 'office', isDefault: true }, catalog);
+            expect(item).toEqual({ type: 'kettle', name: 'Stagg EKG', model: null, notes: 'office', is_default: true });
+        });
+
+        test('should merge a patch into the stored item', () => {
+            const existing = { id: 5, type: 'grinder', name: 'Kinu', model: 'custom_3', notes: 'home', is_default: 1 };
+            expect(parseEquipmentInput({ model: 'comandante_mk4' }, catalog, existing).item).toEqual({
+                type: 'grinder', name: 'Kinu', model: 'comandante_mk4', notes: 'home'
+            });
+            expect(parseEquipmentInput({ notes: null }, catalog, existing).item.notes).toBeNull();
+        });
+
+        test.each([
+            ['missing body', null, undefined, 'Equipment object required'],
+            ['unknown type', { type: 'oven', name: 'x' }, undefined, /Valid type required/],
+            ['missing name', { type: 'scale' }, undefined, 'name required'],
+            ['type change', { type: 'scale' }, { type: 'kettle', name: 'k' }, 'type cannot be changed'],
+            ['unsetting the default', { type: 'scale', name: 's', isDefault: false }, undefined, /isDefault can only be set to true/]
+        ])('should reject %s', (_label, body, existing, expected) => {
+            const { error } = parseEquipmentInput(body, catalog, existing);
+            if (expected instanceof RegExp) expect(error).toMatch(expected);
+            else expect(error).toBe(expected);
+        });
+    });
+
+    test('toApiEquipment should normalize ids and the default flag', () => {
+        expect(toApiEquipment({ id: '7', type: 'scale', name: 'Acaia', model: null, notes: null, is_default: 1 })).toEqual({
+            id: 7, type: 'scale', name: 'Acaia', model: null, notes: null, isDefault: true
+        });
+        expect(toApiEquipment({ id: 8, type: 'scale', name: 'Hario', model: null, notes: null, is_default: false }).isDefault).toBe(false);
+    });
+
+    describe('checkCoffeeEquipment', () => {
+        const items = { 1: { id: 1, user_id: 7, type: 'grinder' }, 2: { id: 2, user_id: 7, type: 'kettle' }, 9: { id: 9, user_id: 8, type: 'grinder' } };
+        const q = {
+            getEquipment: async (userId, id) => (items[id]?.user_id === userId ? items[id] : undefined)
+        };
+
+        test('should accept the user\'s own items and cleared references', async () => {
+            expect(await checkCoffeeEquipment(q, 7, { grinder: 1, kettle: 2, scale: null })).toBeNull();
+            expect(await checkCoffeeEquipment(q, 7, undefined)).toBeNull();
+        });
+
+        test('should reject items of other users or of another type', async () => {
+            expect(await checkCoffeeEquipment(q, 7, { grinder: 9 })).toMatch(/equipment.grinder is not one of your grinders/);
+            expect(await checkCoffeeEquipment(q, 7, { brewer: 1 })).toMatch(/equipment.brewer/);
+        });
+
+        test('should keep references the stored coffee already holds', async () => {
+            expect(await checkCoffeeEquipment(q, 7, { grinder: 5 }, { grinder: 5 })).toBeNull();
+            expect(await checkCoffeeEquipment(q, 7, { grinder: 5 }, { brewer: 5 })).toMatch(/equipment.grinder/);
+        });
+    });
+
+    test('equipmentColumn should name the brews reference column', () => {
+        expect(equipmentColumn('kettle')).toBe('kettle_equipment_id');
+    });
+});
@@ -0,0 +1,83 @@
+// Router tests for /api/user/equipment (inventory, defaults, preference views)
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import brewsRoutes from '../routes/brews.js';
+import equipmentRoutes from '../routes/equipment.js';
+import grinderRoutes from '../routes/grinder.js';
+import methodRoutes from '../routes/method.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('/api/user/equipment routes', () => {
+    const app = routerApp({
+        '/api/user/equipment': equipmentRoutes,
+        '/api/user/grinder': grinderRoutes,
+        '/api/user/method': methodRoutes,
+        '/api/brews': brewsRoutes
+    });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('equipment-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('the default grinder and brewer should show up in the single-preference endpoints', async () => {
+        const { headers } = await signedInUser('kit');
+
+        const first = await request(app).post('/api/user/equipment').set(headers)
+            .send({ type: 'grinder', name: 'Travel grinder', model: 'comandante_mk4' });
+        expect(first.status).toBe(201);
+        expect(first.body.equipment.isDefault).toBe(true);
+
+        const second = await request(app).post('/api/user/equipment').set(headers)
+            .send({ type: 'grinder', name: 'Home grinder', model: 'comandante_mk3', isDefault: true });
+        expect(second.status).toBe(201);
+
+        const grinder = await request(app).get('/api/user/grinder').set(headers);
+        expect(grinder.body).toMatchObject({ grinder: 'comandante_mk3', equipment: { id: second.body.equipment.id, isDefault: true } });
+
+        await request(app).post('/api/user/equipment').set(headers).send({ type: 'brewer', name: 'Glass dripper', model: 'chemex' });
+        expect((await request(app).get('/api/user/method').set(headers)).body.method).toBe('chemex');
+    });
+
+    test('should answer 404 for unknown or foreign items and 400 for invalid input', async () => {
+        const owner = await signedInUser('kit');
+        const other = await signedInUser('kit');
+        const { body: { equipment } } = await request(app).post('/api/user/equipment').set(owner.headers)
+            .send({ type: 'kettle', name: 'Gooseneck' });
+
+        expect((await request(app).get(`/api/user/equipment/${equipment.id}`).set(other.headers)).status).toBe(404);
+        expect((await request(app).patch(`/api/user/equipment/${equipment.id}`).set(other.headers).send({ name: 'Mine' })).status).toBe(404);
+        expect((await request(app).delete(`/api/user/equipment/${equipment.id}`).set(other.headers)).status).toBe(404);
+
+        expect((await request(app).post('/api/user/equipment').set(owner.headers).send({ type: 'toaster', name: 'Toaster' })).status).toBe(400);
+        const changedType = await request(app).patch(`/api/user/equipment/${equipment.id}`).set(owner.headers).send({ type: 'scale' });
+        expect(changedType.status).toBe(400);
+        expect(changedType.body.error).toBe('type cannot be changed');
+
+        expect((await request(app).delete(`/api/user/equipment/${equipment.id}`).set(owner.headers)).status).toBe(200);
+    });
+
+    test('a logged brew should reference the default equipment and refuse another user\'s', async () => {
+        const owner = await signedInUser('kit');
+        const other = await signedInUser('kit');
+        await queries.saveCoffee(owner.user.id, 'kochere', { name: 'Kochere' });
+        const { body: { equipment: scale } } = await request(app).post('/api/user/equipment').set(owner.headers)
+            .send({ type: 'scale', name: 'Brew scale' });
+        const { body: { equipment: foreign } } = await request(app).post('/api/user/equipment').set(other.headers)
+            .send({ type: 'kettle', name: 'Gooseneck' });
+
+        const logged = await request(app).post('/api/brews/log').set(owner.headers).send({ coffeeId: 'kochere' });
+        expect(logged.status).toBe(201);
+        expect(logged.body.brew.equipment).toMatchObject({ scale: scale.id });
+
+        const refused = await request(app).post('/api/brews/log').set(owner.headers)
+            .send({ coffeeId: 'kochere', equipment: { kettle: foreign.id } });
+        expect(refused.status).toBe(400);
+    });
+});
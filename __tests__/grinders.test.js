@@ -0,0 +1,142 @@
+// Unit Tests for the grinder catalog and conversions
+// Run with: npm test
+
+import {
+    GRINDERS,
+    convertOffset,
+    convertSetting,
+    describeGrinder,
+    micronsToSetting,
+    parseSetting,
+    reexpressCoffeeGrind,
+    settingToMicrons
+} from '../utils/grinders.js';
+import { VALID_GRINDERS } from '../db/database.js';
+
+describe('Grinder Catalog', () => {
+    test('should cover every valid grinder', () => {
+        expect(Object.keys(GRINDERS).sort()).toEqual([...VALID_GRINDERS].sort());
+    });
+
+    test.each([
+        ['comandante_mk4', 650, 24, '24', 'clicks'],
+        ['comandante_mk3', 900, 33, '33', 'clicks'],
+        ['fellow_gen2', 650, 5, '5', 'setting'],
+        ['fellow_gen2', 690, 5.333, '5.1', 'setting'],
+        ['fellow_gen2', 720, 5.667, '5.2', 'setting'],
+        ['fellow_gen1', 650, 2, '2', 'setting'],
+        ['timemore_s3', 650, 65, '65', 'clicks'],
+        ['timemore_c2', 650, 16, '16', 'clicks'],
+        ['1zpresso', 650, 87, '87', 'clicks'],
+        ['baratza', 650, 15, '15', 'setting']
+    ])('%s: %i µm → %s', (grinder, microns, value, setting, unit) => {
+        const result = micronsToSetting(grinder, microns);
+        expect(result.value).toBe(value);
+        expect(result.setting).toBe(setting);
+        expect(result.unit).toBe(unit);
+        expect(result.microns).toBe(settingToMicrons(grinder, value));
+    });
+
+    test('should clamp to the grinder range', () => {
+        expect(micronsToSetting('fellow_gen1', 100).value).toBe(1);
+        expect(micronsToSetting('baratza', 5000).value).toBe(40);
+    });
+
+    test('should return null for unknown grinders', () => {
+        expect(micronsToSetting('unknown', 650)).toBeNull();
+        expect(settingToMicrons('unknown', 10)).toBeNull();
+    });
+
+    test.each([
+        ['comandante_mk4', '24', 24],
+        ['comandante_mk4', '24 clicks', 24],
+        ['baratza', 'Stufe 15', 15],
+        ['fellow_gen2', '5', 5],
+        ['fellow_gen2', '5.1', 5 + 1 / 3],
+        ['fellow_gen2', '5,2', 5 + 2 / 3],
+        ['fellow_gen2', '5.5', null],
+        ['comandante_mk4', 'fine', null]
+    ])('parseSetting(%s, %j) → %p', (grinder, input, expected) => {
+        const value = parseSetting(grinder, input);
+        if (expected === null) expect(value).toBeNull();
+        else expect(value).toBeCloseTo(expected, 6);
+    });
+
+    // [from, to, setting, expected setting on the target grinder]
+    test.each([
+        ['comandante_mk4', 'fellow_gen2', '24', '5'],
+        ['comandante_mk4', '1zpresso', '24', '86'],
+        ['comandante_mk4', 'timemore_c2', '24', '16'],
+        ['fellow_gen2', 'comandante_mk4', '5.1', '25'],
+        ['fellow_gen2', 'baratza', '5.2', '17'],
+        ['baratza', 'fellow_gen1', '15', '2'],
+        ['timemore_s3', 'comandante_mk3', '65', '24'],
+        ['comandante_mk4', 'comandante_mk3', '24', '24']
+    ])('convertSetting %s → %s: %s → %s', (from, to, setting, expected) => {
+        expect(convertSetting(from, to, setting).setting).toBe(expected);
+    });
+
+    test('convertSetting should return null for unknown grinders or settings', () => {
+        expect(convertSetting('comandante_mk4', 'unknown', '24')).toBeNull();
+        expect(convertSetting('comandante_mk4', 'baratza', 'medium')).toBeNull();
+    });
+
+    test.each([
+        ['comandante_mk4', 'fellow_gen2', 3, 2],
+        ['comandante_mk4', '1zpresso', -2, -7],
+        ['fellow_gen2', 'timemore_c2', 1, 1],
+        ['baratza', 'comandante_mk4', 0, 0]
+    ])('convertOffset %s → %s: %i steps → %i', (from, to, offset, expected) => {
+        expect(convertOffset(from, to, offset)).toBe(expected);
+    });
+
+    describe('reexpressCoffeeGrind', () => {
+        test('should convert initialGrind and grindOffset, keeping everything else', () => {
+            const coffee = { name: 'Kochere', initialGrind: '24', grindOffset: -3, feedbackHistory: [{ timestamp: 't', newGrind: '23' }] };
+            expect(reexpressCoffeeGrind(coffee, 'comandante_mk4', 'fellow_gen2')).toEqual({
+                name: 'Kochere',
+                initialGrind: '5',
+                grindOffset: -2,
+                grindMicrons: { grindOffset: -81 },
+                feedbackHistory: [{ timestamp: 't', newGrind: '23' }]
+            });
+        });
+
+        test('should restore the original grind when switching back', () => {
+            const coffee = { initialGrind: '65', grindOffset: 1 };
+            const onOde = reexpressCoffeeGrind(coffee, 'timemore_s3', 'fellow_gen2');
+            expect(onOde).toMatchObject({ initialGrind: '5', grindOffset: 0, grindMicrons: { grindOffset: 10 } });
+
+            const onComandante = reexpressCoffeeGrind(onOde, 'fellow_gen2', 'comandante_mk4');
+            const back = reexpressCoffeeGrind(onComandante, 'comandante_mk4', 'timemore_s3');
+            expect(back.initialGrind).toBe('65');
+            expect(back.grindOffset).toBe(1);
+        });
+
+        test('should measure again once the user has changed the grind', () => {
+            const onOde = { initialGrind: '5', grindOffset: 3, grindMicrons: { grindOffset: 10 } };
+            const back = reexpressCoffeeGrind(onOde, 'fellow_gen2', 'timemore_s3');
+            expect(back.grindOffset).toBe(10);
+            expect(back).not.toHaveProperty('grindMicrons');
+        });
+
+        test('should return null when nothing changes', () => {
+            expect(reexpressCoffeeGrind({ name: 'No grind' }, 'comandante_mk4', 'baratza')).toBeNull();
+            expect(reexpressCoffeeGrind({ initialGrind: '24' }, 'comandante_mk4', 'comandante_mk4')).toBeNull();
+            expect(reexpressCoffeeGrind({ initialGrind: '24' }, 'comandante_mk4', 'comandante_mk3')).toBeNull();
+        });
+    });
+
+    test('describeGrinder should expose dial and micron ranges', () => {
+        expect(describeGrinder('fellow_gen2')).toEqual({
+            id: 'fellow_gen2',
+            name: 'Fellow Ode Gen 2',
+            unit: 'setting',
+            min: '1',
+            max: '11',
+            step: 0.333,
+            microns: { min: 250, max: 1250 }
+        });
+        expect(describeGrinder('unknown')).toBeNull();
+    });
+});
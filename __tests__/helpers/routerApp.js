@@ -0,0 +1,93 @@
+// Shared setup for the router tests: a temporary SQLite database, an Express app
+// with the routers under their server.js paths and signed-in test users
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import express from 'express';
+import { initDatabase, closeDatabase, queries } from '../../db/database.js';
+import { runMigrations } from '../../db/migrator.js';
+import { issueSession } from '../../utils/session.js';
+import { ADMIN_TOKEN_TTL_MS, generateAdminToken, hashAdminToken } from '../../utils/admin.js';
+
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+
+/**
+ * Fresh migrated SQLite database for one test file
+ * @returns {Promise<Function>} closes the database and restores the environment
+ */
+export async function openTestDatabase(name) {
+    const dbPath = path.join(os.tmpdir(), `dripmate-${name}-${process.pid}-${Date.now()}.db`);
+    const saved = {};
+    for (const key of ['NODE_ENV', 'DATABASE_URL', 'DATABASE_PATH']) {
+        saved[key] = process.env[key];
+    }
+    process.env.NODE_ENV = 'development';
+    delete process.env.DATABASE_URL;
+    process.env.DATABASE_PATH = dbPath;
+
+    await initDatabase();
+    await runMigrations();
+
+    return async () => {
+        await closeDatabase();
+        fs.rmSync(dbPath, { force: true });
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    };
+}
+
+/**
+ * Express app with JSON bodies and the given routers
+ * @param {Object} mounts - { '/api/coffees': coffeeRoutes, … }
+ */
+export function routerApp(mounts) {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    for (const [mountPath, router] of Object.entries(mounts)) {
+        app.use(mountPath, router);
+    }
+    return app;
+}
+
+let userCounter = 0;
+
+/**
+ * New user with one device and a session
+ * @returns {Promise<{user: Object, device: Object, session: Object, headers: Object}>}
+ *   headers: Authorization + X-Device-ID for supertest's .set()
+ */
+export async function signedInUser(name = 'tester', { token } = {}) {
+    userCounter += 1;
+    const deviceId = `${name}-device-${userCounter}`;
+    const accountToken = token || `BREW-T${String(userCounter).padStart(5, '0')}`;
+    const userId = await queries.createUser(`${name}_${userCounter}_${process.pid}`, accountToken, deviceId, '{}');
+    const deviceRowId = await queries.registerDevice(userId, deviceId, '{}');
+    const user = await queries.getUserById(userId);
+    const device = await queries.getDevice(userId, deviceRowId);
+    const session = await issueSession(queries, user, device);
+    return {
+        user,
+        device,
+        session,
+        token: accountToken,
+        headers: { Authorization: `Bearer ${session.accessToken}`, 'X-Device-ID': deviceId }
+    };
+}
+
+let adminCounter = 0;
+
+/**
+ * New admin with a valid admin token (the password is never checked)
+ * @returns {Promise<{admin: Object, headers: Object}>} headers: Authorization for supertest's .set()
+ */
+export async function signedInAdmin(role = 'owner') {
+    adminCounter += 1;
+    const adminId = await queries.createAdmin(`${role}-${adminCounter}`, role, 'unused');
+    const token = generateAdminToken();
+    const expiresAt = new Date(Date.now() + ADMIN_TOKEN_TTL_MS).toISOString();
+    await queries.createAdminToken(adminId, hashAdminToken(token), expiresAt);
+    return { admin: await queries.getAdmin(adminId), headers: { Authorization: `Bearer ${token}` } };
+}
@@ -0,0 +1,29 @@
+// Unit Tests for the shared date range and paging parameters
+// Run with: npm test
+
+import { parseDateRange, parsePagination } from '../utils/listQuery.js';
+
+describe('List queries', () => {
+    test('parseDateRange should turn inclusive days into a half-open range', () => {
+        expect(parseDateRange({})).toEqual({ range: {} });
+        expect(parseDateRange({ from: '2026-02-28', to: '2026-02-28' })).toEqual({
+            range: { from: '2026-02-28T00:00:00.000Z', to: '2026-03-01T00:00:00.000Z' }
+        });
+    });
+
+    test.each([
+        [{ from: '2026-02-30' }, 'from must be YYYY-MM-DD'],
+        [{ to: ['2026-03-01'] }, 'to must be YYYY-MM-DD'],
+        [{ from: '2026-03-02', to: '2026-03-01' }, 'from must not be after to']
+    ])('parseDateRange(%j) should fail', (query, message) => {
+        expect(parseDateRange(query)).toEqual({ error: message });
+    });
+
+    test('parsePagination should apply the default and the maximum of each list', () => {
+        const sizes = { defaultLimit: 20, maxLimit: 100 };
+        expect(parsePagination({}, sizes)).toEqual({ page: { limit: 20, offset: 0 } });
+        expect(parsePagination({ limit: '100', offset: '40' }, sizes)).toEqual({ page: { limit: 100, offset: 40 } });
+        expect(parsePagination({ limit: '101' }, sizes)).toEqual({ error: 'limit must be between 1 and 100' });
+        expect(parsePagination({ offset: '1.5' }, sizes)).toEqual({ error: 'offset must be a non-negative integer' });
+    });
+});
@@ -0,0 +1,291 @@
+// Tests for the versioned schema migrator
+// Run with: npm test
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import { initDatabase, closeDatabase, getDatabase } from '../db/database.js';
+import {
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations,
+    assertSchemaCurrent,
+    SchemaOutdatedError
+} from '../db/migrator.js';
+import { addColumnIfMissing, hasColumn, hasTable } from '../db/migrations/helpers.js';
+
+describe('Schema Migrations', () => {
+    const dbPath = path.join(os.tmpdir(), `dripmate-migrations-${process.pid}-${Date.now()}.db`);
+    const originalPath = process.env.DATABASE_PATH;
+
+    beforeAll(() => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.DATABASE_URL;
+        process.env.DATABASE_PATH = dbPath;
+    });
+
+    afterEach(async () => {
+        await closeDatabase();
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    afterAll(() => {
+        if (originalPath === undefined) {
+            delete process.env.DATABASE_PATH;
+        } else {
+            process.env.DATABASE_PATH = originalPath;
+        }
+    });
+
+    test('should load migrations in version order', async () => {
+        const migrations = await loadMigrations();
+        const versions = migrations.map(m => m.version);
+
+        expect(versions.length).toBeGreaterThan(0);
+        expect(versions).toEqual([...versions].sort((a, b) => a - b));
+        expect(new Set(versions).size).toBe(versions.length);
+    });
+
+    test('should report every migration as pending on a fresh database', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        const status = await getMigrationStatus();
+
+        expect(status.currentVersion).toBe(0);
+        expect(status.pending.length).toBe(migrations.length);
+        await expect(assertSchemaCurrent()).rejects.toThrow(SchemaOutdatedError);
+    });
+
+    test('should apply all migrations once and record them', async () => {
+        await initDatabase();
+        const applied = await runMigrations();
+        const status = await getMigrationStatus();
+
+        expect(applied.length).toBeGreaterThan(0);
+        expect(status.pending).toEqual([]);
+        expect(status.currentVersion).toBe(status.latestVersion);
+        await expect(assertSchemaCurrent()).resolves.toBeUndefined();
+
+        const secondRun = await runMigrations();
+        expect(secondRun).toEqual([]);
+    });
+
+    test('should upgrade a legacy V4 database without losing data', async () => {
+        await initDatabase();
+        const db = getDatabase();
+        await db.exec(`
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                token TEXT NOT NULL UNIQUE,
+                grinder_preference TEXT DEFAULT 'fellow',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE coffees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                data TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            INSERT INTO users (username, token, grinder_preference) VALUES ('legacy', 'LEGACY-1', 'comandante');
+            INSERT INTO coffees (user_id, data) VALUES (1, '{"name":"Old Bag"}');
+        `);
+
+        await runMigrations();
+
+        const user = await db.get('SELECT grinder_preference, method_preference FROM users WHERE username = ?', ['legacy']);
+        expect(user.grinder_preference).toBe('comandante_mk3');
+        expect(user.method_preference).toBe('v60');
+
+        const coffee = await db.get('SELECT coffee_uid, method, name, data FROM coffees WHERE user_id = 1');
+        expect(coffee.coffee_uid).toBe('1');
+        expect(coffee.method).toBe('v60');
+        expect(coffee.name).toBe('Old Bag');
+        expect(JSON.parse(coffee.data)).toEqual({});
+    });
+
+    test('should backfill coffee columns and feedback history from JSON blobs', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        const beforeNormalize = migrations.filter(m => m.version < 7);
+        await runMigrations(beforeNormalize);
+
+        const db = getDatabase();
+        const blob = {
+            id: 'bag-1',
+            name: 'Gesha',
+            origin: 'Panama',
+            process: 'washed',
+            roastDate: '2026-01-15',
+            favorite: true,
+            grindOffset: -2,
+            feedback: { bitterness: 'low' },
+            feedbackHistory: [
+                { timestamp: '2026-01-20T08:00:00.000Z', previousGrind: '20', newGrind: '22', grindOffsetDelta: 2 },
+                { timestamp: '2026-01-21T08:00:00.000Z', resetToInitial: true }
+            ],
+            legacyField: 'kept'
+        };
+        await db.exec(`INSERT INTO users (id, username, token) VALUES (1, 'blob', 'BLOB-1')`);
+        await db.run('INSERT INTO coffees (user_id, coffee_uid, data) VALUES (1, ?, ?)', ['bag-1', JSON.stringify(blob)]);
+
+        await runMigrations();
+
+        const row = await db.get('SELECT origin, roast_date, favorite, grind_offset, data FROM coffees WHERE coffee_uid = ?', ['bag-1']);
+        expect(row.origin).toBe('Panama');
+        expect(row.roast_date).toBe('2026-01-15');
+        expect(row.favorite).toBe(1);
+        expect(row.grind_offset).toBe(-2);
+        expect(JSON.parse(row.data)).toEqual({ id: 'bag-1', legacyField: 'kept' });
+
+        const history = await db.all('SELECT position, new_grind, reset_to_initial FROM coffee_feedback_history ORDER BY position');
+        expect(history.map(h => h.position)).toEqual([0, 1]);
+        expect(history[0].new_grind).toBe('22');
+        expect(history[1].reset_to_initial).toBe(1);
+
+        const { queries } = await import('../db/database.js');
+        const [reassembled] = await queries.getUserCoffees(1);
+        expect(JSON.parse(reassembled.data)).toEqual(blob);
+    });
+
+    test('should leave fields added after 007 to their own migration', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version <= 7));
+
+        const columns = (await getDatabase().all('PRAGMA table_info(coffees)')).map(c => c.name);
+        expect(columns).toContain('feedback');
+        expect(columns).not.toContain('equipment');
+    });
+
+    test('should move an existing water hardness into an active profile', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version < 12));
+
+        const db = getDatabase();
+        await db.exec(`
+            INSERT INTO users (id, username, token, water_hardness) VALUES (1, 'hard', 'HARD-1', 8.5);
+            INSERT INTO users (id, username, token) VALUES (2, 'unset', 'UNSET-1');
+        `);
+
+        await runMigrations();
+
+        const profiles = await db.all('SELECT user_id, name, gh_dh, is_active FROM water_profiles');
+        expect(profiles).toEqual([{ user_id: 1, name: 'Tap water', gh_dh: 8.5, is_active: 1 }]);
+    });
+
+    test('should move the bound device of each user into devices', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version < 13));
+
+        const db = getDatabase();
+        await db.exec(`
+            INSERT INTO users (id, username, token, device_id, device_info) VALUES (1, 'bound', 'BOUND-1', 'phone-1', '{"os":"iOS"}');
+            INSERT INTO users (id, username, token) VALUES (2, 'unbound', 'UNBOUND-1');
+        `);
+
+        await runMigrations();
+
+        const devices = await db.all('SELECT user_id, device_id, device_info, revoked_at FROM devices');
+        expect(devices).toEqual([{ user_id: 1, device_id: 'phone-1', device_info: '{"os":"iOS"}', revoked_at: null }]);
+    });
+
+    test('should hash stored tokens and link registrations to their users', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version < 16));
+
+        const db = getDatabase();
+        await db.exec(`
+            INSERT INTO users (id, username, token) VALUES (1, 'signed-up', 'BREW-AAAAAA');
+            INSERT INTO registrations (email, token, used) VALUES ('signed-up@example.com', 'BREW-AAAAAA', 1);
+            INSERT INTO registrations (email, token) VALUES ('pending@example.com', 'BREW-BBBBBB');
+        `);
+
+        await runMigrations();
+
+        const rows = await db.all('SELECT token, token_lookup FROM users UNION ALL SELECT token, token_lookup FROM registrations');
+        expect(rows.every(row => row.token.startsWith('scrypt$') && /^[0-9a-f]{4}$/.test(row.token_lookup))).toBe(true);
+
+        const { queries } = await import('../db/database.js');
+        expect((await queries.getUserByToken('BREW-AAAAAA')).username).toBe('signed-up');
+        expect((await queries.getUserByEmail('signed-up@example.com')).id).toBe(1);
+        expect(await queries.getRegistrationByToken('BREW-BBBBBB')).toMatchObject({ email: 'pending@example.com', user_id: null });
+    });
+
+    test('should refuse to hash tokens in production without TOKEN_PEPPER', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version < 16));
+        await getDatabase().exec(`INSERT INTO users (id, username, token) VALUES (1, 'signed-up', 'BREW-AAAAAA')`);
+
+        const saved = { NODE_ENV: process.env.NODE_ENV, TOKEN_PEPPER: process.env.TOKEN_PEPPER };
+        try {
+            process.env.NODE_ENV = 'production';
+            delete process.env.TOKEN_PEPPER;
+            await expect(runMigrations(migrations.filter(m => m.version === 16))).rejects.toThrow('TOKEN_PEPPER');
+        } finally {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        }
+
+        const row = await getDatabase().get('SELECT token FROM users WHERE id = 1');
+        expect(row.token).toBe('BREW-AAAAAA');
+        expect((await getMigrationStatus()).pending.map(m => m.version)).toContain(16);
+    });
+
+    test('should convert older audit timestamps so time filters include them', async () => {
+        await initDatabase();
+        const migrations = await loadMigrations();
+        await runMigrations(migrations.filter(m => m.version < 19));
+
+        const db = getDatabase();
+        await db.exec(`
+            INSERT INTO audit_events (actor_type, action, created_at) VALUES ('system', 'legacy.event', '2026-03-01 12:30:00');
+        `);
+
+        await runMigrations();
+
+        const { queries } = await import('../db/database.js');
+        const [event] = await queries.getAuditEvents({ from: '2026-03-01T00:00:00.000Z', to: '2026-03-02T00:00:00.000Z' });
+        expect(event).toMatchObject({ action: 'legacy.event', created_at: '2026-03-01T12:30:00.000Z', before_state: null });
+    });
+
+    test('helpers should look up tables and columns with bound names', async () => {
+        await initDatabase();
+        const db = getDatabase();
+        await db.exec('CREATE TABLE probe (id INTEGER PRIMARY KEY)');
+
+        expect(await hasTable(db, 'sqlite', 'probe')).toBe(true);
+        expect(await hasTable(db, 'sqlite', 'missing')).toBe(false);
+        expect(await hasColumn(db, 'sqlite', 'probe', 'note')).toBe(false);
+        expect(await addColumnIfMissing(db, 'sqlite', 'probe', 'note', 'TEXT')).toBe(true);
+        expect(await addColumnIfMissing(db, 'sqlite', 'probe', 'note', 'TEXT')).toBe(false);
+        expect(await hasColumn(db, 'sqlite', 'probe', 'note')).toBe(true);
+    });
+
+    test('should roll back a failing migration and leave it pending', async () => {
+        await initDatabase();
+        const migrations = [
+            { version: 1, name: 'ok', file: '001_ok.js', up: async (db) => db.exec('CREATE TABLE ok_table (id INTEGER)') },
+            { version: 2, name: 'broken', file: '002_broken.js', up: async (db) => {
+                await db.exec('CREATE TABLE half_done (id INTEGER)');
+                throw new Error('boom');
+            } }
+        ];
+
+        await expect(runMigrations(migrations)).rejects.toThrow('Migration 002_broken.js failed: boom');
+
+        const db = getDatabase();
+        const halfDone = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'half_done'`);
+        expect(halfDone).toBeNull();
+
+        const status = await getMigrationStatus(migrations);
+        expect(status.currentVersion).toBe(1);
+        expect(status.pending.map(m => m.version)).toEqual([2]);
+    });
+});
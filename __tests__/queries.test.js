@@ -0,0 +1,916 @@
+// Dialect-neutral data-access tests
+// Runs against SQLite always, and against PostgreSQL when TEST_DATABASE_URL is set:
+//   TEST_DATABASE_URL=postgresql://localhost:5432/dripmate_test npm test
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import {
+    initDatabase,
+    closeDatabase,
+    getDatabase,
+    queries,
+    withTransaction,
+    toPostgresPlaceholders,
+    placeholders
+} from '../db/database.js';
+import { runMigrations } from '../db/migrator.js';
+import { parseAuditQuery } from '../utils/audit.js';
+import { getLockout, parseSecurityEventQuery } from '../utils/bruteForce.js';
+import { authorizeDevice } from '../utils/devices.js';
+
+describe('toPostgresPlaceholders', () => {
+    test('should number placeholders in order', () => {
+        expect(toPostgresPlaceholders('SELECT * FROM users WHERE token = ? AND device_id = ?'))
+            .toBe('SELECT * FROM users WHERE token = $1 AND device_id = $2');
+    });
+
+    test('should ignore question marks inside quotes', () => {
+        expect(toPostgresPlaceholders(`SELECT '?' AS q, "a?b" FROM t WHERE x = ?`))
+            .toBe(`SELECT '?' AS q, "a?b" FROM t WHERE x = $1`);
+    });
+
+    test('should leave SQL without placeholders unchanged', () => {
+        expect(toPostgresPlaceholders('SELECT COUNT(*) FROM users')).toBe('SELECT COUNT(*) FROM users');
+    });
+
+    test('should build IN lists', () => {
+        expect(placeholders(['a', 'b', 'c'])).toBe('?, ?, ?');
+    });
+});
+
+const dialects = [['sqlite', null]];
+if (process.env.TEST_DATABASE_URL) {
+    dialects.push(['postgresql', process.env.TEST_DATABASE_URL]);
+}
+
+describe.each(dialects)('queries on %s', (dialect, databaseUrl) => {
+    const suffix = `${process.pid}_${Date.now()}`;
+    const sqlitePath = path.join(os.tmpdir(), `dripmate-queries-${suffix}.db`);
+    const savedEnv = {};
+
+    beforeAll(async () => {
+        for (const key of ['NODE_ENV', 'DATABASE_URL', 'DATABASE_PATH', 'DATABASE_SSL', 'TOKEN_PEPPER']) {
+            savedEnv[key] = process.env[key];
+        }
+        if (dialect === 'postgresql') {
+            process.env.NODE_ENV = 'production';
+            process.env.DATABASE_URL = databaseUrl;
+            process.env.DATABASE_SSL = 'false';
+            process.env.TOKEN_PEPPER = process.env.TOKEN_PEPPER || 'test-token-pepper';
+        } else {
+            process.env.NODE_ENV = 'development';
+            delete process.env.DATABASE_URL;
+            process.env.DATABASE_PATH = sqlitePath;
+        }
+        await initDatabase();
+        await runMigrations();
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+        fs.rmSync(sqlitePath, { force: true });
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    describe('adapter', () => {
+        test('get should return null when nothing matches', async () => {
+            const row = await getDatabase().get('SELECT id FROM users WHERE token = ?', ['does-not-exist']);
+            expect(row).toBeNull();
+        });
+
+        test('run should report affected rows', async () => {
+            const result = await getDatabase().run('UPDATE users SET device_info = device_info WHERE token = ?', ['does-not-exist']);
+            expect(result.changes).toBe(0);
+        });
+    });
+
+    describe('users', () => {
+        const username = `dal_user_${suffix}`;
+        const token = `DAL-${suffix}`;
+        let userId;
+
+        test('createUser should return the new id', async () => {
+            userId = await queries.createUser(username, token, `device-${suffix}`, '{}');
+            expect(Number(userId)).toBeGreaterThan(0);
+        });
+
+        test('getUserByToken should respect the device filter', async () => {
+            expect((await queries.getUserByToken(token)).id).toBe(userId);
+            expect((await queries.getUserByToken(token, `device-${suffix}`)).id).toBe(userId);
+            expect(await queries.getUserByToken(token, 'other-device')).toBeNull();
+        });
+
+        test('tokens should be stored as salted hashes', async () => {
+            const row = await getDatabase().get('SELECT token, token_lookup FROM users WHERE id = ?', [userId]);
+            expect(row.token).toMatch(/^scrypt\$/);
+            expect(row.token).not.toContain(token);
+            expect(row.token_lookup).toMatch(/^[0-9a-f]{4}$/);
+            expect(await queries.tokenExists(token)).toBe(true);
+            expect(await queries.getUserByToken(`${token}-X`)).toBeNull();
+        });
+
+        test('restoreUserToken should undo a token swap', async () => {
+            const swap = await queries.updateUserToken(userId, `${token}-LOST`);
+            expect(await queries.getUserByToken(token)).toBeNull();
+            await queries.restoreUserToken(userId, swap);
+            expect((await queries.getUserByToken(token)).id).toBe(userId);
+            expect(await queries.getUserByToken(`${token}-LOST`)).toBeNull();
+        });
+
+        test('updateUserToken should replace the token', async () => {
+            await queries.updateUserToken(userId, `${token}-NEW`);
+            expect(await queries.getUserByToken(token)).toBeNull();
+            expect((await queries.getUserByToken(`${token}-NEW`)).id).toBe(userId);
+        });
+
+        test('preference updates should round-trip', async () => {
+            await queries.updateGrinderPreference(userId, 'comandante_mk4');
+            await queries.updateMethodPreference(userId, 'chemex');
+            await queries.updateWaterHardness(userId, 12.5);
+
+            expect(await queries.getGrinderPreference(userId)).toBe('comandante_mk4');
+            expect(await queries.getMethodPreference(userId)).toBe('chemex');
+            expect(Number(await queries.getWaterHardness(userId))).toBe(12.5);
+        });
+
+        test('getUserCount should return a number', async () => {
+            expect(typeof await queries.getUserCount()).toBe('number');
+        });
+
+        describe('coffees', () => {
+            test('saveCoffee should upsert on coffee_uid', async () => {
+                const firstId = await queries.saveCoffee(userId, 'uid-a', JSON.stringify({ name: 'A' }));
+                expect(Number(firstId)).toBeGreaterThan(0);
+
+                await queries.saveCoffee(userId, 'uid-a', JSON.stringify({ name: 'A2' }));
+                const rows = await queries.getUserCoffees(userId);
+                expect(rows.length).toBe(1);
+                expect(JSON.parse(rows[0].data).name).toBe('A2');
+            });
+
+            test('saveCoffee should round-trip columns, leftovers and feedback history', async () => {
+                const coffee = {
+                    id: 'uid-rt',
+                    name: 'Round Trip',
+                    origin: 'Kenya',
+                    roastery: 'Tim Wendelboe',
+                    process: 'washed',
+                    roastDate: '2026-03-01',
+                    favorite: true,
+                    grindOffset: 1.5,
+                    feedback: { body: 'high' },
+                    feedbackHistory: [{ timestamp: '2026-03-02T07:00:00.000Z', newGrind: '18', customTempApplied: false }],
+                    extra: [1, 2]
+                };
+                await queries.saveCoffee(userId, 'uid-rt', coffee);
+
+                const row = (await queries.getUserCoffees(userId)).find(r => r.coffee_uid === 'uid-rt');
+                expect(JSON.parse(row.data)).toEqual(coffee);
+            });
+
+            test('saveCoffee with keepSavedAt should keep created_at but bump the revision', async () => {
+                await getDatabase().run(
+                    "UPDATE coffees SET created_at = '2026-01-01 08:00:00' WHERE user_id = ? AND coffee_uid = 'uid-rt'",
+                    [userId]
+                );
+                const before = (await queries.getUserCoffees(userId)).find(r => r.coffee_uid === 'uid-rt');
+                await queries.saveCoffee(userId, 'uid-rt', { ...JSON.parse(before.data), grindOffset: 2 }, before.method, { keepSavedAt: true });
+
+                const after = (await queries.getUserCoffees(userId)).find(r => r.coffee_uid === 'uid-rt');
+                expect(String(after.created_at)).toBe(String(before.created_at));
+                expect(after.revision).toBe(before.revision + 1);
+            });
+
+            test('getUserCoffees should filter on normalized columns', async () => {
+                await queries.saveCoffee(userId, 'uid-other', { name: 'Other', origin: 'Brazil', process: 'natural', roastDate: '2025-12-01' });
+
+                const uidsFor = async (filters) => (await queries.getUserCoffees(userId, filters)).map(r => r.coffee_uid).sort();
+
+                expect(await uidsFor({ origin: 'kenya' })).toEqual(['uid-rt']);
+                expect(await uidsFor({ process: 'Natural' })).toEqual(['uid-other']);
+                expect(await uidsFor({ roaster: 'tim wendelboe' })).toEqual(['uid-rt']);
+                expect(await uidsFor({ favorite: true })).toEqual(['uid-rt']);
+                expect(await uidsFor({ favorite: false })).toEqual(['uid-a', 'uid-other']);
+                expect(await uidsFor({ roastDateFrom: '2026-01-01' })).toEqual(['uid-rt']);
+                expect(await uidsFor({ roastDateTo: '2026-01-01' })).toEqual(['uid-other']);
+            });
+
+            test('replaceUserCoffees should keep only listed uids', async () => {
+                await queries.saveCoffee(userId, 'uid-b', JSON.stringify({ name: 'B' }));
+                await queries.saveCoffee(userId, 'uid-c', JSON.stringify({ name: 'C' }));
+                // Drop the coffees from earlier tests first
+                await queries.replaceUserCoffees(userId, ['uid-a', 'uid-b', 'uid-c']);
+
+                await queries.replaceUserCoffees(userId, ['uid-a', 'uid-c']);
+                const uids = (await queries.getUserCoffees(userId)).map(r => r.coffee_uid).sort();
+                expect(uids).toEqual(['uid-a', 'uid-c']);
+
+                await queries.replaceUserCoffees(userId, []);
+                expect(await queries.getUserCoffees(userId)).toEqual([]);
+            });
+
+            test('writes should bump revision and advance the change cursor', async () => {
+                const before = await queries.getCoffeeCursor(userId);
+
+                await queries.saveCoffee(userId, 'uid-sync', { name: 'Sync' });
+                await queries.saveCoffee(userId, 'uid-sync', { name: 'Sync 2' });
+
+                const row = await queries.getUserCoffee(userId, 'uid-sync');
+                expect(row.revision).toBe(2);
+                expect(row.change_seq).toBe(before + 2);
+                expect(await queries.getCoffeeCursor(userId)).toBe(before + 2);
+
+                const changed = await queries.getUserCoffees(userId, { changedSince: before + 1, includeRemoved: true });
+                expect(changed.map(r => r.coffee_uid)).toEqual(['uid-sync']);
+                expect(await queries.getUserCoffees(userId, { changedSince: before + 2 })).toEqual([]);
+            });
+
+            test('deleteCoffee should leave a tombstone that saveCoffee revives', async () => {
+                expect(await queries.deleteCoffee(userId, 'uid-sync')).toBe(true);
+                expect(await queries.deleteCoffee(userId, 'uid-sync')).toBe(false);
+                expect(await queries.getUserCoffee(userId, 'uid-sync')).toBeNull();
+
+                const [tombstone] = await queries.getUserCoffees(userId, { coffeeUid: 'uid-sync', includeRemoved: true });
+                expect(tombstone.removed_at).not.toBeNull();
+                expect(tombstone.revision).toBe(3);
+                expect(tombstone.change_seq).toBe(await queries.getCoffeeCursor(userId));
+
+                await queries.saveCoffee(userId, 'uid-sync', { name: 'Back' });
+                const revived = await queries.getUserCoffee(userId, 'uid-sync');
+                expect(revived.removed_at).toBeNull();
+                expect(revived.revision).toBe(4);
+            });
+        });
+    });
+
+    describe('brew log', () => {
+        let userId;
+        const brewAt = (day, hour = 8) => `2026-03-${String(day).padStart(2, '0')}T${String(hour).padStart(2, '0')}:00:00.000Z`;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`brew_user_${suffix}`, `BREW-${suffix}`, `brew-device-${suffix}`, '{}');
+            await queries.logBrew(userId, { coffee_uid: 'kenya', method: 'v60', dose_g: 15, water_g: 250, ratio: 16.7, rating: 3, brewed_at: brewAt(1) });
+            await queries.logBrew(userId, { coffee_uid: 'kenya', grind_setting: '22', rating: 4, brewed_at: brewAt(8) });
+            await queries.logBrew(userId, { coffee_uid: 'brazil', total_time_s: 200, brewed_at: brewAt(8, 18) });
+            await queries.logBrew(userId, { coffee_uid: 'kenya', rating: 5, brewed_at: brewAt(15) });
+        });
+
+        test('getUserBrews should return newest first with column values intact', async () => {
+            const rows = await queries.getUserBrews(userId);
+            expect(rows.map(r => r.coffee_uid)).toEqual(['kenya', 'brazil', 'kenya', 'kenya']);
+
+            const first = rows[rows.length - 1];
+            expect(Number(first.dose_g)).toBe(15);
+            expect(Number(first.ratio)).toBe(16.7);
+            expect(first.method).toBe('v60');
+            expect(new Date(first.brewed_at).toISOString()).toBe(brewAt(1));
+        });
+
+        test('getUserBrews should filter by coffee and date range', async () => {
+            const kenya = await queries.getUserBrews(userId, { coffeeUid: 'kenya' });
+            expect(kenya.map(r => r.rating)).toEqual([5, 4, 3]);
+
+            const week = { from: brewAt(2, 0), to: brewAt(9, 0) };
+            expect((await queries.getUserBrews(userId, week)).map(r => r.coffee_uid)).toEqual(['brazil', 'kenya']);
+            expect(await queries.countUserBrews(userId, { ...week, coffeeUid: 'kenya' })).toBe(1);
+        });
+
+        test('getUserBrews should paginate with limit/offset', async () => {
+            const page = await queries.getUserBrews(userId, { limit: 2, offset: 1 });
+            expect(page.map(r => new Date(r.brewed_at).toISOString())).toEqual([brewAt(8, 18), brewAt(8)]);
+            expect(await queries.countUserBrews(userId)).toBe(4);
+        });
+
+        test('deleteBrew should only remove the user\'s own brew', async () => {
+            const [latest] = await queries.getUserBrews(userId, { limit: 1 });
+            const otherUser = await queries.createUser(`brew_other_${suffix}`, `BREW-OTHER-${suffix}`, `brew-other-${suffix}`, '{}');
+
+            expect(await queries.deleteBrew(otherUser, latest.id)).toBe(false);
+            expect(await queries.deleteBrew(userId, latest.id)).toBe(true);
+            expect(await queries.getUserBrew(userId, latest.id)).toBeNull();
+        });
+    });
+
+    describe('custom equipment', () => {
+        let userId;
+        const kinu = {
+            name: 'Kinu M47', unit: 'setting', min_setting: 0, max_setting: 10, step: 0.1,
+            ref_setting: 4.5, ref_microns: 650, microns_per_unit: 120
+        };
+        const frenchPress = {
+            name: 'French Press', style: 'immersion', dose_g: 30, ratio: 15,
+            temperature_c: 95, grind_microns: 1000, total_time_s: 240
+        };
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`gear_user_${suffix}`, `GEAR-${suffix}`, `gear-device-${suffix}`, '{}');
+        });
+
+        test('custom grinders should round-trip their calibration', async () => {
+            const id = await queries.createCustomGrinder(userId, kinu);
+            const [row] = await queries.getCustomGrinders(userId);
+
+            expect(row.id).toBe(id);
+            expect(row.name).toBe('Kinu M47');
+            expect(Number(row.step)).toBe(0.1);
+            expect(Number(row.ref_setting)).toBe(4.5);
+            expect(Number(row.microns_per_unit)).toBe(120);
+        });
+
+        test('custom methods should round-trip', async () => {
+            const id = await queries.createCustomMethod(userId, frenchPress);
+            const [row] = await queries.getCustomMethods(userId);
+
+            expect(row.id).toBe(id);
+            expect(row.style).toBe('immersion');
+            expect(Number(row.dose_g)).toBe(30);
+            expect(row.total_time_s).toBe(240);
+        });
+
+        test('preferences should accept custom keys', async () => {
+            const [method] = await queries.getCustomMethods(userId);
+            await queries.updateMethodPreference(userId, `custom_${method.id}`);
+            expect(await queries.getMethodPreference(userId)).toBe(`custom_${method.id}`);
+
+            await expect(queries.updateGrinderPreference(userId, 'kinu')).rejects.toThrow('Invalid grinder');
+        });
+
+        test('deletes should only remove the user\'s own entries', async () => {
+            const [grinder] = await queries.getCustomGrinders(userId);
+            const otherUser = await queries.createUser(`gear_other_${suffix}`, `GEAR-OTHER-${suffix}`, `gear-other-${suffix}`, '{}');
+
+            expect(await queries.deleteCustomGrinder(otherUser, grinder.id)).toBe(false);
+            expect(await queries.deleteCustomGrinder(userId, grinder.id)).toBe(true);
+            expect(await queries.getCustomGrinders(userId)).toEqual([]);
+        });
+    });
+
+    describe('water profiles', () => {
+        let userId;
+        let tapId;
+        let twwId;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`water_user_${suffix}`, `WATER-${suffix}`, `water-device-${suffix}`, '{}');
+            tapId = await queries.createWaterProfile(userId, { name: 'Tap', gh_dh: 14.5, kh_dh: 11 });
+            twwId = await queries.createWaterProfile(userId, { name: 'Third Wave Water', gh_dh: 8.4, calcium_mg_l: 40, tds_ppm: 150 });
+        });
+
+        test('profiles should round-trip their chemistry', async () => {
+            const profiles = await queries.getWaterProfiles(userId);
+            expect(profiles.map(p => p.name)).toEqual(['Tap', 'Third Wave Water']);
+            expect(Number(profiles[0].kh_dh)).toBe(11);
+            expect(profiles[0].magnesium_mg_l).toBeNull();
+            expect(Number(profiles[1].tds_ppm)).toBe(150);
+        });
+
+        test('setActiveWaterProfile should keep one active profile', async () => {
+            await queries.setActiveWaterProfile(userId, tapId);
+            await queries.setActiveWaterProfile(userId, twwId);
+            expect((await queries.getActiveWaterProfile(userId)).id).toBe(twwId);
+
+            await queries.setActiveWaterProfile(userId, null);
+            expect(await queries.getActiveWaterProfile(userId)).toBeNull();
+        });
+
+        test('updateWaterProfile and deleteWaterProfile should be scoped to the user', async () => {
+            const otherUser = await queries.createUser(`water_other_${suffix}`, `WATER-OTHER-${suffix}`, `water-other-${suffix}`, '{}');
+            await queries.updateWaterProfile(otherUser, tapId, { name: 'Hijacked', gh_dh: 1 });
+            expect((await queries.getWaterProfile(userId, tapId)).name).toBe('Tap');
+
+            await queries.updateWaterProfile(userId, tapId, { name: 'Tap (filtered)', gh_dh: 12 });
+            const updated = await queries.getWaterProfile(userId, tapId);
+            expect(updated.name).toBe('Tap (filtered)');
+            expect(updated.kh_dh).toBeNull();
+
+            expect(await queries.deleteWaterProfile(otherUser, tapId)).toBe(false);
+            expect(await queries.deleteWaterProfile(userId, tapId)).toBe(true);
+        });
+
+        test('getWaterHardness should keep a zero hardness', async () => {
+            await queries.updateWaterHardness(userId, 0);
+            const hardness = await queries.getWaterHardness(userId);
+            expect(hardness).not.toBeNull();
+            expect(Number(hardness)).toBe(0);
+        });
+    });
+
+    describe('equipment inventory', () => {
+        let userId;
+        let kettleId;
+        let grinderIds;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`inv_user_${suffix}`, `INV-${suffix}`, `inv-device-${suffix}`, '{}');
+            grinderIds = [
+                await queries.createEquipment(userId, { type: 'grinder', name: 'Comandante', model: 'comandante_mk4' }),
+                await queries.createEquipment(userId, { type: 'grinder', name: 'Ode', model: 'fellow_gen2' })
+            ];
+            kettleId = await queries.createEquipment(userId, { type: 'kettle', name: 'Stagg', notes: 'office' });
+        });
+
+        test('getUserEquipment should group by type and filter', async () => {
+            const all = await queries.getUserEquipment(userId);
+            expect(all.map(r => r.type)).toEqual(['grinder', 'grinder', 'kettle']);
+            expect((await queries.getUserEquipment(userId, 'kettle'))[0].notes).toBe('office');
+            expect(await queries.countEquipmentWithModel(userId, 'grinder', 'fellow_gen2')).toBe(1);
+        });
+
+        test('setDefaultEquipment should keep one default per type', async () => {
+            await queries.setDefaultEquipment(userId, 'grinder', grinderIds[0]);
+            await queries.setDefaultEquipment(userId, 'kettle', kettleId);
+            await queries.setDefaultEquipment(userId, 'grinder', grinderIds[1]);
+
+            expect((await queries.getDefaultEquipment(userId, 'grinder')).id).toBe(grinderIds[1]);
+            expect((await queries.getDefaultEquipment(userId, 'kettle')).id).toBe(kettleId);
+
+            await queries.setDefaultEquipment(userId, 'grinder', null);
+            expect(await queries.getDefaultEquipment(userId, 'grinder')).toBeNull();
+        });
+
+        test('the database should reject a second default of a type', async () => {
+            await queries.setDefaultEquipment(userId, 'grinder', grinderIds[0]);
+            const db = getDatabase();
+            await expect(db.run(
+                'UPDATE equipment SET is_default = ? WHERE id = ?', [true, grinderIds[1]]
+            )).rejects.toThrow();
+        });
+
+        test('updateEquipment and deleteEquipment should be scoped to the user', async () => {
+            const otherUser = await queries.createUser(`inv_other_${suffix}`, `INV-OTHER-${suffix}`, `inv-other-${suffix}`, '{}');
+            await queries.updateEquipment(otherUser, kettleId, { name: 'Hijacked' });
+            expect((await queries.getEquipment(userId, kettleId)).name).toBe('Stagg');
+            expect(await queries.getEquipment(otherUser, kettleId)).toBeNull();
+
+            await queries.updateEquipment(userId, kettleId, { name: 'Stagg EKG', notes: null });
+            expect((await queries.getEquipment(userId, kettleId)).name).toBe('Stagg EKG');
+
+            expect(await queries.deleteEquipment(otherUser, kettleId)).toBe(false);
+            expect(await queries.deleteEquipment(userId, kettleId)).toBe(true);
+        });
+
+        test('brews should store equipment references', async () => {
+            const brewId = await queries.logBrew(userId, {
+                coffee_uid: 'kenya', grinder_equipment_id: grinderIds[0], brewed_at: new Date().toISOString()
+            });
+            const brew = await queries.getUserBrew(userId, brewId);
+            expect(brew.grinder_equipment_id).toBe(grinderIds[0]);
+            expect(brew.kettle_equipment_id).toBeNull();
+        });
+    });
+
+    describe('devices', () => {
+        let user;
+
+        beforeAll(async () => {
+            const token = `DEV-${suffix}`;
+            await queries.createUser(`dev_user_${suffix}`, token, null, null);
+            user = await queries.getUserByToken(token);
+        });
+
+        test('authorizeDevice should bind the first device and refuse unknown ones', async () => {
+            const first = await authorizeDevice(queries, user, 'phone', '{"os":"iOS"}');
+            expect(first.bound).toBe(true);
+            expect(first.device.device_id).toBe('phone');
+            expect((await queries.getUserByToken(`DEV-${suffix}`)).device_id).toBe('phone');
+
+            expect(await authorizeDevice(queries, user, 'phone', null)).toMatchObject({ bound: false });
+            expect((await authorizeDevice(queries, user, 'laptop', null)).error).toMatch(/not registered/);
+        });
+
+        test('authorizeDevice should bind only one of two first logins at once', async () => {
+            const token = `DEV2-${suffix}`;
+            await queries.createUser(`dev_race_${suffix}`, token, null, null);
+            const fresh = await queries.getUserByToken(token);
+
+            const results = await Promise.all(['tablet', 'watch'].map(deviceId =>
+                withTransaction(tx => authorizeDevice(tx.queries, fresh, deviceId, null))
+            ));
+            expect(results.filter(result => result.bound)).toHaveLength(1);
+            expect(results.filter(result => result.error)).toHaveLength(1);
+            expect(await queries.countActiveDevices(fresh.id)).toBe(1);
+        });
+
+        test('registerDevice should add a device and reactivate a revoked one', async () => {
+            const laptopId = await queries.registerDevice(user.id, 'laptop', '{}', 'Laptop');
+            expect(await queries.countActiveDevices(user.id)).toBe(2);
+
+            expect(await queries.revokeDevice(user.id, laptopId)).toBe(true);
+            expect(await queries.revokeDevice(user.id, laptopId)).toBe(false);
+            expect((await authorizeDevice(queries, user, 'laptop', null)).error).toBe('This device has been revoked');
+            expect((await queries.getUserDevices(user.id)).map(d => d.device_id)).toEqual(['phone']);
+            expect(await queries.getUserDevices(user.id, { includeRevoked: true })).toHaveLength(2);
+
+            expect(await queries.registerDevice(user.id, 'laptop', '{}')).toBe(laptopId);
+            const laptop = await queries.getDevice(user.id, laptopId);
+            expect(laptop.revoked_at).toBeNull();
+            expect(laptop.name).toBe('Laptop');
+        });
+
+        test('renameDevice should be scoped to the user', async () => {
+            const phone = await queries.getDeviceByDeviceId(user.id, 'phone');
+            const otherUser = await queries.createUser(`dev_other_${suffix}`, `DEV-OTHER-${suffix}`, null, null);
+            expect(await queries.renameDevice(otherUser, phone.id, 'Hijacked')).toBe(false);
+            expect(await queries.renameDevice(user.id, phone.id, 'My phone')).toBe(true);
+            expect((await queries.getDevice(user.id, phone.id)).name).toBe('My phone');
+        });
+
+        test('pairing codes should be single-use and replace earlier unused codes', async () => {
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            await queries.createPairingCode(user.id, `OLD${suffix}`, expiresAt);
+            await queries.createPairingCode(user.id, `NEW${suffix}`, expiresAt);
+            expect(await queries.getPairingCode(`OLD${suffix}`)).toBeNull();
+
+            const code = await queries.getPairingCode(`NEW${suffix}`);
+            expect(code.user_id).toBe(user.id);
+            expect(code.used_at).toBeNull();
+            expect(await queries.markPairingCodeUsed(code.id)).toBe(true);
+            expect(await queries.markPairingCodeUsed(code.id)).toBe(false);
+        });
+    });
+
+    describe('account recovery & audit log', () => {
+        let userId;
+
+        beforeAll(async () => {
+            const token = `REC-${suffix}`;
+            userId = await queries.createUser(`rec_user_${suffix}`, token, `rec-phone-${suffix}`, null);
+            const registrationId = await queries.createRegistration(`rec-${suffix}@example.com`, token);
+            await queries.markRegistrationUsed(registrationId, userId);
+            await queries.registerDevice(userId, 'phone', null);
+            await queries.registerDevice(userId, 'laptop', null);
+        });
+
+        test('getUserByEmail should find the user of a registration', async () => {
+            expect((await queries.getUserByEmail(`rec-${suffix}@example.com`)).id).toBe(userId);
+            expect(await queries.getUserByEmail(`nobody-${suffix}@example.com`)).toBeNull();
+            expect(await queries.getUserEmail(userId)).toBe(`rec-${suffix}@example.com`);
+        });
+
+        test('recovery codes should be single-use and void the other open codes', async () => {
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            await queries.createRecoveryCode(userId, `hash-a-${suffix}`, expiresAt);
+            await queries.createRecoveryCode(userId, `hash-b-${suffix}`, expiresAt);
+            expect(await queries.countRecoveryCodesExpiringAfter(userId, new Date().toISOString())).toBe(2);
+
+            const code = await queries.getRecoveryCode(`hash-b-${suffix}`);
+            expect(code.user_id).toBe(userId);
+            expect(await queries.markRecoveryCodeUsed(code.id, userId)).toBe(true);
+            expect(await queries.markRecoveryCodeUsed(code.id, userId)).toBe(false);
+            expect(await queries.getRecoveryCode(`hash-a-${suffix}`)).toBeNull();
+            expect(await queries.countRecoveryCodesExpiringAfter(userId, new Date().toISOString())).toBe(1);
+        });
+
+        test('revokeAllDevices should revoke every active device', async () => {
+            expect(await queries.revokeAllDevices(userId)).toBe(2);
+            expect(await queries.countActiveDevices(userId)).toBe(0);
+        });
+
+        test('createAuditEvent should store details as JSON', async () => {
+            const id = await queries.createAuditEvent({
+                actorType: 'user', actorId: userId, action: 'account.recovered',
+                entityType: 'user', entityId: userId, details: { revokedDevices: 2 }, ip: '127.0.0.1'
+            });
+            const row = await getDatabase().get('SELECT * FROM audit_events WHERE id = ?', [id]);
+            expect(row).toMatchObject({ actor_type: 'user', action: 'account.recovered', entity_id: String(userId), ip: '127.0.0.1' });
+            expect(JSON.parse(row.details)).toEqual({ revokedDevices: 2 });
+        });
+
+        test('audit events should keep before/after state and filter by actor, entity and time', async () => {
+            await queries.createAuditEvent({
+                actorType: 'admin', actorId: 9000 + userId, action: 'whitelist.updated',
+                entityType: 'whitelist', entityId: `wl-${suffix}`, before: { note: 'old' }, after: { note: 'new' }
+            });
+            await queries.createAuditEvent({ actorType: 'admin', actorId: 9000 + userId, action: 'whitelist.deleted', entityType: 'whitelist', entityId: `wl-${suffix}` });
+
+            const byActor = { actorType: 'admin', actorId: 9000 + userId };
+            expect(await queries.countAuditEvents(byActor)).toBe(2);
+            const [latest, first] = await queries.getAuditEvents({ ...byActor, entityType: 'whitelist', entityId: `wl-${suffix}` });
+            expect(latest.action).toBe('whitelist.deleted');
+            expect(JSON.parse(first.before_state)).toEqual({ note: 'old' });
+            expect(JSON.parse(first.after_state)).toEqual({ note: 'new' });
+
+            const today = new Date().toISOString().slice(0, 10);
+            const { filters } = parseAuditQuery({ actorType: 'admin', actorId: String(9000 + userId), from: today, to: today });
+            expect(await queries.countAuditEvents(filters)).toBe(2);
+            const { filters: earlier } = parseAuditQuery({ actorType: 'admin', actorId: String(9000 + userId), to: '2026-01-01' });
+            expect(await queries.countAuditEvents(earlier)).toBe(0);
+        });
+    });
+
+    describe('sessions', () => {
+        let userId, phone, laptop;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`sess_user_${suffix}`, `SESS-${suffix}`, `sess-phone-${suffix}`, null);
+            phone = await queries.registerDevice(userId, 'phone', null);
+            laptop = await queries.registerDevice(userId, 'laptop', null);
+        });
+
+        test('getUserById should return the user', async () => {
+            expect((await queries.getUserById(userId)).username).toBe(`sess_user_${suffix}`);
+            expect(await queries.getUserById(-1)).toBeNull();
+        });
+
+        test('rotateSessionRefresh should only swap the current hash', async () => {
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            const id = await queries.createSession(userId, phone, 'hash-1', expiresAt);
+            expect(await queries.rotateSessionRefresh(id, 'hash-1', 'hash-2', expiresAt)).toBe(true);
+            expect(await queries.rotateSessionRefresh(id, 'hash-1', 'hash-3', expiresAt)).toBe(false);
+
+            const session = await queries.getSession(id);
+            expect(session).toMatchObject({ user_id: userId, device_id: phone, refresh_hash: 'hash-2', revoked_at: null });
+            expect(session.refreshed_at).not.toBeNull();
+        });
+
+        test('revokeSessions should respect the device and session scope', async () => {
+            const expiresAt = new Date(Date.now() + 60000).toISOString();
+            const laptopSession = await queries.createSession(userId, laptop, 'hash-l', expiresAt);
+            const phoneSessions = await queries.revokeSessions(userId, { deviceRowId: phone });
+            expect(phoneSessions).toHaveLength(1);
+            expect(await queries.revokeSessions(userId, { deviceRowId: phone })).toEqual([]);
+
+            const other = await queries.createSession(userId, phone, 'hash-p', expiresAt);
+            expect(await queries.revokeSessions(userId, { sessionId: other })).toEqual([other]);
+            expect(await queries.revokeSessions(userId)).toEqual([laptopSession]);
+            expect(await queries.rotateSessionRefresh(laptopSession, 'hash-l', 'hash-x', expiresAt)).toBe(false);
+        });
+    });
+
+    describe('brute-force protection', () => {
+        const ip = `bf-ip-${suffix}`;
+
+        test('incrementAuthFailure should insert and then count up within the window', async () => {
+            const now = Date.now();
+            const at = offset => new Date(now + offset).toISOString();
+            const windowStart = offset => new Date(now + offset - 60000).toISOString();
+
+            expect(await queries.incrementAuthFailure('device', `bf-${suffix}`, at(0), windowStart(0))).toBe(1);
+            expect(await queries.incrementAuthFailure('device', `bf-${suffix}`, at(1000), windowStart(1000))).toBe(2);
+            expect(await queries.incrementAuthFailure('device', `bf-${suffix}`, at(120000), windowStart(120000))).toBe(1);
+
+            await queries.clearAuthFailure('device', `bf-${suffix}`);
+        });
+
+        test('parallel failures should all be counted', async () => {
+            const failedAt = new Date().toISOString();
+            const windowStart = new Date(Date.now() - 60000).toISOString();
+            const counts = await Promise.all(Array.from({ length: 8 }, () =>
+                queries.incrementAuthFailure('device', `bf-par-${suffix}`, failedAt, windowStart)
+            ));
+            expect([...counts].sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect((await queries.getAuthFailure('device', `bf-par-${suffix}`)).failures).toBe(8);
+        });
+
+        test('lockAuthFailure should only extend a lock', async () => {
+            const later = new Date(Date.now() + 60000).toISOString();
+            const sooner = new Date(Date.now() + 30000).toISOString();
+            await queries.incrementAuthFailure('device', `bf-${suffix}`, new Date().toISOString(), new Date(0).toISOString());
+            await queries.lockAuthFailure('device', `bf-${suffix}`, later);
+            await queries.lockAuthFailure('device', `bf-${suffix}`, sooner);
+            expect(await getLockout(queries, { deviceId: `bf-${suffix}` })).toBeGreaterThan(55);
+
+            await queries.clearAuthFailure('device', `bf-${suffix}`);
+            expect(await queries.getAuthFailure('device', `bf-${suffix}`)).toBeNull();
+        });
+
+        test('security events should be filtered and counted', async () => {
+            await queries.createSecurityEvent({ type: 'auth.failed', ip, deviceId: `bf-${suffix}`, details: { reason: 'invalid_token' } });
+            await queries.createSecurityEvent({ type: 'auth.lockout', ip, deviceId: `bf-${suffix}` });
+
+            expect(await queries.countSecurityEvents({ ip })).toBe(2);
+            const [event] = await queries.getSecurityEvents({ ip, type: 'auth.failed' });
+            expect(JSON.parse(event.details)).toEqual({ reason: 'invalid_token' });
+
+            const today = new Date().toISOString().slice(0, 10);
+            const { filters } = parseSecurityEventQuery({ ip, from: today, to: today });
+            expect(await queries.countSecurityEvents(filters)).toBe(2);
+            const { filters: earlier } = parseSecurityEventQuery({ ip, to: '2026-01-01' });
+            expect(await queries.countSecurityEvents(earlier)).toBe(0);
+        });
+    });
+
+    describe('admin accounts', () => {
+        const expiresAt = () => new Date(Date.now() + 60000).toISOString();
+
+        test('createAdmin should reject duplicate usernames', async () => {
+            const id = await queries.createAdmin(`owner-${suffix}`, 'owner', 'hash-1', null);
+            expect(id).toBeTruthy();
+            expect(await queries.createAdmin(`owner-${suffix}`, 'moderator', 'hash-2', id)).toBeNull();
+
+            const admin = await queries.getAdminByUsername(`owner-${suffix}`);
+            expect(admin.password_hash).toBe('hash-1');
+            expect((await queries.getAdmin(id)).password_hash).toBeUndefined();
+        });
+
+        test('admin tokens should stop working when revoked or the admin is disabled', async () => {
+            const id = await queries.createAdmin(`mod-${suffix}`, 'moderator', 'hash', null);
+            const first = await queries.createAdminToken(id, `tok-a-${suffix}`, expiresAt());
+            const second = await queries.createAdminToken(id, `tok-b-${suffix}`, expiresAt());
+
+            const found = await queries.getAdminByTokenHash(`tok-a-${suffix}`);
+            expect(found.username).toBe(`mod-${suffix}`);
+            expect(Number(found.token_id)).toBe(Number(first));
+
+            expect(await queries.revokeAdminTokens(id, { exceptTokenId: second })).toBe(1);
+            expect(await queries.getAdminByTokenHash(`tok-a-${suffix}`)).toBeNull();
+            expect(await queries.getAdminByTokenHash(`tok-b-${suffix}`)).not.toBeNull();
+
+            await queries.setAdminDisabled(id, true);
+            expect(await queries.getAdminByTokenHash(`tok-b-${suffix}`)).toBeNull();
+            await queries.setAdminDisabled(id, false);
+            expect(await queries.getAdminByTokenHash(`tok-b-${suffix}`)).not.toBeNull();
+        });
+
+        test('countActiveOwners should ignore disabled owners and other roles', async () => {
+            const before = await queries.countActiveOwners();
+            const id = await queries.createAdmin(`owner2-${suffix}`, 'owner', 'hash', null);
+            expect(await queries.countActiveOwners()).toBe(before + 1);
+            await queries.setAdminRole(id, 'read_only');
+            expect(await queries.countActiveOwners()).toBe(before);
+        });
+    });
+
+    describe('admin user management', () => {
+        let userId;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`adm_user_${suffix}`, `ADM-${suffix}`, `adm-phone-${suffix}`, null);
+            const registrationId = await queries.createRegistration(`Adm-${suffix}@example.com`.toLowerCase(), `ADM-${suffix}`);
+            await queries.markRegistrationUsed(registrationId, userId);
+            await queries.registerDevice(userId, `adm-phone-${suffix}`, null);
+            await queries.saveCoffee(userId, `adm-coffee-${suffix}`, { name: 'Kenya' });
+        });
+
+        test('getAdminUsers should search username and email and count data', async () => {
+            const [byEmail] = await queries.getAdminUsers({ search: `ADM-${suffix}@` });
+            expect(byEmail).toMatchObject({ username: `adm_user_${suffix}`, email: `adm-${suffix}@example.com` });
+            expect(Number(byEmail.coffee_count)).toBe(1);
+            expect(Number(byEmail.active_devices)).toBe(1);
+
+            expect(await queries.countAdminUsers({ search: `adm_user_${suffix}` })).toBe(1);
+            expect(await queries.countAdminUsers({ search: `adm%user_${suffix}` })).toBe(0);
+
+            const counts = await queries.getUserDataCounts(userId);
+            expect(counts).toMatchObject({ coffees: 1, brews: 0, active_sessions: 0 });
+        });
+
+        test('setUserSuspension should mark and clear the suspension', async () => {
+            expect(await queries.setUserSuspension(userId, new Date().toISOString(), 'spam')).toBe(true);
+            expect((await queries.getUserById(userId)).suspended_at).toBeTruthy();
+            expect(await queries.countAdminUsers({ search: `adm_user_${suffix}`, status: 'suspended' })).toBe(1);
+            expect(await queries.countAdminUsers({ search: `adm_user_${suffix}`, status: 'active' })).toBe(0);
+
+            await queries.setUserSuspension(userId, null, 'ignored');
+            const user = await queries.getAdminUser(userId);
+            expect(user.suspended_at).toBeNull();
+            expect(user.suspension_reason).toBeNull();
+        });
+
+        test('deleteUser should remove the account with its data and registration', async () => {
+            expect(await queries.deleteUser(userId)).toBe(true);
+            expect(await queries.getUserById(userId)).toBeNull();
+            expect(await queries.getUserDevices(userId, { includeRevoked: true })).toEqual([]);
+            expect(await queries.getRegistrationByEmail(`adm-${suffix}@example.com`)).toBeNull();
+            expect(await queries.deleteUser(userId)).toBe(false);
+        });
+    });
+
+    describe('withTransaction', () => {
+        let userId;
+
+        beforeAll(async () => {
+            userId = await queries.createUser(`tx_user_${suffix}`, `TX-${suffix}`, `tx-device-${suffix}`, '{}');
+        });
+
+        const uidsOf = async () => (await queries.getUserCoffees(userId)).map(r => r.coffee_uid).sort();
+
+        test('should keep concurrent transactions isolated from each other', async () => {
+            const results = await Promise.allSettled([
+                withTransaction(async (tx) => {
+                    await tx.queries.saveCoffee(userId, 'tx-fail', JSON.stringify({ name: 'Fail' }));
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    throw new Error('rolled back');
+                }),
+                withTransaction(async (tx) => {
+                    await tx.queries.saveCoffee(userId, 'tx-ok', JSON.stringify({ name: 'OK' }));
+                })
+            ]);
+
+            expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+            expect(await uidsOf()).toEqual(['tx-ok']);
+        });
+
+        test('should not roll back writes made outside the transaction', async () => {
+            let started;
+            const open = new Promise(resolve => { started = resolve; });
+            const failing = withTransaction(async (tx) => {
+                await tx.queries.saveCoffee(userId, 'tx-fail', JSON.stringify({ name: 'Fail' }));
+                started();
+                await new Promise(resolve => setTimeout(resolve, 20));
+                throw new Error('rolled back');
+            });
+            await open;
+            const outside = queries.saveCoffee(userId, 'tx-global', JSON.stringify({ name: 'Global' }));
+
+            await expect(failing).rejects.toThrow('rolled back');
+            await outside;
+            expect(await uidsOf()).toEqual(['tx-global', 'tx-ok']);
+            await queries.deleteCoffee(userId, 'tx-global');
+        });
+
+        test('should roll back to the savepoint of a failed nested block', async () => {
+            const result = await withTransaction(async (tx) => {
+                await tx.queries.saveCoffee(userId, 'tx-outer', JSON.stringify({ name: 'Outer' }));
+
+                await expect(tx.withTransaction(async (inner) => {
+                    await inner.queries.saveCoffee(userId, 'tx-inner', JSON.stringify({ name: 'Inner' }));
+                    await inner.withTransaction(async (deepest) => {
+                        await deepest.run('SELECT * FROM table_that_does_not_exist');
+                    });
+                })).rejects.toThrow();
+
+                return tx.queries.getUserCoffees(userId);
+            });
+
+            expect(result.map(r => r.coffee_uid).sort()).toEqual(['tx-ok', 'tx-outer']);
+            expect(await uidsOf()).toEqual(['tx-ok', 'tx-outer']);
+        });
+    });
+
+    describe('whitelist & registrations', () => {
+        const email = `dal_${suffix}@example.com`;
+        const regToken = `REG-${suffix}`;
+
+        test('addWhitelistEntry should return null for duplicates', async () => {
+            const id = await queries.addWhitelistEntry(email, 'Tester');
+            expect(Number(id)).toBeGreaterThan(0);
+            expect(await queries.addWhitelistEntry(email)).toBeNull();
+            expect(await queries.isWhitelisted(email)).toBe(true);
+        });
+
+        test('getWhitelistedEmails should return the emails already on the list', async () => {
+            const found = await queries.getWhitelistedEmails([email, `other_${suffix}@example.com`]);
+            expect([...found]).toEqual([email]);
+            expect((await queries.getWhitelistedEmails([])).size).toBe(0);
+        });
+
+        test('registration lifecycle should move status invited → sent → registered', async () => {
+            const statusOf = async () => (await queries.getWhitelistWithStatus()).find(e => e.email === email).status;
+
+            expect(await statusOf()).toBe('invited');
+
+            const registrationId = await queries.createRegistration(email, regToken);
+            expect(await queries.tokenExists(regToken)).toBe(true);
+            expect((await queries.getRegistrationByToken(regToken)).email).toBe(email);
+            expect(await statusOf()).toBe('sent');
+            expect((await queries.getRegistrationByEmail(email)).token_sent_at).toBeTruthy();
+
+            const lost = await queries.updateRegistrationToken(registrationId, `${regToken}-LOST`);
+            expect(lost).toBeTruthy();
+            expect(await queries.getRegistrationByToken(regToken)).toBeNull();
+            await queries.restoreRegistrationToken(registrationId, lost);
+            expect((await queries.getRegistrationByToken(regToken)).id).toBe(registrationId);
+
+            expect(await queries.updateRegistrationToken(registrationId, `${regToken}-2`)).toBeTruthy();
+            expect(await queries.getRegistrationByToken(regToken)).toBeNull();
+            expect((await queries.getRegistrationByEmail(email)).id).toBe(registrationId);
+
+            const userId = await queries.createUser(`reg_user_${suffix}`, `${regToken}-2`, `reg-device-${suffix}`, '{}');
+            await queries.markRegistrationUsed(registrationId, userId);
+            expect(await queries.getRegistrationByToken(`${regToken}-2`)).toMatchObject({ user_id: userId });
+            expect((await queries.getRegistrationByToken(`${regToken}-2`)).used).toBeTruthy();
+            expect(await statusOf()).toBe('registered');
+
+            expect(await queries.updateRegistrationToken(registrationId, `${regToken}-3`)).toBeNull();
+            expect(await queries.getRegistrationByToken(`${regToken}-3`)).toBeNull();
+        });
+
+        test('deletePendingRegistration should only drop unused registrations', async () => {
+            const pendingEmail = `pending_${suffix}@example.com`;
+            const pendingId = await queries.createRegistration(pendingEmail, `${regToken}-P`);
+            await queries.deletePendingRegistration(pendingId);
+            expect(await queries.getRegistrationByEmail(pendingEmail)).toBeNull();
+
+            const used = await queries.getRegistrationByEmail(email);
+            await queries.deletePendingRegistration(used.id);
+            expect(await queries.getRegistrationByEmail(email)).toBeTruthy();
+        });
+
+        test('updateWhitelistEntry and deleteWhitelistEntry should modify the entry', async () => {
+            const entry = (await queries.getWhitelistWithStatus()).find(e => e.email === email);
+
+            await queries.updateWhitelistEntry(entry.id, { note: 'updated', website: 'https://example.com' });
+            const updated = (await queries.getWhitelistWithStatus()).find(e => e.email === email);
+            expect(updated.note).toBe('updated');
+            expect(updated.website).toBe('https://example.com');
+
+            await queries.deleteWhitelistEntry(entry.id);
+            expect(await queries.isWhitelisted(email)).toBe(false);
+        });
+    });
+});
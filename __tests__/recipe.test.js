@@ -0,0 +1,80 @@
+// Unit Tests for the recipe engine
+// Run with: npm test
+
+import { computeRecipe, parseAltitude, METHOD_BASES } from '../utils/recipe.js';
+import { VALID_METHODS } from '../db/database.js';
+
+describe('Recipe Engine', () => {
+    test('should have a base for every valid method', () => {
+        expect(Object.keys(METHOD_BASES).sort()).toEqual([...VALID_METHODS].sort());
+    });
+
+    test.each([
+        ['1900', 1900],
+        ['1800-2000', 1900],
+        ['1700 - 1900', 1800],
+        ['', null],
+        [null, null],
+        ['5', null]
+    ])('parseAltitude(%j) → %j', (input, expected) => {
+        expect(parseAltitude(input)).toBe(expected);
+    });
+
+    // [label, coffee, method, grinder, waterHardness, temperature, grind setting]
+    test.each([
+        ['washed V60, neutral water', { process: 'washed' }, 'v60', 'comandante_mk4', 8, 94, '24'],
+        ['unknown coffee data', {}, 'v60', 'comandante_mk4', null, 94, '24'],
+        ['natural is cooler and coarser', { process: 'natural' }, 'v60', 'comandante_mk4', 8, 92, '25'],
+        ['anaerobic is coolest and coarsest', { process: 'anaerobic natural' }, 'v60', 'comandante_mk4', 8, 91, '26'],
+        ['high altitude is hotter and finer', { process: 'washed', altitude: '1900-2100' }, 'v60', 'comandante_mk4', 8, 95, '23'],
+        ['low altitude is cooler and coarser', { process: 'washed', altitude: '1000' }, 'v60', 'comandante_mk4', 8, 93, '25'],
+        ['soft water runs hotter', { process: 'washed' }, 'v60', 'comandante_mk4', 2, 95, '24'],
+        ['hard water runs cooler', { process: 'washed' }, 'v60', 'comandante_mk4', 14, 93, '24'],
+        ['very hard water runs coolest', { process: 'washed' }, 'v60', 'comandante_mk4', 20, 92, '24'],
+        ['adjustments add up', { process: 'natural', altitude: '2000' }, 'v60', 'comandante_mk4', 14, 92, '24'],
+        ['chemex base', { process: 'washed' }, 'chemex', 'comandante_mk4', 8, 95, '33'],
+        ['aeropress base', { process: 'washed' }, 'aeropress', 'comandante_mk4', 8, 88, '20'],
+        ['grind in Ode units', { process: 'washed' }, 'v60', 'fellow_gen2', 8, 94, '5'],
+        ['grind in Encore units', { process: 'natural' }, 'chemex', 'baratza', 8, 93, '24']
+    ])('%s', (_label, coffee, method, grinder, waterHardness, temperature, setting) => {
+        const recipe = computeRecipe({ coffee, method, grinder, waterHardness });
+        expect(recipe.temperature).toBe(temperature);
+        expect(recipe.grind.setting).toBe(setting);
+        expect(recipe.grind.grinder).toBe(grinder);
+    });
+
+    test('should scale water and pours with the dose', () => {
+        const recipe = computeRecipe({ coffee: {}, method: 'v60', grinder: 'comandante_mk4', dose: 20 });
+        expect(recipe.dose).toBe(20);
+        expect(recipe.water).toBe(334);
+        expect(recipe.ratio).toBe(16.7);
+        expect(recipe.pours).toEqual([
+            { at: 0, water: 60, label: 'bloom' },
+            { at: 45, water: 200, label: 'pour' },
+            { at: 90, water: 334, label: 'pour' }
+        ]);
+    });
+
+    test('should list the applied adjustments', () => {
+        const recipe = computeRecipe({
+            coffee: { process: 'Natural', altitude: '1900' },
+            method: 'v60',
+            grinder: 'comandante_mk4',
+            waterHardness: 14
+        });
+        expect(recipe.adjustments).toEqual([
+            { factor: 'process', value: 'natural', temperature: -2, grindMicrons: 30 },
+            { factor: 'altitude', value: 1900, temperature: 1, grindMicrons: -20 },
+            { factor: 'waterHardness', value: 14, temperature: -1, grindMicrons: 0 }
+        ]);
+    });
+
+    test('should be deterministic', () => {
+        const input = { coffee: { process: 'honey', altitude: '1500' }, method: 'chemex', grinder: 'fellow_gen2', waterHardness: 10 };
+        expect(computeRecipe(input)).toEqual(computeRecipe(input));
+    });
+
+    test('should return null for unknown methods', () => {
+        expect(computeRecipe({ coffee: {}, method: 'french_press', grinder: 'baratza' })).toBeNull();
+    });
+});
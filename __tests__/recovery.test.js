@@ -0,0 +1,86 @@
+// Unit Tests for account recovery links and the Resend mail path
+// Run with: npm test
+
+import {
+    generateRecoveryCode,
+    hashRecoveryCode,
+    parseRecoveryCode,
+    recentRecoveryThreshold,
+    recoveryLink,
+    RECOVERY_CODE_TTL_MS
+} from '../utils/recovery.js';
+import { sendRecoveryMail, sendTokenMail } from '../utils/mail.js';
+
+describe('Account Recovery', () => {
+    test('recovery codes should be random, parseable and hashed', () => {
+        const code = generateRecoveryCode();
+        expect(code).not.toBe(generateRecoveryCode());
+        expect(parseRecoveryCode(` ${code} `)).toBe(code);
+        expect(hashRecoveryCode(code)).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashRecoveryCode(code)).toBe(hashRecoveryCode(code));
+    });
+
+    test.each([
+        ['too short', 'abc'],
+        ['invalid characters', `${'a'.repeat(42)}!`],
+        ['not a string', 42]
+    ])('parseRecoveryCode should reject %s', (_label, value) => {
+        expect(parseRecoveryCode(value)).toBeNull();
+    });
+
+    test('recoveryLink should point at APP_URL', () => {
+        const saved = process.env.APP_URL;
+        process.env.APP_URL = 'https://beta.dripmate.app/';
+        try {
+            expect(recoveryLink('abc_-1')).toBe('https://beta.dripmate.app/?recover=abc_-1');
+        } finally {
+            if (saved === undefined) delete process.env.APP_URL;
+            else process.env.APP_URL = saved;
+        }
+    });
+
+    test('recentRecoveryThreshold should cover codes issued in the last hour', () => {
+        const now = Date.parse('2026-03-01T12:00:00Z');
+        const issuedAt = now - 59 * 60 * 1000;
+        const threshold = recentRecoveryThreshold(now);
+        expect(new Date(issuedAt + RECOVERY_CODE_TTL_MS).toISOString() > threshold).toBe(true);
+        expect(new Date(now - 61 * 60 * 1000 + RECOVERY_CODE_TTL_MS).toISOString() > threshold).toBe(false);
+    });
+
+    describe('mails', () => {
+        const realFetch = globalThis.fetch;
+        let sent;
+
+        beforeEach(() => {
+            sent = [];
+            globalThis.fetch = async (url, options) => {
+                sent.push({ url, body: JSON.parse(options.body) });
+                return new Response('{}', { status: 200 });
+            };
+        });
+
+        afterEach(() => {
+            globalThis.fetch = realFetch;
+        });
+
+        test('sendTokenMail should send the token to the address', async () => {
+            await sendTokenMail('tester@example.com', 'BREW-ABC234');
+            expect(sent[0].url).toBe('https://api.resend.com/emails');
+            expect(sent[0].body).toMatchObject({ to: 'tester@example.com', subject: 'Dein dripmate Beta-Zugang ☕' });
+            expect(sent[0].body.html).toContain('BREW-ABC234');
+            expect(sent[0].body.html).toContain('Diese Mail wurde an tester@example.com gesendet.');
+        });
+
+        test('sendRecoveryMail should link to the recovery page without a token box', async () => {
+            await sendRecoveryMail('tester@example.com', 'https://dripmate.app/?recover=abc', 30);
+            expect(sent[0].body.html).toContain('href="https://dripmate.app/?recover=abc"');
+            expect(sent[0].body.html).toContain('30 Minuten');
+            expect(sent[0].body.html).not.toContain('Token Box');
+        });
+
+        test('should throw when Resend rejects the mail', async () => {
+            globalThis.fetch = async () => new Response('invalid api key', { status: 401 });
+            await expect(sendTokenMail('tester@example.com', 'BREW-ABC234')).rejects.toThrow('Resend error: invalid api key');
+        });
+    });
+});
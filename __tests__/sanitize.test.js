@@ -237,6 +237,13 @@ describe('Sanitization Utilities', () => {
             expect(result.feedbackHistory[result.feedbackHistory.length - 1].newGrind).toBe('new-34');
         });
 
+        test('should keep only valid equipment ids', () => {
+            const result = sanitizeCoffeeData({ equipment: { grinder: 3, brewer: null, kettle: '4', scale: -1, oven: 2 } });
+            expect(result.equipment).toEqual({ grinder: 3, brewer: null });
+
+            expect(sanitizeCoffeeData({ equipment: 'kinu' })).not.toHaveProperty('equipment');
+        });
+
         test('should preserve non-string fields', () => {
             const now = new Date().toISOString();
             const input = {
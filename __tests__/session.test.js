@@ -0,0 +1,130 @@
+// Unit Tests for signed access tokens, refresh tokens and authenticateUser
+// Run with: npm test
+
+import {
+    ACCESS_TOKEN_TTL_S,
+    clearUserSuspended,
+    generateRefreshSecret,
+    hashRefreshSecret,
+    looksLikeAccessToken,
+    markSessionsRevoked,
+    markUserSuspended,
+    parseRefreshToken,
+    refreshSecretMatches,
+    signAccessToken,
+    verifyAccessToken
+} from '../utils/session.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+process.env.SESSION_SECRET = 'test-session-secret';
+
+const claims = { userId: 7, username: 'anna', sessionId: 11, deviceRowId: 3, deviceId: 'phone-1' };
+
+describe('Sessions', () => {
+    test('signed access tokens should verify until they expire', () => {
+        const now = Date.parse('2026-03-01T12:00:00Z');
+        const token = signAccessToken(claims, now);
+        expect(looksLikeAccessToken(token)).toBe(true);
+
+        expect(verifyAccessToken(token, now + 1000).claims).toMatchObject({ sub: 7, name: 'anna', sid: 11, did: 3, dev: 'phone-1' });
+        expect(verifyAccessToken(token, now + ACCESS_TOKEN_TTL_S * 1000)).toEqual({ error: 'expired' });
+    });
+
+    test('tampered tokens should be rejected', () => {
+        const [header, payload, signature] = signAccessToken(claims).split('.');
+        const forged = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(payload, 'base64url').toString()), sub: 8
+        })).toString('base64url');
+
+        expect(verifyAccessToken(`${header}.${forged}.${signature}`)).toEqual({ error: 'invalid' });
+        expect(verifyAccessToken(`${header}.${payload}.${signature.slice(1)}`)).toEqual({ error: 'invalid' });
+        expect(verifyAccessToken('BREW-ABC123')).toEqual({ error: 'invalid' });
+        expect(looksLikeAccessToken('BREW-ABC123')).toBe(false);
+    });
+
+    test('revoked sessions should stop verifying at once', () => {
+        const token = signAccessToken({ ...claims, sessionId: 12 });
+        expect(verifyAccessToken(token).claims).toBeDefined();
+        markSessionsRevoked([12]);
+        expect(verifyAccessToken(token)).toEqual({ error: 'invalid' });
+    });
+
+    test('suspended accounts should stop verifying until their access tokens expire', () => {
+        const now = Date.now();
+        const token = signAccessToken({ ...claims, userId: 60, sessionId: 61 }, now);
+        markUserSuspended(60, now);
+        expect(verifyAccessToken(token, now + 1000)).toEqual({ error: 'suspended' });
+        expect(verifyAccessToken(token, now + ACCESS_TOKEN_TTL_S * 1000)).toEqual({ error: 'expired' });
+        clearUserSuspended(60);
+        expect(verifyAccessToken(token, now + 1000).claims).toBeDefined();
+    });
+
+    test('refresh tokens should parse and match their hash', () => {
+        const secret = generateRefreshSecret();
+        expect(parseRefreshToken(`42.${secret}`)).toEqual({ sessionId: 42, secret });
+        expect(refreshSecretMatches(secret, hashRefreshSecret(secret))).toBe(true);
+        expect(refreshSecretMatches(generateRefreshSecret(), hashRefreshSecret(secret))).toBe(false);
+    });
+
+    test.each([
+        ['missing session id', `.${'a'.repeat(43)}`],
+        ['short secret', '42.abc'],
+        ['not a string', 42]
+    ])('parseRefreshToken should reject %s', (_label, value) => {
+        expect(parseRefreshToken(value)).toBeNull();
+    });
+
+    describe('authenticateUser', () => {
+        const run = async (token, deviceId) => {
+            const req = { method: 'GET', headers: { authorization: `Bearer ${token}`, 'x-device-id': deviceId }, body: {}, query: {} };
+            const res = {
+                statusCode: 200,
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            let nextCalled = false;
+            await authenticateUser(req, res, () => { nextCalled = true; });
+            return { req, res, nextCalled };
+        };
+
+        test('should accept an access token for reads without a database lookup', async () => {
+            const { req, nextCalled } = await run(signAccessToken(claims), 'phone-1');
+            expect(nextCalled).toBe(true);
+            expect(req.user).toEqual({ id: 7, username: 'anna' });
+            expect(req.device).toEqual({ id: 3, device_id: 'phone-1' });
+            expect(req.session).toEqual({ id: 11 });
+        });
+
+        test('should point legacy account tokens to the exchange', async () => {
+            const { res, nextCalled } = await run('BREW-ABC123', 'phone-1');
+            expect(nextCalled).toBe(false);
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toMatch(/\/api\/auth\/validate/);
+        });
+
+        test('should report expired access tokens', async () => {
+            const token = signAccessToken(claims, Date.now() - (ACCESS_TOKEN_TTL_S + 1) * 1000);
+            const { res } = await run(token, 'phone-1');
+            expect(res.statusCode).toBe(401);
+            expect(res.body.error).toBe('Access token expired');
+        });
+
+        test('should reject a token sent from another device', async () => {
+            const { res, nextCalled } = await run(signAccessToken(claims), 'laptop-1');
+            expect(nextCalled).toBe(false);
+            expect(res.statusCode).toBe(403);
+        });
+
+        test('should reject access tokens of a suspended account until it is unsuspended', async () => {
+            const token = signAccessToken({ ...claims, userId: 70, sessionId: 71 });
+            markUserSuspended(70);
+            const { res, nextCalled } = await run(token, 'phone-1');
+            expect(nextCalled).toBe(false);
+            expect(res.statusCode).toBe(403);
+            expect(res.body.error).toBe('Account suspended');
+
+            clearUserSuspended(70);
+            expect((await run(token, 'phone-1')).nextCalled).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,86 @@
+// Unit Tests for account tokens and their stored hashes
+// Run with: npm test
+
+import { generateToken, generateUniqueToken, mailOrUndo } from '../utils/tokens.js';
+import { hashToken, isTokenHash, requireTokenPepper, tokenLookup, tokenMatches } from '../db/tokenHash.js';
+
+describe('Account Tokens', () => {
+    test('generateToken should create readable BREW tokens', () => {
+        const token = generateToken();
+        expect(token).toMatch(/^BREW-[A-HJ-NP-Z2-9]{6}$/);
+    });
+
+    test('generateUniqueToken should skip tokens that are taken', async () => {
+        const taken = [];
+        const q = { tokenExists: async (token) => { taken.push(token); return taken.length < 3; } };
+        const token = await generateUniqueToken(q);
+        expect(taken).toHaveLength(3);
+        expect(token).toBe(taken[2]);
+    });
+
+    test('mailOrUndo should undo the token change only when the mail fails', async () => {
+        const undone = [];
+        await mailOrUndo(async () => {}, async () => undone.push('sent'));
+        await expect(mailOrUndo(
+            async () => { throw new Error('Mail failed'); },
+            async () => undone.push('failed')
+        )).rejects.toThrow('Mail failed');
+        expect(undone).toEqual(['failed']);
+    });
+
+    test('hashToken should salt every hash and verify the original token', async () => {
+        const first = await hashToken('BREW-ABC234');
+        const second = await hashToken('BREW-ABC234');
+        expect(isTokenHash(first)).toBe(true);
+        expect(first).not.toBe(second);
+        expect(first).not.toContain('ABC234');
+
+        expect(await tokenMatches('BREW-ABC234', first)).toBe(true);
+        expect(await tokenMatches('BREW-ABC234', second)).toBe(true);
+        expect(await tokenMatches('BREW-ABC235', first)).toBe(false);
+    });
+
+    test.each([
+        ['plaintext', 'BREW-ABC234'],
+        ['truncated hash', 'scrypt$abc$def'],
+        ['missing value', null]
+    ])('tokenMatches should reject a %s', async (_label, stored) => {
+        expect(await tokenMatches('BREW-ABC234', stored)).toBe(false);
+    });
+
+    test('tokenLookup should be short and stable', () => {
+        expect(tokenLookup('BREW-ABC234')).toMatch(/^[0-9a-f]{4}$/);
+        expect(tokenLookup('BREW-ABC234')).toBe(tokenLookup('BREW-ABC234'));
+    });
+
+    test('tokenLookup should be keyed with TOKEN_PEPPER', () => {
+        const previous = process.env.TOKEN_PEPPER;
+        try {
+            process.env.TOKEN_PEPPER = 'pepper-one';
+            const first = tokenLookup('BREW-ABC234');
+            process.env.TOKEN_PEPPER = 'pepper-two';
+            expect(tokenLookup('BREW-ABC234')).not.toBe(first);
+        } finally {
+            if (previous === undefined) delete process.env.TOKEN_PEPPER;
+            else process.env.TOKEN_PEPPER = previous;
+        }
+    });
+
+    test('production should refuse the development pepper', () => {
+        const saved = { NODE_ENV: process.env.NODE_ENV, TOKEN_PEPPER: process.env.TOKEN_PEPPER };
+        try {
+            process.env.NODE_ENV = 'production';
+            delete process.env.TOKEN_PEPPER;
+            expect(() => requireTokenPepper()).toThrow('TOKEN_PEPPER');
+            expect(() => tokenLookup('BREW-ABC234')).toThrow('TOKEN_PEPPER');
+
+            process.env.TOKEN_PEPPER = 'pepper-one';
+            expect(() => tokenLookup('BREW-ABC234')).not.toThrow();
+        } finally {
+            for (const [key, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        }
+    });
+});
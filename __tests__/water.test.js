@@ -0,0 +1,85 @@
+// Unit Tests for water chemistry profiles and hardness conversion
+// Run with: npm test
+
+import {
+    convertHardness,
+    ghFromMinerals,
+    parseWaterProfileInput,
+    toApiWaterProfile
+} from '../utils/water.js';
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+describe('Water Chemistry', () => {
+    // [value, from, to, species, expected]
+    test.each([
+        [1, 'dH', 'ppm_caco3', 'caco3', 17.85],
+        [100, 'ppm_caco3', 'dH', 'caco3', 5.6],
+        [100, 'mg_l', 'ppm_caco3', 'caco3', 100],
+        [1, 'dH', 'mg_l', 'calcium', 7.15],
+        [1, 'dH', 'mg_l', 'magnesium', 4.34],
+        [40, 'mg_l', 'ppm_caco3', 'calcium', 99.89],
+        [10, 'mg_l', 'ppm_caco3', 'magnesium', 41.16]
+    ])('convertHardness(%d %s → %s, %s) ≈ %d', (value, from, to, species, expected) => {
+        expect(round(convertHardness(value, from, to, species))).toBe(expected);
+    });
+
+    test('convertHardness should round-trip and reject unknown units', () => {
+        expect(round(convertHardness(convertHardness(8.5, 'dH', 'mg_l', 'calcium'), 'mg_l', 'dH', 'calcium'), 6)).toBe(8.5);
+        expect(convertHardness(1, 'gpg', 'dH')).toBeNull();
+        expect(convertHardness(1, 'dH', 'mg_l', 'sodium')).toBeNull();
+    });
+
+    test('ghFromMinerals should add calcium and magnesium hardness', () => {
+        expect(round(ghFromMinerals(40, 10))).toBe(7.9);
+        expect(ghFromMinerals(null, null)).toBe(0);
+    });
+
+    describe('parseWaterProfileInput', () => {
+        test('should store GH/KH in °dH and minerals in mg/L', () => {
+            const { profile } = parseWaterProfileInput({
+                name: 'Tap', unit: 'ppm_caco3', gh: 150, kh: 40, calcium: 99.89, magnesium: 41.16, tds: 180, isActive: true
+            });
+            expect(profile).toEqual({
+                name: 'Tap', gh_dh: 8.4043, kh_dh: 2.2411, calcium_mg_l: 39.9997, magnesium_mg_l: 9.9994, tds_ppm: 180, is_active: true
+            });
+        });
+
+        test('should derive GH from calcium and magnesium', () => {
+            const { profile } = parseWaterProfileInput({ name: 'Remineralized', unit: 'mg_l', calcium: 40, magnesium: 10, kh: 50 });
+            expect(profile.gh_dh).toBe(7.903);
+            expect(profile.kh_dh).toBe(2.8014);
+        });
+
+        test('should merge a patch and re-derive GH when the minerals change', () => {
+            const existing = { name: 'Tap', gh_dh: 7.903, kh_dh: 3, calcium_mg_l: 40, magnesium_mg_l: 10, tds_ppm: null };
+            expect(parseWaterProfileInput({ unit: 'mg_l', magnesium: 20 }, existing).profile.gh_dh).toBe(10.2093);
+            expect(parseWaterProfileInput({ kh: 4 }, existing).profile).toMatchObject({ gh_dh: 7.903, kh_dh: 4, name: 'Tap' });
+            expect(parseWaterProfileInput({ calcium: null, magnesium: null }, existing).profile.gh_dh).toBe(7.903);
+        });
+
+        test.each([
+            ['missing name', { gh: 8 }, 'name required'],
+            ['unknown unit', { name: 'x', gh: 8, unit: 'gpg' }, /Invalid unit/],
+            ['missing hardness', { name: 'x', kh: 3 }, /gh required/],
+            ['GH out of range', { name: 'x', gh: 51 }, 'gh must be a number between 0 and 50 (dH)'],
+            ['range in the request unit', { name: 'x', unit: 'ppm_caco3', gh: 1000 }, 'gh must be a number between 0 and 892.4 (ppm_caco3)'],
+            ['negative TDS', { name: 'x', gh: 8, tds: -1 }, /tds must be/],
+            ['null GH', { name: 'x', gh: null }, /gh must be/],
+            ['deactivation', { name: 'x', gh: 8, isActive: false }, /isActive can only be set to true/]
+        ])('should reject %s', (_label, body, expected) => {
+            const { error } = parseWaterProfileInput(body);
+            if (expected instanceof RegExp) expect(error).toMatch(expected);
+            else expect(error).toBe(expected);
+        });
+    });
+
+    test('toApiWaterProfile should convert to the requested unit', () => {
+        const row = { id: '2', name: 'Tap', gh_dh: 8.4043, kh_dh: null, calcium_mg_l: 40, magnesium_mg_l: null, tds_ppm: 180, is_active: 1 };
+        expect(toApiWaterProfile(row)).toEqual({
+            id: 2, name: 'Tap', isActive: true, unit: 'dH', gh: 8.4, kh: null, calcium: 5.6, magnesium: null, tds: 180
+        });
+        expect(toApiWaterProfile(row, 'ppm_caco3')).toMatchObject({ gh: 150, calcium: 99.89, tds: 180 });
+        expect(toApiWaterProfile(row, 'mg_l')).toMatchObject({ gh: 150, calcium: 40 });
+    });
+});
@@ -0,0 +1,63 @@
+// Router tests for /api/user/water-profiles and the legacy /api/user/water-hardness
+// Run with: npm test
+
+import request from 'supertest';
+import waterHardnessRoutes from '../routes/waterHardness.js';
+import waterProfileRoutes from '../routes/waterProfiles.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('water profile routes', () => {
+    const app = routerApp({
+        '/api/user/water-hardness': waterHardnessRoutes,
+        '/api/user/water-profiles': waterProfileRoutes
+    });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('water-profile-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('the active profile\'s GH should be the legacy waterHardness, both ways', async () => {
+        const { headers } = await signedInUser('water');
+
+        const tap = await request(app).post('/api/user/water-profiles').set(headers).send({ name: 'Tap', gh: 12, kh: 8 });
+        expect(tap.status).toBe(201);
+        expect(tap.body.profile.isActive).toBe(true);
+        await request(app).post('/api/user/water-profiles').set(headers).send({ name: 'Third Wave Water', gh: 4, kh: 2, isActive: true });
+        expect((await request(app).get('/api/user/water-hardness').set(headers)).body.waterHardness).toBe(4);
+
+        expect((await request(app).post('/api/user/water-hardness').set(headers).send({ waterHardness: 6 })).status).toBe(200);
+        const { body: { profile } } = await request(app).get('/api/user/water-hardness').set(headers);
+        expect(profile).toMatchObject({ name: 'Third Wave Water', gh: 6 });
+    });
+
+    test('should convert hardness between the requested units', async () => {
+        const { headers } = await signedInUser('water');
+        const { body: { profile } } = await request(app).post('/api/user/water-profiles').set(headers)
+            .send({ name: 'Soft', unit: 'ppm_caco3', gh: 89.24 });
+
+        const res = await request(app).get(`/api/user/water-profiles/${profile.id}?unit=dH`).set(headers);
+        expect(res.status).toBe(200);
+        expect(res.body.profile.gh).toBeCloseTo(5, 1);
+
+        expect((await request(app).get('/api/user/water-profiles?unit=gpg').set(headers)).status).toBe(400);
+    });
+
+    test('should answer 400 for invalid values and 404 for unknown or foreign profiles', async () => {
+        const owner = await signedInUser('water');
+        const other = await signedInUser('water');
+        const { body: { profile } } = await request(app).post('/api/user/water-profiles').set(owner.headers).send({ name: 'Tap', gh: 10 });
+
+        expect((await request(app).post('/api/user/water-profiles').set(owner.headers).send({ name: 'Brine', gh: 80 })).status).toBe(400);
+        expect((await request(app).post('/api/user/water-hardness').set(owner.headers).send({ waterHardness: 51 })).status).toBe(400);
+
+        expect((await request(app).get(`/api/user/water-profiles/${profile.id}`).set(other.headers)).status).toBe(404);
+        expect((await request(app).patch(`/api/user/water-profiles/${profile.id}`).set(other.headers).send({ gh: 3 })).status).toBe(404);
+        expect((await request(app).delete(`/api/user/water-profiles/${profile.id}`).set(other.headers)).status).toBe(404);
+        expect((await request(app).delete(`/api/user/water-profiles/${profile.id}`).set(owner.headers)).status).toBe(200);
+    });
+});
@@ -0,0 +1,92 @@
+// Unit Tests for the water recipe calculator
+// Run with: npm test
+
+import {
+    computeWaterRecipe,
+    normalizeRoastLevel,
+    parseRecipeOptions,
+    parseTargetInput,
+    suggestWaterTarget
+} from '../utils/waterRecipe.js';
+
+describe('Water Recipe', () => {
+    test('should split GH between calcium chloride and Epsom salt and take KH from baking soda', () => {
+        const recipe = computeWaterRecipe({ gh: 90, kh: 40, volume: 4, unit: 'ppm_caco3' });
+        expect(recipe.minerals.map(m => [m.mineral, m.grams])).toEqual([
+            ['calcium_chloride', 0.212],
+            ['epsom_salt', 0.532],
+            ['baking_soda', 0.269]
+        ]);
+        expect(recipe.water).toEqual({ unit: 'ppm_caco3', gh: 90, kh: 40, calcium: 36, magnesium: 54, sodium: 18.4 });
+    });
+
+    test('should give concentrate millilitres as ppm × litres', () => {
+        const recipe = computeWaterRecipe({ gh: 90, kh: 40, volume: 4, form: 'concentrate', calciumShare: 0.5 });
+        expect(recipe.minerals).toEqual([
+            expect.objectContaining({ mineral: 'calcium_chloride', ml: 180, concentrateGramsPerLiter: 1.4688 }),
+            expect.objectContaining({ mineral: 'epsom_salt', ml: 180, concentrateGramsPerLiter: 2.4625 }),
+            expect.objectContaining({ mineral: 'baking_soda', ml: 160, concentrateGramsPerLiter: 1.6786 })
+        ]);
+    });
+
+    test('should leave out minerals that add nothing', () => {
+        const recipe = computeWaterRecipe({ gh: 50, kh: 0, volume: 1, calciumShare: 1 });
+        expect(recipe.minerals.map(m => m.mineral)).toEqual(['calcium_chloride']);
+        expect(recipe.water.magnesium).toBe(0);
+    });
+
+    // [label, coffee, roast, expected gh, expected kh]
+    test.each([
+        ['no information', {}, undefined, 90, 40],
+        ['washed', { process: 'washed' }, undefined, 90, 40],
+        ['natural', { process: 'Natural' }, undefined, 70, 40],
+        ['natural light roast', { process: 'natural', roastLevel: 'Light' }, undefined, 85, 30],
+        ['roast override', { process: 'natural', roastLevel: 'light' }, 'dark', 50, 55],
+        ['anaerobic dark roast', { process: 'anaerobic', roast: 'medium-dark' }, undefined, 45, 60]
+    ])('suggestWaterTarget: %s', (_label, coffee, roast, gh, kh) => {
+        expect(suggestWaterTarget(coffee, roast)).toMatchObject({ gh, kh });
+    });
+
+    test('suggestWaterTarget should list its adjustments', () => {
+        expect(suggestWaterTarget({ process: 'honey', roastLevel: 'medium' }).adjustments).toEqual([
+            { factor: 'process', value: 'honey', gh: -10, kh: 0 },
+            { factor: 'roast', value: 'medium', gh: 0, kh: 0 }
+        ]);
+    });
+
+    test.each([
+        ['Light', 'light'],
+        ['Medium-Dark', 'dark'],
+        ['omni medium roast', 'medium'],
+        ['blonde', null],
+        [3, null]
+    ])('normalizeRoastLevel(%p) → %p', (value, expected) => {
+        expect(normalizeRoastLevel(value)).toBe(expected);
+    });
+
+    test('parseTargetInput should convert to ppm CaCO3 and default kh to 0', () => {
+        expect(parseTargetInput({ gh: 5 }, 'dH').target).toEqual({ gh: 89.24, kh: 0 });
+        expect(parseTargetInput({ gh: 90, kh: 40 }, 'ppm_caco3').target).toEqual({ gh: 90, kh: 40 });
+        expect(parseTargetInput({ kh: 2 }, 'dH').error).toMatch(/gh must be/);
+        expect(parseTargetInput({ gh: 20 }, 'dH').error).toBe('gh must be a number between 0 and 16.8 (dH)');
+    });
+
+    test('parseRecipeOptions should apply defaults', () => {
+        expect(parseRecipeOptions({}).options).toEqual({
+            unit: 'dH', volume: 1, form: 'powder', calciumShare: 0.4, roast: undefined
+        });
+    });
+
+    test.each([
+        ['unknown unit', { unit: 'gpg' }, /Invalid unit/],
+        ['tiny volume', { volume: 0.05 }, 'volume must be between 0.1 and 50 L'],
+        ['null volume', { volume: null }, /volume must be/],
+        ['unknown form', { form: 'tablet' }, /Invalid form/],
+        ['calciumShare above 1', { calciumShare: 1.5 }, 'calciumShare must be between 0 and 1'],
+        ['unknown roast', { roast: 'blonde' }, /Invalid roast/]
+    ])('parseRecipeOptions should reject %s', (_label, body, expected) => {
+        const { error } = parseRecipeOptions(body);
+        if (expected instanceof RegExp) expect(error).toMatch(expected);
+        else expect(error).toBe(expected);
+    });
+});
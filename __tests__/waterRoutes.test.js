@@ -0,0 +1,58 @@
+// Router tests for POST /api/water/recipe
+// Run with: npm test
+
+import request from 'supertest';
+import { queries } from '../db/database.js';
+import waterRoutes from '../routes/water.js';
+import waterProfileRoutes from '../routes/waterProfiles.js';
+import { openTestDatabase, routerApp, signedInUser } from './helpers/routerApp.js';
+
+describe('POST /api/water/recipe', () => {
+    const app = routerApp({ '/api/water': waterRoutes, '/api/user/water-profiles': waterProfileRoutes });
+    let closeDatabase;
+
+    beforeAll(async () => {
+        closeDatabase = await openTestDatabase('water-routes');
+    });
+
+    afterAll(async () => {
+        await closeDatabase();
+    });
+
+    test('should turn an explicit target into grams of each mineral for the batch', async () => {
+        const { headers } = await signedInUser('recipe');
+
+        const res = await request(app).post('/api/water/recipe').set(headers).send({ gh: 4, kh: 2, volume: 4 });
+        expect(res.status).toBe(200);
+        expect(res.body.target).toMatchObject({ source: 'request', unit: 'dH', gh: 4, kh: 2 });
+        expect(res.body.recipe.volume).toBe(4);
+        expect(res.body.recipe.minerals.map(mineral => mineral.mineral).sort())
+            .toEqual(['baking_soda', 'calcium_chloride', 'epsom_salt']);
+        expect(res.body.recipe.minerals.every(mineral => mineral.grams > 0)).toBe(true);
+    });
+
+    test('should fall back to the active water profile and suggest a target for a coffee', async () => {
+        const { user, headers } = await signedInUser('recipe');
+        expect((await request(app).post('/api/water/recipe').set(headers).send({})).status).toBe(400);
+
+        await request(app).post('/api/user/water-profiles').set(headers).send({ name: 'Tap', gh: 6, kh: 3 });
+        const fromProfile = await request(app).post('/api/water/recipe').set(headers).send({ form: 'concentrate' });
+        expect(fromProfile.status).toBe(200);
+        expect(fromProfile.body.target).toMatchObject({ source: 'profile', gh: 6, kh: 3 });
+        expect(fromProfile.body.recipe.minerals[0].ml).toBeGreaterThan(0);
+
+        await queries.saveCoffee(user.id, 'kochere', { name: 'Kochere', process: 'natural' });
+        const forCoffee = await request(app).post('/api/water/recipe').set(headers).send({ coffeeId: 'kochere', roast: 'light' });
+        expect(forCoffee.status).toBe(200);
+        expect(forCoffee.body.target).toMatchObject({ source: 'coffee', coffeeId: 'kochere' });
+    });
+
+    test('should answer 404 for unknown coffees and profiles and 400 for invalid options', async () => {
+        const { headers } = await signedInUser('recipe');
+
+        expect((await request(app).post('/api/water/recipe').set(headers).send({ coffeeId: 'missing' })).status).toBe(404);
+        expect((await request(app).post('/api/water/recipe').set(headers).send({ profileId: 999 })).status).toBe(404);
+        expect((await request(app).post('/api/water/recipe').set(headers).send({ gh: 4, volume: 100 })).status).toBe(400);
+        expect((await request(app).post('/api/water/recipe').set(headers).send({ gh: 4, form: 'tablet' })).status).toBe(400);
+    });
+});
@@ -0,0 +1,162 @@
+// ==========================================
+// COFFEE RECORD MAPPING
+// Coffee object (API shape) ⇄ coffees columns + feedback history rows
+// ==========================================
+//
+// Known fields live in real columns so they can be filtered and indexed.
+// A field only goes to its column when it has the expected type; anything
+// else (unknown/legacy keys, unexpected types) stays in the coffees.data JSON
+// so GET /api/coffees returns exactly what was saved.
+
+/**
+ * Field → column mapping for the coffees table
+ * type: 'string' | 'number' | 'boolean' | 'json'
+ */
+export const COFFEE_FIELDS = [
+    { field: 'name',         column: 'name',          type: 'string' },
+    { field: 'origin',       column: 'origin',        type: 'string' },
+    { field: 'cultivar',     column: 'cultivar',      type: 'string' },
+    { field: 'roaster',      column: 'roaster',       type: 'string' },
+    { field: 'roastery',     column: 'roastery',      type: 'string' },
+    { field: 'tastingNotes', column: 'tasting_notes', type: 'string' },
+    { field: 'process',      column: 'process',       type: 'string' },
+    { field: 'altitude',     column: 'altitude',      type: 'string' },
+    { field: 'addedDate',    column: 'added_date',    type: 'string' },
+    { field: 'roastDate',    column: 'roast_date',    type: 'string' },
+    { field: 'favorite',     column: 'favorite',      type: 'boolean' },
+    { field: 'favoritedAt',  column: 'favorited_at',  type: 'string' },
+    { field: 'deleted',      column: 'deleted',       type: 'boolean' },
+    { field: 'deletedAt',    column: 'deleted_at',    type: 'string' },
+    { field: 'grindOffset',  column: 'grind_offset',  type: 'number' },
+    { field: 'customTemp',   column: 'custom_temp',   type: 'string' },
+    { field: 'customAmount', column: 'custom_amount', type: 'number' },
+    { field: 'initialGrind', column: 'initial_grind', type: 'string' },
+    { field: 'initialTemp',  column: 'initial_temp',  type: 'string' },
+    { field: 'feedback',     column: 'feedback',      type: 'json' },
+    { field: 'equipment',    column: 'equipment',     type: 'json' },
+];
+
+/**
+ * Entry key → column mapping for coffee_feedback_history
+ */
+export const HISTORY_FIELDS = [
+    { field: 'timestamp',         column: 'recorded_at',         type: 'string' },
+    { field: 'previousGrind',     column: 'previous_grind',      type: 'string' },
+    { field: 'newGrind',          column: 'new_grind',           type: 'string' },
+    { field: 'previousTemp',      column: 'previous_temp',       type: 'string' },
+    { field: 'newTemp',           column: 'new_temp',            type: 'string' },
+    { field: 'grindOffsetDelta',  column: 'grind_offset_delta',  type: 'number' },
+    { field: 'customTempApplied', column: 'custom_temp_applied', type: 'boolean' },
+    { field: 'resetToInitial',    column: 'reset_to_initial',    type: 'boolean' },
+];
+
+export const COFFEE_COLUMN_NAMES = COFFEE_FIELDS.map(f => f.column);
+export const HISTORY_COLUMN_NAMES = HISTORY_FIELDS.map(f => f.column);
+
+/**
+ * SQL column type per dialect
+ */
+export function columnType(type, dbType) {
+    if (type === 'number') return dbType === 'postgresql' ? 'DOUBLE PRECISION' : 'REAL';
+    if (type === 'boolean') return dbType === 'postgresql' ? 'BOOLEAN' : 'INTEGER';
+    return 'TEXT';
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+    if (type === 'string') return typeof value === 'string';
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'boolean') return typeof value === 'boolean';
+    if (type === 'json') return isPlainObject(value);
+    return false;
+}
+
+function encodeValue(value, type) {
+    if (type === 'json') return JSON.stringify(value);
+    return value;
+}
+
+function decodeValue(value, type) {
+    if (type === 'boolean') return value === true || value === 1 || value === '1' || value === 't';
+    if (type === 'number') return Number(value);
+    if (type === 'json') return JSON.parse(value);
+    return value;
+}
+
+function isHistoryEntry(entry) {
+    if (!isPlainObject(entry) || typeof entry.timestamp !== 'string') return false;
+    const known = new Set(HISTORY_FIELDS.map(f => f.field));
+    return Object.entries(entry).every(([key, value]) => {
+        if (!known.has(key)) return false;
+        const spec = HISTORY_FIELDS.find(f => f.field === key);
+        return matchesType(value, spec.type);
+    });
+}
+
+/**
+ * Split a (sanitized) coffee object into column values, leftover JSON and history rows
+ * @param {Object} coffee - Coffee data as sent by the client
+ * @returns {{columns: Object, extras: Object, history: Array<Object>}}
+ */
+export function toCoffeeRecord(coffee) {
+    const extras = { ...(coffee || {}) };
+    const columns = {};
+
+    for (const spec of COFFEE_FIELDS) {
+        columns[spec.column] = null;
+        if (matchesType(extras[spec.field], spec.type)) {
+            columns[spec.column] = encodeValue(extras[spec.field], spec.type);
+            delete extras[spec.field];
+        }
+    }
+
+    let history = [];
+    const entries = extras.feedbackHistory;
+    if (Array.isArray(entries) && entries.length > 0 && entries.every(isHistoryEntry)) {
+        history = entries.map((entry) => {
+            const row = {};
+            for (const spec of HISTORY_FIELDS) {
+                row[spec.column] = entry[spec.field] !== undefined ? entry[spec.field] : null;
+            }
+            return row;
+        });
+        delete extras.feedbackHistory;
+    }
+
+    return { columns, extras, history };
+}
+
+/**
+ * Reassemble the API coffee object from a coffees row and its history rows
+ * @param {Object} row - coffees row (data + mapped columns)
+ * @param {Array<Object>} historyRows - coffee_feedback_history rows ordered by position
+ * @returns {Object}
+ */
+export function fromCoffeeRecord(row, historyRows = []) {
+    const coffee = row.data ? JSON.parse(row.data) : {};
+
+    for (const spec of COFFEE_FIELDS) {
+        const value = row[spec.column];
+        if (value !== null && value !== undefined) {
+            coffee[spec.field] = decodeValue(value, spec.type);
+        }
+    }
+
+    if (historyRows.length > 0) {
+        coffee.feedbackHistory = historyRows.map((historyRow) => {
+            const entry = {};
+            for (const spec of HISTORY_FIELDS) {
+                const value = historyRow[spec.column];
+                if (value !== null && value !== undefined) {
+                    entry[spec.field] = decodeValue(value, spec.type);
+                }
+            }
+            return entry;
+        });
+    }
+
+    return coffee;
+}
@@ -1,17 +1,27 @@
 // ==========================================
 // DRIPMATE DATABASE MODULE V5.2
 // Device-Binding + Grinder Variants (8) + Method Preference + Water Hardness
+// Schema is managed by numbered migrations in db/migrations (see db/migrator.js)
 // ==========================================
 
 import pg from 'pg';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
+import {
+    COFFEE_COLUMN_NAMES,
+    HISTORY_COLUMN_NAMES,
+    toCoffeeRecord,
+    fromCoffeeRecord
+} from './coffeeRecord.js';
+import { hashToken, tokenLookup, tokenMatches } from './tokenHash.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const { Pool } = pg;
 
 let db = null;
 let dbType = null;
+let sqliteConnection = null; // unqueued – only transactions use it directly
 
 // ── Valid Values (exported for route validation) ──
 const VALID_GRINDERS = [
@@ -23,8 +33,154 @@ const VALID_GRINDERS = [
 
 const VALID_METHODS = ['v60', 'chemex', 'aeropress'];
 
+// User-defined grinders/methods are referenced as custom_<id> (see utils/catalog.js)
+const CUSTOM_KEY_PATTERN = /^custom_\d+$/;
+
+// Writable columns of custom_grinders / custom_methods
+const CUSTOM_GRINDER_COLUMNS = [
+    'name', 'unit', 'min_setting', 'max_setting', 'step',
+    'ref_setting', 'ref_microns', 'microns_per_unit'
+];
+
+const CUSTOM_METHOD_COLUMNS = [
+    'name', 'style', 'dose_g', 'ratio', 'temperature_c', 'grind_microns', 'total_time_s'
+];
+
+// Writable columns of the brews table (brew session log)
+const BREW_COLUMNS = [
+    'coffee_uid', 'method', 'grinder', 'grind_setting',
+    'dose_g', 'water_g', 'ratio', 'temperature_c', 'total_time_s',
+    'water_hardness', 'rating', 'notes', 'brewed_at',
+    'grinder_equipment_id', 'brewer_equipment_id', 'kettle_equipment_id', 'scale_equipment_id'
+];
+
+// Writable columns of the water_profiles table (is_active is set via setActiveWaterProfile)
+const WATER_PROFILE_COLUMNS = ['name', 'gh_dh', 'kh_dh', 'calcium_mg_l', 'magnesium_mg_l', 'tds_ppm'];
+
+// Columns read from the devices table
+const DEVICE_COLUMNS = 'id, user_id, device_id, name, device_info, created_at, last_seen_at, revoked_at';
+
+// Columns read from the admin_users table (password_hash only where it is checked)
+const ADMIN_COLUMNS = 'id, username, role, created_by, created_at, last_login_at, disabled_at';
+
+// Columns of the admin user list / detail view (users u, registrations r)
+const ADMIN_USER_COLUMNS = `u.id, u.username, r.email, u.grinder_preference, u.method_preference, u.water_hardness,
+    u.created_at, u.last_login_at, u.suspended_at, u.suspension_reason`;
+
+// Writable columns of the equipment table (is_default is set via setDefaultEquipment)
+const EQUIPMENT_COLUMNS = ['type', 'name', 'model', 'notes'];
+
+/**
+ * WHERE clause for brew log queries
+ */
+function brewFilters(userId, filters) {
+    const where = ['user_id = ?'];
+    const params = [userId];
+
+    if (filters.coffeeUid !== undefined) {
+        where.push('coffee_uid = ?');
+        params.push(String(filters.coffeeUid));
+    }
+    if (filters.from) {
+        where.push('brewed_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push('brewed_at < ?');
+        params.push(filters.to);
+    }
+
+    return { where: where.join(' AND '), params };
+}
+
+/**
+ * WHERE clause for the admin user list (users u LEFT JOIN registrations r)
+ * search matches username or email, case-insensitive
+ */
+function adminUserFilters(filters) {
+    const where = [];
+    const params = [];
+
+    if (filters.search) {
+        const pattern = `%${filters.search.toLowerCase().replace(/[\\%_]/g, c => `\\${c}`)}%`;
+        where.push(`(LOWER(u.username) LIKE ? ESCAPE '\\' OR LOWER(r.email) LIKE ? ESCAPE '\\')`);
+        params.push(pattern, pattern);
+    }
+    if (filters.status === 'suspended') where.push('u.suspended_at IS NOT NULL');
+    if (filters.status === 'active') where.push('u.suspended_at IS NULL');
+
+    return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+/**
+ * WHERE clause for audit log queries (admin)
+ */
+function auditEventFilters(filters) {
+    const where = [];
+    const params = [];
+
+    for (const [key, column] of [
+        ['actorType', 'actor_type'], ['actorId', 'actor_id'], ['action', 'action'],
+        ['entityType', 'entity_type'], ['entityId', 'entity_id']
+    ]) {
+        if (filters[key] !== undefined) {
+            where.push(`${column} = ?`);
+            params.push(filters[key]);
+        }
+    }
+    if (filters.from) {
+        where.push('created_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push('created_at < ?');
+        params.push(filters.to);
+    }
+
+    return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+/**
+ * WHERE clause for security event queries (admin)
+ */
+function securityEventFilters(filters) {
+    const where = [];
+    const params = [];
+
+    for (const [key, column] of [['type', 'type'], ['ip', 'ip'], ['deviceId', 'device_id'], ['userId', 'user_id']]) {
+        if (filters[key] !== undefined) {
+            where.push(`${column} = ?`);
+            params.push(filters[key]);
+        }
+    }
+    if (filters.from) {
+        where.push('created_at >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push('created_at < ?');
+        params.push(filters.to);
+    }
+
+    return { where: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
 /**
- * Initialize database connection
+ * First row whose token hash matches – rows come from a token_lookup query (see db/tokenHash.js)
+ * @returns {Promise<Object|null>} the row without its token column
+ */
+async function findTokenMatch(rows, token) {
+    for (const row of rows) {
+        if (await tokenMatches(token, row.token)) {
+            const { token: _hash, ...rest } = row;
+            return rest;
+        }
+    }
+    return null;
+}
+
+/**
+ * Initialize database connection (does not touch the schema – run migrations separately)
  */
 export async function initDatabase() {
     const isProduction = process.env.NODE_ENV === 'production';
@@ -36,9 +192,9 @@ export async function initDatabase() {
         
         const pool = new Pool({
             connectionString: process.env.DATABASE_URL,
-            ssl: {
-                rejectUnauthorized: false
-            }
+            ssl: process.env.DATABASE_SSL === 'false'
+                ? false
+                : { rejectUnauthorized: false }
         });
         
         try {
@@ -49,34 +205,8 @@ export async function initDatabase() {
             throw err;
         }
         
-        db = {
-            pool,
-            async exec(sql) {
-                const statements = sql.split(';').filter(s => s.trim());
-                for (const statement of statements) {
-                    if (statement.trim()) {
-                        await pool.query(statement);
-                    }
-                }
-            },
-            async get(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return result.rows[0] || null;
-            },
-            async all(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return result.rows;
-            },
-            async run(sql, params = []) {
-                const result = await pool.query(sql, params);
-                return { 
-                    lastID: result.rows[0]?.id, 
-                    changes: result.rowCount 
-                };
-            }
-        };
+        db = { pool, ...createPgAdapter(pool) };
         
-        await createPostgreSQLTables();
         console.log('✅ PostgreSQL database initialized');
         
     } else {
@@ -96,12 +226,15 @@ export async function initDatabase() {
         
         const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'dripmate.db');
         
-        db = await sqliteOpen({
+        sqliteConnection = createSqliteAdapter(await sqliteOpen({
             filename: dbPath,
             driver: sqlite3.Database
-        });
+        }));
+        db = createSqliteQueue(sqliteConnection);
+
+        // Match PostgreSQL: enforce foreign keys (ON DELETE CASCADE)
+        await db.exec('PRAGMA foreign_keys = ON');
 
-        await createSQLiteTables();
         console.log('✅ SQLite database initialized:', dbPath);
     }
     
@@ -109,204 +242,100 @@ export async function initDatabase() {
 }
 
 /**
- * Create PostgreSQL tables with auto-migration for grinder variants + method preference
+ * Translate "?" placeholders to PostgreSQL's "$1, $2, …".
+ * Question marks inside quoted strings or identifiers are left untouched.
+ * @param {string} sql - SQL written with "?" placeholders
+ * @returns {string} - SQL with numbered placeholders
  */
-async function createPostgreSQLTables() {
-    // Schritt 1: Tabellen erstellen
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id SERIAL PRIMARY KEY,
-            username TEXT NOT NULL UNIQUE,
-            token TEXT NOT NULL UNIQUE,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS coffees (
-            id SERIAL PRIMARY KEY,
-            user_id INTEGER NOT NULL,
-            coffee_uid TEXT NOT NULL,
-            data TEXT NOT NULL,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            UNIQUE(user_id, coffee_uid)
-        );
-    `);
-    
-    // Schritt 2: Spalten hinzufügen (idempotent via IF NOT EXISTS)
-    try {
-        await db.pool.query(`
-            ALTER TABLE users 
-            ADD COLUMN IF NOT EXISTS device_id TEXT,
-            ADD COLUMN IF NOT EXISTS device_info TEXT,
-            ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP,
-            ADD COLUMN IF NOT EXISTS grinder_preference TEXT DEFAULT 'fellow',
-            ADD COLUMN IF NOT EXISTS water_hardness DECIMAL(4,1) DEFAULT NULL,
-            ADD COLUMN IF NOT EXISTS method_preference VARCHAR(20) DEFAULT 'v60';
-        `);
-    } catch (err) {
-        console.log('Note: user columns may already exist');
-    }
-
-    // Schritt 2b: Method-Spalte auf coffees (per-Coffee Override)
-    try {
-        await db.pool.query(`
-            ALTER TABLE coffees
-            ADD COLUMN IF NOT EXISTS method VARCHAR(20) DEFAULT 'v60';
-        `);
-    } catch (err) {
-        console.log('Note: coffees.method column may already exist');
-    }
+export function toPostgresPlaceholders(sql) {
+    let out = '';
+    let index = 0;
+    let quote = null;
 
-    // Schritt 2c: Stable key for idempotent coffee upserts
-    try {
-        await db.pool.query(`
-            ALTER TABLE coffees
-            ADD COLUMN IF NOT EXISTS coffee_uid TEXT;
-        `);
-        await db.pool.query(`
-            UPDATE coffees
-            SET coffee_uid = id::text
-            WHERE coffee_uid IS NULL OR coffee_uid = '';
-        `);
-        await db.pool.query(`
-            ALTER TABLE coffees
-            ALTER COLUMN coffee_uid SET NOT NULL;
-        `);
-        await db.pool.query(`
-            CREATE UNIQUE INDEX IF NOT EXISTS idx_coffees_user_uid
-            ON coffees(user_id, coffee_uid);
-        `);
-    } catch (err) {
-        console.log('Note: coffees.coffee_uid migration may already exist');
-    }
-    
-    // Schritt 3: Migrate alte Grinder-Keys → neue versionierte Keys
-    try {
-        const migrations = [
-            { old: 'fellow',     new: 'fellow_gen2' },
-            { old: 'comandante', new: 'comandante_mk3' },
-            { old: 'timemore',   new: 'timemore_s3' },
-        ];
-        for (const m of migrations) {
-            const result = await db.pool.query(
-                `UPDATE users SET grinder_preference = $1 WHERE grinder_preference = $2`,
-                [m.new, m.old]
-            );
-            if (result.rowCount > 0) {
-                console.log(`🔄 Migrated ${result.rowCount} user(s): ${m.old} → ${m.new}`);
-            }
+    for (const ch of sql) {
+        if (quote) {
+            if (ch === quote) quote = null;
+            out += ch;
+        } else if (ch === "'" || ch === '"') {
+            quote = ch;
+            out += ch;
+        } else if (ch === '?') {
+            out += '$' + (++index);
+        } else {
+            out += ch;
         }
-    } catch (err) {
-        console.log('Note: grinder migration may have already run');
     }
-    
-    // Schritt 4: Indices erstellen (NACH den Spalten!)
-    await db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_coffees_user_id ON coffees(user_id);
-        CREATE INDEX IF NOT EXISTS idx_users_token ON users(token);
-        CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
-        CREATE INDEX IF NOT EXISTS idx_coffees_user_created ON coffees(user_id, created_at DESC);
-    `);
-
-    // Schritt 5: Whitelist & Registrations (Beta-Zugang)
-    await db.pool.query(`
-        CREATE TABLE IF NOT EXISTS whitelist (
-            id        SERIAL PRIMARY KEY,
-            email     TEXT NOT NULL UNIQUE,
-            name      TEXT DEFAULT '',
-            website   TEXT DEFAULT '',
-            note      TEXT DEFAULT '',
-            added_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS registrations (
-            id         SERIAL PRIMARY KEY,
-            email      TEXT NOT NULL UNIQUE,
-            token      TEXT NOT NULL UNIQUE,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            used       BOOLEAN DEFAULT FALSE
-        );
-    `);
-    console.log('✅ Whitelist & Registrations tables ready');
+
+    return out;
 }
 
 /**
- * Create SQLite tables (fresh DB gets new defaults, existing DB gets migrated)
+ * Build a "?, ?, ?" list for IN (...) clauses
+ * @param {Array} values - Values that will be bound to the placeholders
+ * @returns {string}
  */
-async function createSQLiteTables() {
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT NOT NULL UNIQUE,
-            token TEXT NOT NULL UNIQUE,
-            device_id TEXT UNIQUE,
-            device_info TEXT,
-            last_login_at DATETIME,
-            grinder_preference TEXT DEFAULT 'fellow_gen2',
-            water_hardness REAL DEFAULT NULL,
-            method_preference TEXT DEFAULT 'v60',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS coffees (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            coffee_uid TEXT NOT NULL,
-            data TEXT NOT NULL,
-            method TEXT DEFAULT 'v60',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-            UNIQUE(user_id, coffee_uid)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_coffees_user_id ON coffees(user_id);
-        CREATE INDEX IF NOT EXISTS idx_users_token ON users(token);
-        CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
-        CREATE INDEX IF NOT EXISTS idx_coffees_user_created ON coffees(user_id, created_at DESC);
-    `);
-
-    // SQLite: migrate alte Keys (falls existierende V4 DB)
-    try {
-        await db.run(`UPDATE users SET grinder_preference = 'fellow_gen2' WHERE grinder_preference = 'fellow'`);
-        await db.run(`UPDATE users SET grinder_preference = 'comandante_mk3' WHERE grinder_preference = 'comandante'`);
-        await db.run(`UPDATE users SET grinder_preference = 'timemore_s3' WHERE grinder_preference = 'timemore'`);
-    } catch (err) {
-        // Silently ignore on fresh DB
-    }
+export function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
 
-    // SQLite: add new columns if upgrading from V4
-    try { await db.run(`ALTER TABLE users ADD COLUMN method_preference TEXT DEFAULT 'v60'`); } catch (err) { /* already exists */ }
-    try { await db.run(`ALTER TABLE coffees ADD COLUMN method TEXT DEFAULT 'v60'`); } catch (err) { /* already exists */ }
-    try { await db.run(`ALTER TABLE coffees ADD COLUMN coffee_uid TEXT`); } catch (err) { /* already exists */ }
+/**
+ * Wrap a pg Pool or PoolClient in the sqlite-style get/all/run/exec/insert interface
+ */
+function createPgAdapter(queryable) {
+    const query = (sql, params) => queryable.query(toPostgresPlaceholders(sql), params);
 
-    try {
-        await db.run(`UPDATE coffees SET coffee_uid = CAST(id AS TEXT) WHERE coffee_uid IS NULL OR coffee_uid = ''`);
-    } catch (err) {
-        // ignore
-    }
+    return {
+        async exec(sql) {
+            const statements = sql.split(';').filter(s => s.trim());
+            for (const statement of statements) {
+                if (statement.trim()) {
+                    await queryable.query(statement);
+                }
+            }
+        },
+        async get(sql, params = []) {
+            const result = await query(sql, params);
+            return result.rows[0] || null;
+        },
+        async all(sql, params = []) {
+            const result = await query(sql, params);
+            return result.rows;
+        },
+        async run(sql, params = []) {
+            const result = await query(sql, params);
+            return { 
+                lastID: result.rows[0]?.id, 
+                changes: result.rowCount 
+            };
+        },
+        async insert(sql, params = []) {
+            const returning = /\breturning\b/i.test(sql) ? sql : `${sql} RETURNING id`;
+            const result = await query(returning, params);
+            return result.rows[0]?.id;
+        }
+    };
+}
 
-    try { await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_coffees_user_uid ON coffees(user_id, coffee_uid)`); } catch (err) { /* already exists */ }
-
-    // Whitelist & Registrations (Beta-Zugang)
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS whitelist (
-            id        INTEGER PRIMARY KEY AUTOINCREMENT,
-            email     TEXT NOT NULL UNIQUE,
-            name      TEXT DEFAULT '',
-            website   TEXT DEFAULT '',
-            note      TEXT DEFAULT '',
-            added_at  DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-
-        CREATE TABLE IF NOT EXISTS registrations (
-            id         INTEGER PRIMARY KEY AUTOINCREMENT,
-            email      TEXT NOT NULL UNIQUE,
-            token      TEXT NOT NULL UNIQUE,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            used       INTEGER DEFAULT 0
-        );
-    `);
-    console.log('✅ Whitelist & Registrations tables ready');
+/**
+ * Wrap a sqlite Database in the same interface as createPgAdapter
+ */
+function createSqliteAdapter(sqliteDb) {
+    return {
+        close: () => sqliteDb.close(),
+        exec: (sql) => sqliteDb.exec(sql),
+        async get(sql, params = []) {
+            return (await sqliteDb.get(sql, params)) || null;
+        },
+        all: (sql, params = []) => sqliteDb.all(sql, params),
+        async run(sql, params = []) {
+            const result = await sqliteDb.run(sql, params);
+            return { lastID: result.lastID, changes: result.changes };
+        },
+        async insert(sql, params = []) {
+            const result = await sqliteDb.run(sql, params);
+            return result.lastID;
+        }
+    };
 }
 
 export function getDatabase() {
@@ -321,39 +350,130 @@ export function getDatabaseType() {
 }
 
 /**
- * Begin a database transaction
+ * Run fn with a single dedicated connection.
+ * PostgreSQL checks out one pooled client so BEGIN/COMMIT land on the same session;
+ * SQLite already has exactly one connection.
  */
-export async function beginTransaction() {
+export async function withConnection(fn) {
     const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('BEGIN');
-    } else {
-        await database.exec('BEGIN TRANSACTION');
+    if (dbType !== 'postgresql') {
+        return fn(database);
+    }
+    const client = await database.pool.connect();
+    try {
+        return await fn(createPgAdapter(client));
+    } finally {
+        client.release();
     }
 }
 
+// SQLite has a single connection, so everything that touches it is serialized
+// in-process: a transaction holds the queue until it commits or rolls back, and
+// a statement from the global handle waits instead of landing inside (and being
+// rolled back with) another request's transaction. Code running inside a
+// transaction already owns the connection and skips the queue.
+let sqliteQueue = Promise.resolve();
+const sqliteOwner = new AsyncLocalStorage();
+
+function runExclusive(fn) {
+    if (sqliteOwner.getStore()) return fn();
+    const result = sqliteQueue.then(() => sqliteOwner.run(true, fn));
+    sqliteQueue = result.catch(() => {});
+    return result;
+}
+
 /**
- * Commit a database transaction
+ * The global SQLite handle – every statement goes through runExclusive
  */
-export async function commit() {
-    const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('COMMIT');
-    } else {
-        await database.exec('COMMIT');
+function createSqliteQueue(conn) {
+    return {
+        close: () => conn.close(),
+        exec: (sql) => runExclusive(() => conn.exec(sql)),
+        get: (sql, params) => runExclusive(() => conn.get(sql, params)),
+        all: (sql, params) => runExclusive(() => conn.all(sql, params)),
+        run: (sql, params) => runExclusive(() => conn.run(sql, params)),
+        insert: (sql, params) => runExclusive(() => conn.insert(sql, params))
+    };
+}
+
+/**
+ * Transaction handle: the usual get/all/run/exec/insert bound to one connection,
+ * tx.queries (all query helpers on that connection) and tx.withTransaction for savepoints.
+ */
+function createTransaction(conn, depth) {
+    const tx = {
+        depth,
+        exec: (sql) => conn.exec(sql),
+        get: (sql, params) => conn.get(sql, params),
+        all: (sql, params) => conn.all(sql, params),
+        run: (sql, params) => conn.run(sql, params),
+        insert: (sql, params) => conn.insert(sql, params),
+
+        /**
+         * Nested transaction via SAVEPOINT – a failure rolls back only the inner block
+         */
+        async withTransaction(fn) {
+            const savepoint = `sp_${depth + 1}`;
+            await conn.exec(`SAVEPOINT ${savepoint}`);
+            try {
+                const result = await fn(createTransaction(conn, depth + 1));
+                await conn.exec(`RELEASE SAVEPOINT ${savepoint}`);
+                return result;
+            } catch (err) {
+                await conn.exec(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+                await conn.exec(`RELEASE SAVEPOINT ${savepoint}`);
+                throw err;
+            }
+        }
+    };
+    tx.queries = bindQueries(() => tx);
+    return tx;
+}
+
+async function runInTransaction(conn, fn) {
+    await conn.exec('BEGIN');
+    try {
+        const result = await fn(createTransaction(conn, 0));
+        await conn.exec('COMMIT');
+        return result;
+    } catch (err) {
+        try {
+            await conn.exec('ROLLBACK');
+        } catch (rollbackErr) {
+            console.error('Rollback failed:', rollbackErr.message);
+        }
+        throw err;
     }
 }
 
 /**
- * Rollback a database transaction
+ * Join the caller's transaction (savepoint) if db is a transaction handle,
+ * otherwise open a new one – lets multi-statement helpers stay atomic either way.
  */
-export async function rollback() {
-    const database = getDatabase();
-    if (dbType === 'postgresql') {
-        await database.pool.query('ROLLBACK');
-    } else {
-        await database.exec('ROLLBACK');
+function inTransaction(db, fn) {
+    return typeof db.withTransaction === 'function' ? db.withTransaction(fn) : withTransaction(fn);
+}
+
+/**
+ * Run fn inside a transaction on one dedicated connection.
+ * Commits when fn resolves, rolls back and rethrows when it rejects.
+ * Use tx.queries / tx.get / … inside fn. On PostgreSQL the global queries object runs outside
+ * the transaction; on SQLite other requests' statements wait until it ends, so keep slow work
+ * such as network calls out of fn.
+ * Nest with tx.withTransaction(fn), not with another top-level withTransaction.
+ *
+ * @example
+ * await withTransaction(async (tx) => {
+ *     await tx.queries.saveCoffee(userId, uid, data);
+ *     await tx.queries.replaceUserCoffees(userId, [uid]);
+ * });
+ */
+export async function withTransaction(fn) {
+    if (getDatabaseType() === 'postgresql') {
+        return withConnection((conn) => runInTransaction(conn, fn));
     }
+    getDatabase(); // throws if not initialized
+    return runExclusive(() => runInTransaction(sqliteConnection, fn));
 }
 
 export async function closeDatabase() {
@@ -366,333 +486,1505 @@ export async function closeDatabase() {
     }
     db = null;
     dbType = null;
+    sqliteConnection = null;
 }
 
+const USER_COLUMNS = 'id, username, device_id, grinder_preference, method_preference, water_hardness, created_at, suspended_at';
+
 /**
  * Query helpers
+ * Written once with "?" placeholders – the adapter translates them for PostgreSQL.
+ * bindQueries(getDb) builds the helper set on top of any handle (pool or transaction).
  */
-export const queries = {
-    /**
-     * Get user by token (prüft auch device_id)
-     */
-    async getUserByToken(token, deviceId = null) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
+function bindQueries(getDb) {
+    const helpers = {
+        /**
+         * Get user by token (prüft auch device_id)
+         * Tokens are stored hashed: candidates by token_lookup, then verified
+         */
+        async getUserByToken(token, deviceId = null) {
+            const db = getDb();
             if (deviceId) {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, method_preference, water_hardness, created_at FROM users WHERE token = $1 AND device_id = $2', 
-                    [token, deviceId]
-                );
-            } else {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, method_preference, water_hardness, created_at FROM users WHERE token = $1', 
-                    [token]
-                );
+                return findTokenMatch(await db.all(
+                    `SELECT ${USER_COLUMNS}, token FROM users WHERE token_lookup = ? AND device_id = ?`, 
+                    [tokenLookup(token), deviceId]
+                ), token);
             }
-        } else {
-            if (deviceId) {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, method_preference, water_hardness, created_at FROM users WHERE token = ? AND device_id = ?', 
-                    [token, deviceId]
-                );
-            } else {
-                return db.get(
-                    'SELECT id, username, device_id, grinder_preference, method_preference, water_hardness, created_at FROM users WHERE token = ?', 
-                    [token]
-                );
-            }
-        }
-    },
+            return findTokenMatch(await db.all(
+                `SELECT ${USER_COLUMNS}, token FROM users WHERE token_lookup = ?`, 
+                [tokenLookup(token)]
+            ), token);
+        },
     
-    /**
-     * Create new user mit device binding und defaults
-     */
-    async createUser(username, token, deviceId, deviceInfo) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            const result = await db.get(
-                `INSERT INTO users (username, token, device_id, device_info, grinder_preference, method_preference, last_login_at) 
-                 VALUES ($1, $2, $3, $4, 'fellow_gen2', 'v60', CURRENT_TIMESTAMP) 
-                 RETURNING id`,
-                [username, token, deviceId, deviceInfo]
+        async getUserById(userId) {
+            const db = getDb();
+            return db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+        },
+
+        /**
+         * Create new user mit device binding und defaults
+         */
+        async createUser(username, token, deviceId, deviceInfo) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO users (username, token, token_lookup, device_id, device_info, grinder_preference, method_preference, last_login_at) 
+                 VALUES (?, ?, ?, ?, ?, 'fellow_gen2', 'v60', CURRENT_TIMESTAMP)`,
+                [username, await hashToken(token), tokenLookup(token), deviceId, deviceInfo]
             );
-            return result.id;
-        } else {
-            const result = await db.run(
-                `INSERT INTO users (username, token, device_id, device_info, grinder_preference, method_preference, last_login_at) 
-                 VALUES (?, ?, ?, ?, 'fellow_gen2', 'v60', CURRENT_TIMESTAMP)`,
-                [username, token, deviceId, deviceInfo]
+        },
+
+        /**
+         * Replace a user's token – the old one stops working at once
+         * @returns {Promise<Object>} the swap, for restoreUserToken if the new token cannot be mailed
+         */
+        async updateUserToken(userId, token) {
+            const db = getDb();
+            const previous = await db.get('SELECT token, token_lookup FROM users WHERE id = ?', [userId]);
+            const replacement = await hashToken(token);
+            await db.run(
+                'UPDATE users SET token = ?, token_lookup = ? WHERE id = ?',
+                [replacement, tokenLookup(token), userId]
             );
-            return result.lastID;
-        }
-    },
-    
-    /**
-     * Update grinder preference
-     */
-    async updateGrinderPreference(userId, grinder) {
-        if (!VALID_GRINDERS.includes(grinder)) {
-            throw new Error(`Invalid grinder: ${grinder}`);
-        }
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
+            return { ...previous, replacement };
+        },
+
+        /**
+         * Undo updateUserToken – only while the user still holds the replacement
+         */
+        async restoreUserToken(userId, swap) {
+            const db = getDb();
             await db.run(
-                'UPDATE users SET grinder_preference = $1 WHERE id = $2',
-                [grinder, userId]
+                'UPDATE users SET token = ?, token_lookup = ? WHERE id = ? AND token = ?',
+                [swap.token, swap.token_lookup, userId, swap.replacement]
             );
-        } else {
+        },
+    
+        /**
+         * Update grinder preference
+         */
+        async updateGrinderPreference(userId, grinder) {
+            if (!VALID_GRINDERS.includes(grinder) && !CUSTOM_KEY_PATTERN.test(grinder)) {
+                throw new Error(`Invalid grinder: ${grinder}`);
+            }
+            const db = getDb();
             await db.run(
                 'UPDATE users SET grinder_preference = ? WHERE id = ?',
                 [grinder, userId]
             );
-        }
-    },
+        },
     
-    /**
-     * Get grinder preference
-     */
-    async getGrinderPreference(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT grinder_preference FROM users WHERE id = $1',
-                [userId]
-            );
-            return result?.grinder_preference || 'fellow_gen2';
-        } else {
+        /**
+         * Get grinder preference
+         */
+        async getGrinderPreference(userId) {
+            const db = getDb();
             const result = await db.get(
                 'SELECT grinder_preference FROM users WHERE id = ?',
                 [userId]
             );
             return result?.grinder_preference || 'fellow_gen2';
-        }
-    },
-
-    /**
-     * Update method preference
-     */
-    async updateMethodPreference(userId, method) {
-        if (!VALID_METHODS.includes(method)) {
-            throw new Error(`Invalid method: ${method}`);
-        }
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET method_preference = $1 WHERE id = $2',
-                [method, userId]
-            );
-        } else {
+        },
+
+        /**
+         * Update method preference
+         */
+        async updateMethodPreference(userId, method) {
+            if (!VALID_METHODS.includes(method) && !CUSTOM_KEY_PATTERN.test(method)) {
+                throw new Error(`Invalid method: ${method}`);
+            }
+            const db = getDb();
             await db.run(
                 'UPDATE users SET method_preference = ? WHERE id = ?',
                 [method, userId]
             );
-        }
-    },
-
-    /**
-     * Get method preference
-     */
-    async getMethodPreference(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT method_preference FROM users WHERE id = $1',
-                [userId]
-            );
-            return result?.method_preference || 'v60';
-        } else {
+        },
+
+        /**
+         * Get method preference
+         */
+        async getMethodPreference(userId) {
+            const db = getDb();
             const result = await db.get(
                 'SELECT method_preference FROM users WHERE id = ?',
                 [userId]
             );
             return result?.method_preference || 'v60';
-        }
-    },
+        },
     
-    /**
-     * Update water hardness
-     */
-    async updateWaterHardness(userId, waterHardness) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET water_hardness = $1 WHERE id = $2',
-                [waterHardness, userId]
-            );
-        } else {
+        /**
+         * Update water hardness
+         */
+        async updateWaterHardness(userId, waterHardness) {
+            const db = getDb();
             await db.run(
                 'UPDATE users SET water_hardness = ? WHERE id = ?',
                 [waterHardness, userId]
             );
-        }
-    },
+        },
     
-    /**
-     * Get water hardness
-     */
-    async getWaterHardness(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT water_hardness FROM users WHERE id = $1',
-                [userId]
-            );
-            return result?.water_hardness || null;
-        } else {
+        /**
+         * Get water hardness
+         */
+        async getWaterHardness(userId) {
+            const db = getDb();
             const result = await db.get(
                 'SELECT water_hardness FROM users WHERE id = ?',
                 [userId]
             );
-            return result?.water_hardness || null;
-        }
-    },
+            return result?.water_hardness ?? null;
+        },
     
-    /**
-     * Update last login time
-     */
-    async updateLastLogin(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
-                [userId]
-            );
-        } else {
+        /**
+         * Update last login time
+         */
+        async updateLastLogin(userId) {
+            const db = getDb();
             await db.run(
                 'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [userId]
             );
-        }
-    },
+        },
     
-    /**
-     * Check if device is already registered
-     */
-    async deviceExists(deviceId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            const result = await db.get(
-                'SELECT id FROM users WHERE device_id = $1',
-                [deviceId]
-            );
-            return !!result;
-        } else {
+        /**
+         * Check if device is already registered
+         */
+        async deviceExists(deviceId) {
+            const db = getDb();
             const result = await db.get(
                 'SELECT id FROM users WHERE device_id = ?',
                 [deviceId]
             );
             return !!result;
-        }
-    },
+        },
     
-    /**
-     * Bind device to user
-     */
-    async bindDevice(userId, deviceId, deviceInfo) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            await db.run(
-                'UPDATE users SET device_id = $1, device_info = $2, last_login_at = CURRENT_TIMESTAMP WHERE id = $3',
-                [deviceId, deviceInfo, userId]
-            );
-        } else {
+        /**
+         * Bind device to user
+         */
+        async bindDevice(userId, deviceId, deviceInfo) {
+            const db = getDb();
             await db.run(
                 'UPDATE users SET device_id = ?, device_info = ?, last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
                 [deviceId, deviceInfo, userId]
             );
-        }
-    },
+        },
     
-    async getUserCount() {
-        const db = getDatabase();
-        const result = await db.get('SELECT COUNT(*) as count FROM users');
-        return result.count;
-    },
+        async getUserCount() {
+            const db = getDb();
+            const result = await db.get('SELECT COUNT(*) as count FROM users');
+            return Number(result.count);
+        },
     
-    async usernameExists(username) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
+        async usernameExists(username) {
+            const db = getDb();
             const result = await db.get(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER($1)', 
+                'SELECT id FROM users WHERE LOWER(username) = LOWER(?)', 
                 [username]
             );
             return !!result;
-        } else {
+        },
+    
+        /**
+         * Get a user's coffees, newest first.
+         * Rows keep the { id, coffee_uid, data, method, created_at } shape – data is the
+         * reassembled coffee JSON (columns + leftover fields + feedback history).
+         * Rows also carry the sync metadata: revision, change_seq, updated_at, removed_at.
+         * Optional filters: coffeeUid, origin, process, roaster (matches roaster or roastery),
+         * favorite (boolean), roastDateFrom / roastDateTo (YYYY-MM-DD, inclusive),
+         * changedSince (change_seq cursor), includeRemoved (also return tombstones).
+         */
+        async getUserCoffees(userId, filters = {}) {
+            const db = getDb();
+            const where = ['user_id = ?'];
+            const params = [userId];
+
+            if (!filters.includeRemoved) {
+                where.push('removed_at IS NULL');
+            }
+            if (filters.changedSince !== undefined) {
+                where.push('change_seq > ?');
+                params.push(filters.changedSince);
+            }
+            if (filters.coffeeUid !== undefined) {
+                where.push('coffee_uid = ?');
+                params.push(String(filters.coffeeUid));
+            }
+            if (filters.origin) {
+                where.push('LOWER(origin) = LOWER(?)');
+                params.push(filters.origin);
+            }
+            if (filters.process) {
+                where.push('process = ?');
+                params.push(String(filters.process).toLowerCase());
+            }
+            if (filters.roaster) {
+                where.push('(LOWER(roaster) = LOWER(?) OR LOWER(roastery) = LOWER(?))');
+                params.push(filters.roaster, filters.roaster);
+            }
+            if (filters.favorite === true) {
+                where.push('favorite = ?');
+                params.push(true);
+            } else if (filters.favorite === false) {
+                where.push('(favorite IS NULL OR favorite = ?)');
+                params.push(false);
+            }
+            if (filters.roastDateFrom) {
+                where.push('roast_date >= ?');
+                params.push(filters.roastDateFrom);
+            }
+            if (filters.roastDateTo) {
+                where.push('roast_date <= ?');
+                params.push(filters.roastDateTo);
+            }
+
+            const rows = await db.all(
+                `SELECT id, coffee_uid, data, method, created_at, revision, change_seq, updated_at, removed_at,
+                        ${COFFEE_COLUMN_NAMES.join(', ')}
+                 FROM coffees WHERE ${where.join(' AND ')} ORDER BY created_at DESC`,
+                params
+            );
+            if (rows.length === 0) return [];
+
+            const historyRows = await db.all(
+                `SELECT coffee_id, ${HISTORY_COLUMN_NAMES.join(', ')} FROM coffee_feedback_history
+                 WHERE coffee_id IN (${placeholders(rows)}) ORDER BY coffee_id, position`,
+                rows.map(r => r.id)
+            );
+            const historyByCoffee = new Map();
+            for (const h of historyRows) {
+                const key = Number(h.coffee_id);
+                if (!historyByCoffee.has(key)) historyByCoffee.set(key, []);
+                historyByCoffee.get(key).push(h);
+            }
+
+            return rows.map(row => ({
+                id: row.id,
+                coffee_uid: row.coffee_uid,
+                data: JSON.stringify(fromCoffeeRecord(row, historyByCoffee.get(Number(row.id)))),
+                method: row.method,
+                created_at: row.created_at,
+                revision: Number(row.revision),
+                change_seq: Number(row.change_seq),
+                updated_at: row.updated_at,
+                removed_at: row.removed_at
+            }));
+        },
+
+        /**
+         * Current change cursor for a user's coffees (0 = nothing synced yet)
+         * With lock, PostgreSQL holds the user row until the transaction ends, so no
+         * other write can move the cursor between this check and the caller's writes
+         */
+        async getCoffeeCursor(userId, { lock = false } = {}) {
+            const db = getDb();
+            const forUpdate = lock && dbType === 'postgresql' ? ' FOR UPDATE' : '';
+            const result = await db.get(`SELECT coffee_change_seq FROM users WHERE id = ?${forUpdate}`, [userId]);
+            return Number(result?.coffee_change_seq || 0);
+        },
+
+        /**
+         * Claim the next change_seq for a user. The row lock on users serializes
+         * concurrent writers per user, so cursors are committed in order.
+         */
+        async nextCoffeeChangeSeq(userId) {
+            const db = getDb();
             const result = await db.get(
-                'SELECT id FROM users WHERE LOWER(username) = LOWER(?)', 
-                [username]
+                'UPDATE users SET coffee_change_seq = coffee_change_seq + 1 WHERE id = ? RETURNING coffee_change_seq',
+                [userId]
             );
-            return !!result;
-        }
-    },
+            if (!result) {
+                throw new Error(`User ${userId} not found`);
+            }
+            return Number(result.coffee_change_seq);
+        },
     
-    async getUserCoffees(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
+        /**
+         * Upsert a coffee by (user_id, coffee_uid).
+         * data is the coffee object (or its JSON string); known fields go to columns,
+         * feedback history to coffee_feedback_history, the rest stays in coffees.data.
+         * keepSavedAt: a change the server made on its own (e.g. grind re-expression) keeps
+         * created_at (savedAt) – the revision is still bumped so clients sync it.
+         */
+        async saveCoffee(userId, coffeeUid, data, method = 'v60', { keepSavedAt = false } = {}) {
+            const coffee = typeof data === 'string' ? JSON.parse(data) : data;
+            const { columns, extras, history } = toCoffeeRecord(coffee);
+            const columnValues = COFFEE_COLUMN_NAMES.map(c => columns[c]);
+
+            return inTransaction(getDb(), async (tx) => {
+                const changeSeq = await tx.queries.nextCoffeeChangeSeq(userId);
+                const row = await tx.get(
+                    `INSERT INTO coffees (user_id, coffee_uid, data, method, revision, change_seq, updated_at, ${COFFEE_COLUMN_NAMES.join(', ')})
+                     VALUES (?, ?, ?, ?, 1, ?, CURRENT_TIMESTAMP, ${placeholders(COFFEE_COLUMN_NAMES)})
+                     ON CONFLICT(user_id, coffee_uid)
+                     DO UPDATE SET data = excluded.data, method = excluded.method,
+                        created_at = ${keepSavedAt ? 'coffees.created_at' : 'CURRENT_TIMESTAMP'},
+                        revision = coffees.revision + 1, change_seq = excluded.change_seq,
+                        updated_at = CURRENT_TIMESTAMP, removed_at = NULL,
+                        ${COFFEE_COLUMN_NAMES.map(c => `${c} = excluded.${c}`).join(', ')}
+                     RETURNING id`,
+                    [userId, coffeeUid, JSON.stringify(extras), method, changeSeq, ...columnValues]
+                );
+
+                await tx.run('DELETE FROM coffee_feedback_history WHERE coffee_id = ?', [row.id]);
+                for (const [position, entry] of history.entries()) {
+                    await tx.run(
+                        `INSERT INTO coffee_feedback_history (coffee_id, position, ${HISTORY_COLUMN_NAMES.join(', ')})
+                         VALUES (?, ?, ${placeholders(HISTORY_COLUMN_NAMES)})`,
+                        [row.id, position, ...HISTORY_COLUMN_NAMES.map(c => entry[c])]
+                    );
+                }
+
+                return row.id;
+            });
+        },
+
+        /**
+         * Get one coffee by its stable uid (same row shape as getUserCoffees) or null
+         */
+        async getUserCoffee(userId, coffeeUid) {
+            const rows = await helpers.getUserCoffees(userId, { coffeeUid });
+            return rows[0] || null;
+        },
+
+        /**
+         * Tombstone one coffee by its stable uid – returns true if a live coffee was removed.
+         * The row stays (removed_at set, revision bumped) so delta sync can report the deletion.
+         */
+        async deleteCoffee(userId, coffeeUid) {
+            return inTransaction(getDb(), async (tx) => {
+                const live = await tx.get(
+                    'SELECT id FROM coffees WHERE user_id = ? AND coffee_uid = ? AND removed_at IS NULL',
+                    [userId, coffeeUid]
+                );
+                if (!live) return false;
+
+                const changeSeq = await tx.queries.nextCoffeeChangeSeq(userId);
+                const result = await tx.run(
+                    `UPDATE coffees
+                     SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+                         revision = revision + 1, change_seq = ?
+                     WHERE user_id = ? AND coffee_uid = ? AND removed_at IS NULL`,
+                    [changeSeq, userId, coffeeUid]
+                );
+                return result.changes > 0;
+            });
+        },
+
+        /**
+         * Tombstone every live coffee of a user except keepCoffeeUids
+         */
+        async replaceUserCoffees(userId, keepCoffeeUids = []) {
+            const keep = Array.isArray(keepCoffeeUids) ? keepCoffeeUids : [];
+            const keepClause = keep.length > 0 ? `AND coffee_uid NOT IN (${placeholders(keep)})` : '';
+
+            await inTransaction(getDb(), async (tx) => {
+                const changeSeq = await tx.queries.nextCoffeeChangeSeq(userId);
+                await tx.run(
+                    `UPDATE coffees
+                     SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+                         revision = revision + 1, change_seq = ?
+                     WHERE user_id = ? AND removed_at IS NULL ${keepClause}`,
+                    [changeSeq, userId, ...keep]
+                );
+            });
+        },
+    
+        async deleteUserCoffees(userId) {
+            await helpers.replaceUserCoffees(userId, []);
+        },
+
+        // ── Brew Log ─────────────────────────────────────
+
+        /**
+         * Log one brew
+         * @param {Object} brew - column values (see BREW_COLUMNS), brewed_at as ISO string
+         * @returns {Promise<number>} new brew id
+         */
+        async logBrew(userId, brew) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO brews (user_id, ${BREW_COLUMNS.join(', ')})
+                 VALUES (?, ${placeholders(BREW_COLUMNS)})`,
+                [userId, ...BREW_COLUMNS.map(c => brew[c] ?? null)]
+            );
+        },
+
+        /**
+         * Brews of a user, newest first
+         * @param {Object} filters - { coffeeUid, from, to (ISO, `to` exclusive), limit, offset }
+         */
+        async getUserBrews(userId, filters = {}) {
+            const db = getDb();
+            const { where, params } = brewFilters(userId, filters);
+            const limit = filters.limit ?? 50;
+            const offset = filters.offset ?? 0;
+
             return db.all(
-                'SELECT id, coffee_uid, data, method, created_at FROM coffees WHERE user_id = $1 ORDER BY created_at DESC',
+                `SELECT id, ${BREW_COLUMNS.join(', ')}, created_at FROM brews
+                 WHERE ${where} ORDER BY brewed_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+        },
+
+        async countUserBrews(userId, filters = {}) {
+            const db = getDb();
+            const { where, params } = brewFilters(userId, filters);
+            const result = await db.get(`SELECT COUNT(*) AS count FROM brews WHERE ${where}`, params);
+            return Number(result.count);
+        },
+
+        async getUserBrew(userId, brewId) {
+            const db = getDb();
+            return db.get(
+                `SELECT id, ${BREW_COLUMNS.join(', ')}, created_at FROM brews WHERE user_id = ? AND id = ?`,
+                [userId, brewId]
+            );
+        },
+
+        async deleteBrew(userId, brewId) {
+            const db = getDb();
+            const result = await db.run('DELETE FROM brews WHERE user_id = ? AND id = ?', [userId, brewId]);
+            return result.changes > 0;
+        },
+
+        // ── Custom Equipment ────────────────────────────
+
+        async getCustomGrinders(userId) {
+            const db = getDb();
+            return db.all(
+                `SELECT id, ${CUSTOM_GRINDER_COLUMNS.join(', ')}, created_at FROM custom_grinders
+                 WHERE user_id = ? ORDER BY id`,
                 [userId]
             );
-        } else {
+        },
+
+        /**
+         * @param {Object} grinder - column values (see CUSTOM_GRINDER_COLUMNS)
+         * @returns {Promise<number>} new grinder id
+         */
+        async createCustomGrinder(userId, grinder) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO custom_grinders (user_id, ${CUSTOM_GRINDER_COLUMNS.join(', ')})
+                 VALUES (?, ${placeholders(CUSTOM_GRINDER_COLUMNS)})`,
+                [userId, ...CUSTOM_GRINDER_COLUMNS.map(c => grinder[c])]
+            );
+        },
+
+        async deleteCustomGrinder(userId, grinderId) {
+            const db = getDb();
+            const result = await db.run('DELETE FROM custom_grinders WHERE user_id = ? AND id = ?', [userId, grinderId]);
+            return result.changes > 0;
+        },
+
+        async getCustomMethods(userId) {
+            const db = getDb();
             return db.all(
-                'SELECT id, coffee_uid, data, method, created_at FROM coffees WHERE user_id = ? ORDER BY created_at DESC',
+                `SELECT id, ${CUSTOM_METHOD_COLUMNS.join(', ')}, created_at FROM custom_methods
+                 WHERE user_id = ? ORDER BY id`,
                 [userId]
             );
-        }
-    },
-    
-    async saveCoffee(userId, coffeeUid, data, method = 'v60') {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
+        },
+
+        /**
+         * @param {Object} method - column values (see CUSTOM_METHOD_COLUMNS)
+         * @returns {Promise<number>} new method id
+         */
+        async createCustomMethod(userId, method) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO custom_methods (user_id, ${CUSTOM_METHOD_COLUMNS.join(', ')})
+                 VALUES (?, ${placeholders(CUSTOM_METHOD_COLUMNS)})`,
+                [userId, ...CUSTOM_METHOD_COLUMNS.map(c => method[c])]
+            );
+        },
+
+        async deleteCustomMethod(userId, methodId) {
+            const db = getDb();
+            const result = await db.run('DELETE FROM custom_methods WHERE user_id = ? AND id = ?', [userId, methodId]);
+            return result.changes > 0;
+        },
+
+        // ── Equipment Inventory ─────────────────────────
+
+        /**
+         * Equipment of a user, grouped by type, oldest first
+         * @param {string} [type] - only items of this type
+         */
+        async getUserEquipment(userId, type) {
+            const db = getDb();
+            const typeClause = type ? 'AND type = ?' : '';
+            return db.all(
+                `SELECT id, ${EQUIPMENT_COLUMNS.join(', ')}, is_default, created_at, updated_at FROM equipment
+                 WHERE user_id = ? ${typeClause} ORDER BY type, id`,
+                type ? [userId, type] : [userId]
+            );
+        },
+
+        async getEquipment(userId, equipmentId) {
+            const db = getDb();
+            return db.get(
+                `SELECT id, ${EQUIPMENT_COLUMNS.join(', ')}, is_default, created_at, updated_at FROM equipment
+                 WHERE user_id = ? AND id = ?`,
+                [userId, equipmentId]
+            );
+        },
+
+        async getDefaultEquipment(userId, type) {
+            const db = getDb();
+            return db.get(
+                `SELECT id, ${EQUIPMENT_COLUMNS.join(', ')}, is_default, created_at, updated_at FROM equipment
+                 WHERE user_id = ? AND type = ? AND is_default = ?`,
+                [userId, type, true]
+            );
+        },
+
+        async countUserEquipment(userId) {
+            const db = getDb();
+            const result = await db.get('SELECT COUNT(*) AS count FROM equipment WHERE user_id = ?', [userId]);
+            return Number(result.count);
+        },
+
+        /**
+         * Items whose model is a given catalog key (e.g. custom_3)
+         */
+        async countEquipmentWithModel(userId, type, model) {
+            const db = getDb();
             const result = await db.get(
-                `INSERT INTO coffees (user_id, coffee_uid, data, method)
-                 VALUES ($1, $2, $3, $4)
-                 ON CONFLICT(user_id, coffee_uid)
-                 DO UPDATE SET data = EXCLUDED.data, method = EXCLUDED.method, created_at = CURRENT_TIMESTAMP
-                 RETURNING id`,
-                [userId, coffeeUid, data, method]
+                'SELECT COUNT(*) AS count FROM equipment WHERE user_id = ? AND type = ? AND model = ?',
+                [userId, type, model]
             );
-            return result.id;
-        } else {
+            return Number(result.count);
+        },
+
+        /**
+         * @param {Object} item - column values (see EQUIPMENT_COLUMNS)
+         * @returns {Promise<number>} new equipment id
+         */
+        async createEquipment(userId, item) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO equipment (user_id, ${EQUIPMENT_COLUMNS.join(', ')})
+                 VALUES (?, ${placeholders(EQUIPMENT_COLUMNS)})`,
+                [userId, ...EQUIPMENT_COLUMNS.map(c => item[c] ?? null)]
+            );
+        },
+
+        async updateEquipment(userId, equipmentId, item) {
+            const db = getDb();
+            await db.run(
+                `UPDATE equipment SET name = ?, model = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND id = ?`,
+                [item.name, item.model ?? null, item.notes ?? null, userId, equipmentId]
+            );
+        },
+
+        /**
+         * Make one item the default of its type (null: no default)
+         * Clears the previous default first – run inside a transaction.
+         */
+        async setDefaultEquipment(userId, type, equipmentId) {
+            const db = getDb();
+            await db.run(
+                'UPDATE equipment SET is_default = ? WHERE user_id = ? AND type = ? AND is_default = ?',
+                [false, userId, type, true]
+            );
+            if (equipmentId !== null) {
+                await db.run(
+                    'UPDATE equipment SET is_default = ? WHERE user_id = ? AND type = ? AND id = ?',
+                    [true, userId, type, equipmentId]
+                );
+            }
+        },
+
+        async deleteEquipment(userId, equipmentId) {
+            const db = getDb();
+            const result = await db.run('DELETE FROM equipment WHERE user_id = ? AND id = ?', [userId, equipmentId]);
+            return result.changes > 0;
+        },
+
+        // ── Water Profiles ──────────────────────────────
+
+        async getWaterProfiles(userId) {
+            const db = getDb();
+            return db.all(
+                `SELECT id, ${WATER_PROFILE_COLUMNS.join(', ')}, is_active, created_at, updated_at FROM water_profiles
+                 WHERE user_id = ? ORDER BY id`,
+                [userId]
+            );
+        },
+
+        async getWaterProfile(userId, profileId) {
+            const db = getDb();
+            return db.get(
+                `SELECT id, ${WATER_PROFILE_COLUMNS.join(', ')}, is_active, created_at, updated_at FROM water_profiles
+                 WHERE user_id = ? AND id = ?`,
+                [userId, profileId]
+            );
+        },
+
+        async getActiveWaterProfile(userId) {
+            const db = getDb();
+            return db.get(
+                `SELECT id, ${WATER_PROFILE_COLUMNS.join(', ')}, is_active, created_at, updated_at FROM water_profiles
+                 WHERE user_id = ? AND is_active = ?`,
+                [userId, true]
+            );
+        },
+
+        /**
+         * @param {Object} profile - column values (see WATER_PROFILE_COLUMNS)
+         * @returns {Promise<number>} new profile id
+         */
+        async createWaterProfile(userId, profile) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO water_profiles (user_id, ${WATER_PROFILE_COLUMNS.join(', ')})
+                 VALUES (?, ${placeholders(WATER_PROFILE_COLUMNS)})`,
+                [userId, ...WATER_PROFILE_COLUMNS.map(c => profile[c] ?? null)]
+            );
+        },
+
+        async updateWaterProfile(userId, profileId, profile) {
+            const db = getDb();
+            await db.run(
+                `UPDATE water_profiles SET ${WATER_PROFILE_COLUMNS.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE user_id = ? AND id = ?`,
+                [...WATER_PROFILE_COLUMNS.map(c => profile[c] ?? null), userId, profileId]
+            );
+        },
+
+        /**
+         * Make one profile the active one (null: none)
+         * Clears the previous active profile first – run inside a transaction.
+         */
+        async setActiveWaterProfile(userId, profileId) {
+            const db = getDb();
+            await db.run(
+                'UPDATE water_profiles SET is_active = ? WHERE user_id = ? AND is_active = ?',
+                [false, userId, true]
+            );
+            if (profileId !== null) {
+                await db.run(
+                    'UPDATE water_profiles SET is_active = ? WHERE user_id = ? AND id = ?',
+                    [true, userId, profileId]
+                );
+            }
+        },
+
+        async deleteWaterProfile(userId, profileId) {
+            const db = getDb();
+            const result = await db.run('DELETE FROM water_profiles WHERE user_id = ? AND id = ?', [userId, profileId]);
+            return result.changes > 0;
+        },
+
+        // ── Devices & Pairing ───────────────────────────
+
+        /**
+         * Devices of a user, newest activity first (revoked ones only with includeRevoked)
+         */
+        async getUserDevices(userId, { includeRevoked = false } = {}) {
+            const db = getDb();
+            return db.all(
+                `SELECT ${DEVICE_COLUMNS} FROM devices
+                 WHERE user_id = ?${includeRevoked ? '' : ' AND revoked_at IS NULL'}
+                 ORDER BY COALESCE(last_seen_at, created_at) DESC, id DESC`,
+                [userId]
+            );
+        },
+
+        async getDevice(userId, id) {
+            const db = getDb();
+            return db.get(`SELECT ${DEVICE_COLUMNS} FROM devices WHERE user_id = ? AND id = ?`, [userId, id]);
+        },
+
+        /**
+         * Device row by the client's device id (revoked rows included)
+         */
+        async getDeviceByDeviceId(userId, deviceId) {
+            const db = getDb();
+            return db.get(`SELECT ${DEVICE_COLUMNS} FROM devices WHERE user_id = ? AND device_id = ?`, [userId, deviceId]);
+        },
+
+        /**
+         * Lock the user's row until the transaction ends, so check-then-write on its devices
+         * (first-login binding, revoking, pairing) runs one at a time. SQLite transactions
+         * already run one at a time (runExclusive).
+         */
+        async lockUserDevices(userId) {
+            if (dbType !== 'postgresql') return;
+            const db = getDb();
+            await db.get('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+        },
+
+        async countActiveDevices(userId) {
+            const db = getDb();
+            const result = await db.get(
+                'SELECT COUNT(*) AS count FROM devices WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            return Number(result.count);
+        },
+
+        /**
+         * Register a device for a user – reactivates a revoked row for the same device id
+         * @returns {Promise<number>} device row id
+         */
+        async registerDevice(userId, deviceId, deviceInfo, name = null) {
+            const db = getDb();
+            const existing = await db.get('SELECT id FROM devices WHERE user_id = ? AND device_id = ?', [userId, deviceId]);
+            if (existing) {
+                await db.run(
+                    `UPDATE devices SET revoked_at = NULL, device_info = ?, name = COALESCE(?, name), last_seen_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [deviceInfo, name, existing.id]
+                );
+                return existing.id;
+            }
+            return db.insert(
+                `INSERT INTO devices (user_id, device_id, name, device_info, last_seen_at)
+                 VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+                [userId, deviceId, name, deviceInfo]
+            );
+        },
+
+        async touchDevice(id) {
+            const db = getDb();
+            await db.run('UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        },
+
+        async renameDevice(userId, id, name) {
+            const db = getDb();
             const result = await db.run(
-                `INSERT INTO coffees (user_id, coffee_uid, data, method)
+                'UPDATE devices SET name = ? WHERE user_id = ? AND id = ? AND revoked_at IS NULL',
+                [name, userId, id]
+            );
+            return result.changes > 0;
+        },
+
+        /**
+         * Revoke an active device – returns false if it is unknown or already revoked
+         */
+        async revokeDevice(userId, id) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id = ? AND revoked_at IS NULL',
+                [userId, id]
+            );
+            return result.changes > 0;
+        },
+
+        /**
+         * Store a new pairing code – the user's unused codes are dropped, so only the latest one works
+         */
+        async createPairingCode(userId, code, expiresAt, issuedByDevice = null) {
+            const db = getDb();
+            await db.run('DELETE FROM device_pairing_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+            return db.insert(
+                'INSERT INTO device_pairing_codes (user_id, code, expires_at, issued_by_device) VALUES (?, ?, ?, ?)',
+                [userId, code, expiresAt, issuedByDevice]
+            );
+        },
+
+        async getPairingCode(code) {
+            const db = getDb();
+            return db.get(
+                'SELECT id, user_id, code, expires_at, used_at, issued_by_device FROM device_pairing_codes WHERE code = ?',
+                [code]
+            );
+        },
+
+        /**
+         * Claim a pairing code before using it – returns false if it was redeemed in the meantime
+         */
+        async markPairingCodeUsed(id) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE device_pairing_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [id]
+            );
+            return result.changes > 0;
+        },
+
+        async setPairingCodeDevice(id, pairedDevice) {
+            const db = getDb();
+            await db.run('UPDATE device_pairing_codes SET paired_device = ? WHERE id = ?', [pairedDevice, id]);
+        },
+
+        /**
+         * Revoke every active device of a user – returns how many were revoked
+         */
+        async revokeAllDevices(userId) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE devices SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+            return result.changes;
+        },
+
+        // ── Sessions ────────────────────────────────────
+
+        async createSession(userId, deviceRowId, refreshHash, expiresAt) {
+            const db = getDb();
+            return db.insert(
+                'INSERT INTO sessions (user_id, device_id, refresh_hash, expires_at) VALUES (?, ?, ?, ?)',
+                [userId, deviceRowId, refreshHash, expiresAt]
+            );
+        },
+
+        async getSession(sessionId) {
+            const db = getDb();
+            return db.get(
+                'SELECT id, user_id, device_id, refresh_hash, expires_at, created_at, refreshed_at, revoked_at FROM sessions WHERE id = ?',
+                [sessionId]
+            );
+        },
+
+        /**
+         * Swap the refresh token hash – returns false if the stored hash is no longer oldHash
+         */
+        async rotateSessionRefresh(sessionId, oldHash, newHash, expiresAt) {
+            const db = getDb();
+            const result = await db.run(
+                `UPDATE sessions SET refresh_hash = ?, expires_at = ?, refreshed_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND refresh_hash = ? AND revoked_at IS NULL`,
+                [newHash, expiresAt, sessionId, oldHash]
+            );
+            return result.changes > 0;
+        },
+
+        /**
+         * Revoke active sessions of a user (all, one device's, or one session)
+         * @param {Object} [scope] - { deviceRowId?, sessionId? }
+         * @returns {Promise<number[]>} ids of the revoked sessions
+         */
+        async revokeSessions(userId, { deviceRowId, sessionId } = {}) {
+            const db = getDb();
+            const where = ['user_id = ?', 'revoked_at IS NULL'];
+            const params = [userId];
+            if (deviceRowId !== undefined) {
+                where.push('device_id = ?');
+                params.push(deviceRowId);
+            }
+            if (sessionId !== undefined) {
+                where.push('id = ?');
+                params.push(sessionId);
+            }
+
+            const rows = await db.all(`SELECT id FROM sessions WHERE ${where.join(' AND ')}`, params);
+            if (rows.length === 0) return [];
+            await db.run(
+                `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders(rows)})`,
+                rows.map(row => row.id)
+            );
+            return rows.map(row => Number(row.id));
+        },
+
+        // ── Account Recovery ────────────────────────────
+
+        /**
+         * User whose beta registration used this email
+         */
+        async getUserByEmail(email) {
+            const db = getDb();
+            return db.get(
+                `SELECT ${USER_COLUMNS.split(', ').map(c => `u.${c}`).join(', ')} FROM users u
+                 JOIN registrations r ON r.user_id = u.id
+                 WHERE r.email = ?`,
+                [email]
+            );
+        },
+
+        /**
+         * Email of the beta registration a user signed up with (null for accounts from before registrations)
+         */
+        async getUserEmail(userId) {
+            const db = getDb();
+            const result = await db.get('SELECT email FROM registrations WHERE user_id = ?', [userId]);
+            return result?.email ?? null;
+        },
+
+        async createRecoveryCode(userId, codeHash, expiresAt) {
+            const db = getDb();
+            return db.insert(
+                'INSERT INTO account_recovery_codes (user_id, code_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, codeHash, expiresAt]
+            );
+        },
+
+        /**
+         * Drop a recovery code whose mail could not be sent
+         */
+        async deleteRecoveryCode(id) {
+            const db = getDb();
+            await db.run('DELETE FROM account_recovery_codes WHERE id = ? AND used_at IS NULL', [id]);
+        },
+
+        /**
+         * Recovery codes of a user that expire after the given time (ISO) – used for the mail throttle
+         */
+        async countRecoveryCodesExpiringAfter(userId, expiresAfter) {
+            const db = getDb();
+            const result = await db.get(
+                'SELECT COUNT(*) AS count FROM account_recovery_codes WHERE user_id = ? AND expires_at > ?',
+                [userId, expiresAfter]
+            );
+            return Number(result.count);
+        },
+
+        async getRecoveryCode(codeHash) {
+            const db = getDb();
+            return db.get(
+                'SELECT id, user_id, expires_at, used_at FROM account_recovery_codes WHERE code_hash = ?',
+                [codeHash]
+            );
+        },
+
+        /**
+         * Claim a recovery code before using it and void the user's other open codes
+         * @returns {Promise<boolean>} false if it was redeemed in the meantime
+         */
+        async markRecoveryCodeUsed(id, userId) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE account_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                [id]
+            );
+            if (result.changes === 0) return false;
+            await db.run('DELETE FROM account_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+            return true;
+        },
+
+        async setRecoveryCodeDevice(id, pairedDevice) {
+            const db = getDb();
+            await db.run('UPDATE account_recovery_codes SET paired_device = ? WHERE id = ?', [pairedDevice, id]);
+        },
+
+        // ── Audit Log ───────────────────────────────────
+
+        /**
+         * @param {Object} event - { actorType: 'user'|'admin'|'system'|'anonymous', actorId?, action,
+         *                           entityType?, entityId?, before?, after?, details?, ip? }
+         */
+        async createAuditEvent(event) {
+            const db = getDb();
+            return db.insert(
+                `INSERT INTO audit_events
+                    (actor_type, actor_id, action, entity_type, entity_id, before_state, after_state, details, ip, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    event.actorType,
+                    event.actorId ?? null,
+                    event.action,
+                    event.entityType ?? null,
+                    event.entityId === undefined || event.entityId === null ? null : String(event.entityId),
+                    event.before ? JSON.stringify(event.before) : null,
+                    event.after ? JSON.stringify(event.after) : null,
+                    event.details ? JSON.stringify(event.details) : null,
+                    event.ip ?? null,
+                    new Date().toISOString()
+                ]
+            );
+        },
+
+        /**
+         * Audit events, newest first
+         * @param {Object} [filters] - { actorType?, actorId?, action?, entityType?, entityId?, from?, to?, limit?, offset? }
+         */
+        async getAuditEvents(filters = {}) {
+            const db = getDb();
+            const { where, params } = auditEventFilters(filters);
+            return db.all(
+                `SELECT id, actor_type, actor_id, action, entity_type, entity_id, before_state, after_state, details, ip, created_at
+                 FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, filters.limit ?? 50, filters.offset ?? 0]
+            );
+        },
+
+        async countAuditEvents(filters = {}) {
+            const db = getDb();
+            const { where, params } = auditEventFilters(filters);
+            const result = await db.get(`SELECT COUNT(*) AS count FROM audit_events ${where}`, params);
+            return Number(result.count);
+        },
+
+        // ── Brute-force Protection ──────────────────────
+
+        async getAuthFailure(scope, subject) {
+            const db = getDb();
+            return db.get(
+                'SELECT id, scope, subject, failures, last_failure_at, locked_until FROM auth_failures WHERE scope = ? AND subject = ?',
+                [scope, subject]
+            );
+        },
+
+        /**
+         * Count one failure in a single statement, so parallel attempts cannot overwrite each other.
+         * A counter whose last failure is not after windowStart starts again at 1.
+         * @returns {Promise<number>} failures including this one
+         */
+        async incrementAuthFailure(scope, subject, failedAt, windowStart) {
+            const db = getDb();
+            const row = await db.get(
+                `INSERT INTO auth_failures (scope, subject, failures, last_failure_at)
+                 VALUES (?, ?, 1, ?)
+                 ON CONFLICT(scope, subject)
+                 DO UPDATE SET failures = CASE WHEN auth_failures.last_failure_at > ? THEN auth_failures.failures + 1 ELSE 1 END,
+                    last_failure_at = excluded.last_failure_at
+                 RETURNING failures`,
+                [scope, subject, failedAt, windowStart]
+            );
+            return Number(row.failures);
+        },
+
+        /**
+         * Lock a counter until lockedUntil – an existing later lock is kept
+         */
+        async lockAuthFailure(scope, subject, lockedUntil) {
+            const db = getDb();
+            await db.run(
+                `UPDATE auth_failures
+                 SET locked_until = CASE WHEN locked_until IS NULL OR locked_until < ? THEN ? ELSE locked_until END
+                 WHERE scope = ? AND subject = ?`,
+                [lockedUntil, lockedUntil, scope, subject]
+            );
+        },
+
+        async clearAuthFailure(scope, subject) {
+            const db = getDb();
+            await db.run('DELETE FROM auth_failures WHERE scope = ? AND subject = ?', [scope, subject]);
+        },
+
+        /**
+         * created_at is written as an ISO string so the admin date filters compare alike on both databases
+         */
+        async createSecurityEvent(event) {
+            const db = getDb();
+            return db.insert(
+                'INSERT INTO security_events (type, ip, device_id, user_id, details, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [
+                    event.type,
+                    event.ip ?? null,
+                    event.deviceId ?? null,
+                    event.userId ?? null,
+                    event.details ? JSON.stringify(event.details) : null,
+                    new Date().toISOString()
+                ]
+            );
+        },
+
+        /**
+         * Security events, newest first
+         * @param {Object} [filters] - { type?, ip?, deviceId?, userId?, from?, to?, limit?, offset? }
+         */
+        async getSecurityEvents(filters = {}) {
+            const db = getDb();
+            const { where, params } = securityEventFilters(filters);
+            return db.all(
+                `SELECT id, type, ip, device_id, user_id, details, created_at FROM security_events
+                 ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, filters.limit ?? 50, filters.offset ?? 0]
+            );
+        },
+
+        async countSecurityEvents(filters = {}) {
+            const db = getDb();
+            const { where, params } = securityEventFilters(filters);
+            const result = await db.get(`SELECT COUNT(*) AS count FROM security_events ${where}`, params);
+            return Number(result.count);
+        },
+
+        // ── Admin Accounts ──────────────────────────────
+
+        async getAdmins() {
+            const db = getDb();
+            return db.all(`SELECT ${ADMIN_COLUMNS} FROM admin_users ORDER BY created_at, id`);
+        },
+
+        async getAdmin(id) {
+            const db = getDb();
+            return db.get(`SELECT ${ADMIN_COLUMNS} FROM admin_users WHERE id = ?`, [id]);
+        },
+
+        async getAdminByUsername(username) {
+            const db = getDb();
+            return db.get(`SELECT ${ADMIN_COLUMNS}, password_hash FROM admin_users WHERE username = ?`, [username]);
+        },
+
+        async getAdminPasswordHash(id) {
+            const db = getDb();
+            const result = await db.get('SELECT password_hash FROM admin_users WHERE id = ?', [id]);
+            return result?.password_hash ?? null;
+        },
+
+        /**
+         * Active owners – with lock, PostgreSQL locks their rows until the transaction ends,
+         * so two owners demoting each other at once cannot both pass the last-owner check
+         * (SQLite transactions already run one at a time)
+         */
+        async countActiveOwners({ lock = false } = {}) {
+            const db = getDb();
+            if (lock && dbType === 'postgresql') {
+                const rows = await db.all(
+                    `SELECT id FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL FOR UPDATE`
+                );
+                return rows.length;
+            }
+            const result = await db.get(
+                `SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner' AND disabled_at IS NULL`
+            );
+            return Number(result.count);
+        },
+
+        /**
+         * Create admin – returns the new id, or null if the username is taken
+         */
+        async createAdmin(username, role, passwordHash, createdBy = null) {
+            const db = getDb();
+            const result = await db.get(
+                `INSERT INTO admin_users (username, role, password_hash, created_by)
                  VALUES (?, ?, ?, ?)
-                 ON CONFLICT(user_id, coffee_uid)
-                 DO UPDATE SET data = excluded.data, method = excluded.method, created_at = CURRENT_TIMESTAMP`,
-                [userId, coffeeUid, data, method]
+                 ON CONFLICT (username) DO NOTHING
+                 RETURNING id`,
+                [username, role, passwordHash, createdBy]
             );
-            return result.lastID;
-        }
-    },
-
-    async replaceUserCoffees(userId, keepCoffeeUids = []) {
-        const db = getDatabase();
-        if (!Array.isArray(keepCoffeeUids) || keepCoffeeUids.length === 0) {
-            if (dbType === 'postgresql') {
-                await db.run('DELETE FROM coffees WHERE user_id = $1', [userId]);
-            } else {
-                await db.run('DELETE FROM coffees WHERE user_id = ?', [userId]);
+            return result ? result.id : null;
+        },
+
+        async setAdminRole(id, role) {
+            const db = getDb();
+            await db.run('UPDATE admin_users SET role = ? WHERE id = ?', [role, id]);
+        },
+
+        async setAdminPassword(id, passwordHash) {
+            const db = getDb();
+            await db.run('UPDATE admin_users SET password_hash = ? WHERE id = ?', [passwordHash, id]);
+        },
+
+        async setAdminDisabled(id, disabled) {
+            const db = getDb();
+            await db.run(
+                `UPDATE admin_users SET disabled_at = ${disabled ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`,
+                [id]
+            );
+        },
+
+        async touchAdminLogin(id) {
+            const db = getDb();
+            await db.run('UPDATE admin_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+        },
+
+        async createAdminToken(adminId, tokenHash, expiresAt) {
+            const db = getDb();
+            return db.insert(
+                'INSERT INTO admin_tokens (admin_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [adminId, tokenHash, expiresAt]
+            );
+        },
+
+        /**
+         * Admin for an unrevoked token of an enabled account (expires_at is checked by the caller)
+         */
+        async getAdminByTokenHash(tokenHash) {
+            const db = getDb();
+            return db.get(
+                `SELECT ${ADMIN_COLUMNS.split(', ').map(c => `a.${c}`).join(', ')}, t.id AS token_id, t.expires_at
+                 FROM admin_tokens t
+                 JOIN admin_users a ON a.id = t.admin_id
+                 WHERE t.token_hash = ? AND t.revoked_at IS NULL AND a.disabled_at IS NULL`,
+                [tokenHash]
+            );
+        },
+
+        async touchAdminToken(tokenId) {
+            const db = getDb();
+            await db.run('UPDATE admin_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [tokenId]);
+        },
+
+        /**
+         * Revoke an admin's tokens – one ({ tokenId }), all but one ({ exceptTokenId }) or all
+         * @returns {Promise<number>} how many were revoked
+         */
+        async revokeAdminTokens(adminId, { tokenId, exceptTokenId } = {}) {
+            const db = getDb();
+            const where = ['admin_id = ?', 'revoked_at IS NULL'];
+            const params = [adminId];
+            if (tokenId !== undefined) {
+                where.push('id = ?');
+                params.push(tokenId);
             }
-            return;
-        }
+            if (exceptTokenId !== undefined) {
+                where.push('id <> ?');
+                params.push(exceptTokenId);
+            }
+            const result = await db.run(
+                `UPDATE admin_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE ${where.join(' AND ')}`,
+                params
+            );
+            return result.changes;
+        },
 
-        if (dbType === 'postgresql') {
-            await db.run('DELETE FROM coffees WHERE user_id = $1 AND coffee_uid <> ALL($2::text[])', [userId, keepCoffeeUids]);
-        } else {
-            const placeholders = keepCoffeeUids.map(() => '?').join(', ');
-            await db.run(`DELETE FROM coffees WHERE user_id = ? AND coffee_uid NOT IN (${placeholders})`, [userId, ...keepCoffeeUids]);
-        }
-    },
-    
-    async deleteUserCoffees(userId) {
-        const db = getDatabase();
-        if (dbType === 'postgresql') {
-            await db.run('DELETE FROM coffees WHERE user_id = $1', [userId]);
-        } else {
-            await db.run('DELETE FROM coffees WHERE user_id = ?', [userId]);
+        // ── Admin: Users ────────────────────────────────
+
+        /**
+         * Users for the admin list, newest first, with coffee and active device counts
+         * @param {Object} [filters] - { search?, status?: 'active'|'suspended', limit?, offset? }
+         */
+        async getAdminUsers(filters = {}) {
+            const db = getDb();
+            const { where, params } = adminUserFilters(filters);
+            return db.all(
+                `SELECT ${ADMIN_USER_COLUMNS},
+                    (SELECT COUNT(*) FROM coffees c WHERE c.user_id = u.id AND c.removed_at IS NULL) AS coffee_count,
+                    (SELECT COUNT(*) FROM devices d WHERE d.user_id = u.id AND d.revoked_at IS NULL) AS active_devices
+                 FROM users u
+                 LEFT JOIN registrations r ON r.user_id = u.id
+                 ${where}
+                 ORDER BY u.created_at DESC, u.id DESC LIMIT ? OFFSET ?`,
+                [...params, filters.limit ?? 50, filters.offset ?? 0]
+            );
+        },
+
+        async countAdminUsers(filters = {}) {
+            const db = getDb();
+            const { where, params } = adminUserFilters(filters);
+            const result = await db.get(
+                `SELECT COUNT(*) AS count FROM users u LEFT JOIN registrations r ON r.user_id = u.id ${where}`,
+                params
+            );
+            return Number(result.count);
+        },
+
+        async getAdminUser(userId) {
+            const db = getDb();
+            return db.get(
+                `SELECT ${ADMIN_USER_COLUMNS} FROM users u LEFT JOIN registrations r ON r.user_id = u.id WHERE u.id = ?`,
+                [userId]
+            );
+        },
+
+        /**
+         * How much data an account holds (admin detail view)
+         */
+        async getUserDataCounts(userId) {
+            const db = getDb();
+            const row = await db.get(
+                `SELECT
+                    (SELECT COUNT(*) FROM coffees WHERE user_id = ? AND removed_at IS NULL) AS coffees,
+                    (SELECT COUNT(*) FROM brews WHERE user_id = ?) AS brews,
+                    (SELECT COUNT(*) FROM equipment WHERE user_id = ?) AS equipment,
+                    (SELECT COUNT(*) FROM water_profiles WHERE user_id = ?) AS water_profiles,
+                    (SELECT COUNT(*) FROM custom_grinders WHERE user_id = ?) AS custom_grinders,
+                    (SELECT COUNT(*) FROM custom_methods WHERE user_id = ?) AS custom_methods,
+                    (SELECT COUNT(*) FROM sessions WHERE user_id = ? AND revoked_at IS NULL) AS active_sessions`,
+                Array(7).fill(userId)
+            );
+            return Object.fromEntries(Object.entries(row).map(([key, count]) => [key, Number(count)]));
+        },
+
+        /**
+         * Suspend (suspendedAt = ISO timestamp) or unsuspend (null) an account
+         */
+        async setUserSuspension(userId, suspendedAt, reason = null) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE users SET suspended_at = ?, suspension_reason = ? WHERE id = ?',
+                [suspendedAt, suspendedAt ? reason : null, userId]
+            );
+            return result.changes > 0;
+        },
+
+        /**
+         * Delete an account and everything it owns (foreign keys cascade);
+         * its registration goes too, so the email can sign up again while whitelisted
+         */
+        async deleteUser(userId) {
+            const db = getDb();
+            await db.run('DELETE FROM registrations WHERE user_id = ?', [userId]);
+            const result = await db.run('DELETE FROM users WHERE id = ?', [userId]);
+            return result.changes > 0;
+        },
+
+        // ── Whitelist & Registrations ───────────────────
+
+        async isWhitelisted(email) {
+            const db = getDb();
+            const result = await db.get('SELECT id FROM whitelist WHERE email = ?', [email]);
+            return !!result;
+        },
+
+        /**
+         * Which of these emails are already on the whitelist (import)
+         * @returns {Promise<Set<string>>}
+         */
+        async getWhitelistedEmails(emails) {
+            const db = getDb();
+            const found = new Set();
+            // Chunks stay below SQLite's bound-parameter limit
+            for (let i = 0; i < emails.length; i += 500) {
+                const chunk = emails.slice(i, i + 500);
+                const rows = await db.all(`SELECT email FROM whitelist WHERE email IN (${placeholders(chunk)})`, chunk);
+                for (const row of rows) found.add(row.email);
+            }
+            return found;
+        },
+
+        async getRegistrationByToken(token) {
+            const db = getDb();
+            return findTokenMatch(await db.all(
+                'SELECT id, email, token, created_at, used, user_id FROM registrations WHERE token_lookup = ?',
+                [tokenLookup(token)]
+            ), token);
+        },
+
+        async getRegistrationByEmail(email) {
+            const db = getDb();
+            return db.get('SELECT id, used, user_id, token_sent_at FROM registrations WHERE email = ?', [email]);
+        },
+
+        /**
+         * Is a token taken by a registration or a user? (collision check for new tokens)
+         */
+        async tokenExists(token) {
+            const db = getDb();
+            const lookup = tokenLookup(token);
+            const rows = await db.all(
+                `SELECT token FROM registrations WHERE token_lookup = ?
+                 UNION ALL
+                 SELECT token FROM users WHERE token_lookup = ?`,
+                [lookup, lookup]
+            );
+            return !!(await findTokenMatch(rows, token));
+        },
+
+        async createRegistration(email, token) {
+            const db = getDb();
+            return db.insert(
+                'INSERT INTO registrations (email, token, token_lookup, token_sent_at) VALUES (?, ?, ?, ?)',
+                [email, await hashToken(token), tokenLookup(token), new Date().toISOString()]
+            );
+        },
+
+        /**
+         * Replace the token of a registration that has not been used yet
+         * Only swaps the token that was read first, so of two concurrent resends one wins.
+         * @returns {Promise<Object|null>} the swap, for restoreRegistrationToken – null if the
+         *   registration is gone, already used or was replaced meanwhile
+         */
+        async updateRegistrationToken(registrationId, token) {
+            const db = getDb();
+            const previous = await db.get(
+                'SELECT token, token_lookup, token_sent_at FROM registrations WHERE id = ? AND user_id IS NULL',
+                [registrationId]
+            );
+            if (!previous) return null;
+
+            const replacement = await hashToken(token);
+            const result = await db.run(
+                'UPDATE registrations SET token = ?, token_lookup = ?, token_sent_at = ? WHERE id = ? AND user_id IS NULL AND token = ?',
+                [replacement, tokenLookup(token), new Date().toISOString(), registrationId, previous.token]
+            );
+            return result.changes > 0 ? { ...previous, replacement } : null;
+        },
+
+        /**
+         * Undo updateRegistrationToken – only while the registration still holds the replacement
+         */
+        async restoreRegistrationToken(registrationId, swap) {
+            const db = getDb();
+            await db.run(
+                'UPDATE registrations SET token = ?, token_lookup = ?, token_sent_at = ? WHERE id = ? AND token = ?',
+                [swap.token, swap.token_lookup, swap.token_sent_at, registrationId, swap.replacement]
+            );
+        },
+
+        /**
+         * Drop a registration whose token never reached its owner
+         */
+        async deletePendingRegistration(registrationId) {
+            const db = getDb();
+            await db.run('DELETE FROM registrations WHERE id = ? AND user_id IS NULL', [registrationId]);
+        },
+
+        /**
+         * Link a registration to its new user – returns false if another user claimed it first
+         */
+        async markRegistrationUsed(registrationId, userId) {
+            const db = getDb();
+            const result = await db.run(
+                'UPDATE registrations SET used = TRUE, user_id = ? WHERE id = ? AND user_id IS NULL',
+                [userId, registrationId]
+            );
+            return result.changes > 0;
+        },
+
+        /**
+         * Whitelist entries with derived token status (invited → sent → registered)
+         */
+        async getWhitelistWithStatus() {
+            const db = getDb();
+            return db.all(`
+                SELECT 
+                    w.id,
+                    w.email,
+                    w.name,
+                    w.website,
+                    w.note,
+                    w.added_at,
+                    r.token_sent_at,
+                    CASE 
+                        WHEN u.id IS NOT NULL THEN 'registered'
+                        WHEN r.id IS NOT NULL THEN 'sent'
+                        ELSE 'invited'
+                    END AS status
+                FROM whitelist w
+                LEFT JOIN registrations r ON r.email = w.email
+                LEFT JOIN users u ON u.id = r.user_id AND u.device_id IS NOT NULL
+                ORDER BY w.added_at DESC
+            `);
+        },
+
+        async getWhitelistEntry(id) {
+            const db = getDb();
+            return db.get('SELECT id, email, name, website, note, added_at FROM whitelist WHERE id = ?', [id]);
+        },
+
+        /**
+         * Add whitelist entry – returns the new id, or null if the email already exists
+         */
+        async addWhitelistEntry(email, name = '', website = '', note = '') {
+            const db = getDb();
+            const result = await db.get(
+                `INSERT INTO whitelist (email, name, website, note)
+                 VALUES (?, ?, ?, ?)
+                 ON CONFLICT (email) DO NOTHING
+                 RETURNING id`,
+                [email, name, website, note]
+            );
+            return result ? result.id : null;
+        },
+
+        /**
+         * Update whitelist entry – column names must come from a route-level allowlist
+         */
+        async updateWhitelistEntry(id, updates) {
+            const db = getDb();
+            const setClauses = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+            await db.run(
+                `UPDATE whitelist SET ${setClauses} WHERE id = ?`,
+                [...Object.values(updates), id]
+            );
+        },
+
+        async deleteWhitelistEntry(id) {
+            const db = getDb();
+            await db.run('DELETE FROM whitelist WHERE id = ?', [id]);
         }
-    }
-};
+    };
+    return helpers;
+}
+
+export const queries = bindQueries(getDatabase);
 
 // ── Export valid values for use in routes ──
 export { VALID_GRINDERS, VALID_METHODS };
@@ -701,10 +1993,11 @@ export default {
     initDatabase,
     getDatabase,
     getDatabaseType,
+    withConnection,
+    withTransaction,
+    toPostgresPlaceholders,
+    placeholders,
     closeDatabase,
-    beginTransaction,
-    commit,
-    rollback,
     queries,
     VALID_GRINDERS,
     VALID_METHODS
@@ -0,0 +1,62 @@
+// ==========================================
+// 001 – Core tables (users, coffees)
+// Fresh databases get the V5.2 shape, existing ones are left alone
+// ==========================================
+
+export const description = 'Create users and coffees tables';
+
+export async function up(db, dbType) {
+    if (dbType === 'postgresql') {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE,
+                token TEXT NOT NULL UNIQUE,
+                device_id TEXT,
+                device_info TEXT,
+                last_login_at TIMESTAMP,
+                grinder_preference TEXT DEFAULT 'fellow_gen2',
+                water_hardness DECIMAL(4,1) DEFAULT NULL,
+                method_preference VARCHAR(20) DEFAULT 'v60',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS coffees (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                coffee_uid TEXT NOT NULL,
+                data TEXT NOT NULL,
+                method VARCHAR(20) DEFAULT 'v60',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(user_id, coffee_uid)
+            );
+        `);
+    } else {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                token TEXT NOT NULL UNIQUE,
+                device_id TEXT UNIQUE,
+                device_info TEXT,
+                last_login_at DATETIME,
+                grinder_preference TEXT DEFAULT 'fellow_gen2',
+                water_hardness REAL DEFAULT NULL,
+                method_preference TEXT DEFAULT 'v60',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS coffees (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                coffee_uid TEXT NOT NULL,
+                data TEXT NOT NULL,
+                method TEXT DEFAULT 'v60',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+                UNIQUE(user_id, coffee_uid)
+            );
+        `);
+    }
+}
@@ -0,0 +1,21 @@
+// ==========================================
+// 002 – Columns added after V4 (device binding, preferences, coffee method)
+// No-op on databases created by 001
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Add device, preference and coffee method columns to pre-V5 tables';
+
+export async function up(db, dbType) {
+    const timestamp = dbType === 'postgresql' ? 'TIMESTAMP' : 'DATETIME';
+    const decimal   = dbType === 'postgresql' ? 'DECIMAL(4,1)' : 'REAL';
+
+    await addColumnIfMissing(db, dbType, 'users', 'device_id', 'TEXT');
+    await addColumnIfMissing(db, dbType, 'users', 'device_info', 'TEXT');
+    await addColumnIfMissing(db, dbType, 'users', 'last_login_at', timestamp);
+    await addColumnIfMissing(db, dbType, 'users', 'grinder_preference', `TEXT DEFAULT 'fellow_gen2'`);
+    await addColumnIfMissing(db, dbType, 'users', 'water_hardness', `${decimal} DEFAULT NULL`);
+    await addColumnIfMissing(db, dbType, 'users', 'method_preference', `TEXT DEFAULT 'v60'`);
+    await addColumnIfMissing(db, dbType, 'coffees', 'method', `TEXT DEFAULT 'v60'`);
+}
@@ -0,0 +1,22 @@
+// ==========================================
+// 003 – Stable coffee_uid key for idempotent coffee upserts
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Backfill coffees.coffee_uid and enforce (user_id, coffee_uid) uniqueness';
+
+export async function up(db, dbType) {
+    await addColumnIfMissing(db, dbType, 'coffees', 'coffee_uid', 'TEXT');
+
+    if (dbType === 'postgresql') {
+        await db.run(`UPDATE coffees SET coffee_uid = id::text WHERE coffee_uid IS NULL OR coffee_uid = ''`);
+        await db.run('ALTER TABLE coffees ALTER COLUMN coffee_uid SET NOT NULL');
+    } else {
+        // SQLite cannot add NOT NULL to an existing column; the unique index below
+        // plus the NOT NULL on fresh tables (001) is what we rely on.
+        await db.run(`UPDATE coffees SET coffee_uid = CAST(id AS TEXT) WHERE coffee_uid IS NULL OR coffee_uid = ''`);
+    }
+
+    await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_coffees_user_uid ON coffees(user_id, coffee_uid)');
+}
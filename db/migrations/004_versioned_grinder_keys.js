@@ -0,0 +1,27 @@
+// ==========================================
+// 004 – Migrate old grinder keys → versioned keys (V4 → V5)
+// ==========================================
+
+export const description = 'Rename legacy grinder preference keys to versioned grinder keys';
+
+const RENAMES = [
+    { old: 'fellow',     new: 'fellow_gen2' },
+    { old: 'comandante', new: 'comandante_mk3' },
+    { old: 'timemore',   new: 'timemore_s3' },
+];
+
+export async function up(db, dbType) {
+    for (const rename of RENAMES) {
+        const result = await db.run(
+            'UPDATE users SET grinder_preference = ? WHERE grinder_preference = ?',
+            [rename.new, rename.old]
+        );
+        if (result.changes > 0) {
+            console.log(`🔄 Migrated ${result.changes} user(s): ${rename.old} → ${rename.new}`);
+        }
+    }
+
+    if (dbType === 'postgresql') {
+        await db.run(`ALTER TABLE users ALTER COLUMN grinder_preference SET DEFAULT 'fellow_gen2'`);
+    }
+}
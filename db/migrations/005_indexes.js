@@ -0,0 +1,14 @@
+// ==========================================
+// 005 – Lookup indexes for users and coffees
+// ==========================================
+
+export const description = 'Create token, device and coffee lookup indexes';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_id ON coffees(user_id);
+        CREATE INDEX IF NOT EXISTS idx_users_token ON users(token);
+        CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_created ON coffees(user_id, created_at DESC);
+    `);
+}
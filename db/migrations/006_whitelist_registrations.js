@@ -0,0 +1,47 @@
+// ==========================================
+// 006 – Whitelist & Registrations (Beta-Zugang)
+// ==========================================
+
+export const description = 'Create whitelist and registrations tables';
+
+export async function up(db, dbType) {
+    if (dbType === 'postgresql') {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS whitelist (
+                id        SERIAL PRIMARY KEY,
+                email     TEXT NOT NULL UNIQUE,
+                name      TEXT DEFAULT '',
+                website   TEXT DEFAULT '',
+                note      TEXT DEFAULT '',
+                added_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS registrations (
+                id         SERIAL PRIMARY KEY,
+                email      TEXT NOT NULL UNIQUE,
+                token      TEXT NOT NULL UNIQUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                used       BOOLEAN DEFAULT FALSE
+            );
+        `);
+    } else {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS whitelist (
+                id        INTEGER PRIMARY KEY AUTOINCREMENT,
+                email     TEXT NOT NULL UNIQUE,
+                name      TEXT DEFAULT '',
+                website   TEXT DEFAULT '',
+                note      TEXT DEFAULT '',
+                added_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS registrations (
+                id         INTEGER PRIMARY KEY AUTOINCREMENT,
+                email      TEXT NOT NULL UNIQUE,
+                token      TEXT NOT NULL UNIQUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                used       INTEGER DEFAULT 0
+            );
+        `);
+    }
+}
@@ -0,0 +1,159 @@
+// ==========================================
+// 007 – Normalized coffee columns + feedback history table
+// Backfills the columns from the existing coffees.data JSON blobs
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Move known coffee fields into columns and feedback history into its own table';
+
+// Frozen copy of the mapping in db/coffeeRecord.js as it was when this migration
+// was written – fields added there later come with their own migration.
+const COFFEE_FIELDS = [
+    { field: 'name',         column: 'name',          type: 'string' },
+    { field: 'origin',       column: 'origin',        type: 'string' },
+    { field: 'cultivar',     column: 'cultivar',      type: 'string' },
+    { field: 'roaster',      column: 'roaster',       type: 'string' },
+    { field: 'roastery',     column: 'roastery',      type: 'string' },
+    { field: 'tastingNotes', column: 'tasting_notes', type: 'string' },
+    { field: 'process',      column: 'process',       type: 'string' },
+    { field: 'altitude',     column: 'altitude',      type: 'string' },
+    { field: 'addedDate',    column: 'added_date',    type: 'string' },
+    { field: 'roastDate',    column: 'roast_date',    type: 'string' },
+    { field: 'favorite',     column: 'favorite',      type: 'boolean' },
+    { field: 'favoritedAt',  column: 'favorited_at',  type: 'string' },
+    { field: 'deleted',      column: 'deleted',       type: 'boolean' },
+    { field: 'deletedAt',    column: 'deleted_at',    type: 'string' },
+    { field: 'grindOffset',  column: 'grind_offset',  type: 'number' },
+    { field: 'customTemp',   column: 'custom_temp',   type: 'string' },
+    { field: 'customAmount', column: 'custom_amount', type: 'number' },
+    { field: 'initialGrind', column: 'initial_grind', type: 'string' },
+    { field: 'initialTemp',  column: 'initial_temp',  type: 'string' },
+    { field: 'feedback',     column: 'feedback',      type: 'json' },
+];
+
+const HISTORY_FIELDS = [
+    { field: 'timestamp',         column: 'recorded_at',         type: 'string' },
+    { field: 'previousGrind',     column: 'previous_grind',      type: 'string' },
+    { field: 'newGrind',          column: 'new_grind',           type: 'string' },
+    { field: 'previousTemp',      column: 'previous_temp',       type: 'string' },
+    { field: 'newTemp',           column: 'new_temp',            type: 'string' },
+    { field: 'grindOffsetDelta',  column: 'grind_offset_delta',  type: 'number' },
+    { field: 'customTempApplied', column: 'custom_temp_applied', type: 'boolean' },
+    { field: 'resetToInitial',    column: 'reset_to_initial',    type: 'boolean' },
+];
+
+function columnType(type, dbType) {
+    if (type === 'number') return dbType === 'postgresql' ? 'DOUBLE PRECISION' : 'REAL';
+    if (type === 'boolean') return dbType === 'postgresql' ? 'BOOLEAN' : 'INTEGER';
+    return 'TEXT';
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+    if (type === 'string') return typeof value === 'string';
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    if (type === 'boolean') return typeof value === 'boolean';
+    if (type === 'json') return isPlainObject(value);
+    return false;
+}
+
+function isHistoryEntry(entry) {
+    if (!isPlainObject(entry) || typeof entry.timestamp !== 'string') return false;
+    return Object.entries(entry).every(([key, value]) => {
+        const spec = HISTORY_FIELDS.find(f => f.field === key);
+        return !!spec && matchesType(value, spec.type);
+    });
+}
+
+/**
+ * Split a coffee blob into column values, leftover JSON and history rows
+ */
+function toCoffeeRecord(coffee) {
+    const extras = { ...coffee };
+    const columns = {};
+
+    for (const spec of COFFEE_FIELDS) {
+        columns[spec.column] = null;
+        if (matchesType(extras[spec.field], spec.type)) {
+            columns[spec.column] = spec.type === 'json' ? JSON.stringify(extras[spec.field]) : extras[spec.field];
+            delete extras[spec.field];
+        }
+    }
+
+    let history = [];
+    const entries = extras.feedbackHistory;
+    if (Array.isArray(entries) && entries.length > 0 && entries.every(isHistoryEntry)) {
+        history = entries.map(entry => Object.fromEntries(
+            HISTORY_FIELDS.map(spec => [spec.column, entry[spec.field] !== undefined ? entry[spec.field] : null])
+        ));
+        delete extras.feedbackHistory;
+    }
+
+    return { columns, extras, history };
+}
+
+export async function up(db, dbType) {
+    for (const spec of COFFEE_FIELDS) {
+        await addColumnIfMissing(db, dbType, 'coffees', spec.column, columnType(spec.type, dbType));
+    }
+
+    const historyColumns = HISTORY_FIELDS
+        .map(spec => `${spec.column} ${columnType(spec.type, dbType)}${spec.column === 'recorded_at' ? ' NOT NULL' : ''}`)
+        .join(',\n                ');
+    const idColumn = dbType === 'postgresql' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS coffee_feedback_history (
+            id ${idColumn},
+            coffee_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            ${historyColumns},
+            FOREIGN KEY (coffee_id) REFERENCES coffees(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_feedback_history_coffee ON coffee_feedback_history(coffee_id, position);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_origin ON coffees(user_id, origin);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_process ON coffees(user_id, process);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_roaster ON coffees(user_id, roaster);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_roast_date ON coffees(user_id, roast_date);
+        CREATE INDEX IF NOT EXISTS idx_coffees_user_favorite ON coffees(user_id, favorite);
+    `);
+
+    // Backfill: split every blob into columns / leftover JSON / history rows
+    const rows = await db.all('SELECT id, data FROM coffees');
+    const setClause = COFFEE_FIELDS.map(spec => `${spec.column} = ?`).join(', ');
+    const historyInsert = `INSERT INTO coffee_feedback_history (coffee_id, position, ${HISTORY_FIELDS.map(s => s.column).join(', ')})
+        VALUES (?, ?, ${HISTORY_FIELDS.map(() => '?').join(', ')})`;
+
+    let migrated = 0;
+    for (const row of rows) {
+        let parsed;
+        try {
+            parsed = JSON.parse(row.data);
+        } catch (err) {
+            console.warn(`⚠️ coffees.id ${row.id}: data is not valid JSON, left as-is`);
+            continue;
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) continue;
+
+        const { columns, extras, history } = toCoffeeRecord(parsed);
+        await db.run(
+            `UPDATE coffees SET data = ?, ${setClause} WHERE id = ?`,
+            [JSON.stringify(extras), ...COFFEE_FIELDS.map(spec => columns[spec.column]), row.id]
+        );
+
+        await db.run('DELETE FROM coffee_feedback_history WHERE coffee_id = ?', [row.id]);
+        for (const [position, entry] of history.entries()) {
+            await db.run(historyInsert, [row.id, position, ...HISTORY_FIELDS.map(spec => entry[spec.column])]);
+        }
+        migrated++;
+    }
+
+    if (migrated > 0) {
+        console.log(`🔄 Normalized ${migrated} coffee(s)`);
+    }
+}
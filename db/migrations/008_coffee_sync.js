@@ -0,0 +1,26 @@
+// ==========================================
+// 008 – Delta sync: per-coffee revision, per-user change cursor, tombstones
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Add coffee revision/change_seq/updated_at/removed_at and users.coffee_change_seq';
+
+export async function up(db, dbType) {
+    const timestamp = dbType === 'postgresql' ? 'TIMESTAMP' : 'DATETIME';
+
+    await addColumnIfMissing(db, dbType, 'coffees', 'revision', 'INTEGER NOT NULL DEFAULT 1');
+    await addColumnIfMissing(db, dbType, 'coffees', 'change_seq', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing(db, dbType, 'coffees', 'updated_at', timestamp);
+    await addColumnIfMissing(db, dbType, 'coffees', 'removed_at', timestamp);
+    await addColumnIfMissing(db, dbType, 'users', 'coffee_change_seq', 'INTEGER NOT NULL DEFAULT 0');
+
+    // Existing coffees become change 1 so a first sync with since=0 returns them
+    await db.run('UPDATE coffees SET change_seq = 1, updated_at = created_at WHERE change_seq = 0');
+    await db.run(`
+        UPDATE users SET coffee_change_seq = 1
+        WHERE coffee_change_seq = 0 AND id IN (SELECT DISTINCT user_id FROM coffees)
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_coffees_user_change_seq ON coffees(user_id, change_seq)');
+}
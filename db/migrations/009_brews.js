@@ -0,0 +1,40 @@
+// ==========================================
+// 009 – Brew session log (one row per brew)
+// ==========================================
+
+export const description = 'Create brews table for the brew session log';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const real = isPostgres ? 'DOUBLE PRECISION' : 'REAL';
+    // brewed_at is written as an ISO 8601 UTC string; TIMESTAMPTZ keeps it in UTC on PostgreSQL
+    // and the ISO text sorts and compares correctly on SQLite.
+    const brewedAt = isPostgres ? 'TIMESTAMPTZ' : 'TEXT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS brews (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            coffee_uid TEXT NOT NULL,
+            method TEXT,
+            grinder TEXT,
+            grind_setting TEXT,
+            dose_g ${real},
+            water_g ${real},
+            ratio ${real},
+            temperature_c ${real},
+            total_time_s INTEGER,
+            water_hardness ${real},
+            rating INTEGER,
+            notes TEXT,
+            brewed_at ${brewedAt} NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_brews_user_brewed_at ON brews(user_id, brewed_at);
+        CREATE INDEX IF NOT EXISTS idx_brews_user_coffee_brewed_at ON brews(user_id, coffee_uid, brewed_at);
+    `);
+}
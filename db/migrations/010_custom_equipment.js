@@ -0,0 +1,47 @@
+// ==========================================
+// 010 – User-defined grinders and brew methods
+// Referenced as custom_<id> in grinder_preference / method_preference
+// ==========================================
+
+export const description = 'Create custom_grinders and custom_methods tables';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const real = isPostgres ? 'DOUBLE PRECISION' : 'REAL';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS custom_grinders (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            unit TEXT NOT NULL DEFAULT 'clicks',
+            min_setting ${real} NOT NULL,
+            max_setting ${real} NOT NULL,
+            step ${real} NOT NULL,
+            ref_setting ${real} NOT NULL,
+            ref_microns ${real} NOT NULL,
+            microns_per_unit ${real} NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS custom_methods (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            style TEXT NOT NULL DEFAULT 'pour_over',
+            dose_g ${real} NOT NULL,
+            ratio ${real} NOT NULL,
+            temperature_c ${real} NOT NULL,
+            grind_microns ${real} NOT NULL,
+            total_time_s INTEGER NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_custom_grinders_user ON custom_grinders(user_id);
+        CREATE INDEX IF NOT EXISTS idx_custom_methods_user ON custom_methods(user_id);
+    `);
+}
@@ -0,0 +1,48 @@
+// ==========================================
+// 011 – Equipment inventory (grinders, brewers, kettles, scales)
+// Brews reference the items used; coffees keep theirs in coffees.equipment (JSON)
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Create equipment table, add equipment references to brews and coffees';
+
+const EQUIPMENT_REFERENCE_COLUMNS = [
+    'grinder_equipment_id', 'brewer_equipment_id', 'kettle_equipment_id', 'scale_equipment_id'
+];
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const boolean = isPostgres ? 'BOOLEAN NOT NULL DEFAULT FALSE' : 'INTEGER NOT NULL DEFAULT 0';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS equipment (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            name TEXT NOT NULL,
+            model TEXT,
+            notes TEXT,
+            is_default ${boolean},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_equipment_user_type ON equipment(user_id, type)
+    `);
+
+    // At most one default per user and type
+    await db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_equipment_user_type_default
+        ON equipment(user_id, type) WHERE ${isPostgres ? 'is_default' : 'is_default = 1'}
+    `);
+
+    // Plain references without foreign keys: a brew keeps pointing at an item after it is removed
+    for (const column of EQUIPMENT_REFERENCE_COLUMNS) {
+        await addColumnIfMissing(db, dbType, 'brews', column, 'INTEGER');
+    }
+    await addColumnIfMissing(db, dbType, 'coffees', 'equipment', 'TEXT');
+}
@@ -0,0 +1,47 @@
+// ==========================================
+// 012 – Water chemistry profiles (GH, KH, Ca, Mg, TDS), one active per user
+// users.water_hardness keeps the active profile's GH for the legacy endpoint
+// ==========================================
+
+export const description = 'Create water_profiles table and move existing water hardness into a profile';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const real = isPostgres ? 'DOUBLE PRECISION' : 'REAL';
+    const boolean = isPostgres ? 'BOOLEAN NOT NULL DEFAULT FALSE' : 'INTEGER NOT NULL DEFAULT 0';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS water_profiles (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            gh_dh ${real} NOT NULL,
+            kh_dh ${real},
+            calcium_mg_l ${real},
+            magnesium_mg_l ${real},
+            tds_ppm ${real},
+            is_active ${boolean},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_water_profiles_user ON water_profiles(user_id)
+    `);
+
+    // At most one active profile per user
+    await db.run(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_water_profiles_user_active
+        ON water_profiles(user_id) WHERE ${isPostgres ? 'is_active' : 'is_active = 1'}
+    `);
+
+    // Users who set a hardness get it as their active "Tap water" profile
+    await db.run(`
+        INSERT INTO water_profiles (user_id, name, gh_dh, is_active)
+        SELECT id, 'Tap water', water_hardness, ${isPostgres ? 'TRUE' : '1'} FROM users
+        WHERE water_hardness IS NOT NULL
+          AND id NOT IN (SELECT user_id FROM water_profiles)
+    `);
+}
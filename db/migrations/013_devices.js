@@ -0,0 +1,49 @@
+// ==========================================
+// 013 – Multiple devices per user + pairing codes
+// users.device_id keeps the first bound device; auth reads the devices table
+// ==========================================
+
+export const description = 'Create devices and device_pairing_codes tables, move bound devices into devices';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS devices (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            device_id TEXT NOT NULL,
+            name TEXT,
+            device_info TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at ${timestamp},
+            revoked_at ${timestamp},
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            UNIQUE (user_id, device_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS device_pairing_codes (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            code TEXT NOT NULL UNIQUE,
+            issued_by_device INTEGER,
+            paired_device INTEGER,
+            expires_at ${timestamp} NOT NULL,
+            used_at ${timestamp},
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_device_pairing_codes_user ON device_pairing_codes(user_id)
+    `);
+
+    // The device each token was bound to becomes that user's first device
+    await db.run(`
+        INSERT INTO devices (user_id, device_id, device_info, created_at, last_seen_at)
+        SELECT id, device_id, device_info, COALESCE(created_at, CURRENT_TIMESTAMP), last_login_at FROM users
+        WHERE device_id IS NOT NULL
+          AND id NOT IN (SELECT user_id FROM devices)
+    `);
+}
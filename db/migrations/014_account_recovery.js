@@ -0,0 +1,41 @@
+// ==========================================
+// 014 – Account recovery links + audit log
+// ==========================================
+
+export const description = 'Create account_recovery_codes and audit_events tables';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS account_recovery_codes (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            code_hash TEXT NOT NULL UNIQUE,
+            expires_at ${timestamp} NOT NULL,
+            used_at ${timestamp},
+            paired_device INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_account_recovery_codes_user ON account_recovery_codes(user_id);
+
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id ${idColumn},
+            actor_type TEXT NOT NULL,
+            actor_id INTEGER,
+            action TEXT NOT NULL,
+            entity_type TEXT,
+            entity_id TEXT,
+            details TEXT,
+            ip TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity_type, entity_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at)
+    `);
+}
@@ -0,0 +1,29 @@
+// ==========================================
+// 015 – Sessions: rotating refresh tokens per device
+// Access tokens are signed and never stored
+// ==========================================
+
+export const description = 'Create sessions table for refresh tokens';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id ${idColumn},
+            user_id INTEGER NOT NULL,
+            device_id INTEGER NOT NULL,
+            refresh_hash TEXT NOT NULL,
+            expires_at ${timestamp} NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            refreshed_at ${timestamp},
+            revoked_at ${timestamp},
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (device_id) REFERENCES devices(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_user_device ON sessions(user_id, device_id)
+    `);
+}
@@ -0,0 +1,47 @@
+// ==========================================
+// 016 – Hash account tokens at rest
+// users.token / registrations.token keep a salted hash (see db/tokenHash.js),
+// registrations.user_id replaces the token join between the two tables
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+import { hashToken, isTokenHash, requireTokenPepper, tokenLookup } from '../tokenHash.js';
+
+export const description = 'Hash users.token and registrations.token, link registrations to users';
+
+async function hashColumn(db, table) {
+    const rows = await db.all(`SELECT id, token FROM ${table}`);
+    for (const row of rows) {
+        if (isTokenHash(row.token)) continue;
+        await db.run(
+            `UPDATE ${table} SET token = ?, token_lookup = ? WHERE id = ?`,
+            [await hashToken(row.token), tokenLookup(row.token), row.id]
+        );
+    }
+}
+
+export async function up(db, dbType) {
+    // Every lookup written here is keyed with TOKEN_PEPPER – a run under the development
+    // pepper would lock every user out once the real pepper is set
+    requireTokenPepper();
+
+    await addColumnIfMissing(db, dbType, 'users', 'token_lookup', 'TEXT');
+    await addColumnIfMissing(db, dbType, 'registrations', 'token_lookup', 'TEXT');
+    await addColumnIfMissing(db, dbType, 'registrations', 'user_id', 'INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+    // Last chance to match registrations and users by their plaintext token
+    await db.run(`
+        UPDATE registrations
+        SET user_id = (SELECT u.id FROM users u WHERE u.token = registrations.token)
+        WHERE user_id IS NULL
+    `);
+
+    await hashColumn(db, 'users');
+    await hashColumn(db, 'registrations');
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_users_token_lookup ON users(token_lookup);
+        CREATE INDEX IF NOT EXISTS idx_registrations_token_lookup ON registrations(token_lookup);
+        CREATE INDEX IF NOT EXISTS idx_registrations_user ON registrations(user_id)
+    `);
+}
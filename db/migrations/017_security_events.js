@@ -0,0 +1,36 @@
+// ==========================================
+// 017 – Brute-force protection: failed attempt counters + security events
+// ==========================================
+
+export const description = 'Create auth_failures and security_events tables';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS auth_failures (
+            id ${idColumn},
+            scope TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            failures INTEGER NOT NULL DEFAULT 0,
+            last_failure_at ${timestamp},
+            locked_until ${timestamp},
+            UNIQUE(scope, subject)
+        );
+
+        CREATE TABLE IF NOT EXISTS security_events (
+            id ${idColumn},
+            type TEXT NOT NULL,
+            ip TEXT,
+            device_id TEXT,
+            user_id INTEGER,
+            details TEXT,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_security_events_created ON security_events(created_at);
+        CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(type)
+    `);
+}
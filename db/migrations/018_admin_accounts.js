@@ -0,0 +1,38 @@
+// ==========================================
+// 018 – Admin accounts with roles + admin tokens
+// Replaces the shared ADMIN_PASSWORD header
+// ==========================================
+
+export const description = 'Create admin_users and admin_tokens tables';
+
+export async function up(db, dbType) {
+    const isPostgres = dbType === 'postgresql';
+    const idColumn = isPostgres ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const timestamp = isPostgres ? 'TIMESTAMP' : 'DATETIME';
+
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_users (
+            id ${idColumn},
+            username TEXT NOT NULL UNIQUE,
+            role TEXT NOT NULL,
+            password_hash TEXT NOT NULL,
+            created_by INTEGER,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            last_login_at ${timestamp},
+            disabled_at ${timestamp}
+        );
+
+        CREATE TABLE IF NOT EXISTS admin_tokens (
+            id ${idColumn},
+            admin_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            expires_at ${timestamp} NOT NULL,
+            created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+            last_used_at ${timestamp},
+            revoked_at ${timestamp},
+            FOREIGN KEY (admin_id) REFERENCES admin_users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_admin_tokens_admin ON admin_tokens(admin_id)
+    `);
+}
@@ -0,0 +1,25 @@
+// ==========================================
+// 019 – Audit log: before/after state, filterable by actor and time
+// created_at is written as an ISO string from now on (like security_events),
+// older SQLite rows are converted so time-range filters compare alike
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Add before/after state to audit_events, index actors';
+
+export async function up(db, dbType) {
+    await addColumnIfMissing(db, dbType, 'audit_events', 'before_state', 'TEXT');
+    await addColumnIfMissing(db, dbType, 'audit_events', 'after_state', 'TEXT');
+
+    if (dbType !== 'postgresql') {
+        await db.run(`
+            UPDATE audit_events SET created_at = strftime('%Y-%m-%dT%H:%M:%fZ', created_at)
+            WHERE created_at NOT LIKE '%T%'
+        `);
+    }
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_type, actor_id)
+    `);
+}
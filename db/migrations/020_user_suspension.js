@@ -0,0 +1,16 @@
+// ==========================================
+// 020 – Suspend user accounts (admin)
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Add users.suspended_at and users.suspension_reason';
+
+export async function up(db, dbType) {
+    const timestamp = dbType === 'postgresql' ? 'TIMESTAMP' : 'DATETIME';
+
+    await addColumnIfMissing(db, dbType, 'users', 'suspended_at', timestamp);
+    await addColumnIfMissing(db, dbType, 'users', 'suspension_reason', 'TEXT');
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_created ON users(created_at)');
+}
@@ -0,0 +1,14 @@
+// ==========================================
+// 021 – When a registration's token was last mailed (admin invites, resend throttle)
+// ==========================================
+
+import { addColumnIfMissing } from './helpers.js';
+
+export const description = 'Add registrations.token_sent_at';
+
+export async function up(db, dbType) {
+    const timestamp = dbType === 'postgresql' ? 'TIMESTAMP' : 'DATETIME';
+
+    await addColumnIfMissing(db, dbType, 'registrations', 'token_sent_at', timestamp);
+    await db.run('UPDATE registrations SET token_sent_at = created_at WHERE token_sent_at IS NULL');
+}
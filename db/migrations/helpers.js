@@ -0,0 +1,69 @@
+// ==========================================
+// MIGRATION HELPERS
+// Schema introspection for idempotent migrations
+// ==========================================
+//
+// Like the rest of the data layer, every statement binds its values with "?"
+// placeholders; the adapter numbers them for PostgreSQL (toPostgresPlaceholders).
+
+/**
+ * Check whether a table exists
+ * @param {Object} db - Database handle passed to the migration
+ * @param {string} dbType - 'postgresql' | 'sqlite'
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>}
+ */
+export async function hasTable(db, dbType, table) {
+    if (dbType === 'postgresql') {
+        const row = await db.get(
+            `SELECT 1 AS found FROM information_schema.tables
+             WHERE table_schema = current_schema() AND table_name = ?`,
+            [table]
+        );
+        return !!row;
+    }
+    const row = await db.get(
+        `SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = ?`,
+        [table]
+    );
+    return !!row;
+}
+
+/**
+ * Check whether a column exists on a table
+ * @param {Object} db - Database handle passed to the migration
+ * @param {string} dbType - 'postgresql' | 'sqlite'
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+export async function hasColumn(db, dbType, table, column) {
+    if (dbType === 'postgresql') {
+        const row = await db.get(
+            `SELECT 1 AS found FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?`,
+            [table, column]
+        );
+        return !!row;
+    }
+    const row = await db.get(
+        'SELECT 1 AS found FROM pragma_table_info(?) WHERE name = ?',
+        [table, column]
+    );
+    return !!row;
+}
+
+/**
+ * Add a column unless it already exists
+ * @param {Object} db - Database handle passed to the migration
+ * @param {string} dbType - 'postgresql' | 'sqlite'
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type + constraints, e.g. "TEXT DEFAULT 'v60'"
+ * @returns {Promise<boolean>} - true if the column was added
+ */
+export async function addColumnIfMissing(db, dbType, table, column, definition) {
+    if (await hasColumn(db, dbType, table, column)) return false;
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
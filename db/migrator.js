@@ -0,0 +1,142 @@
+// ==========================================
+// SCHEMA MIGRATOR
+// Numbered migration files in db/migrations, tracked in schema_migrations
+// ==========================================
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getDatabase, getDatabaseType, withTransaction } from './database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Error thrown at startup when the database schema is older than the code
+ */
+export class SchemaOutdatedError extends Error {
+    constructor(pending) {
+        super(`Database schema is behind by ${pending.length} migration(s): ${pending.map(m => m.file).join(', ')}`);
+        this.name = 'SchemaOutdatedError';
+        this.pending = pending;
+    }
+}
+
+/**
+ * Load all migration modules, sorted by version
+ * @returns {Promise<Array<{version: number, name: string, file: string, description: string, up: Function}>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = (await fs.readdir(dir)).filter(f => MIGRATION_FILE.test(f));
+    const migrations = [];
+
+    for (const file of files) {
+        const [, version, name] = file.match(MIGRATION_FILE);
+        const mod = await import(pathToFileURL(path.join(dir, file)).href);
+        if (typeof mod.up !== 'function') {
+            throw new Error(`Migration ${file} does not export an up() function`);
+        }
+        migrations.push({
+            version: parseInt(version, 10),
+            name,
+            file,
+            description: mod.description || name,
+            up: mod.up
+        });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+        }
+    }
+
+    return migrations;
+}
+
+async function ensureMigrationsTable() {
+    const db = getDatabase();
+    const timestamp = getDatabaseType() === 'postgresql' ? 'TIMESTAMP' : 'DATETIME';
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version    INTEGER PRIMARY KEY,
+            name       TEXT NOT NULL,
+            applied_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedVersions() {
+    const rows = await getDatabase().all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows.map(r => ({ ...r, version: Number(r.version) }));
+}
+
+/**
+ * Report applied and pending migrations
+ * @returns {Promise<{currentVersion: number, latestVersion: number, applied: Array, pending: Array}>}
+ */
+export async function getMigrationStatus(migrations) {
+    migrations = migrations || await loadMigrations();
+    await ensureMigrationsTable();
+
+    const applied = await getAppliedVersions();
+    const appliedSet = new Set(applied.map(r => r.version));
+    const pending = migrations.filter(m => !appliedSet.has(m.version));
+
+    return {
+        currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+        latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending
+    };
+}
+
+/**
+ * Apply all pending migrations in order.
+ * Each migration runs in its own transaction together with its schema_migrations row,
+ * so a failing migration leaves the database at the previous version and is rethrown.
+ * @returns {Promise<Array>} - Migrations that were applied
+ */
+export async function runMigrations(migrations) {
+    const dbType = getDatabaseType();
+    const { pending } = await getMigrationStatus(migrations);
+
+    for (const migration of pending) {
+        try {
+            await withTransaction(async (tx) => {
+                await migration.up(tx, dbType);
+                await tx.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+        } catch (err) {
+            err.message = `Migration ${migration.file} failed: ${err.message}`;
+            throw err;
+        }
+        console.log(`🗄️ Applied migration ${migration.file}`);
+    }
+
+    return pending;
+}
+
+/**
+ * Throw SchemaOutdatedError if any migration has not been applied yet
+ */
+export async function assertSchemaCurrent(migrations) {
+    const { pending } = await getMigrationStatus(migrations);
+    if (pending.length > 0) {
+        throw new SchemaOutdatedError(pending);
+    }
+}
+
+export default {
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations,
+    assertSchemaCurrent,
+    SchemaOutdatedError
+};
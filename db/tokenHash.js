@@ -0,0 +1,79 @@
+// ==========================================
+// TOKEN HASHING
+// Account tokens (users.token, registrations.token) are stored as salted hashes
+// ==========================================
+//
+// Stored form: "scrypt$<salt>$<hash>" (base64url). A salted hash cannot be
+// looked up directly, so each row also keeps token_lookup – the first four hex
+// characters of an HMAC of the token keyed with TOKEN_PEPPER. It narrows a
+// lookup to a few candidates that are then verified in constant time. The
+// pepper lives only in the server's environment: a copy of the database alone
+// cannot tie a lookup value to a token, so every row still costs a full scrypt
+// search of the token space. TOKEN_PEPPER must never change – rows would no
+// longer be found – so in production tokenLookup (and with it migration 016)
+// refuses to run without it instead of falling back to the development pepper.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt$';
+const KEY_LENGTH = 32;
+const LOOKUP_LENGTH = 4;
+const DEV_PEPPER = 'dripmate-development-pepper';
+
+let warnedAboutPepper = false;
+
+/**
+ * Throw in production when TOKEN_PEPPER is missing – lookups written under the
+ * development pepper would not be found once the real one is set
+ */
+export function requireTokenPepper() {
+    if (process.env.NODE_ENV === 'production' && !process.env.TOKEN_PEPPER) {
+        throw new Error('TOKEN_PEPPER must be set in production');
+    }
+}
+
+function tokenPepper() {
+    requireTokenPepper();
+    if (process.env.TOKEN_PEPPER) return process.env.TOKEN_PEPPER;
+    if (!warnedAboutPepper) {
+        warnedAboutPepper = true;
+        console.warn('⚠️  TOKEN_PEPPER is not set – using the development pepper');
+    }
+    return DEV_PEPPER;
+}
+
+/**
+ * Index value for finding the rows a token could belong to
+ */
+export function tokenLookup(token) {
+    return crypto.createHmac('sha256', tokenPepper()).update(String(token)).digest('hex').slice(0, LOOKUP_LENGTH);
+}
+
+/**
+ * Salted hash of a token in its stored form
+ */
+export async function hashToken(token) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(String(token), salt, KEY_LENGTH);
+    return `${HASH_PREFIX}${salt.toString('base64url')}$${key.toString('base64url')}`;
+}
+
+export function isTokenHash(value) {
+    return typeof value === 'string' && value.startsWith(HASH_PREFIX);
+}
+
+/**
+ * Constant-time check of a token against its stored hash
+ */
+export async function tokenMatches(token, stored) {
+    if (typeof token !== 'string' || !isTokenHash(stored)) return false;
+    const [salt, expected] = stored.slice(HASH_PREFIX.length).split('$');
+    const expectedKey = Buffer.from(expected ?? '', 'base64url');
+    if (expectedKey.length !== KEY_LENGTH) return false;
+
+    const key = await scrypt(token, Buffer.from(salt, 'base64url'), KEY_LENGTH);
+    return crypto.timingSafeEqual(key, expectedKey);
+}
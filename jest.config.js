@@ -1,6 +1,8 @@
 export default {
     testEnvironment: 'node',
     transform: {},
+    // Shared setup for the router tests, not a test file itself
+    testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
     moduleNameMapper: {
         '^(\\.{1,2}/.*)\\.js$': '$1',
     },
@@ -0,0 +1,49 @@
+// ==========================================
+// ADMIN AUTHENTICATION MIDDLEWARE
+// Admin tokens (utils/admin.js) + role permissions
+// ==========================================
+
+import { queries } from '../db/database.js';
+import { hasPermission, hashAdminToken, looksLikeAdminToken } from '../utils/admin.js';
+import { isExpired } from '../utils/devices.js';
+
+/**
+ * Admin authentication - validates the admin token from Authorization: Bearer adm_…
+ * Sets req.admin ({ id, username, role, tokenId })
+ */
+export async function authenticateAdmin(req, res, next) {
+    try {
+        const authHeader = req.headers.authorization;
+        const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+        const admin = looksLikeAdminToken(token) && await queries.getAdminByTokenHash(hashAdminToken(token));
+        if (!admin || isExpired(admin.expires_at)) {
+            return res.status(401).json({ success: false, error: 'Unauthorized' });
+        }
+
+        await queries.touchAdminToken(admin.token_id);
+        req.admin = {
+            id: Number(admin.id),
+            username: admin.username,
+            role: admin.role,
+            tokenId: Number(admin.token_id)
+        };
+        next();
+
+    } catch (err) {
+        console.error('Admin authentication error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+}
+
+/**
+ * Gate a route by permission (see ROLE_PERMISSIONS) – use after authenticateAdmin
+ */
+export function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.admin?.role, permission)) {
+            return res.status(403).json({ success: false, error: `Missing permission: ${permission}` });
+        }
+        next();
+    };
+}
@@ -3,6 +3,8 @@
 // ==========================================
 
 import { queries } from '../db/database.js';
+import { recordFailedAttempt } from '../utils/bruteForce.js';
+import { looksLikeAccessToken, markSessionsRevoked, markUserSuspended, verifyAccessToken } from '../utils/session.js';
 
 /**
  * Extract authentication credentials from headers with fallback to body/query
@@ -24,8 +26,35 @@ export function extractAuthCredentials(req) {
     return { token, deviceId };
 }
 
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Database check of the session and account behind an access token
+ * Remembers what it finds in this instance's revocation maps (utils/session.js).
+ * @returns {Promise<{status: number, error: string}|null>} null while both are active
+ */
+async function checkActiveSession(userId, sessionId) {
+    const session = await queries.getSession(sessionId);
+    if (!session || session.revoked_at || Number(session.user_id) !== userId) {
+        markSessionsRevoked([sessionId]);
+        return { status: 401, error: 'Session ended – sign in again' };
+    }
+    const user = await queries.getUserById(userId);
+    if (!user || user.suspended_at) {
+        markUserSuspended(userId);
+        return { status: 403, error: 'Account suspended' };
+    }
+    return null;
+}
+
 /**
- * Authentication middleware - validates token and device binding
+ * Authentication middleware - validates the access token and its device
+ * Reads trust the signed access token (utils/session.js) without a database lookup; writes
+ * (any method but GET/HEAD/OPTIONS) also check the session and the account in the database,
+ * so a logout or suspension handled by another server instance stops them at once.
+ * Failed attempts are counted (utils/bruteForce.js – a client that keeps failing gets 429 instead of 401).
+ * Suspended accounts get 403 (see markUserSuspended in utils/session.js).
+ * Sets req.user ({ id, username }), req.device ({ id, device_id }) and req.session ({ id })
  * Returns authenticated user or sends error response
  */
 export async function authenticateUser(req, res, next) {
@@ -46,31 +75,58 @@ export async function authenticateUser(req, res, next) {
             });
         }
 
-        const user = await queries.getUserByToken(token);
+        // The account token (BREW-XXXXXX) is only accepted by /api/auth/validate
+        if (!looksLikeAccessToken(token)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Access token required – exchange the account token at /api/auth/validate'
+            });
+        }
 
-        if (!user) {
-            return res.status(401).json({ 
+        const { claims, error } = verifyAccessToken(token);
+        if (error === 'invalid') {
+            const retryAfter = await recordFailedAttempt(
+                queries,
+                { ip: req.ip, deviceId },
+                { endpoint: req.originalUrl.split('?')[0], reason: 'invalid_access_token' }
+            );
+            if (retryAfter) return sendLockout(res, retryAfter);
+        }
+        if (error === 'suspended') {
+            return res.status(403).json({
                 success: false,
-                error: 'Invalid token' 
+                error: 'Account suspended'
+            });
+        }
+        if (error) {
+            return res.status(401).json({
+                success: false,
+                error: error === 'expired' ? 'Access token expired' : 'Invalid token'
             });
         }
 
         // Check device binding
-        if (user.device_id) {
-            if (user.device_id !== deviceId) {
-                return res.status(403).json({
+        if (claims.dev !== deviceId) {
+            return res.status(403).json({
+                success: false,
+                error: 'This token belongs to another device'
+            });
+        }
+
+        if (!READ_METHODS.has(req.method)) {
+            const ended = await checkActiveSession(claims.sub, claims.sid);
+            if (ended) {
+                return res.status(ended.status).json({
                     success: false,
-                    error: 'This token is already bound to another device'
+                    error: ended.error
                 });
             }
-        } else {
-            // First-time device binding
-            await queries.bindDevice(user.id, deviceId, getDeviceInfo(req));
-            console.log(`🔗 Device bound: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
         }
 
-        // Attach user to request for use in route handlers
-        req.user = user;
+        // Attach user, device and session to request for use in route handlers
+        req.user = { id: claims.sub, username: claims.name };
+        req.device = { id: claims.did, device_id: claims.dev };
+        req.session = { id: claims.sid };
         next();
 
     } catch (error) {
@@ -82,6 +138,18 @@ export async function authenticateUser(req, res, next) {
     }
 }
 
+/**
+ * Helper: 429 for a client locked out after failed attempts
+ */
+export function sendLockout(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: `Too many failed attempts. Please try again in ${retryAfter} seconds.`,
+        retryAfter
+    });
+}
+
 /**
  * Helper: Get Device Info
  */
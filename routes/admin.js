@@ -1,70 +1,56 @@
 // ==========================================
-// ADMIN ROUTES – Whitelist Management
+// ADMIN ROUTES – Whitelist Management, Security Events + Audit Log
 // ==========================================
 
 import express from 'express';
-import { getDatabase, getDatabaseType } from '../db/database.js';
+import { queries, withTransaction } from '../db/database.js';
+import { authenticateAdmin, requirePermission } from '../middleware/adminAuth.js';
+import { auditAdminAction, auditDiff, isEmptyDiff, parseAuditQuery, toApiAuditEvent } from '../utils/audit.js';
+import { parseSecurityEventQuery, toApiSecurityEvent } from '../utils/bruteForce.js';
+import {
+    WHITELIST_FIELDS,
+    parseInviteIds,
+    parseWhitelistCsv,
+    sendRegistrationToken,
+    whitelistToCsv
+} from '../utils/whitelist.js';
 
 const router = express.Router();
 
-// ── Admin Auth Middleware ──────────────────────────
-function adminAuth(req, res, next) {
-    const pw = req.headers['x-admin-password'];
-    if (!pw || pw !== process.env.ADMIN_PASSWORD) {
-        return res.status(401).json({ success: false, error: 'Unauthorized' });
+// CSV-Import: roher Body (text/csv) oder JSON { csv }
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+function parseEntryId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Registration-Token an einen Whitelist-Eintrag mailen (neu oder ersetzt)
+ * @returns {Promise<{status: 'sent'|'resent'|'already_registered'|'throttled', retryAfter?: number}>}
+ */
+async function inviteEntry(req, entry) {
+    const registration = await queries.getRegistrationByEmail(entry.email);
+    const { status, registrationId, retryAfter } = await sendRegistrationToken(queries, entry.email, registration);
+    if (status !== 'sent' && status !== 'resent') {
+        return { status, ...(retryAfter && { retryAfter }) };
     }
-    next();
+
+    await auditAdminAction(queries, req, status === 'resent' ? 'whitelist.invite_resent' : 'whitelist.invited', 'whitelist', entry.id, {
+        ...(status === 'sent' && { before: { status: 'invited' }, after: { status: 'sent' } }),
+        details: { registrationId }
+    });
+    return { status };
 }
 
+// Alle Admin-Routen brauchen einen Admin-Token (POST /api/admin/login)
+router.use(authenticateAdmin);
+
 // ── GET /api/admin/whitelist ───────────────────────
 // Alle Whitelist-Einträge + Token-Status
-router.get('/whitelist', adminAuth, async (req, res) => {
+router.get('/whitelist', requirePermission('whitelist:read'), async (req, res) => {
     try {
-        const db  = getDatabase();
-        const dbt = getDatabaseType();
-
-        let entries;
-        if (dbt === 'postgresql') {
-            entries = await db.all(`
-                SELECT 
-                    w.id,
-                    w.email,
-                    w.name,
-                    w.website,
-                    w.note,
-                    w.added_at,
-                    r.token,
-                    CASE 
-                        WHEN u.id IS NOT NULL THEN 'registered'
-                        WHEN r.token IS NOT NULL THEN 'sent'
-                        ELSE 'invited'
-                    END AS status
-                FROM whitelist w
-                LEFT JOIN registrations r ON r.email = w.email
-                LEFT JOIN users u ON u.token = r.token AND u.device_id IS NOT NULL
-                ORDER BY w.added_at DESC
-            `);
-        } else {
-            entries = await db.all(`
-                SELECT 
-                    w.id,
-                    w.email,
-                    w.name,
-                    w.website,
-                    w.note,
-                    w.added_at,
-                    r.token,
-                    CASE 
-                        WHEN u.id IS NOT NULL THEN 'registered'
-                        WHEN r.token IS NOT NULL THEN 'sent'
-                        ELSE 'invited'
-                    END AS status
-                FROM whitelist w
-                LEFT JOIN registrations r ON r.email = w.email
-                LEFT JOIN users u ON u.token = r.token AND u.device_id IS NOT NULL
-                ORDER BY w.added_at DESC
-            `);
-        }
+        const entries = await queries.getWhitelistWithStatus();
 
         res.json({ success: true, entries });
     } catch (err) {
@@ -73,9 +59,78 @@ router.get('/whitelist', adminAuth, async (req, res) => {
     }
 });
 
+// ── GET /api/admin/whitelist/export ───────────────
+// CSV: email, name, website, note, status, added_at
+router.get('/whitelist/export', requirePermission('whitelist:read'), async (req, res) => {
+    try {
+        const entries = await queries.getWhitelistWithStatus();
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="whitelist-${date}.csv"`);
+        res.send(whitelistToCsv(entries));
+    } catch (err) {
+        console.error('Admin export whitelist error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/whitelist/import ──────────────
+// CSV (email, name, website, note) – Ergebnis pro Zeile; ?dryRun=true prüft nur
+router.post('/whitelist/import', requirePermission('whitelist:write'), csvBody, async (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun ?? req.body?.dryRun));
+
+    const { rows, results, error } = parseWhitelistCsv(text);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const existing = await queries.getWhitelistedEmails(rows.map(row => row.email));
+        const fresh = [];
+        for (const { line, email, ...row } of rows) {
+            if (existing.has(email)) {
+                results.push({ line, email, status: 'duplicate', error: 'Already on the whitelist' });
+            } else if (dryRun) {
+                results.push({ line, email, status: 'added' });
+            } else {
+                fresh.push({ line, email, ...row });
+            }
+        }
+
+        if (fresh.length > 0) {
+            await withTransaction(async (tx) => {
+                for (const { line, email, name, website, note } of fresh) {
+                    const id = await tx.queries.addWhitelistEntry(email, name, website, note);
+                    if (!id) {
+                        results.push({ line, email, status: 'duplicate', error: 'Already on the whitelist' });
+                        continue;
+                    }
+                    await auditAdminAction(tx.queries, req, 'whitelist.added', 'whitelist', id, {
+                        ...auditDiff(null, { email, name, website, note }, WHITELIST_FIELDS),
+                        details: { source: 'import' }
+                    });
+                    results.push({ line, email, status: 'added', id });
+                }
+            });
+        }
+
+        results.sort((a, b) => a.line - b.line);
+        const summary = { added: 0, duplicate: 0, invalid: 0 };
+        for (const result of results) summary[result.status]++;
+
+        if (!dryRun) console.log(`✅ Whitelist-Import: ${summary.added} hinzugefügt von ${req.admin.username}`);
+        res.json({ success: true, dryRun, summary, results });
+    } catch (err) {
+        console.error('Admin import whitelist error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
 // ── POST /api/admin/whitelist ──────────────────────
 // Neue Mail zur Whitelist hinzufügen
-router.post('/whitelist', adminAuth, async (req, res) => {
+router.post('/whitelist', requirePermission('whitelist:write'), async (req, res) => {
     const { email, name = '', website = '', note = '' } = req.body;
 
     if (!email || !email.includes('@')) {
@@ -83,32 +138,17 @@ router.post('/whitelist', adminAuth, async (req, res) => {
     }
 
     try {
-        const db  = getDatabase();
-        const dbt = getDatabaseType();
-
-        let id;
-        if (dbt === 'postgresql') {
-            const result = await db.get(
-                `INSERT INTO whitelist (email, name, website, note)
-                 VALUES ($1, $2, $3, $4)
-                 ON CONFLICT (email) DO NOTHING
-                 RETURNING id`,
-                [email.toLowerCase().trim(), name, website, note]
-            );
-            if (!result) {
-                return res.status(409).json({ success: false, error: 'E-Mail bereits auf der Whitelist' });
+        const normalized = email.toLowerCase().trim();
+        const id = await withTransaction(async (tx) => {
+            const newId = await tx.queries.addWhitelistEntry(normalized, name, website, note);
+            if (newId) {
+                await auditAdminAction(tx.queries, req, 'whitelist.added', 'whitelist', newId,
+                    auditDiff(null, { email: normalized, name, website, note }, WHITELIST_FIELDS));
             }
-            id = result.id;
-        } else {
-            const existing = await db.get('SELECT id FROM whitelist WHERE email = ?', [email.toLowerCase().trim()]);
-            if (existing) {
-                return res.status(409).json({ success: false, error: 'E-Mail bereits auf der Whitelist' });
-            }
-            const result = await db.run(
-                `INSERT INTO whitelist (email, name, website, note) VALUES (?, ?, ?, ?)`,
-                [email.toLowerCase().trim(), name, website, note]
-            );
-            id = result.lastID;
+            return newId;
+        });
+        if (!id) {
+            return res.status(409).json({ success: false, error: 'E-Mail bereits auf der Whitelist' });
         }
 
         console.log(`✅ Whitelist: ${email} hinzugefügt`);
@@ -121,8 +161,8 @@ router.post('/whitelist', adminAuth, async (req, res) => {
 
 // ── PATCH /api/admin/whitelist/:id ────────────────
 // Notiz, Name oder Webseite aktualisieren
-router.patch('/whitelist/:id', adminAuth, async (req, res) => {
-    const { id } = req.params;
+router.patch('/whitelist/:id', requirePermission('whitelist:write'), async (req, res) => {
+    const id = parseEntryId(req.params.id);
     const allowed = ['name', 'website', 'note'];
     const updates = {};
 
@@ -135,20 +175,17 @@ router.patch('/whitelist/:id', adminAuth, async (req, res) => {
     }
 
     try {
-        const db  = getDatabase();
-        const dbt = getDatabaseType();
-
-        if (dbt === 'postgresql') {
-            const setClauses = Object.keys(updates).map((k, i) => `${k} = $${i + 1}`).join(', ');
-            const values     = [...Object.values(updates), id];
-            await db.run(
-                `UPDATE whitelist SET ${setClauses} WHERE id = $${values.length}`,
-                values
-            );
-        } else {
-            const setClauses = Object.keys(updates).map(k => `${k} = ?`).join(', ');
-            const values     = [...Object.values(updates), id];
-            await db.run(`UPDATE whitelist SET ${setClauses} WHERE id = ?`, values);
+        const found = id && await withTransaction(async (tx) => {
+            const before = await tx.queries.getWhitelistEntry(id);
+            if (!before) return false;
+
+            await tx.queries.updateWhitelistEntry(id, updates);
+            const diff = auditDiff(before, { ...before, ...updates }, WHITELIST_FIELDS);
+            if (!isEmptyDiff(diff)) await auditAdminAction(tx.queries, req, 'whitelist.updated', 'whitelist', id, diff);
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Eintrag nicht gefunden' });
         }
 
         res.json({ success: true });
@@ -160,17 +197,20 @@ router.patch('/whitelist/:id', adminAuth, async (req, res) => {
 
 // ── DELETE /api/admin/whitelist/:id ───────────────
 // Eintrag entfernen
-router.delete('/whitelist/:id', adminAuth, async (req, res) => {
-    const { id } = req.params;
+router.delete('/whitelist/:id', requirePermission('whitelist:write'), async (req, res) => {
+    const id = parseEntryId(req.params.id);
 
     try {
-        const db  = getDatabase();
-        const dbt = getDatabaseType();
+        const found = id && await withTransaction(async (tx) => {
+            const before = await tx.queries.getWhitelistEntry(id);
+            if (!before) return false;
 
-        if (dbt === 'postgresql') {
-            await db.run('DELETE FROM whitelist WHERE id = $1', [id]);
-        } else {
-            await db.run('DELETE FROM whitelist WHERE id = ?', [id]);
+            await tx.queries.deleteWhitelistEntry(id);
+            await auditAdminAction(tx.queries, req, 'whitelist.deleted', 'whitelist', id, auditDiff(before, null, WHITELIST_FIELDS));
+            return true;
+        });
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Eintrag nicht gefunden' });
         }
 
         console.log(`🗑️ Whitelist: Eintrag ${id} entfernt`);
@@ -181,4 +221,119 @@ router.delete('/whitelist/:id', adminAuth, async (req, res) => {
     }
 });
 
+// ── POST /api/admin/whitelist/invite ──────────────
+// Mehrere Einladungen: { ids: [1, 2, …] } (max. 100) – Ergebnis pro Eintrag
+router.post('/whitelist/invite', requirePermission('whitelist:write'), async (req, res) => {
+    const { ids, error } = parseInviteIds(req.body?.ids);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const results = [];
+        for (const id of ids) {
+            const entry = await queries.getWhitelistEntry(id);
+            if (!entry) {
+                results.push({ id, status: 'not_found' });
+                continue;
+            }
+            try {
+                results.push({ id, email: entry.email, ...(await inviteEntry(req, entry)) });
+            } catch (err) {
+                console.error(`Admin invite error (${entry.email}):`, err.message);
+                results.push({ id, email: entry.email, status: 'failed' });
+            }
+        }
+
+        const summary = {};
+        for (const result of results) summary[result.status] = (summary[result.status] || 0) + 1;
+
+        console.log(`📧 Einladungen: ${(summary.sent || 0) + (summary.resent || 0)} von ${ids.length} gesendet (${req.admin.username})`);
+        res.json({ success: true, summary, results });
+    } catch (err) {
+        console.error('Admin bulk invite error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/whitelist/:id/invite ──────────
+// Token per Mail senden → Status "sent"; erneut frühestens nach 1 h (neuer Token)
+router.post('/whitelist/:id/invite', requirePermission('whitelist:write'), async (req, res) => {
+    const id = parseEntryId(req.params.id);
+
+    try {
+        const entry = id && await queries.getWhitelistEntry(id);
+        if (!entry) {
+            return res.status(404).json({ success: false, error: 'Eintrag nicht gefunden' });
+        }
+
+        const { status, retryAfter } = await inviteEntry(req, entry);
+        if (status === 'already_registered') {
+            return res.status(409).json({ success: false, error: 'already_registered' });
+        }
+        if (status === 'throttled') {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ success: false, error: `Invite already sent – try again in ${retryAfter} seconds`, retryAfter });
+        }
+
+        console.log(`📧 Einladung ${status === 'resent' ? 'erneut ' : ''}gesendet: ${entry.email} (${req.admin.username})`);
+        res.json({ success: true, resent: status === 'resent' });
+    } catch (err) {
+        console.error('Admin invite error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── GET /api/admin/security-events ────────────────
+// Fehlversuche und Sperren (utils/bruteForce.js), neueste zuerst
+// ?type=&ip=&deviceId=&userId=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=
+router.get('/security-events', requirePermission('security:read'), async (req, res) => {
+    const { filters, error } = parseSecurityEventQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [rows, total] = await Promise.all([
+            queries.getSecurityEvents(filters),
+            queries.countSecurityEvents(filters)
+        ]);
+
+        res.json({
+            success: true,
+            events: rows.map(toApiSecurityEvent),
+            pagination: { limit: filters.limit, offset: filters.offset, total }
+        });
+    } catch (err) {
+        console.error('Admin GET security events error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── GET /api/admin/audit ──────────────────────────
+// Audit-Log (utils/audit.js), neueste zuerst
+// ?actorType=&actorId=&action=&entityType=&entityId=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+    const { filters, error } = parseAuditQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [rows, total] = await Promise.all([
+            queries.getAuditEvents(filters),
+            queries.countAuditEvents(filters)
+        ]);
+
+        res.json({
+            success: true,
+            events: rows.map(toApiAuditEvent),
+            pagination: { limit: filters.limit, offset: filters.offset, total }
+        });
+    } catch (err) {
+        console.error('Admin GET audit error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
 export default router;
@@ -0,0 +1,240 @@
+// ==========================================
+// ADMIN ROUTES – Accounts, Login & Roles
+// ==========================================
+
+import express from 'express';
+import { queries, withTransaction } from '../db/database.js';
+import { authenticateAdmin, requirePermission } from '../middleware/adminAuth.js';
+import { sendLockout } from '../middleware/auth.js';
+import {
+    ADMIN_TOKEN_TTL_MS,
+    generateAdminToken,
+    hashAdminToken,
+    hashPassword,
+    parseAdminRole,
+    parseAdminUsername,
+    parsePassword,
+    toApiAdmin,
+    verifyPassword
+} from '../utils/admin.js';
+import { auditAdminAction } from '../utils/audit.js';
+import { getLockout, recordFailedAttempt } from '../utils/bruteForce.js';
+
+const router = express.Router();
+
+function parseAdminId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// ── POST /api/admin/login ─────────────────────────
+// Benutzername + Passwort → Admin-Token (12 h)
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ success: false, error: 'username and password required' });
+    }
+
+    try {
+        // Fehlversuche zählen pro IP (utils/bruteForce.js)
+        const client = { ip: req.ip };
+        const lockedFor = await getLockout(queries, client);
+        if (lockedFor) return sendLockout(res, lockedFor);
+
+        const admin = await queries.getAdminByUsername(username.trim().toLowerCase());
+        const valid = await verifyPassword(password, admin?.password_hash ?? null);
+        if (!valid || admin.disabled_at) {
+            await recordFailedAttempt(queries, client, { endpoint: '/api/admin/login', reason: 'invalid_credentials' });
+            return res.status(401).json({ success: false, error: 'Invalid username or password' });
+        }
+
+        const token = generateAdminToken();
+        const expiresAt = new Date(Date.now() + ADMIN_TOKEN_TTL_MS).toISOString();
+        await queries.createAdminToken(admin.id, hashAdminToken(token), expiresAt);
+        await queries.touchAdminLogin(admin.id);
+
+        console.log(`🔐 Admin login: ${admin.username} (${admin.role})`);
+        res.json({ success: true, token, expiresAt, admin: toApiAdmin(admin) });
+    } catch (err) {
+        console.error('Admin login error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/logout ────────────────────────
+// Aktuellen Admin-Token widerrufen
+router.post('/logout', authenticateAdmin, async (req, res) => {
+    try {
+        await queries.revokeAdminTokens(req.admin.id, { tokenId: req.admin.tokenId });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Admin logout error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── GET /api/admin/me ─────────────────────────────
+// Eigenes Konto + Berechtigungen
+router.get('/me', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = await queries.getAdmin(req.admin.id);
+        res.json({ success: true, admin: toApiAdmin(admin) });
+    } catch (err) {
+        console.error('Admin GET me error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── PATCH /api/admin/me/password ──────────────────
+// Eigenes Passwort ändern – andere Admin-Tokens werden widerrufen
+router.patch('/me/password', authenticateAdmin, async (req, res) => {
+    const { currentPassword } = req.body || {};
+    const { password, error } = parsePassword(req.body?.newPassword);
+    if (error) {
+        return res.status(400).json({ success: false, error: error.replace('password', 'newPassword') });
+    }
+
+    try {
+        const storedHash = await queries.getAdminPasswordHash(req.admin.id);
+        if (!(await verifyPassword(currentPassword ?? '', storedHash))) {
+            return res.status(403).json({ success: false, error: 'Current password is wrong' });
+        }
+
+        await withTransaction(async (tx) => {
+            await tx.queries.setAdminPassword(req.admin.id, await hashPassword(password));
+            await tx.queries.revokeAdminTokens(req.admin.id, { exceptTokenId: req.admin.tokenId });
+            await auditAdminAction(tx.queries, req, 'admin.password_changed', 'admin', req.admin.id);
+        });
+
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Admin PATCH password error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── GET /api/admin/admins ─────────────────────────
+// Alle Admin-Konten (nur owner)
+router.get('/admins', authenticateAdmin, requirePermission('admins:manage'), async (req, res) => {
+    try {
+        const admins = await queries.getAdmins();
+        res.json({ success: true, admins: admins.map(toApiAdmin) });
+    } catch (err) {
+        console.error('Admin GET admins error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/admins ────────────────────────
+// Neues Admin-Konto anlegen: { username, role, password }
+router.post('/admins', authenticateAdmin, requirePermission('admins:manage'), async (req, res) => {
+    const body = req.body || {};
+    const { username, error: usernameError } = parseAdminUsername(body.username);
+    const { role, error: roleError } = parseAdminRole(body.role);
+    const { password, error: passwordError } = parsePassword(body.password);
+    const error = usernameError || roleError || passwordError;
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const id = await withTransaction(async (tx) => {
+            const newId = await tx.queries.createAdmin(username, role, await hashPassword(password), req.admin.id);
+            if (newId) await auditAdminAction(tx.queries, req, 'admin.created', 'admin', newId, { after: { username, role } });
+            return newId;
+        });
+        if (!id) {
+            return res.status(409).json({ success: false, error: 'Username already exists' });
+        }
+
+        console.log(`✅ Admin angelegt: ${username} (${role}) von ${req.admin.username}`);
+        res.status(201).json({ success: true, admin: toApiAdmin(await queries.getAdmin(id)) });
+    } catch (err) {
+        console.error('Admin POST admins error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── PATCH /api/admin/admins/:id ───────────────────
+// Rolle ändern, sperren/entsperren, Passwort zurücksetzen: { role?, disabled?, password? }
+router.patch('/admins/:id', authenticateAdmin, requirePermission('admins:manage'), async (req, res) => {
+    const id = parseAdminId(req.params.id);
+    const body = req.body || {};
+    const changes = {};
+
+    if (body.role !== undefined) {
+        const { role, error } = parseAdminRole(body.role);
+        if (error) return res.status(400).json({ success: false, error });
+        changes.role = role;
+    }
+    if (body.disabled !== undefined) {
+        if (typeof body.disabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'disabled must be a boolean' });
+        }
+        changes.disabled = body.disabled;
+    }
+    if (body.password !== undefined) {
+        const { password, error } = parsePassword(body.password);
+        if (error) return res.status(400).json({ success: false, error });
+        changes.password = password;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, error: 'Keine gültigen Felder' });
+    }
+
+    try {
+        const admin = id && await queries.getAdmin(id);
+        if (!admin) {
+            return res.status(404).json({ success: false, error: 'Admin not found' });
+        }
+        if (id === req.admin.id && (changes.role !== undefined || changes.disabled !== undefined)) {
+            return res.status(409).json({ success: false, error: 'Cannot change your own role or lock yourself out' });
+        }
+
+        const result = await withTransaction(async (tx) => {
+            // Mindestens ein aktiver owner muss bleiben – gezählt in derselben Transaktion,
+            // damit sich zwei owner nicht gleichzeitig gegenseitig degradieren
+            if ((changes.role && changes.role !== 'owner') || changes.disabled === true) {
+                const owners = await tx.queries.countActiveOwners({ lock: true });
+                const current = await tx.queries.getAdmin(id);
+                if (current.role === 'owner' && !current.disabled_at && owners <= 1) {
+                    return { status: 409, error: 'Cannot remove the last active owner' };
+                }
+            }
+
+            if (changes.role !== undefined && changes.role !== admin.role) {
+                await tx.queries.setAdminRole(id, changes.role);
+                await auditAdminAction(tx.queries, req, 'admin.role_changed', 'admin', id, {
+                    before: { role: admin.role },
+                    after: { role: changes.role }
+                });
+            }
+            if (changes.disabled !== undefined && changes.disabled !== !!admin.disabled_at) {
+                await tx.queries.setAdminDisabled(id, changes.disabled);
+                await auditAdminAction(tx.queries, req, changes.disabled ? 'admin.disabled' : 'admin.enabled', 'admin', id, {
+                    before: { disabled: !changes.disabled },
+                    after: { disabled: changes.disabled }
+                });
+            }
+            if (changes.password !== undefined) {
+                await tx.queries.setAdminPassword(id, await hashPassword(changes.password));
+                await auditAdminAction(tx.queries, req, 'admin.password_reset', 'admin', id);
+            }
+            // Gesperrt oder neues Passwort → bestehende Tokens ungültig
+            if (changes.disabled === true || changes.password !== undefined) {
+                await tx.queries.revokeAdminTokens(id);
+            }
+            return {};
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, admin: toApiAdmin(await queries.getAdmin(id)) });
+    } catch (err) {
+        console.error('Admin PATCH admins error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,213 @@
+// ==========================================
+// ADMIN ROUTES – User Management
+// List, inspect, suspend, unbind devices, delete (utils/adminUsers.js)
+// ==========================================
+
+import express from 'express';
+import { queries, withTransaction } from '../db/database.js';
+import { authenticateAdmin, requirePermission } from '../middleware/adminAuth.js';
+import { parseSuspensionReason, parseUserListQuery, toApiAdminUser } from '../utils/adminUsers.js';
+import { auditAdminAction } from '../utils/audit.js';
+import { toApiDevice } from '../utils/devices.js';
+import { clearUserSuspended, markSessionsRevoked, markUserSuspended } from '../utils/session.js';
+
+const router = express.Router();
+
+router.use(authenticateAdmin);
+
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function sendUserNotFound(res) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+}
+
+// ── GET /api/admin/users ──────────────────────────
+// Alle Accounts, neueste zuerst – ?search= (Username/E-Mail)&status=active|suspended&limit=&offset=
+router.get('/', requirePermission('users:read'), async (req, res) => {
+    const { filters, error } = parseUserListQuery(req.query);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const [rows, total] = await Promise.all([
+            queries.getAdminUsers(filters),
+            queries.countAdminUsers(filters)
+        ]);
+
+        res.json({
+            success: true,
+            users: rows.map(toApiAdminUser),
+            pagination: { limit: filters.limit, offset: filters.offset, total }
+        });
+    } catch (err) {
+        console.error('Admin GET users error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── GET /api/admin/users/:id ──────────────────────
+// Account mit Geräten (auch widerrufene) und Datenmengen
+router.get('/:id', requirePermission('users:read'), async (req, res) => {
+    const id = parseId(req.params.id);
+
+    try {
+        const user = id && await queries.getAdminUser(id);
+        if (!user) return sendUserNotFound(res);
+
+        const [devices, counts] = await Promise.all([
+            queries.getUserDevices(id, { includeRevoked: true }),
+            queries.getUserDataCounts(id)
+        ]);
+
+        res.json({
+            success: true,
+            user: toApiAdminUser(user),
+            devices: devices.map(device => toApiDevice(device)),
+            counts: {
+                coffees: counts.coffees,
+                brews: counts.brews,
+                equipment: counts.equipment,
+                waterProfiles: counts.water_profiles,
+                customGrinders: counts.custom_grinders,
+                customMethods: counts.custom_methods,
+                activeSessions: counts.active_sessions
+            }
+        });
+    } catch (err) {
+        console.error('Admin GET user error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/users/:id/suspend ─────────────
+// Sperren: { reason? } – Sessions enden sofort, Anmeldung liefert 403
+router.post('/:id/suspend', requirePermission('users:write'), async (req, res) => {
+    const id = parseId(req.params.id);
+    const { reason, error } = parseSuspensionReason(req.body?.reason);
+    if (error) {
+        return res.status(400).json({ success: false, error });
+    }
+
+    try {
+        const user = id && await queries.getAdminUser(id);
+        if (!user) return sendUserNotFound(res);
+        if (user.suspended_at) {
+            return res.status(409).json({ success: false, error: 'User is already suspended' });
+        }
+
+        const endedSessions = await withTransaction(async (tx) => {
+            await tx.queries.setUserSuspension(id, new Date().toISOString(), reason);
+            const ended = await tx.queries.revokeSessions(id);
+            await auditAdminAction(tx.queries, req, 'user.suspended', 'user', id, {
+                before: { suspended: false },
+                after: { suspended: true },
+                details: { reason, endedSessions: ended.length }
+            });
+            return ended;
+        });
+        markSessionsRevoked(endedSessions);
+        markUserSuspended(id);
+
+        console.log(`⛔ User gesperrt: ${user.username} von ${req.admin.username}`);
+        res.json({ success: true, user: toApiAdminUser(await queries.getAdminUser(id)) });
+    } catch (err) {
+        console.error('Admin suspend user error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── POST /api/admin/users/:id/unsuspend ───────────
+// Sperre aufheben – der User meldet sich neu an (/api/auth/validate)
+router.post('/:id/unsuspend', requirePermission('users:write'), async (req, res) => {
+    const id = parseId(req.params.id);
+
+    try {
+        const user = id && await queries.getAdminUser(id);
+        if (!user) return sendUserNotFound(res);
+        if (!user.suspended_at) {
+            return res.status(409).json({ success: false, error: 'User is not suspended' });
+        }
+
+        await withTransaction(async (tx) => {
+            await tx.queries.setUserSuspension(id, null);
+            await auditAdminAction(tx.queries, req, 'user.unsuspended', 'user', id, {
+                before: { suspended: true, reason: user.suspension_reason ?? null },
+                after: { suspended: false, reason: null }
+            });
+        });
+        clearUserSuspended(id);
+
+        console.log(`✅ User entsperrt: ${user.username} von ${req.admin.username}`);
+        res.json({ success: true, user: toApiAdminUser(await queries.getAdminUser(id)) });
+    } catch (err) {
+        console.error('Admin unsuspend user error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── DELETE /api/admin/users/:id/devices/:deviceId ─
+// Gerät lösen (Device-Row-ID) – auch das letzte: das nächste Gerät wird beim Login gebunden
+router.delete('/:id/devices/:deviceId', requirePermission('users:write'), async (req, res) => {
+    const id = parseId(req.params.id);
+    const deviceRowId = parseId(req.params.deviceId);
+
+    try {
+        const device = id && deviceRowId && await queries.getDevice(id, deviceRowId);
+        if (!device || device.revoked_at) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        const endedSessions = await withTransaction(async (tx) => {
+            await tx.queries.revokeDevice(id, deviceRowId);
+            const ended = await tx.queries.revokeSessions(id, { deviceRowId });
+            await auditAdminAction(tx.queries, req, 'device.unbound', 'device', deviceRowId, {
+                before: { revoked: false },
+                after: { revoked: true },
+                details: { userId: id, deviceId: device.device_id }
+            });
+            return ended;
+        });
+        markSessionsRevoked(endedSessions);
+
+        console.log(`🚫 Gerät gelöst: User #${id} → #${deviceRowId} von ${req.admin.username}`);
+        res.json({ success: true, revoked: deviceRowId });
+    } catch (err) {
+        console.error('Admin unbind device error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+// ── DELETE /api/admin/users/:id ───────────────────
+// Account endgültig löschen – Kaffees, Brews, Geräte, Sessions usw. per Cascade
+router.delete('/:id', requirePermission('users:delete'), async (req, res) => {
+    const id = parseId(req.params.id);
+
+    try {
+        const user = id && await queries.getAdminUser(id);
+        if (!user) return sendUserNotFound(res);
+
+        const endedSessions = await withTransaction(async (tx) => {
+            const counts = await tx.queries.getUserDataCounts(id);
+            const ended = await tx.queries.revokeSessions(id);
+            await tx.queries.deleteUser(id);
+            await auditAdminAction(tx.queries, req, 'user.deleted', 'user', id, {
+                before: { username: user.username, email: user.email ?? null },
+                details: { coffees: counts.coffees, brews: counts.brews }
+            });
+            return ended;
+        });
+        markSessionsRevoked(endedSessions);
+
+        console.log(`🗑️ User gelöscht: ${user.username} von ${req.admin.username}`);
+        res.json({ success: true, deleted: id });
+    } catch (err) {
+        console.error('Admin DELETE user error:', err.message);
+        res.status(500).json({ success: false, error: 'Server error' });
+    }
+});
+
+export default router;
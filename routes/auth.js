@@ -3,15 +3,82 @@
 // ==========================================
 
 import express from 'express';
-import { extractAuthCredentials, getDeviceInfo } from '../middleware/auth.js';
-import { queries, getDatabase, getDatabaseType } from '../db/database.js';
+import rateLimit from 'express-rate-limit';
+import { authenticateUser, extractAuthCredentials, getDeviceInfo, sendLockout } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import { clearFailedAttempts, getLockout, recordFailedAttempt } from '../utils/bruteForce.js';
+import {
+    MAX_DEVICES,
+    authorizeDevice,
+    isExpired,
+    isValidDeviceId,
+    normalizePairingCode,
+    parseDeviceName,
+    toApiDevice
+} from '../utils/devices.js';
+import { sendRecoveryMail, sendTokenMail } from '../utils/mail.js';
+import {
+    MAX_RECOVERY_MAILS_PER_HOUR,
+    RECOVERY_CODE_TTL_MS,
+    generateRecoveryCode,
+    hashRecoveryCode,
+    parseRecoveryCode,
+    recentRecoveryThreshold,
+    recoveryLink
+} from '../utils/recovery.js';
+import {
+    issueSession,
+    markSessionsRevoked,
+    parseRefreshToken,
+    refreshSecretMatches,
+    rotateSession
+} from '../utils/session.js';
+import { generateUniqueToken, mailOrUndo } from '../utils/tokens.js';
 
 const router = express.Router();
 
+const recoverLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: {
+        success: false,
+        error: 'Too many recovery attempts. Please try again in an hour.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const rotateTokenLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    message: {
+        success: false,
+        error: 'Too many token rotations. Please try again in an hour.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * User as returned by /validate and /pair
+ */
+function toApiUser(user, deviceId) {
+    return {
+        id: user.id,
+        username: user.username,
+        deviceId,
+        grinderPreference: user.grinder_preference || 'fellow_gen2',
+        methodPreference: user.method_preference || 'v60',
+        waterHardness: user.water_hardness || null,
+        createdAt: user.created_at
+    };
+}
+
 /**
  * Validate Token with Device-Binding
  * GET /validate
  * Beim ersten Login: Token aus registrations → User in users anlegen
+ * Exchanges the account token for a session (access + refresh token, see utils/session.js)
  */
 router.get('/validate', async (req, res) => {
     try {
@@ -31,18 +98,20 @@ router.get('/validate', async (req, res) => {
             });
         }
 
+        // Brute-force protection (utils/bruteForce.js): tokens from locked-out clients are not checked
+        const client = { ip: req.ip, deviceId };
+        const lockedFor = await getLockout(queries, client);
+        if (lockedFor) return sendLockout(res, lockedFor);
+
         let user = await queries.getUserByToken(token);
 
         // Token nicht in users → prüfen ob in registrations
         if (!user) {
-            const db  = getDatabase();
-            const dbt = getDatabaseType();
-
-            const registration = dbt === 'postgresql'
-                ? await db.get('SELECT * FROM registrations WHERE token = $1', [token])
-                : await db.get('SELECT * FROM registrations WHERE token = ?', [token]);
+            const registration = await queries.getRegistrationByToken(token);
 
-            if (!registration) {
+            // A registration that already belongs to a user only matches a rotated-away token
+            if (!registration || registration.user_id) {
+                await recordFailedAttempt(queries, client, { endpoint: '/api/auth/validate', reason: 'invalid_token' });
                 return res.status(401).json({ 
                     success: false,
                     valid: false,
@@ -55,48 +124,94 @@ router.get('/validate', async (req, res) => {
             const suffix   = Date.now().toString().slice(-4);
             const username = (base || 'user') + '_' + suffix;
 
-            // Neuen User anlegen + Device binden
-            await queries.createUser(username, token, deviceId, getDeviceInfo(req));
+            // User anlegen und Registrierung verknüpfen in einer Transaktion: zwei gleichzeitige
+            // Erst-Logins mit demselben Token dürfen nur einen User anlegen
+            let userId = null;
+            try {
+                userId = await withTransaction(async (tx) => {
+                    const id = await tx.queries.createUser(username, token, deviceId, getDeviceInfo(req));
+                    if (!(await tx.queries.markRegistrationUsed(registration.id, id))) {
+                        throw new Error('Registration was claimed by a concurrent first login');
+                    }
+                    await tx.queries.createAuditEvent({
+                        actorType: 'user',
+                        actorId: id,
+                        action: 'account.created',
+                        entityType: 'user',
+                        entityId: id,
+                        after: { username, email: registration.email },
+                        details: { registrationId: registration.id },
+                        ip: req.ip
+                    });
+                    return id;
+                });
+            } catch (error) {
+                // Rolled back – if the other first login won, continue with its user
+                user = await queries.getUserByToken(token);
+                if (!user) throw error;
+            }
 
-            // Token als used markieren
-            if (dbt === 'postgresql') {
-                await db.run('UPDATE registrations SET used = true WHERE token = $1', [token]);
-            } else {
-                await db.run('UPDATE registrations SET used = 1 WHERE token = ?', [token]);
+            if (userId) {
+                console.log(`Neuer User angelegt: ${username} (${registration.email})`);
+                user = await queries.getUserById(userId);
             }
+        }
 
-            console.log(`Neuer User angelegt: ${username} (${registration.email})`);
-            user = await queries.getUserByToken(token);
+        // Suspended by an admin (routes/adminUsers.js) – the token is right, so no failed attempt
+        if (user.suspended_at) {
+            return res.status(403).json({
+                success: false,
+                valid: false,
+                error: 'Account suspended'
+            });
         }
 
-        // Device-Binding
-        if (user.device_id) {
-            if (user.device_id !== deviceId) {
-                return res.status(403).json({
-                    success: false,
-                    valid: false,
-                    error: 'This token is already bound to another device'
+        // Device-Binding (mehrere Geräte, siehe utils/devices.js) – in einer Transaktion,
+        // damit zwei gleichzeitige Erst-Logins nicht beide Geräte binden
+        const { device, bound, error } = await withTransaction(async (tx) => {
+            const authorized = await authorizeDevice(tx.queries, user, deviceId, getDeviceInfo(req));
+            if (authorized.bound) {
+                await tx.queries.createAuditEvent({
+                    actorType: 'user',
+                    actorId: user.id,
+                    action: 'device.bound',
+                    entityType: 'device',
+                    entityId: authorized.device.id,
+                    after: { deviceId },
+                    ip: req.ip
                 });
             }
-        } else {
-            await queries.bindDevice(user.id, deviceId, getDeviceInfo(req));
+            return authorized;
+        });
+        if (error) {
+            return res.status(403).json({
+                success: false,
+                valid: false,
+                error
+            });
+        }
+        if (bound) {
             console.log(`Device bound: User ${user.username} -> Device ${deviceId.substring(0, 8)}...`);
         }
 
         await queries.updateLastLogin(user.id);
+        await clearFailedAttempts(queries, client);
+        await queries.createAuditEvent({
+            actorType: 'user',
+            actorId: user.id,
+            action: 'account.token_validated',
+            entityType: 'user',
+            entityId: user.id,
+            details: { deviceId },
+            ip: req.ip
+        });
+        const session = await withTransaction(tx => issueSession(tx.queries, user, device));
 
         res.json({
             success: true,
             valid: true,
-            user: {
-                id: user.id,
-                username: user.username,
-                deviceId: user.device_id || deviceId,
-                grinderPreference: user.grinder_preference || 'fellow_gen2',
-                methodPreference: user.method_preference || 'v60',
-                waterHardness: user.water_hardness || null,
-                createdAt: user.created_at
-            }
+            user: toApiUser(user, deviceId),
+            session
         });
 
     } catch (error) {
@@ -108,4 +223,425 @@ router.get('/validate', async (req, res) => {
     }
 });
 
+/**
+ * Pair a new device with a code issued by a signed-in device
+ * POST /pair   body: { code, deviceId, name? }
+ * Returns a session for the new device (the account token is only stored hashed).
+ */
+router.post('/pair', async (req, res) => {
+    try {
+        const code = normalizePairingCode(req.body?.code);
+        const { deviceId } = req.body || {};
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid pairing code required'
+            });
+        }
+        if (!isValidDeviceId(deviceId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Device ID required'
+            });
+        }
+        const { name, error: nameError } = parseDeviceName(req.body.name);
+        if (nameError) {
+            return res.status(400).json({
+                success: false,
+                error: nameError
+            });
+        }
+
+        const result = await withTransaction(async (tx) => {
+            const pairing = await tx.queries.getPairingCode(code);
+            if (!pairing || pairing.used_at || isExpired(pairing.expires_at)) {
+                return { status: 400, error: 'Invalid or expired pairing code' };
+            }
+
+            const userId = pairing.user_id;
+            if ((await tx.queries.getUserById(userId))?.suspended_at) {
+                return { status: 403, error: 'Account suspended' };
+            }
+            await tx.queries.lockUserDevices(userId);
+            const existing = await tx.queries.getDeviceByDeviceId(userId, deviceId);
+            const alreadyActive = existing && !existing.revoked_at;
+            if (!alreadyActive && await tx.queries.countActiveDevices(userId) >= MAX_DEVICES) {
+                return { status: 409, error: `Device limit reached (${MAX_DEVICES}) – revoke a device first` };
+            }
+
+            if (!(await tx.queries.markPairingCodeUsed(pairing.id))) {
+                return { status: 400, error: 'Invalid or expired pairing code' };
+            }
+            const id = await tx.queries.registerDevice(userId, deviceId, getDeviceInfo(req), name);
+            await tx.queries.setPairingCodeDevice(pairing.id, id);
+            await tx.queries.createAuditEvent({
+                actorType: 'user',
+                actorId: userId,
+                action: 'device.paired',
+                entityType: 'device',
+                entityId: id,
+                after: { deviceId, name: name ?? null },
+                details: { pairingCodeId: pairing.id, issuedByDevice: pairing.issued_by_device ?? null },
+                ip: req.ip
+            });
+
+            const user = await tx.queries.getUserById(userId);
+            const device = await tx.queries.getDevice(userId, id);
+            return { user, device, session: await issueSession(tx.queries, user, device) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { user, device } = result;
+        console.log(`📱 Device paired: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
+
+        res.json({
+            success: true,
+            user: toApiUser(user, deviceId),
+            device: toApiDevice(device, device.id),
+            session: result.session
+        });
+
+    } catch (error) {
+        console.error('Pair device error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * The one answer of POST /recover, whether or not the email has an account
+ */
+function sendRecoveryAnswer(res) {
+    return res.json({
+        success: true,
+        message: 'If this email belongs to an account, a recovery link is on its way.'
+    });
+}
+
+/**
+ * Request an account recovery link by email
+ * POST /recover   body: { email }
+ * Always answers the same way so it does not reveal which emails have an account.
+ */
+router.post('/recover', recoverLimiter, async (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (typeof email !== 'string' || !email.includes('@')) {
+            return res.status(400).json({
+                success: false,
+                error: 'Valid email required'
+            });
+        }
+
+        const normalizedEmail = email.toLowerCase().trim();
+        const user = await queries.getUserByEmail(normalizedEmail);
+        const throttled = user
+            && await queries.countRecoveryCodesExpiringAfter(user.id, recentRecoveryThreshold()) >= MAX_RECOVERY_MAILS_PER_HOUR;
+
+        if (user && !throttled) {
+            const code = generateRecoveryCode();
+            const expiresAt = new Date(Date.now() + RECOVERY_CODE_TTL_MS).toISOString();
+            const recoveryId = await queries.createRecoveryCode(user.id, hashRecoveryCode(code), expiresAt);
+            try {
+                await sendRecoveryMail(normalizedEmail, recoveryLink(code), RECOVERY_CODE_TTL_MS / 60000);
+            } catch (error) {
+                // Same answer as for unknown emails – a failed mail must not reveal that the account exists
+                console.error('Recovery mail error:', error.message);
+                await queries.deleteRecoveryCode(recoveryId);
+                return sendRecoveryAnswer(res);
+            }
+            await queries.createAuditEvent({
+                actorType: 'user',
+                actorId: user.id,
+                action: 'account.recovery_requested',
+                entityType: 'user',
+                entityId: user.id,
+                ip: req.ip
+            });
+            console.log(`📧 Recovery link sent: ${user.username}`);
+        } else if (throttled) {
+            console.warn(`⚠️  Recovery mail throttled: ${user.username}`);
+        }
+
+        sendRecoveryAnswer(res);
+
+    } catch (error) {
+        console.error('Recover error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Redeem a recovery link on the new device
+ * POST /recover/redeem   body: { code, deviceId, name? }
+ * Revokes all devices and sessions of the account, binds this one and returns a session.
+ */
+router.post('/recover/redeem', recoverLimiter, async (req, res) => {
+    try {
+        const code = parseRecoveryCode(req.body?.code);
+        const { deviceId } = req.body || {};
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired recovery link'
+            });
+        }
+        if (!isValidDeviceId(deviceId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Device ID required'
+            });
+        }
+        const { name, error: nameError } = parseDeviceName(req.body.name);
+        if (nameError) {
+            return res.status(400).json({
+                success: false,
+                error: nameError
+            });
+        }
+
+        const deviceInfo = getDeviceInfo(req);
+        const result = await withTransaction(async (tx) => {
+            const recovery = await tx.queries.getRecoveryCode(hashRecoveryCode(code));
+            if (!recovery || recovery.used_at || isExpired(recovery.expires_at)) {
+                return { status: 400, error: 'Invalid or expired recovery link' };
+            }
+
+            const userId = recovery.user_id;
+            if ((await tx.queries.getUserById(userId))?.suspended_at) {
+                return { status: 403, error: 'Account suspended' };
+            }
+            if (!(await tx.queries.markRecoveryCodeUsed(recovery.id, userId))) {
+                return { status: 400, error: 'Invalid or expired recovery link' };
+            }
+
+            const revokedDevices = await tx.queries.revokeAllDevices(userId);
+            // Only the devices table – the legacy users.device_id is unique, and another account may have bound this id
+            const id = await tx.queries.registerDevice(userId, deviceId, deviceInfo, name);
+            await tx.queries.setRecoveryCodeDevice(recovery.id, id);
+            const endedSessions = await tx.queries.revokeSessions(userId);
+
+            await tx.queries.createAuditEvent({
+                actorType: 'user',
+                actorId: userId,
+                action: 'account.recovered',
+                entityType: 'user',
+                entityId: userId,
+                details: { deviceId, revokedDevices },
+                ip: req.ip
+            });
+
+            const user = await tx.queries.getUserById(userId);
+            const device = await tx.queries.getDevice(userId, id);
+            return { user, device, endedSessions, session: await issueSession(tx.queries, user, device) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { user, device } = result;
+        markSessionsRevoked(result.endedSessions);
+        console.log(`🔑 Account recovered: User ${user.username} → Device ${deviceId.substring(0, 8)}...`);
+
+        res.json({
+            success: true,
+            user: toApiUser(user, deviceId),
+            device: toApiDevice(device, device.id),
+            session: result.session
+        });
+
+    } catch (error) {
+        console.error('Recover redeem error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Replace the account token and mail the new one
+ * POST /rotate-token
+ * The old token stops working at once; sessions stay signed in.
+ */
+router.post('/rotate-token', rotateTokenLimiter, authenticateUser, async (req, res) => {
+    try {
+        const email = await queries.getUserEmail(req.user.id);
+        if (!email) {
+            return res.status(409).json({
+                success: false,
+                error: 'No email address on file for this account'
+            });
+        }
+
+        const { token, swap } = await withTransaction(async (tx) => {
+            const token = await generateUniqueToken(tx.queries);
+            return { token, swap: await tx.queries.updateUserToken(req.user.id, token) };
+        });
+        // Mail after commit: if it cannot be sent, the old token is restored
+        await mailOrUndo(
+            () => sendTokenMail(email, token),
+            () => queries.restoreUserToken(req.user.id, swap)
+        );
+        await queries.createAuditEvent({
+            actorType: 'user',
+            actorId: req.user.id,
+            action: 'account.token_rotated',
+            entityType: 'user',
+            entityId: req.user.id,
+            details: { deviceId: req.device.device_id },
+            ip: req.ip
+        });
+
+        console.log(`🔄 Token rotated: ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'A new token has been sent to your email address.'
+        });
+
+    } catch (error) {
+        console.error('Rotate token error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Exchange a refresh token for a new access token
+ * POST /refresh   body: { refreshToken }   (device from X-Device-ID or body.deviceId)
+ * The refresh token is single-use: the response carries its replacement.
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const refresh = parseRefreshToken(req.body?.refreshToken);
+        const { deviceId } = extractAuthCredentials(req);
+        if (!refresh) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token required'
+            });
+        }
+        if (!deviceId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Device ID required'
+            });
+        }
+
+        const session = await queries.getSession(refresh.sessionId);
+        const device = session && await queries.getDevice(session.user_id, session.device_id);
+        if (!session || session.revoked_at || !device || device.device_id !== deviceId) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'
+            });
+        }
+
+        // A rotated refresh token came back: someone kept a copy, end the session
+        if (!refreshSecretMatches(refresh.secret, session.refresh_hash)) {
+            const ended = await queries.revokeSessions(session.user_id, { sessionId: session.id });
+            markSessionsRevoked(ended);
+            await queries.createAuditEvent({
+                actorType: 'user',
+                actorId: session.user_id,
+                action: 'session.refresh_reused',
+                entityType: 'session',
+                entityId: session.id,
+                details: { deviceId },
+                ip: req.ip
+            });
+            console.warn(`⚠️  Refresh token reused: session #${session.id} revoked`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'
+            });
+        }
+
+        if (isExpired(session.expires_at)) {
+            return res.status(401).json({
+                success: false,
+                error: 'Session expired – sign in again'
+            });
+        }
+        if (device.revoked_at) {
+            return res.status(403).json({
+                success: false,
+                error: 'This device has been revoked'
+            });
+        }
+
+        const user = await queries.getUserById(session.user_id);
+        if (user?.suspended_at) {
+            return res.status(403).json({
+                success: false,
+                error: 'Account suspended'
+            });
+        }
+        const next = user && await rotateSession(queries, session, user, device);
+        if (!next) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'
+            });
+        }
+        await queries.touchDevice(device.id);
+
+        res.json({
+            success: true,
+            session: next
+        });
+
+    } catch (error) {
+        console.error('Refresh error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * End the current session, or every session of the account
+ * POST /logout   body: { all? }
+ */
+router.post('/logout', authenticateUser, async (req, res) => {
+    try {
+        const all = req.body?.all === true;
+        const ended = await queries.revokeSessions(req.user.id, all ? {} : { sessionId: req.session.id });
+        markSessionsRevoked([...ended, req.session.id]);
+
+        console.log(`👋 Logout: ${req.user.username} (${all ? 'all sessions' : `session #${req.session.id}`})`);
+
+        res.json({
+            success: true,
+            revoked: ended.length
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
 export default router;
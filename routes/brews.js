@@ -1,22 +1,211 @@
 // ==========================================
-// BREW PARTIAL UPDATE ENDPOINT
+// BREW ENDPOINTS
+// /api/brews/log     – brew session log (one entry per brew)
 // PATCH /api/brews/:id – Card Editor inline edits
 // ==========================================
 
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
-import { queries } from '../db/database.js';
-import { stripHTML, truncateString } from '../utils/sanitize.js';
+import { queries, withTransaction } from '../db/database.js';
+import { sanitizeCoffeeData, stripHTML, truncateString } from '../utils/sanitize.js';
+import {
+    MAX_UID_LENGTH,
+    ROAST_DATE_PATTERN,
+    ifMatchSatisfied,
+    parseIfMatch,
+    sendPreconditionFailed,
+    toApiCoffee,
+    toEtag
+} from '../utils/coffeeSync.js';
+import { parseBrewInput, parseBrewQuery, toApiBrew } from '../utils/brewLog.js';
+import { loadUserCatalog } from '../utils/catalog.js';
+import { EQUIPMENT_TYPES, equipmentColumn } from '../utils/equipment.js';
 
 const router = express.Router();
 
+// ==========================================
+// BREW SESSION LOG
+// ==========================================
+
+/**
+ * List logged brews, newest first
+ * GET /log?coffeeId=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=
+ */
+router.get('/log', authenticateUser, async (req, res) => {
+    try {
+        const { filters, error } = parseBrewQuery(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const [rows, total] = await Promise.all([
+            queries.getUserBrews(req.user.id, filters),
+            queries.countUserBrews(req.user.id, filters)
+        ]);
+
+        res.json({
+            success: true,
+            brews: rows.map(toApiBrew),
+            pagination: {
+                limit: filters.limit,
+                offset: filters.offset,
+                total
+            }
+        });
+
+    } catch (error) {
+        console.error('Get brews error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Log a brew
+ * POST /log   body: { coffeeId, method?, grinder?, grindSetting?, dose?, water?, ratio?,
+ *                     temperature?, totalTime?, waterHardness?, rating?, notes?, brewedAt?,
+ *                     equipment?: { grinder?, brewer?, kettle?, scale? } }
+ * Equipment defaults to the user's default items (null: none used); method and grinder
+ * default to the brewer/grinder model, then to the user's preferences, as does waterHardness.
+ */
+router.post('/log', authenticateUser, async (req, res) => {
+    try {
+        const catalog = await loadUserCatalog(queries, req.user.id);
+        const { brew, error } = parseBrewInput(req.body, {
+            methods: Object.keys(catalog.methods),
+            grinders: Object.keys(catalog.grinders)
+        });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const userId = req.user.id;
+
+        // Brews may reference deleted coffees (logged offline before the deletion synced)
+        const [coffee] = await queries.getUserCoffees(userId, { coffeeUid: brew.coffee_uid, includeRemoved: true });
+        if (!coffee) {
+            return res.status(404).json({
+                success: false,
+                error: 'Coffee not found'
+            });
+        }
+
+        const used = {};
+        for (const type of EQUIPMENT_TYPES) {
+            const column = equipmentColumn(type);
+            if (brew[column] === null) continue;
+
+            const item = brew[column] === undefined
+                ? await queries.getDefaultEquipment(userId, type)
+                : await queries.getEquipment(userId, brew[column]);
+            if (brew[column] !== undefined && item?.type !== type) {
+                return res.status(400).json({
+                    success: false,
+                    error: `equipment.${type} is not one of your ${type}s`
+                });
+            }
+            brew[column] = item ? item.id : null;
+            used[type] = item;
+        }
+
+        if (brew.method === undefined) {
+            brew.method = used.brewer?.model ?? await queries.getMethodPreference(userId);
+        }
+        if (brew.grinder === undefined) {
+            brew.grinder = used.grinder?.model ?? await queries.getGrinderPreference(userId);
+        }
+        if (brew.water_hardness === undefined) {
+            const hardness = await queries.getWaterHardness(userId);
+            brew.water_hardness = hardness === null || hardness === undefined ? null : Number(hardness);
+        }
+
+        const brewId = await queries.logBrew(userId, brew);
+        const row = await queries.getUserBrew(userId, brewId);
+
+        console.log(`☕ Brew logged: ${req.user.username} → ${brew.coffee_uid}`);
+
+        res.status(201).json({
+            success: true,
+            brew: toApiBrew(row)
+        });
+
+    } catch (error) {
+        console.error('Log brew error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Delete a logged brew
+ * DELETE /log/:brewId
+ */
+router.delete('/log/:brewId', authenticateUser, async (req, res) => {
+    try {
+        const brewId = Number(req.params.brewId);
+        if (!Number.isInteger(brewId) || brewId < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid brew id'
+            });
+        }
+
+        const deleted = await queries.deleteBrew(req.user.id, brewId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Brew not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            deleted: brewId
+        });
+
+    } catch (error) {
+        console.error('Delete brew error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// ==========================================
+// CARD EDITOR
+// ==========================================
+
+// Card editor field → coffee field
+const EDITABLE_FIELDS = {
+    coffee_name: 'name',
+    origin: 'origin',
+    roastery: 'roastery',
+    process: 'process',
+    cultivar: 'cultivar',
+    altitude: 'altitude',
+    roastDate: 'roastDate',
+    tastingNotes: 'tastingNotes'
+};
+const MAX_LENGTHS = { tastingNotes: 500 };
 /**
  * Partial Update a Coffee (Brew)
- * PATCH /:id
+ * PATCH /:id   (:id = coffee_uid, the id returned by GET /api/coffees)
  * 
- * Accepts partial updates for coffee_name, origin, roastery.
- * Sanitizes input, applies to the matching coffee in the user's array,
- * and saves the full array back (reuses existing transaction-safe storage).
+ * Accepts partial updates for coffee_name, origin, roastery, process,
+ * cultivar, altitude, roastDate (YYYY-MM-DD or empty) and tastingNotes.
+ * Only the matching coffee row is updated; all other coffees stay untouched.
+ * Honours If-Match: "<revision>" (412 with the current coffee if it changed meanwhile).
  * 
  * Returns the updated coffee object on success.
  */
@@ -26,14 +215,20 @@ router.patch('/:id', authenticateUser, async (req, res) => {
         const userId = req.user.id;
         const updates = req.body;
 
+        if (!id || id.length > MAX_UID_LENGTH) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Invalid coffee id' 
+            });
+        }
+
         // Only allow specific fields to be patched
-        const allowedFields = ['coffee_name', 'origin', 'roastery'];
         const sanitizedUpdates = {};
 
-        for (const field of allowedFields) {
+        for (const [field, coffeeField] of Object.entries(EDITABLE_FIELDS)) {
             if (updates[field] !== undefined) {
                 const value = String(updates[field]).trim();
-                sanitizedUpdates[field] = truncateString(stripHTML(value), 200);
+                sanitizedUpdates[coffeeField] = truncateString(stripHTML(value), MAX_LENGTHS[field] || 200);
             }
         }
 
@@ -44,76 +239,42 @@ router.patch('/:id', authenticateUser, async (req, res) => {
             });
         }
 
-        // Load user's coffees
-        const userCoffees = await queries.getUserCoffees(userId);
-
-        if (!userCoffees || userCoffees.length === 0) {
-            return res.status(404).json({ 
+        if (sanitizedUpdates.roastDate && !ROAST_DATE_PATTERN.test(sanitizedUpdates.roastDate)) {
+            return res.status(400).json({ 
                 success: false,
-                error: 'No coffees found for user' 
+                error: 'roastDate must be YYYY-MM-DD' 
             });
         }
 
-        // Parse all coffees and find the target by id, savedAt, or array index
-        let coffeeIndex = -1;
-        const parsedCoffees = userCoffees.map((row, idx) => {
-            const data = typeof row.data === 'string'
-                ? JSON.parse(row.data)
-                : row.data;
-
-            // Preserve the database row id
-            const coffeeWithId = { ...data, id: row.id, savedAt: row.created_at };
-
-            if (
-                String(row.id) === String(id) ||
-                String(data.savedAt) === String(id) ||
-                String(idx) === String(id)
-            ) {
-                coffeeIndex = idx;
-            }
-            return coffeeWithId;
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        // Read, check and write the one coffee inside a single transaction
+        const { row, conflict } = await withTransaction(async (tx) => {
+            const current = await tx.queries.getUserCoffee(userId, id);
+            if (!current) return { row: null };
+
+            // Optimistic concurrency: the client must have seen the current revision
+            if (!ifMatchSatisfied(ifMatch, current.revision)) return { conflict: current };
+
+            const coffee = { ...JSON.parse(current.data), ...sanitizedUpdates };
+            await tx.queries.saveCoffee(userId, id, sanitizeCoffeeData(coffee), current.method);
+            return { row: await tx.queries.getUserCoffee(userId, id) };
         });
 
-        if (coffeeIndex === -1) {
+        if (conflict) {
+            return sendPreconditionFailed(res, conflict);
+        }
+        if (!row) {
             return res.status(404).json({ 
                 success: false,
                 error: 'Coffee not found' 
             });
         }
 
-        // Apply updates (map coffee_name → name for internal model)
-        const coffee = parsedCoffees[coffeeIndex];
-        if (sanitizedUpdates.coffee_name !== undefined) {
-            coffee.name = sanitizedUpdates.coffee_name;
-        }
-        if (sanitizedUpdates.origin !== undefined) {
-            coffee.origin = sanitizedUpdates.origin;
-        }
-        if (sanitizedUpdates.roastery !== undefined) {
-            coffee.roastery = sanitizedUpdates.roastery;
-        }
-
-        // Save via full-array rewrite (reuses existing transaction-safe saveCoffees logic)
-        // Delete all + re-insert to stay consistent with POST /api/coffees
-        const { beginTransaction, commit, rollback } = await import('../db/database.js');
-
-        await beginTransaction();
-        try {
-            await queries.deleteUserCoffees(userId);
-            for (const c of parsedCoffees) {
-                // Strip runtime-only fields before saving
-                const { id: _id, savedAt: _savedAt, ...dataToSave } = c;
-                await queries.saveCoffee(userId, JSON.stringify(dataToSave));
-            }
-            await commit();
-        } catch (txError) {
-            await rollback();
-            throw txError;
-        }
-
+        res.set('ETag', toEtag(row.revision));
         res.json({
             success: true,
-            coffee: coffee
+            coffee: toApiCoffee(row)
         });
 
         console.log(`✏️ PATCH /api/brews/${id} – updated: ${Object.keys(sanitizedUpdates).join(', ')} (user: ${req.user.username})`);
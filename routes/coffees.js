@@ -5,12 +5,34 @@
 import express from 'express';
 import crypto from 'crypto';
 import { authenticateUser } from '../middleware/auth.js';
-import { queries, beginTransaction, commit, rollback } from '../db/database.js';
+import { queries, withTransaction } from '../db/database.js';
 import { sanitizeCoffeeData } from '../utils/sanitize.js';
+import {
+    MAX_SYNC_CHANGES,
+    MAX_UID_LENGTH,
+    ROAST_DATE_PATTERN,
+    SYNC_REJECT_REASONS,
+    ifMatchSatisfied,
+    liveRevision,
+    parseCursor,
+    parseIfMatch,
+    resolveSyncChange,
+    sendPreconditionFailed,
+    toApiCoffee,
+    toEtag,
+    toIsoTimestamp,
+    toSyncItem,
+    validateSyncChange
+} from '../utils/coffeeSync.js';
+import { computeRecipe } from '../utils/recipe.js';
+import { loadUserCatalog } from '../utils/catalog.js';
+import { checkCoffeeEquipment } from '../utils/equipment.js';
 
 const router = express.Router();
 
 const MAX_HISTORY_ENTRIES = 30;
+// Server-owned metadata that clients echo back but must never be stored as coffee data
+const SERVER_FIELDS = ['revision', 'tombstone'];
 const FEEDBACK_KEYS = ['bitterness', 'sweetness', 'acidity', 'body'];
 const FEEDBACK_VALUES = ['low', 'balanced', 'high'];
 
@@ -99,18 +121,107 @@ function normalizeFeedbackHistory(history) {
     }).filter(Boolean);
 }
 
+/**
+ * Normalize feedback + sanitize a client coffee object before storing it
+ */
+function prepareCoffee(coffee) {
+    const preNormalized = {
+        ...coffee,
+        feedback: normalizeFeedback(coffee?.feedback),
+        feedbackHistory: normalizeFeedbackHistory(coffee?.feedbackHistory)
+    };
+    for (const field of SERVER_FIELDS) {
+        delete preNormalized[field];
+    }
+    return sanitizeCoffeeData(preNormalized);
+}
+
+/**
+ * Stored row for a coffee uid, tombstones included (null if never stored)
+ */
+async function findStoredCoffee(db, userId, uid) {
+    const [row] = await db.queries.getUserCoffees(userId, { coffeeUid: uid, includeRemoved: true });
+    return row || null;
+}
+
+/**
+ * Equipment references the stored copy of a coffee already holds
+ */
+function storedEquipment(row) {
+    return row ? JSON.parse(row.data).equipment ?? null : null;
+}
+
+/**
+ * Changes after `since` up to and including `cursor`, oldest first.
+ * Read the cursor BEFORE the rows: a write committed in between then shows up
+ * again on the next pull instead of being skipped.
+ */
+async function loadChanges(db, userId, since, cursor) {
+    const rows = await db.queries.getUserCoffees(userId, { changedSince: since, includeRemoved: true });
+    return rows
+        .filter(row => row.change_seq <= cursor)
+        .sort((a, b) => a.change_seq - b.change_seq);
+}
+
+function isValidUid(uid) {
+    return typeof uid === 'string' && uid.trim().length > 0 && uid.length <= MAX_UID_LENGTH;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse optional GET filters (?origin=&process=&roaster=&favorite=&roastDateFrom=&roastDateTo=)
+ * Returns { filters } or { error }
+ */
+function parseCoffeeFilters(query) {
+    const filters = {};
+
+    for (const key of ['origin', 'process', 'roaster']) {
+        if (typeof query[key] === 'string' && query[key].trim()) {
+            filters[key] = query[key].trim().slice(0, 200);
+        }
+    }
+
+    if (query.favorite !== undefined) {
+        if (query.favorite !== 'true' && query.favorite !== 'false') {
+            return { error: 'favorite must be true or false' };
+        }
+        filters.favorite = query.favorite === 'true';
+    }
+
+    for (const key of ['roastDateFrom', 'roastDateTo']) {
+        if (query[key] !== undefined) {
+            if (typeof query[key] !== 'string' || !ROAST_DATE_PATTERN.test(query[key])) {
+                return { error: `${key} must be YYYY-MM-DD` };
+            }
+            filters[key] = query[key];
+        }
+    }
+
+    return { filters };
+}
+
 router.get('/', authenticateUser, async (req, res) => {
     try {
+        const { filters, error } = parseCoffeeFilters(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
         await queries.updateLastLogin(req.user.id);
 
-        const coffees = await queries.getUserCoffees(req.user.id);
+        // Library ETag = change cursor, checked by If-Match on POST /api/coffees
+        const cursor = await queries.getCoffeeCursor(req.user.id);
+        const coffees = await queries.getUserCoffees(req.user.id, filters);
 
-        const parsed = coffees.map(c => ({
-            id: c.coffee_uid || c.id,
-            ...JSON.parse(c.data),
-            savedAt: c.created_at
-        }));
+        const parsed = coffees.map(toApiCoffee);
 
+        res.set('ETag', toEtag(cursor));
         res.json({
             success: true,
             coffees: parsed
@@ -128,49 +239,429 @@ router.get('/', authenticateUser, async (req, res) => {
 router.post('/', authenticateUser, async (req, res) => {
     try {
         const { coffees } = req.body;
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        // One connection-scoped transaction for the atomic upsert+cleanup operation
+        const { conflicts, invalid, cursor, libraryChanged } = await withTransaction(async (tx) => {
+            // If-Match holds the library ETag from GET: any change since then → nothing is written,
+            // the conflicts are every coffee changed after that cursor
+            const current = await tx.queries.getCoffeeCursor(req.user.id, { lock: ifMatch !== null });
+            if (!ifMatchSatisfied(ifMatch, current)) {
+                const since = ifMatch.length > 0 ? Math.min(Math.max(...ifMatch), current) : 0;
+                const rows = await loadChanges(tx, req.user.id, since, current);
+                return {
+                    conflicts: rows.map(row => ({ id: row.coffee_uid, coffee: toSyncItem(row) })),
+                    cursor: current,
+                    libraryChanged: true
+                };
+            }
+
+            const items = (coffees || []).map(coffee => ({ coffee, uid: stableCoffeeUid(coffee) }));
+
+            // Coffees echoing a revision (from GET) must still be at that revision – otherwise nothing is written
+            const stale = [];
+            for (const item of items) {
+                const stored = await findStoredCoffee(tx, req.user.id, item.uid);
+                if (Number.isInteger(item.coffee?.revision) && stored && stored.revision !== item.coffee.revision) {
+                    stale.push({ id: item.uid, coffee: toSyncItem(stored) });
+                }
+
+                // Normalize + sanitize each coffee object before storing
+                item.sanitized = prepareCoffee(item.coffee);
+                const error = await checkCoffeeEquipment(tx.queries, req.user.id, item.sanitized.equipment, storedEquipment(stored));
+                if (error) return { conflicts: [], invalid: `${item.uid}: ${error}` };
+            }
+            if (stale.length > 0) return { conflicts: stale, cursor: current };
+
+            for (const { uid, sanitized } of items) {
+                await tx.queries.saveCoffee(req.user.id, uid, JSON.stringify(sanitized));
+            }
+
+            // Remove coffees that are no longer part of this payload.
+            await tx.queries.replaceUserCoffees(req.user.id, items.map(item => item.uid));
+            return { conflicts: [], cursor: await tx.queries.getCoffeeCursor(req.user.id) };
+        });
+
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        res.set('ETag', toEtag(cursor));
+        if (libraryChanged || conflicts.length > 0) {
+            return res.status(412).json({
+                success: false,
+                error: 'Coffees were changed by another client',
+                conflicts
+            });
+        }
+
+        res.json({
+            success: true,
+            saved: coffees?.length || 0
+        });
+
+    } catch (error) {
+        console.error('Save coffees error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
 
-        // Start transaction to ensure atomic upsert+cleanup operation
-        await beginTransaction();
+// ==========================================
+// DELTA SYNC ENDPOINTS
+// Cursor = per-user change counter; deletions are tombstones
+// ==========================================
 
-        try {
-            const keepCoffeeUids = [];
+/**
+ * Pull changes since a cursor
+ * GET /changes?since=<cursor>
+ */
+router.get('/changes', authenticateUser, async (req, res) => {
+    try {
+        const since = parseCursor(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ success: false, error: 'since must be a cursor returned by the server' });
+        }
 
-            if (coffees && coffees.length > 0) {
-                for (const coffee of coffees) {
-                    const preNormalized = {
-                        ...coffee,
-                        feedback: normalizeFeedback(coffee?.feedback),
-                        feedbackHistory: normalizeFeedbackHistory(coffee?.feedbackHistory)
-                    };
+        const cursor = await queries.getCoffeeCursor(req.user.id);
+        const rows = await loadChanges({ queries }, req.user.id, since, cursor);
 
-                    const uid = stableCoffeeUid(preNormalized);
-                    keepCoffeeUids.push(uid);
+        res.json({
+            success: true,
+            changes: rows.map(toSyncItem),
+            cursor: String(Math.max(cursor, since))
+        });
+
+    } catch (error) {
+        console.error('Get coffee changes error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Push local changes and pull server changes in one round-trip
+ * POST /sync   body: { cursor?, changes: [{ id, baseRevision?, updatedAt?, coffee | deleted: true }] }
+ *
+ * Every change is checked against the server copy (see utils/coffeeSync.js).
+ * Response: accepted (with new revisions), rejected conflicts (with the server copy),
+ * server changes the client has not seen yet, and the new cursor.
+ */
+router.post('/sync', authenticateUser, async (req, res) => {
+    try {
+        const { changes = [] } = req.body;
+        const since = parseCursor(req.body.cursor);
 
-                    // Sanitize each coffee object before storing
-                    const sanitized = sanitizeCoffeeData(preNormalized);
-                    await queries.saveCoffee(req.user.id, uid, JSON.stringify(sanitized));
+        if (since === null) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+        if (!Array.isArray(changes) || changes.length > MAX_SYNC_CHANGES) {
+            return res.status(400).json({
+                success: false,
+                error: `changes must be an array of at most ${MAX_SYNC_CHANGES} items`
+            });
+        }
+
+        const userId = req.user.id;
+
+        const result = await withTransaction(async (tx) => {
+            const accepted = [];
+            const rejected = [];
+
+            for (const change of changes) {
+                const invalid = validateSyncChange(change);
+                if (invalid) {
+                    rejected.push({ id: change?.id ?? null, reason: SYNC_REJECT_REASONS.INVALID, error: invalid });
+                    continue;
+                }
+
+                const uid = String(change.id).trim();
+                const existing = await findStoredCoffee(tx, userId, uid);
+                const decision = resolveSyncChange(
+                    existing ? { revision: existing.revision, updatedAt: toIsoTimestamp(existing.updated_at) } : null,
+                    change
+                );
+
+                if (!decision.accept) {
+                    rejected.push({ id: uid, reason: decision.reason, server: toSyncItem(existing) });
+                    continue;
+                }
+
+                if (change.deleted === true) {
+                    await tx.queries.deleteCoffee(userId, uid);
+                    const tombstone = await findStoredCoffee(tx, userId, uid);
+                    accepted.push({ id: uid, deleted: true, revision: tombstone ? tombstone.revision : 0 });
+                    continue;
+                }
+
+                const prepared = prepareCoffee({ ...change.coffee, id: uid });
+                const equipmentError = await checkCoffeeEquipment(tx.queries, userId, prepared.equipment, storedEquipment(existing));
+                if (equipmentError) {
+                    rejected.push({ id: uid, reason: SYNC_REJECT_REASONS.INVALID, error: equipmentError });
+                    continue;
                 }
+
+                await tx.queries.saveCoffee(userId, uid, prepared, existing?.method || 'v60');
+                const saved = await tx.queries.getUserCoffee(userId, uid);
+                accepted.push({ id: uid, revision: saved.revision });
             }
 
-            // Remove coffees that are no longer part of this payload.
-            await queries.replaceUserCoffees(req.user.id, keepCoffeeUids);
+            const cursor = await tx.queries.getCoffeeCursor(userId);
+            const acceptedUids = new Set(accepted.map(a => a.id));
+            const serverChanges = (await loadChanges(tx, userId, since, cursor))
+                .filter(row => !acceptedUids.has(row.coffee_uid));
+
+            return { accepted, rejected, serverChanges, cursor };
+        });
+
+        if (result.accepted.length > 0 || result.rejected.length > 0) {
+            console.log(`🔄 Sync: ${req.user.username} – ${result.accepted.length} accepted, ${result.rejected.length} rejected`);
+        }
 
-            // Commit transaction if all operations succeeded
-            await commit();
+        res.json({
+            success: true,
+            accepted: result.accepted,
+            rejected: result.rejected,
+            changes: result.serverChanges.map(toSyncItem),
+            cursor: String(Math.max(result.cursor, since))
+        });
 
-            res.json({
-                success: true,
-                saved: coffees?.length || 0
+    } catch (error) {
+        console.error('Coffee sync error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+// ==========================================
+// SINGLE COFFEE ENDPOINTS (keyed on coffee_uid)
+// Touch exactly one coffee – never the rest of the library
+// Responses carry ETag: "<revision>"; writes honour If-Match (412 on mismatch)
+// ==========================================
+
+/**
+ * Get one coffee
+ * GET /:uid
+ */
+router.get('/:uid', authenticateUser, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        if (!isValidUid(uid)) {
+            return res.status(400).json({ success: false, error: 'Invalid coffee id' });
+        }
+
+        const row = await queries.getUserCoffee(req.user.id, uid);
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Coffee not found' });
+        }
+
+        res.set('ETag', toEtag(row.revision));
+        res.json({ success: true, coffee: toApiCoffee(row) });
+
+    } catch (error) {
+        console.error('Get coffee error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Starting recipe for one coffee, computed from the coffee and the user's preferences
+ * GET /:uid/recipe?method=v60|chemex|aeropress|custom_<id>&dose=<grams>
+ * method defaults to the user's method preference.
+ */
+router.get('/:uid/recipe', authenticateUser, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        if (!isValidUid(uid)) {
+            return res.status(400).json({ success: false, error: 'Invalid coffee id' });
+        }
+
+        const catalog = await loadUserCatalog(queries, req.user.id);
+        const method = req.query.method !== undefined ? req.query.method : await queries.getMethodPreference(req.user.id);
+        if (typeof method !== 'string' || !catalog.methods[method]) {
+            return res.status(400).json({
+                success: false,
+                error: `Valid method required. Options: ${Object.keys(catalog.methods).join(', ')}`
             });
+        }
+
+        let dose;
+        if (req.query.dose !== undefined) {
+            dose = Number(req.query.dose);
+            if (!Number.isFinite(dose) || dose < 5 || dose > 100) {
+                return res.status(400).json({ success: false, error: 'dose must be between 5 and 100 g' });
+            }
+        }
 
-        } catch (txError) {
-            // Rollback transaction if any operation failed
-            await rollback();
-            throw txError;
+        const row = await queries.getUserCoffee(req.user.id, uid);
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Coffee not found' });
         }
 
+        const recipe = computeRecipe({
+            coffee: toApiCoffee(row),
+            method,
+            grinder: await queries.getGrinderPreference(req.user.id),
+            waterHardness: await queries.getWaterHardness(req.user.id),
+            dose,
+            methods: catalog.methods,
+            grinders: catalog.grinders
+        });
+
+        res.json({ success: true, coffeeId: uid, recipe });
+
     } catch (error) {
-        console.error('Save coffees error:', error.message);
+        console.error('Get recipe error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Create or replace one coffee
+ * PUT /:uid   body: { coffee: {...} }
+ * 201 when created, 200 when an existing coffee was replaced.
+ */
+router.put('/:uid', authenticateUser, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        const { coffee } = req.body;
+
+        if (!isValidUid(uid)) {
+            return res.status(400).json({ success: false, error: 'Invalid coffee id' });
+        }
+        if (!isPlainObject(coffee)) {
+            return res.status(400).json({ success: false, error: 'Coffee object required' });
+        }
+
+        const sanitized = prepareCoffee({ ...coffee, id: uid });
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        const { row, created, conflict, invalid } = await withTransaction(async (tx) => {
+            const stored = await findStoredCoffee(tx, req.user.id, uid);
+            if (!ifMatchSatisfied(ifMatch, liveRevision(stored))) {
+                return { conflict: stored };
+            }
+            const invalid = await checkCoffeeEquipment(tx.queries, req.user.id, sanitized.equipment, storedEquipment(stored));
+            if (invalid) return { invalid };
+
+            await tx.queries.saveCoffee(req.user.id, uid, sanitized, stored?.method || 'v60');
+            return { row: await tx.queries.getUserCoffee(req.user.id, uid), created: liveRevision(stored) === null };
+        });
+
+        if (conflict !== undefined) {
+            return sendPreconditionFailed(res, conflict);
+        }
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+
+        res.set('ETag', toEtag(row.revision));
+        res.status(created ? 201 : 200).json({ success: true, coffee: toApiCoffee(row) });
+
+    } catch (error) {
+        console.error('Put coffee error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Partially update one coffee (fields in body.coffee are merged over the stored coffee)
+ * PATCH /:uid   body: { coffee: {...} }
+ */
+router.patch('/:uid', authenticateUser, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        const { coffee: changes } = req.body;
+
+        if (!isValidUid(uid)) {
+            return res.status(400).json({ success: false, error: 'Invalid coffee id' });
+        }
+        if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+            return res.status(400).json({ success: false, error: 'No fields to update' });
+        }
+
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        const { row, conflict, invalid } = await withTransaction(async (tx) => {
+            const stored = await findStoredCoffee(tx, req.user.id, uid);
+            if (liveRevision(stored) === null) return { row: null };
+            if (!ifMatchSatisfied(ifMatch, stored.revision)) return { conflict: stored };
+
+            const merged = prepareCoffee({ ...JSON.parse(stored.data), ...changes, id: uid });
+            const invalid = await checkCoffeeEquipment(tx.queries, req.user.id, merged.equipment, storedEquipment(stored));
+            if (invalid) return { invalid };
+
+            await tx.queries.saveCoffee(req.user.id, uid, merged, stored.method);
+            return { row: await tx.queries.getUserCoffee(req.user.id, uid) };
+        });
+
+        if (conflict) {
+            return sendPreconditionFailed(res, conflict);
+        }
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (!row) {
+            return res.status(404).json({ success: false, error: 'Coffee not found' });
+        }
+
+        res.set('ETag', toEtag(row.revision));
+        res.json({ success: true, coffee: toApiCoffee(row) });
+
+    } catch (error) {
+        console.error('Patch coffee error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Delete one coffee (tombstone – reported as deleted by GET /changes)
+ * DELETE /:uid
+ */
+router.delete('/:uid', authenticateUser, async (req, res) => {
+    try {
+        const { uid } = req.params;
+        if (!isValidUid(uid)) {
+            return res.status(400).json({ success: false, error: 'Invalid coffee id' });
+        }
+
+        const ifMatch = parseIfMatch(req.get('If-Match'));
+
+        const { deleted, conflict } = await withTransaction(async (tx) => {
+            const stored = await findStoredCoffee(tx, req.user.id, uid);
+            if (liveRevision(stored) === null) return { deleted: false };
+            if (!ifMatchSatisfied(ifMatch, stored.revision)) return { conflict: stored };
+            return { deleted: await tx.queries.deleteCoffee(req.user.id, uid) };
+        });
+
+        if (conflict) {
+            return sendPreconditionFailed(res, conflict);
+        }
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Coffee not found' });
+        }
+
+        res.json({ success: true, deleted: uid });
+
+    } catch (error) {
+        console.error('Delete coffee error:', error.message);
         res.status(500).json({
             success: false,
             error: 'Server error'
@@ -0,0 +1,202 @@
+// ==========================================
+// DEVICE ENDPOINTS
+// List, rename and revoke devices; issue pairing codes for new devices
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import { auditDiff, isEmptyDiff } from '../utils/audit.js';
+import {
+    MAX_DEVICES,
+    PAIRING_CODE_TTL_MS,
+    formatPairingCode,
+    generatePairingCode,
+    parseDeviceName,
+    toApiDevice
+} from '../utils/devices.js';
+import { markSessionsRevoked } from '../utils/session.js';
+
+const router = express.Router();
+
+function parseDeviceRowId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function sendDeviceNotFound(res) {
+    return res.status(404).json({
+        success: false,
+        error: 'Device not found'
+    });
+}
+
+/**
+ * List active devices
+ * GET /?includeRevoked=true
+ */
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const rows = await queries.getUserDevices(req.user.id, {
+            includeRevoked: req.query.includeRevoked === 'true'
+        });
+
+        res.json({
+            success: true,
+            devices: rows.map(row => toApiDevice(row, req.device.id))
+        });
+
+    } catch (error) {
+        console.error('Get devices error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Issue a pairing code for a new device (valid 10 minutes, replaces earlier unused codes)
+ * POST /pairing-code
+ */
+router.post('/pairing-code', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        if (await queries.countActiveDevices(userId) >= MAX_DEVICES) {
+            return res.status(409).json({
+                success: false,
+                error: `Device limit reached (${MAX_DEVICES}) – revoke a device first`
+            });
+        }
+
+        const code = generatePairingCode();
+        const expiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString();
+        await queries.createPairingCode(userId, code, expiresAt, req.device.id);
+
+        console.log(`📱 Pairing code issued: ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            code: formatPairingCode(code),
+            expiresAt,
+            expiresIn: PAIRING_CODE_TTL_MS / 1000
+        });
+
+    } catch (error) {
+        console.error('Create pairing code error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Rename a device
+ * PATCH /:id   body: { name }
+ */
+router.patch('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseDeviceRowId(req.params.id);
+        const { name, error } = parseDeviceName(req.body?.name, { required: true });
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const before = id && await queries.getDevice(req.user.id, id);
+        const renamed = before && await queries.renameDevice(req.user.id, id, name);
+        if (!renamed) return sendDeviceNotFound(res);
+
+        const diff = auditDiff(before, { ...before, name }, ['name']);
+        if (!isEmptyDiff(diff)) {
+            await queries.createAuditEvent({
+                actorType: 'user',
+                actorId: req.user.id,
+                action: 'device.renamed',
+                entityType: 'device',
+                entityId: id,
+                ...diff,
+                ip: req.ip
+            });
+        }
+
+        res.json({
+            success: true,
+            device: toApiDevice(await queries.getDevice(req.user.id, id), req.device.id)
+        });
+
+    } catch (error) {
+        console.error('Rename device error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Revoke a device – it can no longer use the token until it is paired again
+ * DELETE /:id
+ * Its sessions end too, so revoking the calling device signs it out; the last active device cannot be revoked.
+ */
+router.delete('/:id', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const id = parseDeviceRowId(req.params.id);
+        const device = id && await queries.getDevice(userId, id);
+        if (!device || device.revoked_at) return sendDeviceNotFound(res);
+
+        // Count and revoke in one transaction: two revokes at once must not leave no active device,
+        // or the next one to sign in would be bound automatically
+        const result = await withTransaction(async (tx) => {
+            await tx.queries.lockUserDevices(userId);
+            if (await tx.queries.countActiveDevices(userId) <= 1) {
+                return { status: 409, error: 'Cannot revoke the only active device' };
+            }
+            if (!(await tx.queries.revokeDevice(userId, id))) {
+                return { notFound: true };
+            }
+            const endedSessions = await tx.queries.revokeSessions(userId, { deviceRowId: id });
+            await tx.queries.createAuditEvent({
+                actorType: 'user',
+                actorId: userId,
+                action: 'device.revoked',
+                entityType: 'device',
+                entityId: id,
+                before: { revoked: false },
+                after: { revoked: true },
+                details: { deviceId: device.device_id },
+                ip: req.ip
+            });
+            return { endedSessions };
+        });
+
+        if (result.notFound) return sendDeviceNotFound(res);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+        markSessionsRevoked(result.endedSessions);
+
+        console.log(`🚫 Device revoked: ${req.user.username} → #${id}`);
+
+        res.json({
+            success: true,
+            revoked: id
+        });
+
+    } catch (error) {
+        console.error('Revoke device error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,232 @@
+// ==========================================
+// EQUIPMENT INVENTORY ENDPOINTS
+// Grinders, brewers, kettles and scales; one default per type
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import { loadUserCatalog } from '../utils/catalog.js';
+import {
+    EQUIPMENT_TYPES,
+    MAX_EQUIPMENT_ITEMS,
+    parseEquipmentInput,
+    switchGrinderPreference,
+    toApiEquipment
+} from '../utils/equipment.js';
+
+const router = express.Router();
+
+function parseEquipmentId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Make an item the default of its type and carry its model over to the matching preference
+ * @returns {Promise<number|null>} coffees converted for a new default grinder, null otherwise
+ */
+async function makeDefault(tx, userId, id, item, catalog) {
+    await tx.queries.setDefaultEquipment(userId, item.type, id);
+    if (item.type === 'grinder') {
+        return switchGrinderPreference(tx.queries, userId, item.model, catalog.grinders);
+    }
+    if (item.type === 'brewer') {
+        await tx.queries.updateMethodPreference(userId, item.model);
+    }
+    return null;
+}
+
+function sendEquipment(res, status, row, converted) {
+    const body = { success: true, equipment: toApiEquipment(row) };
+    if (converted !== null) body.convertedCoffees = converted;
+    res.status(status).json(body);
+}
+
+/**
+ * List equipment
+ * GET /?type=grinder|brewer|kettle|scale
+ */
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type !== undefined && !EQUIPMENT_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid type. Options: ${EQUIPMENT_TYPES.join(', ')}`
+            });
+        }
+
+        const rows = await queries.getUserEquipment(req.user.id, type);
+
+        res.json({
+            success: true,
+            equipment: rows.map(toApiEquipment)
+        });
+
+    } catch (error) {
+        console.error('Get equipment error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Get one item
+ * GET /:id
+ */
+router.get('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseEquipmentId(req.params.id);
+        const row = id && await queries.getEquipment(req.user.id, id);
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Equipment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            equipment: toApiEquipment(row)
+        });
+
+    } catch (error) {
+        console.error('Get equipment item error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Add an item
+ * POST /   body: { type, name, model?, notes?, isDefault? }
+ * The first item of a type becomes its default.
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const catalog = await loadUserCatalog(queries, userId);
+        const { item, error } = parseEquipmentInput(req.body, catalog);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        if (await queries.countUserEquipment(userId) >= MAX_EQUIPMENT_ITEMS) {
+            return res.status(400).json({
+                success: false,
+                error: `Equipment limit reached (${MAX_EQUIPMENT_ITEMS})`
+            });
+        }
+
+        const { row, converted } = await withTransaction(async (tx) => {
+            const id = await tx.queries.createEquipment(userId, item);
+            const isDefault = item.is_default || !(await tx.queries.getDefaultEquipment(userId, item.type));
+            const converted = isDefault ? await makeDefault(tx, userId, id, item, catalog) : null;
+            return { row: await tx.queries.getEquipment(userId, id), converted };
+        });
+
+        console.log(`🧰 Equipment added: ${req.user.username} → ${item.type} "${item.name}"`);
+
+        sendEquipment(res, 201, row, converted);
+
+    } catch (error) {
+        console.error('Create equipment error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Update an item (name, model, notes) or mark it as default
+ * PATCH /:id   body: { name?, model?, notes?, isDefault?: true }
+ */
+router.patch('/:id', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const id = parseEquipmentId(req.params.id);
+        const catalog = await loadUserCatalog(queries, userId);
+
+        const result = await withTransaction(async (tx) => {
+            const existing = id && await tx.queries.getEquipment(userId, id);
+            if (!existing) return { status: 404 };
+
+            const { item, error } = parseEquipmentInput(req.body, catalog, existing);
+            if (error) return { status: 400, error };
+
+            await tx.queries.updateEquipment(userId, id, item);
+
+            // A default grinder/brewer with a new model moves the preference along
+            const wasDefault = toApiEquipment(existing).isDefault;
+            const isDefault = item.is_default || (wasDefault && item.model !== existing.model);
+            const converted = isDefault ? await makeDefault(tx, userId, id, item, catalog) : null;
+            return { row: await tx.queries.getEquipment(userId, id), converted };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                error: 'Equipment not found'
+            });
+        }
+        if (result.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        sendEquipment(res, 200, result.row, result.converted);
+
+    } catch (error) {
+        console.error('Update equipment error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Remove an item
+ * DELETE /:id
+ * Removing the default leaves the type without a default; the preference keeps its value.
+ * Logged brews keep their reference to the removed item.
+ */
+router.delete('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseEquipmentId(req.params.id);
+        const deleted = id && await queries.deleteEquipment(req.user.id, id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Equipment not found'
+            });
+        }
+
+        console.log(`🗑️ Equipment removed: ${req.user.username} → ${id}`);
+
+        res.json({
+            success: true,
+            deleted: id
+        });
+
+    } catch (error) {
+        console.error('Delete equipment error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -4,21 +4,34 @@
 
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
-import { queries, VALID_GRINDERS } from '../db/database.js';
+import { queries, withTransaction } from '../db/database.js';
+import { describeGrinder } from '../utils/grinders.js';
+import { switchGrinderPreference, syncDefaultEquipment, toApiEquipment } from '../utils/equipment.js';
+import {
+    MAX_CUSTOM_GRINDERS,
+    buildCatalog,
+    customKey,
+    loadUserCatalog,
+    parseCustomGrinderInput,
+    parseCustomKey
+} from '../utils/catalog.js';
 
 const router = express.Router();
 
 /**
  * Get Grinder Preference
  * GET /
+ * equipment: the default grinder of the inventory (null if none)
  */
 router.get('/', authenticateUser, async (req, res) => {
     try {
         const grinder = await queries.getGrinderPreference(req.user.id);
+        const equipment = await queries.getDefaultEquipment(req.user.id, 'grinder');
 
         res.json({ 
             success: true, 
-            grinder: grinder 
+            grinder: grinder,
+            equipment: equipment ? toApiEquipment(equipment) : null
         });
 
     } catch (error) {
@@ -33,25 +46,34 @@ router.get('/', authenticateUser, async (req, res) => {
 /**
  * Update Grinder Preference
  * POST /
+ * Stored grind settings (initialGrind, grindOffset) are converted to the new grinder.
+ * The inventory default moves to a grinder of this model (none if the inventory has no such grinder).
  */
 router.post('/', authenticateUser, async (req, res) => {
     try {
         const { grinder } = req.body;
+        const catalog = await loadUserCatalog(queries, req.user.id);
 
-        if (!grinder || !VALID_GRINDERS.includes(grinder)) {
+        if (!grinder || typeof grinder !== 'string' || !catalog.grinders[grinder]) {
             return res.status(400).json({ 
                 success: false,
-                error: `Valid grinder required. Options: ${VALID_GRINDERS.join(', ')}` 
+                error: `Valid grinder required. Options: ${Object.keys(catalog.grinders).join(', ')}` 
             });
         }
 
-        await queries.updateGrinderPreference(req.user.id, grinder);
+        // Switch grinder and re-express every coffee's dialed-in grind in the new grinder's units
+        const converted = await withTransaction(async (tx) => {
+            const count = await switchGrinderPreference(tx.queries, req.user.id, grinder, catalog.grinders);
+            await syncDefaultEquipment(tx.queries, req.user.id, 'grinder', grinder);
+            return count;
+        });
 
-        console.log(`⚙️ Grinder updated: ${req.user.username} → ${grinder}`);
+        console.log(`⚙️ Grinder updated: ${req.user.username} → ${grinder} (${converted} coffee(s) converted)`);
 
         res.json({ 
             success: true,
-            grinder: grinder
+            grinder: grinder,
+            convertedCoffees: converted
         });
 
     } catch (error) {
@@ -63,4 +85,122 @@ router.post('/', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * List the user's custom grinders
+ * GET /custom
+ */
+router.get('/custom', authenticateUser, async (req, res) => {
+    try {
+        const { grinders } = await loadUserCatalog(queries, req.user.id);
+
+        res.json({
+            success: true,
+            grinders: Object.keys(grinders)
+                .filter(key => grinders[key].custom)
+                .map(key => describeGrinder(key, grinders))
+        });
+
+    } catch (error) {
+        console.error('Get custom grinders error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Define a custom grinder
+ * POST /custom
+ */
+router.post('/custom', authenticateUser, async (req, res) => {
+    try {
+        const { grinder, error } = parseCustomGrinderInput(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const existing = await queries.getCustomGrinders(req.user.id);
+        if (existing.length >= MAX_CUSTOM_GRINDERS) {
+            return res.status(400).json({
+                success: false,
+                error: `Custom grinder limit reached (${MAX_CUSTOM_GRINDERS})`
+            });
+        }
+
+        const id = await queries.createCustomGrinder(req.user.id, grinder);
+        const key = customKey(id);
+        const { grinders } = buildCatalog([{ id, ...grinder }]);
+
+        console.log(`⚙️ Custom grinder added: ${req.user.username} → ${grinder.name} (${key})`);
+
+        res.status(201).json({
+            success: true,
+            grinder: describeGrinder(key, grinders)
+        });
+
+    } catch (error) {
+        console.error('Create custom grinder error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Remove a custom grinder (not while it is the selected grinder or an equipment model)
+ * DELETE /custom/:id   (custom_<id> or <id>)
+ */
+router.delete('/custom/:id', authenticateUser, async (req, res) => {
+    try {
+        // Accepts the catalog key (custom_3) or the bare id (3)
+        const id = parseCustomKey(req.params.id) ?? Number(req.params.id);
+        if (!Number.isInteger(id) || id < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid grinder id'
+            });
+        }
+
+        const result = await withTransaction(async (tx) => {
+            if (await tx.queries.getGrinderPreference(req.user.id) === customKey(id)
+                || await tx.queries.countEquipmentWithModel(req.user.id, 'grinder', customKey(id)) > 0) {
+                return 'in_use';
+            }
+            return (await tx.queries.deleteCustomGrinder(req.user.id, id)) ? 'deleted' : 'not_found';
+        });
+
+        if (result === 'in_use') {
+            return res.status(409).json({
+                success: false,
+                error: 'Grinder is selected or in your equipment. Switch grinder or remove the equipment first.'
+            });
+        }
+        if (result === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom grinder not found'
+            });
+        }
+
+        console.log(`🗑️ Custom grinder removed: ${req.user.username} → ${customKey(id)}`);
+
+        res.json({
+            success: true,
+            deleted: customKey(id)
+        });
+
+    } catch (error) {
+        console.error('Delete custom grinder error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
 export default router;
@@ -0,0 +1,84 @@
+// ==========================================
+// GRINDER CATALOG ENDPOINTS
+// Settings ⇄ microns, conversion between grinders
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { queries } from '../db/database.js';
+import { convertSetting, describeGrinder, parseSetting, settingToMicrons, formatSetting } from '../utils/grinders.js';
+import { loadUserCatalog } from '../utils/catalog.js';
+
+const router = express.Router();
+
+/**
+ * List supported grinders (built-ins + the user's custom grinders) with their dial range and micron range
+ * GET /
+ */
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const { grinders } = await loadUserCatalog(queries, req.user.id);
+
+        res.json({
+            success: true,
+            grinders: Object.keys(grinders).map(key => describeGrinder(key, grinders))
+        });
+
+    } catch (error) {
+        console.error('Get grinders error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Convert a setting from one grinder to another
+ * POST /convert   body: { from, to, setting }
+ */
+router.post('/convert', authenticateUser, async (req, res) => {
+    try {
+        const { from, to, setting } = req.body;
+        const { grinders } = await loadUserCatalog(queries, req.user.id);
+
+        for (const [key, grinder] of [['from', from], ['to', to]]) {
+            if (!grinder || typeof grinder !== 'string' || !grinders[grinder]) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Valid ${key} grinder required. Options: ${Object.keys(grinders).join(', ')}`
+                });
+            }
+        }
+
+        const value = (typeof setting === 'string' || typeof setting === 'number') ? parseSetting(from, setting, grinders) : null;
+        const source = grinders[from];
+        if (value === null || value < source.min || value > source.max) {
+            return res.status(400).json({
+                success: false,
+                error: `setting must be between ${formatSetting(source, source.min)} and ${formatSetting(source, source.max)} for ${from}`
+            });
+        }
+
+        res.json({
+            success: true,
+            from: {
+                grinder: from,
+                value: Math.round(value * 1000) / 1000,
+                setting: formatSetting(source, value),
+                unit: source.unit,
+                microns: settingToMicrons(from, value, grinders)
+            },
+            to: convertSetting(from, to, setting, grinders)
+        });
+
+    } catch (error) {
+        console.error('Convert grinder setting error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+export default router;
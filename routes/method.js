@@ -4,21 +4,34 @@
 
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
-import { queries, VALID_METHODS } from '../db/database.js';
+import { queries, withTransaction } from '../db/database.js';
+import {
+    MAX_CUSTOM_METHODS,
+    buildCatalog,
+    customKey,
+    describeMethod,
+    loadUserCatalog,
+    parseCustomKey,
+    parseCustomMethodInput
+} from '../utils/catalog.js';
+import { syncDefaultEquipment, toApiEquipment } from '../utils/equipment.js';
 
 const router = express.Router();
 
 /**
  * Get Method Preference
  * GET /
+ * equipment: the default brewer of the inventory (null if none)
  */
 router.get('/', authenticateUser, async (req, res) => {
     try {
         const method = await queries.getMethodPreference(req.user.id);
+        const equipment = await queries.getDefaultEquipment(req.user.id, 'brewer');
 
         res.json({ 
             success: true, 
-            method: method 
+            method: method,
+            equipment: equipment ? toApiEquipment(equipment) : null
         });
 
     } catch (error) {
@@ -33,19 +46,24 @@ router.get('/', authenticateUser, async (req, res) => {
 /**
  * Update Method Preference
  * POST /
+ * The inventory default moves to a brewer of this model (none if the inventory has no such brewer).
  */
 router.post('/', authenticateUser, async (req, res) => {
     try {
         const { method } = req.body;
+        const { methods } = await loadUserCatalog(queries, req.user.id);
 
-        if (!method || !VALID_METHODS.includes(method)) {
+        if (!method || typeof method !== 'string' || !methods[method]) {
             return res.status(400).json({ 
                 success: false,
-                error: `Valid method required. Options: ${VALID_METHODS.join(', ')}` 
+                error: `Valid method required. Options: ${Object.keys(methods).join(', ')}` 
             });
         }
 
-        await queries.updateMethodPreference(req.user.id, method);
+        await withTransaction(async (tx) => {
+            await tx.queries.updateMethodPreference(req.user.id, method);
+            await syncDefaultEquipment(tx.queries, req.user.id, 'brewer', method);
+        });
 
         console.log(`☕ Method updated: ${req.user.username} → ${method}`);
 
@@ -63,4 +81,122 @@ router.post('/', authenticateUser, async (req, res) => {
     }
 });
 
+/**
+ * List the user's custom methods
+ * GET /custom
+ */
+router.get('/custom', authenticateUser, async (req, res) => {
+    try {
+        const { methods } = await loadUserCatalog(queries, req.user.id);
+
+        res.json({
+            success: true,
+            methods: Object.keys(methods)
+                .filter(key => methods[key].custom)
+                .map(key => describeMethod(key, methods))
+        });
+
+    } catch (error) {
+        console.error('Get custom methods error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Define a custom method
+ * POST /custom
+ */
+router.post('/custom', authenticateUser, async (req, res) => {
+    try {
+        const { method, error } = parseCustomMethodInput(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const existing = await queries.getCustomMethods(req.user.id);
+        if (existing.length >= MAX_CUSTOM_METHODS) {
+            return res.status(400).json({
+                success: false,
+                error: `Custom method limit reached (${MAX_CUSTOM_METHODS})`
+            });
+        }
+
+        const id = await queries.createCustomMethod(req.user.id, method);
+        const key = customKey(id);
+        const { methods } = buildCatalog([], [{ id, ...method }]);
+
+        console.log(`☕ Custom method added: ${req.user.username} → ${method.name} (${key})`);
+
+        res.status(201).json({
+            success: true,
+            method: describeMethod(key, methods)
+        });
+
+    } catch (error) {
+        console.error('Create custom method error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Remove a custom method (not while it is the selected method or an equipment model)
+ * DELETE /custom/:id   (custom_<id> or <id>)
+ */
+router.delete('/custom/:id', authenticateUser, async (req, res) => {
+    try {
+        // Accepts the catalog key (custom_3) or the bare id (3)
+        const id = parseCustomKey(req.params.id) ?? Number(req.params.id);
+        if (!Number.isInteger(id) || id < 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid method id'
+            });
+        }
+
+        const result = await withTransaction(async (tx) => {
+            if (await tx.queries.getMethodPreference(req.user.id) === customKey(id)
+                || await tx.queries.countEquipmentWithModel(req.user.id, 'brewer', customKey(id)) > 0) {
+                return 'in_use';
+            }
+            return (await tx.queries.deleteCustomMethod(req.user.id, id)) ? 'deleted' : 'not_found';
+        });
+
+        if (result === 'in_use') {
+            return res.status(409).json({
+                success: false,
+                error: 'Method is selected or in your equipment. Switch method or remove the equipment first.'
+            });
+        }
+        if (result === 'not_found') {
+            return res.status(404).json({
+                success: false,
+                error: 'Custom method not found'
+            });
+        }
+
+        console.log(`🗑️ Custom method removed: ${req.user.username} → ${customKey(id)}`);
+
+        res.json({
+            success: true,
+            deleted: customKey(id)
+        });
+
+    } catch (error) {
+        console.error('Delete custom method error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
 export default router;
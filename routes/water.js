@@ -0,0 +1,110 @@
+// ==========================================
+// WATER RECIPE ENDPOINT
+// Mineral additions to build brewing water from distilled / RO water
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { queries } from '../db/database.js';
+import { convertHardness } from '../utils/water.js';
+import {
+    computeWaterRecipe,
+    parseRecipeOptions,
+    parseTargetInput,
+    suggestWaterTarget
+} from '../utils/waterRecipe.js';
+
+const router = express.Router();
+
+function toUnit(ppm, unit) {
+    return Math.round(convertHardness(ppm, 'ppm_caco3', unit) * 100) / 100;
+}
+
+/**
+ * Target water in ppm as CaCO3, in order of precedence:
+ * explicit gh/kh → profileId → coffeeId (suggested for process and roast) → active water profile
+ * @returns {{target: Object}|{status: number, error: string}}
+ */
+async function resolveTarget(userId, body, options) {
+    if (body.gh !== undefined || body.kh !== undefined) {
+        const { target, error } = parseTargetInput(body, options.unit);
+        if (error) return { status: 400, error };
+        return { target: { source: 'request', ...target } };
+    }
+
+    if (body.profileId !== undefined || body.coffeeId === undefined) {
+        let row;
+        if (body.profileId !== undefined) {
+            const id = Number(body.profileId);
+            row = Number.isInteger(id) && id > 0 && await queries.getWaterProfile(userId, id);
+            if (!row) return { status: 404, error: 'Water profile not found' };
+        } else {
+            row = await queries.getActiveWaterProfile(userId);
+            if (!row) return { status: 400, error: 'Target required: gh/kh, profileId or coffeeId' };
+        }
+        const { target, error } = parseTargetInput({ gh: Number(row.gh_dh), kh: row.kh_dh ?? undefined }, 'dH');
+        if (error) return { status: 400, error: `Water profile out of range: ${error}` };
+        return { target: { source: 'profile', profileId: Number(row.id), ...target } };
+    }
+
+    const row = typeof body.coffeeId === 'string' && await queries.getUserCoffee(userId, body.coffeeId);
+    if (!row) return { status: 404, error: 'Coffee not found' };
+    const { gh, kh, adjustments } = suggestWaterTarget(JSON.parse(row.data), options.roast);
+    return { target: { source: 'coffee', coffeeId: body.coffeeId, gh, kh, adjustments } };
+}
+
+/**
+ * Mineral recipe for a target water
+ * POST /recipe   body: { gh?, kh?, profileId?, coffeeId?, roast?, unit?, volume?, form?, calciumShare? }
+ * volume in litres (default 1); form 'powder' (grams) or 'concentrate' (mL).
+ */
+router.post('/recipe', authenticateUser, async (req, res) => {
+    try {
+        const body = req.body || {};
+        const { options, error } = parseRecipeOptions(body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const result = await resolveTarget(req.user.id, body, options);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        const { target } = result;
+        const recipe = computeWaterRecipe({ ...target, ...options });
+
+        res.json({
+            success: true,
+            target: {
+                unit: options.unit,
+                ...target,
+                gh: toUnit(target.gh, options.unit),
+                kh: toUnit(target.kh, options.unit),
+                ...(target.adjustments && {
+                    adjustments: target.adjustments.map(adjustment => ({
+                        ...adjustment,
+                        gh: toUnit(adjustment.gh, options.unit),
+                        kh: toUnit(adjustment.kh, options.unit)
+                    }))
+                })
+            },
+            recipe
+        });
+
+    } catch (error) {
+        console.error('Water recipe error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -1,24 +1,29 @@
 // ==========================================
 // WATER HARDNESS ENDPOINTS
+// Legacy single-value view of the active water profile's GH (°dH)
 // ==========================================
 
 import express from 'express';
 import { authenticateUser } from '../middleware/auth.js';
-import { queries } from '../db/database.js';
+import { queries, withTransaction } from '../db/database.js';
+import { toApiWaterProfile } from '../utils/water.js';
 
 const router = express.Router();
 
 /**
  * Get Water Hardness
  * GET /
+ * profile: the active water profile (null if none)
  */
 router.get('/', authenticateUser, async (req, res) => {
     try {
         const waterHardness = await queries.getWaterHardness(req.user.id);
+        const profile = await queries.getActiveWaterProfile(req.user.id);
 
         res.json({ 
             success: true, 
-            waterHardness: waterHardness 
+            waterHardness: waterHardness,
+            profile: profile ? toApiWaterProfile(profile) : null
         });
 
     } catch (error) {
@@ -33,6 +38,7 @@ router.get('/', authenticateUser, async (req, res) => {
 /**
  * Update Water Hardness
  * POST /
+ * Sets the GH of the active water profile, creating an active "Tap water" profile if there is none.
  */
 router.post('/', authenticateUser, async (req, res) => {
     try {
@@ -54,7 +60,16 @@ router.post('/', authenticateUser, async (req, res) => {
             });
         }
 
-        await queries.updateWaterHardness(req.user.id, hardnessValue);
+        await withTransaction(async (tx) => {
+            const active = await tx.queries.getActiveWaterProfile(req.user.id);
+            if (active) {
+                await tx.queries.updateWaterProfile(req.user.id, active.id, { ...active, gh_dh: hardnessValue });
+            } else {
+                const id = await tx.queries.createWaterProfile(req.user.id, { name: 'Tap water', gh_dh: hardnessValue });
+                await tx.queries.setActiveWaterProfile(req.user.id, id);
+            }
+            await tx.queries.updateWaterHardness(req.user.id, hardnessValue);
+        });
 
         console.log(`💧 Water hardness updated: ${req.user.username} → ${hardnessValue} °dH`);
 
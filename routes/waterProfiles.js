@@ -0,0 +1,227 @@
+// ==========================================
+// WATER PROFILE ENDPOINTS
+// Named water chemistry profiles, one active per user
+// ==========================================
+
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { queries, withTransaction } from '../db/database.js';
+import {
+    HARDNESS_UNITS,
+    MAX_WATER_PROFILES,
+    parseWaterProfileInput,
+    syncWaterHardness,
+    toApiWaterProfile
+} from '../utils/water.js';
+
+const router = express.Router();
+
+function parseProfileId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Unit for responses: ?unit= on reads, body.unit on writes (default dH)
+ * @returns {string|null} - null for unknown units
+ */
+function responseUnit(value) {
+    if (value === undefined) return 'dH';
+    return HARDNESS_UNITS.includes(value) ? value : null;
+}
+
+function sendInvalidUnit(res) {
+    return res.status(400).json({
+        success: false,
+        error: `Invalid unit. Options: ${HARDNESS_UNITS.join(', ')}`
+    });
+}
+
+/**
+ * List water profiles
+ * GET /?unit=dH|ppm_caco3|mg_l
+ */
+router.get('/', authenticateUser, async (req, res) => {
+    try {
+        const unit = responseUnit(req.query.unit);
+        if (!unit) return sendInvalidUnit(res);
+
+        const rows = await queries.getWaterProfiles(req.user.id);
+
+        res.json({
+            success: true,
+            profiles: rows.map(row => toApiWaterProfile(row, unit))
+        });
+
+    } catch (error) {
+        console.error('Get water profiles error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Get one water profile
+ * GET /:id?unit=
+ */
+router.get('/:id', authenticateUser, async (req, res) => {
+    try {
+        const unit = responseUnit(req.query.unit);
+        if (!unit) return sendInvalidUnit(res);
+
+        const id = parseProfileId(req.params.id);
+        const row = id && await queries.getWaterProfile(req.user.id, id);
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'Water profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            profile: toApiWaterProfile(row, unit)
+        });
+
+    } catch (error) {
+        console.error('Get water profile error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Create a water profile
+ * POST /   body: { name, unit?, gh?, kh?, calcium?, magnesium?, tds?, isActive? }
+ * The first profile becomes the active one.
+ */
+router.post('/', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { profile, error } = parseWaterProfileInput(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const existing = await queries.getWaterProfiles(userId);
+        if (existing.length >= MAX_WATER_PROFILES) {
+            return res.status(400).json({
+                success: false,
+                error: `Water profile limit reached (${MAX_WATER_PROFILES})`
+            });
+        }
+
+        const row = await withTransaction(async (tx) => {
+            const id = await tx.queries.createWaterProfile(userId, profile);
+            if (profile.is_active || !(await tx.queries.getActiveWaterProfile(userId))) {
+                await tx.queries.setActiveWaterProfile(userId, id);
+                await syncWaterHardness(tx.queries, userId);
+            }
+            return tx.queries.getWaterProfile(userId, id);
+        });
+
+        console.log(`💧 Water profile added: ${req.user.username} → ${profile.name}`);
+
+        res.status(201).json({
+            success: true,
+            profile: toApiWaterProfile(row, req.body.unit ?? 'dH')
+        });
+
+    } catch (error) {
+        console.error('Create water profile error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Update a water profile or make it the active one
+ * PATCH /:id   body: { name?, unit?, gh?, kh?, calcium?, magnesium?, tds?, isActive?: true }
+ */
+router.patch('/:id', authenticateUser, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const id = parseProfileId(req.params.id);
+
+        const result = await withTransaction(async (tx) => {
+            const existing = id && await tx.queries.getWaterProfile(userId, id);
+            if (!existing) return { status: 404 };
+
+            const { profile, error } = parseWaterProfileInput(req.body, existing);
+            if (error) return { status: 400, error };
+
+            await tx.queries.updateWaterProfile(userId, id, profile);
+            if (profile.is_active) {
+                await tx.queries.setActiveWaterProfile(userId, id);
+            }
+            await syncWaterHardness(tx.queries, userId);
+            return { row: await tx.queries.getWaterProfile(userId, id) };
+        });
+
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                error: 'Water profile not found'
+            });
+        }
+        if (result.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            profile: toApiWaterProfile(result.row, req.body.unit ?? 'dH')
+        });
+
+    } catch (error) {
+        console.error('Update water profile error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+/**
+ * Delete a water profile
+ * DELETE /:id
+ * Deleting the active profile leaves none active; waterHardness keeps its value.
+ */
+router.delete('/:id', authenticateUser, async (req, res) => {
+    try {
+        const id = parseProfileId(req.params.id);
+        const deleted = id && await queries.deleteWaterProfile(req.user.id, id);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Water profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            deleted: id
+        });
+
+    } catch (error) {
+        console.error('Delete water profile error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Server error'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+// ==========================================
+// CREATE ADMIN CLI
+// npm run admin:create -- <username> [role]
+// Password from ADMIN_INITIAL_PASSWORD, otherwise one is generated and printed
+// ==========================================
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { initDatabase, closeDatabase, queries } from '../db/database.js';
+import { hashPassword, parseAdminRole, parseAdminUsername, parsePassword } from '../utils/admin.js';
+
+dotenv.config();
+
+async function main() {
+    const { username, error: usernameError } = parseAdminUsername(process.argv[2]);
+    const { role, error: roleError } = parseAdminRole(process.argv[3] || 'owner');
+    const generated = !process.env.ADMIN_INITIAL_PASSWORD;
+    const { password, error: passwordError } = parsePassword(
+        process.env.ADMIN_INITIAL_PASSWORD || crypto.randomBytes(18).toString('base64url')
+    );
+    const error = usernameError || roleError || passwordError;
+    if (error) {
+        console.error(`❌ ${error}`);
+        console.error('   Usage: npm run admin:create -- <username> [owner|moderator|read_only]');
+        process.exitCode = 1;
+        return;
+    }
+
+    await initDatabase();
+
+    try {
+        const id = await queries.createAdmin(username, role, await hashPassword(password), null);
+        if (!id) {
+            console.error(`❌ Admin "${username}" already exists`);
+            process.exitCode = 1;
+            return;
+        }
+
+        await queries.createAuditEvent({
+            actorType: 'system',
+            action: 'admin.created',
+            entityType: 'admin',
+            entityId: id,
+            details: { username, role, via: 'cli' }
+        });
+
+        console.log(`✅ Admin "${username}" (${role}) created`);
+        if (generated) {
+            console.log(`🔑 Password: ${password}`);
+            console.log('   Shown only once – change it with PATCH /api/admin/me/password');
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Creating admin failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+// ==========================================
+// MIGRATION CLI
+// npm run migrate         → apply pending migrations
+// npm run migrate:status  → list applied / pending migrations
+// ==========================================
+
+import dotenv from 'dotenv';
+import { initDatabase, closeDatabase } from '../db/database.js';
+import { getMigrationStatus, runMigrations } from '../db/migrator.js';
+
+dotenv.config();
+
+const command = process.argv[2] || 'up';
+
+async function main() {
+    await initDatabase();
+
+    try {
+        if (command === 'status') {
+            const status = await getMigrationStatus();
+            console.log(`🗄️ Schema version: ${status.currentVersion} (latest: ${status.latestVersion})`);
+            for (const m of status.applied) {
+                console.log(`   ✅ ${String(m.version).padStart(3, '0')}_${m.name}  (${m.applied_at})`);
+            }
+            for (const m of status.pending) {
+                console.log(`   ⏳ ${m.file}  – ${m.description}`);
+            }
+            if (status.pending.length > 0) {
+                process.exitCode = 1;
+            }
+        } else if (command === 'up') {
+            const applied = await runMigrations();
+            console.log(applied.length > 0
+                ? `✅ Applied ${applied.length} migration(s)`
+                : '✅ Schema is up to date');
+        } else {
+            console.error(`❌ Unknown command: ${command} (expected "up" or "status")`);
+            process.exitCode = 1;
+        }
+    } finally {
+        await closeDatabase();
+    }
+}
+
+main().catch((err) => {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+});
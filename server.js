@@ -9,15 +9,23 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import rateLimit from 'express-rate-limit';
 import { initDatabase } from './db/database.js';
+import { assertSchemaCurrent, SchemaOutdatedError } from './db/migrator.js';
 import authRoutes from './routes/auth.js';
 import grinderRoutes from './routes/grinder.js';
+import grindersRoutes from './routes/grinders.js';
 import methodRoutes from './routes/method.js';
+import equipmentRoutes from './routes/equipment.js';
+import deviceRoutes from './routes/devices.js';
 import waterHardnessRoutes from './routes/waterHardness.js';
+import waterProfileRoutes from './routes/waterProfiles.js';
+import waterRoutes from './routes/water.js';
 import coffeeRoutes from './routes/coffees.js';
 import analyzeRoutes from './routes/analyze.js';
 import healthRoutes from './routes/health.js';
 import brewsRoutes from './routes/brews.js';
 import adminRouter from './routes/admin.js';
+import adminAccountRoutes from './routes/adminAccounts.js';
+import adminUserRoutes from './routes/adminUsers.js';
 import registerRoute from './routes/register.js';
 
 dotenv.config();
@@ -32,6 +40,9 @@ const PORT = process.env.PORT || 3000;
 
 function validateEnvironment() {
     const required = ['ANTHROPIC_API_KEY'];
+    // Without them every restart would sign all users out (see utils/session.js)
+    // or anyone with a database copy could narrow tokens down (see db/tokenHash.js)
+    if (process.env.NODE_ENV === 'production') required.push('SESSION_SECRET', 'TOKEN_PEPPER');
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
@@ -93,7 +104,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID', 'X-Admin-Password']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -108,18 +119,36 @@ console.log('🛡️ Rate limiting: 100 req/15min (general), 10 req/hour (AI)');
 
 await initDatabase();
 
+try {
+    await assertSchemaCurrent();
+    console.log('✅ Database schema up to date');
+} catch (err) {
+    console.error('❌ ' + err.message);
+    if (err instanceof SchemaOutdatedError) {
+        console.error('   Run "npm run migrate" before starting the server.');
+    }
+    process.exit(1);
+}
+
 // ==========================================
 // ROUTE MOUNTING
 // ==========================================
 
 app.use('/api/auth', authRoutes);
 app.use('/api/user/grinder', grinderRoutes);
+app.use('/api/grinders', grindersRoutes);
 app.use('/api/user/method', methodRoutes);
+app.use('/api/user/equipment', equipmentRoutes);
+app.use('/api/user/devices', deviceRoutes);
 app.use('/api/user/water-hardness', waterHardnessRoutes);
+app.use('/api/user/water-profiles', waterProfileRoutes);
+app.use('/api/water', waterRoutes);
 app.use('/api/coffees', coffeeRoutes);
 app.use('/api/brews', brewsRoutes);
 app.use('/api/analyze-coffee', analyzeRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminAccountRoutes);
+app.use('/api/admin/users', adminUserRoutes);
 app.use('/api/admin', adminRouter);
 app.use('/api/auth/register', registerRoute);
 
@@ -0,0 +1,114 @@
+// ==========================================
+// ADMIN ACCOUNTS
+// Roles, permissions and admin tokens for /api/admin
+// ==========================================
+//
+// Admins sign in with username + password (POST /api/admin/login) and get an
+// admin token (Authorization: Bearer adm_…) valid for ADMIN_TOKEN_TTL_MS.
+// Passwords use the salted scrypt hash of account tokens (db/tokenHash.js);
+// admin tokens are random enough for a plain SHA-256, like recovery codes.
+// The first owner is created with `npm run admin:create`.
+
+import crypto from 'crypto';
+import { hashToken, tokenMatches } from '../db/tokenHash.js';
+import { toIsoTimestamp } from './coffeeSync.js';
+
+export const ADMIN_ROLES = ['owner', 'moderator', 'read_only'];
+
+export const ROLE_PERMISSIONS = {
+    owner: [
+        'whitelist:read', 'whitelist:write', 'users:read', 'users:write', 'users:delete',
+        'security:read', 'audit:read', 'admins:manage'
+    ],
+    moderator: ['whitelist:read', 'whitelist:write', 'users:read', 'users:write', 'security:read', 'audit:read'],
+    read_only: ['whitelist:read', 'users:read', 'security:read', 'audit:read']
+};
+
+export const ADMIN_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 12;
+
+const ADMIN_TOKEN_PREFIX = 'adm_';
+const MAX_PASSWORD_LENGTH = 200;
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/;
+
+export function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+export function generateAdminToken() {
+    return ADMIN_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashAdminToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function looksLikeAdminToken(token) {
+    return typeof token === 'string' && token.startsWith(ADMIN_TOKEN_PREFIX) && token.length === ADMIN_TOKEN_PREFIX.length + 43;
+}
+
+export async function hashPassword(password) {
+    return hashToken(password);
+}
+
+// Compared against when the username is unknown, so both cases take as long
+let dummyHash = null;
+
+/**
+ * Constant-time password check; pass null for an unknown admin
+ */
+export async function verifyPassword(password, storedHash) {
+    if (!storedHash) {
+        dummyHash ??= await hashToken(crypto.randomBytes(16).toString('hex'));
+        await tokenMatches(String(password), dummyHash);
+        return false;
+    }
+    return tokenMatches(String(password), storedHash);
+}
+
+/**
+ * @returns {{username: string}|{error: string}}
+ */
+export function parseAdminUsername(value) {
+    const username = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+        return { error: 'username must be 3–40 characters: a–z, 0–9, ".", "_" or "-"' };
+    }
+    return { username };
+}
+
+/**
+ * @returns {{role: string}|{error: string}}
+ */
+export function parseAdminRole(value) {
+    if (!ADMIN_ROLES.includes(value)) {
+        return { error: `role must be one of: ${ADMIN_ROLES.join(', ')}` };
+    }
+    return { role: value };
+}
+
+/**
+ * @returns {{password: string}|{error: string}}
+ */
+export function parsePassword(value) {
+    if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+        return { error: `password must be ${MIN_PASSWORD_LENGTH}–${MAX_PASSWORD_LENGTH} characters` };
+    }
+    return { password: value };
+}
+
+/**
+ * Database row → API admin
+ */
+export function toApiAdmin(row) {
+    return {
+        id: Number(row.id),
+        username: row.username,
+        role: row.role,
+        permissions: ROLE_PERMISSIONS[row.role] || [],
+        createdBy: row.created_by === null || row.created_by === undefined ? null : Number(row.created_by),
+        createdAt: toIsoTimestamp(row.created_at),
+        lastLoginAt: toIsoTimestamp(row.last_login_at),
+        ...(row.disabled_at && { disabledAt: toIsoTimestamp(row.disabled_at) })
+    };
+}
@@ -0,0 +1,83 @@
+// ==========================================
+// ADMIN: USER MANAGEMENT
+// List/detail shapes and query parsing for /api/admin/users
+// ==========================================
+//
+// Suspending an account revokes its sessions and blocks /validate, /refresh,
+// /pair and recovery; authenticateUser rejects its remaining access tokens on
+// writes (database check) and, on this instance, on reads too (markUserSuspended
+// in utils/session.js). Deleting an account
+// removes everything it owns through the foreign keys.
+
+import { toIsoTimestamp } from './coffeeSync.js';
+import { parsePagination } from './listQuery.js';
+
+export const USER_STATUSES = ['active', 'suspended'];
+export const DEFAULT_USER_PAGE_SIZE = 50;
+export const MAX_USER_PAGE_SIZE = 200;
+
+const MAX_SEARCH_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Parse GET /api/admin/users query (?search=&status=&limit=&offset=)
+ * @returns {{filters: Object}|{error: string}}
+ */
+export function parseUserListQuery(query) {
+    const filters = {};
+
+    if (typeof query.search === 'string' && query.search.trim()) {
+        filters.search = query.search.trim().slice(0, MAX_SEARCH_LENGTH);
+    }
+    if (query.status !== undefined) {
+        if (!USER_STATUSES.includes(query.status)) {
+            return { error: `status must be one of: ${USER_STATUSES.join(', ')}` };
+        }
+        filters.status = query.status;
+    }
+
+    const { page, error: pageError } = parsePagination(query, {
+        defaultLimit: DEFAULT_USER_PAGE_SIZE,
+        maxLimit: MAX_USER_PAGE_SIZE
+    });
+    if (pageError) return { error: pageError };
+
+    return { filters: { ...filters, ...page } };
+}
+
+/**
+ * Optional reason for a suspension
+ * @returns {{reason: string|null}|{error: string}}
+ */
+export function parseSuspensionReason(value) {
+    if (value === undefined || value === null || value === '') return { reason: null };
+    if (typeof value !== 'string' || value.trim().length > MAX_REASON_LENGTH) {
+        return { error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+    }
+    return { reason: value.trim() || null };
+}
+
+/**
+ * Database row (getAdminUsers / getAdminUser) → API user for admins
+ */
+export function toApiAdminUser(row) {
+    return {
+        id: Number(row.id),
+        username: row.username,
+        email: row.email ?? null,
+        status: row.suspended_at ? 'suspended' : 'active',
+        createdAt: toIsoTimestamp(row.created_at),
+        lastLoginAt: toIsoTimestamp(row.last_login_at),
+        preferences: {
+            grinder: row.grinder_preference || 'fellow_gen2',
+            method: row.method_preference || 'v60',
+            waterHardness: row.water_hardness === null || row.water_hardness === undefined ? null : Number(row.water_hardness)
+        },
+        ...(row.coffee_count !== undefined && { coffeeCount: Number(row.coffee_count) }),
+        ...(row.active_devices !== undefined && { activeDevices: Number(row.active_devices) }),
+        ...(row.suspended_at && {
+            suspendedAt: toIsoTimestamp(row.suspended_at),
+            suspensionReason: row.suspension_reason ?? null
+        })
+    };
+}
@@ -0,0 +1,130 @@
+// ==========================================
+// AUDIT LOG
+// Who changed what: admin routes, registration, device binding, token validation
+// ==========================================
+//
+// Each audit event names the actor (user, admin, system or an anonymous visitor),
+// the entity it touched and – for changes – only the fields that changed, as
+// before/after objects. Reads go through GET /api/admin/audit.
+
+import { toIsoTimestamp } from './coffeeSync.js';
+import { parseDateRange, parsePagination } from './listQuery.js';
+
+export const AUDIT_ACTOR_TYPES = ['user', 'admin', 'system', 'anonymous'];
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+export const MAX_AUDIT_PAGE_SIZE = 200;
+
+const MAX_FILTER_LENGTH = 100;
+
+/**
+ * Changed fields between two states
+ * @param {Object|null} before - state before the change (null when created)
+ * @param {Object|null} after - state after the change (null when deleted)
+ * @param {string[]} fields - fields to compare
+ * @returns {{before: Object|null, after: Object|null}} only the fields that differ
+ */
+export function auditDiff(before, after, fields) {
+    const diff = { before: before ? {} : null, after: after ? {} : null };
+    for (const field of fields) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (before && after && from === to) continue;
+        if (before) diff.before[field] = from;
+        if (after) diff.after[field] = to;
+    }
+    return diff;
+}
+
+/**
+ * True when a diff from auditDiff records no change
+ */
+export function isEmptyDiff({ before, after }) {
+    return Object.keys(before || {}).length === 0 && Object.keys(after || {}).length === 0;
+}
+
+/**
+ * Record a change made by the signed-in admin in the audit log
+ * @param {Object} q - queries or tx.queries
+ * @param {Object} req - request with req.admin (authenticateAdmin)
+ * @param {Object} [change] - { before?, after?, details? } – see auditDiff
+ */
+export async function auditAdminAction(q, req, action, entityType, entityId, { before = null, after = null, details = null } = {}) {
+    await q.createAuditEvent({
+        actorType: 'admin',
+        actorId: req.admin.id,
+        action,
+        entityType,
+        entityId,
+        before,
+        after,
+        details,
+        ip: req.ip
+    });
+}
+
+/**
+ * Parse GET /api/admin/audit query
+ * (?actorType=&actorId=&action=&entityType=&entityId=&from=&to=&limit=&offset=)
+ * from/to are inclusive days (YYYY-MM-DD, UTC)
+ * @returns {{filters: Object}|{error: string}}
+ */
+export function parseAuditQuery(query) {
+    const filters = {};
+
+    if (query.actorType !== undefined) {
+        if (!AUDIT_ACTOR_TYPES.includes(query.actorType)) {
+            return { error: `actorType must be one of: ${AUDIT_ACTOR_TYPES.join(', ')}` };
+        }
+        filters.actorType = query.actorType;
+    }
+    if (query.actorId !== undefined) {
+        const actorId = Number(query.actorId);
+        if (!Number.isInteger(actorId) || actorId < 1) {
+            return { error: 'actorId must be a positive integer' };
+        }
+        filters.actorId = actorId;
+    }
+    for (const key of ['action', 'entityType', 'entityId']) {
+        if (typeof query[key] === 'string' && query[key].trim()) {
+            filters[key] = query[key].trim().slice(0, MAX_FILTER_LENGTH);
+        }
+    }
+
+    const { range, error: rangeError } = parseDateRange(query);
+    if (rangeError) return { error: rangeError };
+
+    const { page, error: pageError } = parsePagination(query, {
+        defaultLimit: DEFAULT_AUDIT_PAGE_SIZE,
+        maxLimit: MAX_AUDIT_PAGE_SIZE
+    });
+    if (pageError) return { error: pageError };
+
+    return { filters: { ...filters, ...range, ...page } };
+}
+
+function parseJson(value) {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Database row → API audit event
+ */
+export function toApiAuditEvent(row) {
+    return {
+        id: Number(row.id),
+        actorType: row.actor_type,
+        actorId: row.actor_id === null ? null : Number(row.actor_id),
+        action: row.action,
+        entityType: row.entity_type,
+        entityId: row.entity_id,
+        before: parseJson(row.before_state),
+        after: parseJson(row.after_state),
+        details: parseJson(row.details),
+        ip: row.ip,
+        createdAt: toIsoTimestamp(row.created_at)
+    };
+}
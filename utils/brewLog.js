@@ -0,0 +1,167 @@
+// ==========================================
+// BREW LOG – input validation and response shape
+// ==========================================
+//
+// API fields are camelCase with units in the docs; the brews table stores
+// them as <name>_<unit> columns (dose_g, temperature_c, total_time_s, …).
+
+import { stripHTML, truncateString } from './sanitize.js';
+import { toIsoTimestamp } from './coffeeSync.js';
+import { parseDateRange, parsePagination } from './listQuery.js';
+import { EQUIPMENT_TYPES, equipmentColumn } from './equipment.js';
+
+export const DEFAULT_BREW_PAGE_SIZE = 20;
+export const MAX_BREW_PAGE_SIZE = 100;
+
+// API field → column, numeric range and whether it must be an integer
+const NUMERIC_FIELDS = [
+    { field: 'dose',          column: 'dose_g',         min: 0.1, max: 1000 },
+    { field: 'water',         column: 'water_g',        min: 1,   max: 5000 },
+    { field: 'ratio',         column: 'ratio',          min: 1,   max: 100 },
+    { field: 'temperature',   column: 'temperature_c',  min: 0,   max: 100 },
+    { field: 'totalTime',     column: 'total_time_s',   min: 0,   max: 86400, integer: true },
+    { field: 'waterHardness', column: 'water_hardness', min: 0,   max: 50 },
+    { field: 'rating',        column: 'rating',         min: 1,   max: 5,     integer: true }
+];
+
+function cleanText(value, maxLength) {
+    return truncateString(stripHTML(String(value)).trim(), maxLength);
+}
+
+/**
+ * Validate a brew from POST /api/brews/log
+ * @param {Object} body - request body
+ * @param {Object} options - { methods, grinders } allowed values
+ * @returns {{brew: Object}|{error: string}} - brew holds column values
+ */
+export function parseBrewInput(body, { methods, grinders }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Brew object required' };
+    }
+
+    const brew = {};
+
+    if ((typeof body.coffeeId !== 'string' && typeof body.coffeeId !== 'number') || !String(body.coffeeId).trim()) {
+        return { error: 'coffeeId required' };
+    }
+    brew.coffee_uid = String(body.coffeeId).trim();
+    if (brew.coffee_uid.length > 200) {
+        return { error: 'Invalid coffeeId' };
+    }
+
+    if (body.method !== undefined && body.method !== null) {
+        if (!methods.includes(body.method)) {
+            return { error: `Invalid method. Options: ${methods.join(', ')}` };
+        }
+        brew.method = body.method;
+    }
+    if (body.grinder !== undefined && body.grinder !== null) {
+        if (!grinders.includes(body.grinder)) {
+            return { error: `Invalid grinder. Options: ${grinders.join(', ')}` };
+        }
+        brew.grinder = body.grinder;
+    }
+    if (body.grindSetting !== undefined && body.grindSetting !== null) {
+        brew.grind_setting = cleanText(body.grindSetting, 50);
+    }
+
+    for (const spec of NUMERIC_FIELDS) {
+        const value = body[spec.field];
+        if (value === undefined || value === null || value === '') continue;
+
+        const number = typeof value === 'number' ? value : Number(value);
+        if (!Number.isFinite(number) || number < spec.min || number > spec.max || (spec.integer && !Number.isInteger(number))) {
+            return { error: `${spec.field} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}` };
+        }
+        brew[spec.column] = number;
+    }
+
+    // Derive the ratio (water per gram of coffee) when only dose and water are given
+    if (brew.ratio === undefined && brew.dose_g !== undefined && brew.water_g !== undefined) {
+        brew.ratio = Math.round((brew.water_g / brew.dose_g) * 10) / 10;
+    }
+
+    // { grinder, brewer, kettle, scale } → equipment ids; ownership is checked by the route
+    if (body.equipment !== undefined && body.equipment !== null) {
+        if (typeof body.equipment !== 'object' || Array.isArray(body.equipment)) {
+            return { error: `equipment must be an object with ${EQUIPMENT_TYPES.join(', ')} ids` };
+        }
+        for (const type of EQUIPMENT_TYPES) {
+            const id = body.equipment[type];
+            if (id === undefined) continue;
+            if (id !== null && (!Number.isInteger(id) || id < 1)) {
+                return { error: `equipment.${type} must be an equipment id` };
+            }
+            brew[equipmentColumn(type)] = id;
+        }
+    }
+
+    if (body.notes !== undefined && body.notes !== null) {
+        brew.notes = cleanText(body.notes, 1000);
+    }
+
+    if (body.brewedAt !== undefined && body.brewedAt !== null) {
+        const brewedAt = typeof body.brewedAt === 'string' && body.brewedAt.length <= 50
+            ? toIsoTimestamp(body.brewedAt)
+            : null;
+        if (!brewedAt) {
+            return { error: 'brewedAt must be an ISO date' };
+        }
+        brew.brewed_at = brewedAt;
+    } else {
+        brew.brewed_at = new Date().toISOString();
+    }
+
+    return { brew };
+}
+
+/**
+ * Parse GET /api/brews/log query (?coffeeId=&from=&to=&limit=&offset=)
+ * from/to are inclusive days (YYYY-MM-DD, UTC)
+ * @returns {{filters: Object}|{error: string}}
+ */
+export function parseBrewQuery(query) {
+    const filters = {};
+
+    if (typeof query.coffeeId === 'string' && query.coffeeId.trim()) {
+        filters.coffeeUid = query.coffeeId.trim().slice(0, 200);
+    }
+
+    const { range, error: rangeError } = parseDateRange(query);
+    if (rangeError) return { error: rangeError };
+
+    const { page, error: pageError } = parsePagination(query, {
+        defaultLimit: DEFAULT_BREW_PAGE_SIZE,
+        maxLimit: MAX_BREW_PAGE_SIZE
+    });
+    if (pageError) return { error: pageError };
+
+    return { filters: { ...filters, ...range, ...page } };
+}
+
+function toNumberOrNull(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Database row → API brew object
+ */
+export function toApiBrew(row) {
+    const brew = {
+        id: Number(row.id),
+        coffeeId: row.coffee_uid,
+        method: row.method,
+        grinder: row.grinder,
+        grindSetting: row.grind_setting
+    };
+    for (const spec of NUMERIC_FIELDS) {
+        brew[spec.field] = toNumberOrNull(row[spec.column]);
+    }
+    brew.equipment = {};
+    for (const type of EQUIPMENT_TYPES) {
+        brew.equipment[type] = toNumberOrNull(row[equipmentColumn(type)]);
+    }
+    brew.notes = row.notes;
+    brew.brewedAt = toIsoTimestamp(row.brewed_at);
+    return brew;
+}
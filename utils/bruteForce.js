@@ -0,0 +1,165 @@
+// ==========================================
+// BRUTE-FORCE PROTECTION
+// Failed token attempts per IP and per device, with exponential backoff
+// ==========================================
+//
+// Every failed attempt counts against the client IP and its X-Device-ID. Once a
+// counter passes its free attempts the key is locked for LOCKOUT_BASE_MS, twice
+// as long with every further failure, up to LOCKOUT_MAX_MS. IPs get more free
+// attempts than devices because several users can share one address.
+// The counter is incremented in one statement and the lockout is derived from
+// the count it returns, so a burst of parallel guesses is counted in full even
+// when it passes the lockout check together.
+// Counters reset after FAILURE_WINDOW_MS without failures; a successful sign-in
+// clears the device counter but not the IP one, so a valid token cannot be used
+// to unlock an address that is guessing.
+
+import { toIsoTimestamp } from './coffeeSync.js';
+import { parseDateRange, parsePagination } from './listQuery.js';
+
+export const FREE_ATTEMPTS = { ip: 20, device: 5 };
+export const LOCKOUT_BASE_MS = 30 * 1000;
+export const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+export const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const SECURITY_EVENT_TYPES = ['auth.failed', 'auth.lockout'];
+export const DEFAULT_EVENT_PAGE_SIZE = 50;
+export const MAX_EVENT_PAGE_SIZE = 200;
+
+const MAX_SUBJECT_LENGTH = 200;
+
+/**
+ * Lockout after a number of failures
+ * @param {string} scope - 'ip' | 'device'
+ * @returns {number} milliseconds, 0 while free attempts are left
+ */
+export function lockoutDuration(scope, failures) {
+    const free = FREE_ATTEMPTS[scope];
+    if (failures <= free) return 0;
+    return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - free - 1), LOCKOUT_MAX_MS);
+}
+
+function attemptKeys({ ip, deviceId }) {
+    const keys = [];
+    if (ip) keys.push({ scope: 'ip', subject: String(ip).slice(0, MAX_SUBJECT_LENGTH) });
+    if (deviceId) keys.push({ scope: 'device', subject: String(deviceId).slice(0, MAX_SUBJECT_LENGTH) });
+    return keys;
+}
+
+function toMs(timestamp) {
+    const iso = toIsoTimestamp(timestamp);
+    return iso ? Date.parse(iso) : 0;
+}
+
+/**
+ * Seconds until a client may try again
+ * @param {Object} q - queries or tx.queries
+ * @param {Object} client - { ip, deviceId }
+ * @returns {Promise<number>} 0 if the client is not locked out
+ */
+export async function getLockout(q, client, now = Date.now()) {
+    let until = 0;
+    for (const { scope, subject } of attemptKeys(client)) {
+        const row = await q.getAuthFailure(scope, subject);
+        if (row?.locked_until) until = Math.max(until, toMs(row.locked_until));
+    }
+    return until > now ? Math.ceil((until - now) / 1000) : 0;
+}
+
+/**
+ * Count a failed attempt and log it as a security event
+ * @param {Object} details - stored with the event, e.g. { endpoint, reason }
+ * @returns {Promise<number>} seconds the client is locked out from now on (0 if not)
+ */
+export async function recordFailedAttempt(q, client, details, now = Date.now()) {
+    const { ip = null, deviceId = null } = client;
+    const lockouts = [];
+
+    for (const { scope, subject } of attemptKeys(client)) {
+        const failures = await q.incrementAuthFailure(
+            scope, subject,
+            new Date(now).toISOString(),
+            new Date(now - FAILURE_WINDOW_MS).toISOString()
+        );
+        const duration = lockoutDuration(scope, failures);
+        if (!duration) continue;
+        await q.lockAuthFailure(scope, subject, new Date(now + duration).toISOString());
+        lockouts.push({ scope, failures, lockedSeconds: duration / 1000 });
+    }
+
+    await q.createSecurityEvent({ type: 'auth.failed', ip, deviceId, details });
+    for (const lockout of lockouts) {
+        await q.createSecurityEvent({ type: 'auth.lockout', ip, deviceId, details: { ...details, ...lockout } });
+        console.warn(`⚠️  Lockout (${lockout.scope}) for ${lockout.lockedSeconds}s after ${lockout.failures} failed attempts`);
+    }
+
+    return Math.max(0, ...lockouts.map(lockout => lockout.lockedSeconds));
+}
+
+/**
+ * Successful sign-in: reset the device counter
+ */
+export async function clearFailedAttempts(q, { deviceId }) {
+    const [key] = attemptKeys({ deviceId });
+    if (key) await q.clearAuthFailure(key.scope, key.subject);
+}
+
+/**
+ * Parse GET /api/admin/security-events query (?type=&ip=&deviceId=&userId=&from=&to=&limit=&offset=)
+ * from/to are inclusive days (YYYY-MM-DD, UTC)
+ * @returns {{filters: Object}|{error: string}}
+ */
+export function parseSecurityEventQuery(query) {
+    const filters = {};
+
+    if (query.type !== undefined) {
+        if (!SECURITY_EVENT_TYPES.includes(query.type)) {
+            return { error: `type must be one of: ${SECURITY_EVENT_TYPES.join(', ')}` };
+        }
+        filters.type = query.type;
+    }
+    for (const key of ['ip', 'deviceId']) {
+        if (typeof query[key] === 'string' && query[key].trim()) {
+            filters[key] = query[key].trim().slice(0, MAX_SUBJECT_LENGTH);
+        }
+    }
+    if (query.userId !== undefined) {
+        const userId = Number(query.userId);
+        if (!Number.isInteger(userId) || userId < 1) {
+            return { error: 'userId must be a positive integer' };
+        }
+        filters.userId = userId;
+    }
+
+    const { range, error: rangeError } = parseDateRange(query);
+    if (rangeError) return { error: rangeError };
+
+    const { page, error: pageError } = parsePagination(query, {
+        defaultLimit: DEFAULT_EVENT_PAGE_SIZE,
+        maxLimit: MAX_EVENT_PAGE_SIZE
+    });
+    if (pageError) return { error: pageError };
+
+    return { filters: { ...filters, ...range, ...page } };
+}
+
+/**
+ * Database row → API security event
+ */
+export function toApiSecurityEvent(row) {
+    let details = null;
+    try {
+        details = row.details ? JSON.parse(row.details) : null;
+    } catch {
+        details = null;
+    }
+    return {
+        id: Number(row.id),
+        type: row.type,
+        ip: row.ip,
+        deviceId: row.device_id,
+        userId: row.user_id === null ? null : Number(row.user_id),
+        details,
+        createdAt: toIsoTimestamp(row.created_at)
+    };
+}
@@ -0,0 +1,276 @@
+// ==========================================
+// EQUIPMENT CATALOG
+// Built-in grinders/methods + the user's custom definitions
+// ==========================================
+//
+// Custom entries live in custom_grinders / custom_methods and are keyed
+// custom_<id>. They are turned into the same shape as GRINDERS and
+// METHOD_BASES, so the converter and the recipe engine treat them like
+// the built-ins.
+//
+// A custom grinder is calibrated by one reference point: a dial setting
+// and the grind size it produces, either in microns or as the equivalent
+// setting on a built-in grinder ("my Kinu at 4.5 ≈ Comandante 24").
+
+import { GRINDERS, formatSetting, parseSetting, settingToMicrons } from './grinders.js';
+import { METHOD_BASES } from './recipe.js';
+import { stripHTML, truncateString } from './sanitize.js';
+
+export const MAX_CUSTOM_GRINDERS = 20;
+export const MAX_CUSTOM_METHODS = 20;
+export const CUSTOM_UNITS = ['clicks', 'setting'];
+export const METHOD_STYLES = ['pour_over', 'immersion'];
+
+const CUSTOM_PREFIX = 'custom_';
+const MAX_NAME_LENGTH = 60;
+const MIN_GRIND_MICRONS = 50;
+const MAX_GRIND_MICRONS = 2000;
+// Without an explicit scale the dial is assumed to span ~1200 µm (espresso → French press)
+const DEFAULT_DIAL_SPAN_MICRONS = 1200;
+
+// API field → column, numeric range and whether it must be an integer
+const METHOD_FIELDS = [
+    { field: 'dose',         column: 'dose_g',        min: 5,   max: 100 },
+    { field: 'ratio',        column: 'ratio',         min: 1,   max: 25 },
+    { field: 'temperature',  column: 'temperature_c', min: 80,  max: 99 },
+    { field: 'grindMicrons', column: 'grind_microns', min: MIN_GRIND_MICRONS, max: MAX_GRIND_MICRONS },
+    { field: 'totalTime',    column: 'total_time_s',  min: 10,  max: 1800, integer: true }
+];
+
+export function customKey(id) {
+    return `${CUSTOM_PREFIX}${id}`;
+}
+
+/**
+ * custom_<id> → id
+ * @returns {number|null}
+ */
+export function parseCustomKey(key) {
+    const match = typeof key === 'string' ? key.match(/^custom_(\d+)$/) : null;
+    return match ? Number(match[1]) : null;
+}
+
+/**
+ * custom_grinders row → GRINDERS entry
+ */
+export function toGrinderSpec(row) {
+    const micronsPerUnit = Number(row.microns_per_unit);
+    const refSetting = Number(row.ref_setting);
+    const refMicrons = Number(row.ref_microns);
+    return {
+        name: row.name,
+        unit: row.unit,
+        baseMicrons: refMicrons - refSetting * micronsPerUnit,
+        micronsPerUnit,
+        min: Number(row.min_setting),
+        max: Number(row.max_setting),
+        step: Number(row.step),
+        custom: true,
+        calibration: { setting: refSetting, microns: refMicrons }
+    };
+}
+
+/**
+ * custom_methods row → METHOD_BASES entry
+ * Pour-over: bloom then one main pour; immersion: fill, then serve at the end
+ */
+export function toMethodSpec(row) {
+    const totalTime = Number(row.total_time_s);
+    const pours = row.style === 'immersion'
+        ? [
+            { at: 0, fraction: 1, label: 'fill & stir' },
+            { at: totalTime, fraction: 1, label: 'serve' }
+        ]
+        : [
+            { at: 0, fraction: 0.15, label: 'bloom' },
+            { at: Math.min(45, totalTime), fraction: 1, label: 'pour' }
+        ];
+
+    return {
+        name: row.name,
+        style: row.style,
+        dose: Number(row.dose_g),
+        ratio: Number(row.ratio),
+        temperature: Number(row.temperature_c),
+        grindMicrons: Number(row.grind_microns),
+        totalTime,
+        pours,
+        custom: true
+    };
+}
+
+/**
+ * Merge the built-ins with a user's custom rows
+ * @returns {{grinders: Object, methods: Object}}
+ */
+export function buildCatalog(grinderRows = [], methodRows = []) {
+    const grinders = { ...GRINDERS };
+    for (const row of grinderRows) grinders[customKey(row.id)] = toGrinderSpec(row);
+
+    const methods = { ...METHOD_BASES };
+    for (const row of methodRows) methods[customKey(row.id)] = toMethodSpec(row);
+
+    return { grinders, methods };
+}
+
+/**
+ * Load a user's catalog
+ * @param {Object} q - queries (or tx.queries inside a transaction)
+ */
+export async function loadUserCatalog(q, userId) {
+    const [grinderRows, methodRows] = await Promise.all([
+        q.getCustomGrinders(userId),
+        q.getCustomMethods(userId)
+    ]);
+    return buildCatalog(grinderRows, methodRows);
+}
+
+/**
+ * Catalog entry for API responses
+ */
+export function describeMethod(methodKey, methods = METHOD_BASES) {
+    const method = methods[methodKey];
+    if (!method) return null;
+    const description = {
+        id: methodKey,
+        name: method.name,
+        style: method.style,
+        dose: method.dose,
+        ratio: method.ratio,
+        temperature: method.temperature,
+        grindMicrons: method.grindMicrons,
+        totalTime: method.totalTime
+    };
+    if (method.custom) description.custom = true;
+    return description;
+}
+
+function parseName(value) {
+    if (typeof value !== 'string') return null;
+    const name = truncateString(stripHTML(value).trim(), MAX_NAME_LENGTH);
+    return name || null;
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = typeof value === 'number' ? value : Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Validate a custom grinder from POST /api/user/grinder/custom
+ * body: { name, unit?, min, max, step?, micronsPerUnit?,
+ *         calibration: { setting, microns } | { setting, grinder, grinderSetting } }
+ * @returns {{grinder: Object}|{error: string}} - grinder holds column values
+ */
+export function parseCustomGrinderInput(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Grinder object required' };
+    }
+
+    const name = parseName(body.name);
+    if (!name) return { error: 'name required' };
+
+    const unit = body.unit ?? 'clicks';
+    if (!CUSTOM_UNITS.includes(unit)) {
+        return { error: `Invalid unit. Options: ${CUSTOM_UNITS.join(', ')}` };
+    }
+
+    const min = toNumber(body.min);
+    const max = toNumber(body.max);
+    if (min === null || max === null || min < 0 || max > 1000 || max <= min) {
+        return { error: 'min and max must be numbers with 0 ≤ min < max ≤ 1000' };
+    }
+
+    const step = body.step === undefined ? 1 : toNumber(body.step);
+    if (step === null || step <= 0 || step > max - min) {
+        return { error: 'step must be a positive number no larger than the setting range' };
+    }
+
+    const micronsPerUnit = body.micronsPerUnit === undefined
+        ? DEFAULT_DIAL_SPAN_MICRONS / (max - min)
+        : toNumber(body.micronsPerUnit);
+    if (micronsPerUnit === null || micronsPerUnit <= 0 || micronsPerUnit > 1000) {
+        return { error: 'micronsPerUnit must be a number between 0 and 1000' };
+    }
+
+    const calibration = body.calibration;
+    if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+        return { error: 'calibration required: { setting, microns } or { setting, grinder, grinderSetting }' };
+    }
+
+    const refSetting = toNumber(calibration.setting);
+    if (refSetting === null || refSetting < min || refSetting > max) {
+        return { error: `calibration.setting must be between ${min} and ${max}` };
+    }
+
+    let refMicrons;
+    if (calibration.grinder !== undefined) {
+        const reference = GRINDERS[calibration.grinder];
+        if (!reference) {
+            return { error: `calibration.grinder must be a built-in grinder. Options: ${Object.keys(GRINDERS).join(', ')}` };
+        }
+        const value = (typeof calibration.grinderSetting === 'string' || typeof calibration.grinderSetting === 'number')
+            ? parseSetting(calibration.grinder, calibration.grinderSetting)
+            : null;
+        if (value === null || value < reference.min || value > reference.max) {
+            return {
+                error: `calibration.grinderSetting must be between ${formatSetting(reference, reference.min)} and ${formatSetting(reference, reference.max)} for ${calibration.grinder}`
+            };
+        }
+        refMicrons = settingToMicrons(calibration.grinder, value);
+    } else {
+        refMicrons = toNumber(calibration.microns);
+        if (refMicrons === null || refMicrons < MIN_GRIND_MICRONS || refMicrons > MAX_GRIND_MICRONS) {
+            return { error: `calibration.microns must be between ${MIN_GRIND_MICRONS} and ${MAX_GRIND_MICRONS}` };
+        }
+    }
+
+    // The finest setting must still map to a positive grind size
+    if (refMicrons - (refSetting - min) * micronsPerUnit <= 0) {
+        return { error: 'calibration and micronsPerUnit put the finest setting below 0 µm' };
+    }
+
+    return {
+        grinder: {
+            name,
+            unit,
+            min_setting: min,
+            max_setting: max,
+            step,
+            ref_setting: refSetting,
+            ref_microns: refMicrons,
+            microns_per_unit: Math.round(micronsPerUnit * 1000) / 1000
+        }
+    };
+}
+
+/**
+ * Validate a custom method from POST /api/user/method/custom
+ * body: { name, style?, dose, ratio, temperature, grindMicrons, totalTime }
+ * @returns {{method: Object}|{error: string}} - method holds column values
+ */
+export function parseCustomMethodInput(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Method object required' };
+    }
+
+    const name = parseName(body.name);
+    if (!name) return { error: 'name required' };
+
+    const style = body.style ?? 'pour_over';
+    if (!METHOD_STYLES.includes(style)) {
+        return { error: `Invalid style. Options: ${METHOD_STYLES.join(', ')}` };
+    }
+
+    const method = { name, style };
+    for (const spec of METHOD_FIELDS) {
+        const number = toNumber(body[spec.field]);
+        if (number === null || number < spec.min || number > spec.max || (spec.integer && !Number.isInteger(number))) {
+            return { error: `${spec.field} must be ${spec.integer ? 'an integer' : 'a number'} between ${spec.min} and ${spec.max}` };
+        }
+        method[spec.column] = number;
+    }
+
+    return { method };
+}
@@ -0,0 +1,196 @@
+// ==========================================
+// COFFEE DELTA SYNC – conflict rules
+// ==========================================
+//
+// A client change is applied only if it was made on top of the server's
+// current version of that coffee:
+// - baseRevision (preferred): must equal the server revision
+// - updatedAt (fallback): must not be older than the server's last write
+// Changes for coffees the server has never seen are always accepted.
+//
+// Single-coffee writes use the same revision as a strong ETag ("<revision>")
+// and enforce it through the If-Match request header.
+
+export const SYNC_REJECT_REASONS = {
+    INVALID: 'invalid',
+    REVISION_MISMATCH: 'revision_mismatch',
+    STALE_UPDATE: 'stale_update',
+    VERSION_REQUIRED: 'version_required'
+};
+
+export const MAX_SYNC_CHANGES = 500;
+
+// Shared by the coffee routes and the card editor (PATCH /api/brews/:id)
+export const MAX_UID_LENGTH = 200;
+export const ROAST_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a DB timestamp (pg Date or SQLite "YYYY-MM-DD HH:MM:SS" UTC) to ISO 8601
+ * @param {Date|string|null} value
+ * @returns {string|null}
+ */
+export function toIsoTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+
+    const str = String(value);
+    const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/.test(str)
+        ? new Date(str.replace(' ', 'T') + 'Z')
+        : new Date(str);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse a change cursor (non-negative integer, sent as string or number)
+ * @returns {number|null} - null if invalid
+ */
+export function parseCursor(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const str = String(value);
+    if (!/^\d{1,15}$/.test(str)) return null;
+    return parseInt(str, 10);
+}
+
+/**
+ * Validate one change item of POST /api/coffees/sync
+ * Shape: { id, baseRevision?, updatedAt?, deleted: true } or { id, baseRevision?, updatedAt?, coffee: {...} }
+ * @returns {string|null} - error message, or null if valid
+ */
+export function validateSyncChange(change) {
+    if (!change || typeof change !== 'object' || Array.isArray(change)) {
+        return 'change must be an object';
+    }
+    if (typeof change.id !== 'string' && typeof change.id !== 'number') {
+        return 'id required';
+    }
+    const id = String(change.id).trim();
+    if (!id || id.length > 200) {
+        return 'invalid id';
+    }
+    if (change.baseRevision !== undefined && !(Number.isInteger(change.baseRevision) && change.baseRevision >= 0)) {
+        return 'baseRevision must be a non-negative integer';
+    }
+    if (change.updatedAt !== undefined && toIsoTimestamp(change.updatedAt) === null) {
+        return 'updatedAt must be an ISO date';
+    }
+    if (change.deleted === true) {
+        return null;
+    }
+    if (!change.coffee || typeof change.coffee !== 'object' || Array.isArray(change.coffee)) {
+        return 'coffee object or deleted: true required';
+    }
+    return null;
+}
+
+/**
+ * Decide whether a client change may be applied on top of the server copy
+ * @param {Object|null} server - { revision, updatedAt } of the stored coffee (tombstones included), or null
+ * @param {Object} change - validated change item
+ * @returns {{accept: boolean, reason?: string}}
+ */
+export function resolveSyncChange(server, change) {
+    if (!server) {
+        return { accept: true };
+    }
+
+    if (change.baseRevision !== undefined) {
+        return change.baseRevision === server.revision
+            ? { accept: true }
+            : { accept: false, reason: SYNC_REJECT_REASONS.REVISION_MISMATCH };
+    }
+
+    if (change.updatedAt !== undefined) {
+        const serverTime = server.updatedAt ? new Date(server.updatedAt).getTime() : 0;
+        return new Date(change.updatedAt).getTime() >= serverTime
+            ? { accept: true }
+            : { accept: false, reason: SYNC_REJECT_REASONS.STALE_UPDATE };
+    }
+
+    return { accept: false, reason: SYNC_REJECT_REASONS.VERSION_REQUIRED };
+}
+
+/**
+ * Revision → strong ETag value
+ * @param {number} revision
+ * @returns {string} e.g. "3" (including the quotes)
+ */
+export function toEtag(revision) {
+    return `"${revision}"`;
+}
+
+/**
+ * Parse an If-Match header
+ * @param {string|undefined} header
+ * @returns {null|'*'|number[]} - null if absent; weak or malformed tags never match
+ */
+export function parseIfMatch(header) {
+    if (header === undefined || header === null || String(header).trim() === '') return null;
+    const value = String(header).trim();
+    if (value === '*') return '*';
+
+    return value.split(',')
+        .map(tag => tag.trim().match(/^"(\d{1,15})"$/))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+}
+
+/**
+ * Check a parsed If-Match against the current revision
+ * @param {null|'*'|number[]} ifMatch - result of parseIfMatch
+ * @param {number|null} revision - current revision, null if the coffee does not exist
+ * @returns {boolean} - false → 412 Precondition Failed
+ */
+export function ifMatchSatisfied(ifMatch, revision) {
+    if (ifMatch === null) return true;
+    if (revision === null || revision === undefined) return false;
+    if (ifMatch === '*') return true;
+    return ifMatch.includes(revision);
+}
+
+/**
+ * Database row → API coffee object (same shape for list and single-coffee responses)
+ */
+export function toApiCoffee(row) {
+    return {
+        id: row.coffee_uid || row.id,
+        ...JSON.parse(row.data),
+        savedAt: row.created_at,
+        revision: row.revision
+    };
+}
+
+/**
+ * Database row → delta sync item: the API coffee plus its revision,
+ * or a tombstone ({ id, deleted, deletedAt, tombstone }) for removed coffees
+ */
+export function toSyncItem(row) {
+    if (row.removed_at) {
+        return {
+            id: row.coffee_uid,
+            deleted: true,
+            deletedAt: toIsoTimestamp(row.removed_at),
+            tombstone: true,
+            revision: row.revision
+        };
+    }
+    return toApiCoffee(row);
+}
+
+export function liveRevision(row) {
+    return row && !row.removed_at ? row.revision : null;
+}
+
+/**
+ * 412 with the current server copy so the client can merge and retry
+ * (coffee is a tombstone if it was deleted in the meantime, null if it never existed)
+ */
+export function sendPreconditionFailed(res, row) {
+    if (liveRevision(row) !== null) {
+        res.set('ETag', toEtag(row.revision));
+    }
+    return res.status(412).json({
+        success: false,
+        error: 'Coffee was changed by another client',
+        coffee: row ? toSyncItem(row) : null
+    });
+}
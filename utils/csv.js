@@ -0,0 +1,81 @@
+// ==========================================
+// CSV
+// RFC 4180 parsing and formatting (no dependency)
+// ==========================================
+//
+// Fields may be quoted ("a, b"), quotes inside are doubled ("say ""hi"""), and
+// quoted fields may span lines. Both \n and \r\n end a record; a leading BOM
+// (Excel) is ignored. Formatting quotes only where needed and ends lines with
+// \r\n, which spreadsheet programs expect.
+
+/**
+ * Parse CSV text into records
+ * @param {string} text
+ * @returns {{records: Array<{line: number, fields: string[]}>}|{error: string}}
+ *          line is the 1-based line on which the record starts; blank lines are skipped
+ */
+export function parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: `Unterminated quoted field starting on line ${recordLine}` };
+    }
+    endRecord();
+    return { records };
+}
+
+function formatField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows (arrays of values) as CSV, one line per row
+ */
+export function formatCsv(rows) {
+    return rows.map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
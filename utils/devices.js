@@ -0,0 +1,125 @@
+// ==========================================
+// DEVICES
+// Several devices per account; new devices join through a pairing code
+// ==========================================
+//
+// A token is accepted from any active device of its user. A user without an
+// active device (new accounts) binds the next device that signs in, as the old
+// first-login binding did; further devices need a pairing code issued by a
+// signed-in device. Revoked devices keep their row (revoked_at) so they cannot
+// bind themselves again, and the last active device cannot be revoked.
+
+import crypto from 'crypto';
+import { toIsoTimestamp } from './coffeeSync.js';
+import { stripHTML, truncateString } from './sanitize.js';
+
+export const MAX_DEVICES = 10;
+export const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+
+const MAX_DEVICE_ID_LENGTH = 200;
+
+// No 0/O, 1/I/L: codes are typed in by hand
+const PAIRING_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PAIRING_CODE_LENGTH = 8;
+
+/**
+ * Random pairing code, e.g. "K7QM-3XTP" (stored without the dash)
+ */
+export function generatePairingCode() {
+    let code = '';
+    for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+        code += PAIRING_ALPHABET[crypto.randomInt(PAIRING_ALPHABET.length)];
+    }
+    return code;
+}
+
+export function formatPairingCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+/**
+ * User input → stored code form (upper case, dash and spaces removed)
+ * @returns {string|null} - null if it cannot be a pairing code
+ */
+export function normalizePairingCode(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.toUpperCase().replace(/[\s-]/g, '');
+    if (code.length !== PAIRING_CODE_LENGTH) return null;
+    return [...code].every(char => PAIRING_ALPHABET.includes(char)) ? code : null;
+}
+
+export function isValidDeviceId(deviceId) {
+    return typeof deviceId === 'string' && deviceId.trim().length > 0 && deviceId.length <= MAX_DEVICE_ID_LENGTH;
+}
+
+/**
+ * Device name from a request body
+ * @returns {{name: string|null}|{error: string}}
+ */
+export function parseDeviceName(value, { required = false } = {}) {
+    if (value === undefined || value === null) {
+        return required ? { error: 'name required' } : { name: null };
+    }
+    const name = typeof value === 'string' ? truncateString(stripHTML(value).trim(), 60) : '';
+    if (!name) return { error: 'name must be a non-empty string' };
+    return { name };
+}
+
+/**
+ * Has a stored timestamp passed?
+ */
+export function isExpired(expiresAt, now = new Date()) {
+    const iso = toIsoTimestamp(expiresAt);
+    return !iso || new Date(iso) <= now;
+}
+
+/**
+ * Database row → API device
+ * @param {number} [currentId] - row id of the device making the request
+ */
+export function toApiDevice(row, currentId = null) {
+    let deviceInfo = null;
+    try {
+        deviceInfo = row.device_info ? JSON.parse(row.device_info) : null;
+    } catch {
+        deviceInfo = null;
+    }
+    return {
+        id: Number(row.id),
+        deviceId: row.device_id,
+        name: row.name,
+        deviceInfo,
+        current: currentId !== null && Number(row.id) === Number(currentId),
+        createdAt: toIsoTimestamp(row.created_at),
+        lastSeenAt: toIsoTimestamp(row.last_seen_at),
+        ...(row.revoked_at && { revokedAt: toIsoTimestamp(row.revoked_at) })
+    };
+}
+
+/**
+ * Check that a device may use the user's token, binding it if the user has no active device
+ * @param {Object} q - tx.queries – otherwise two first logins at once could both be bound
+ * @returns {Promise<{device: Object, bound: boolean}|{error: string}>}
+ */
+export async function authorizeDevice(q, user, deviceId, deviceInfo) {
+    await q.lockUserDevices(user.id);
+    const device = await q.getDeviceByDeviceId(user.id, deviceId);
+    if (device && !device.revoked_at) {
+        await q.touchDevice(device.id);
+        return { device, bound: false };
+    }
+
+    if (await q.countActiveDevices(user.id) > 0) {
+        return {
+            error: device
+                ? 'This device has been revoked'
+                : 'This device is not registered for this account – pair it from a signed-in device'
+        };
+    }
+
+    const id = await q.registerDevice(user.id, deviceId, deviceInfo);
+    if (!user.device_id) {
+        await q.bindDevice(user.id, deviceId, deviceInfo);
+    }
+    return { device: await q.getDevice(user.id, id), bound: true };
+}
@@ -0,0 +1,160 @@
+// ==========================================
+// EQUIPMENT INVENTORY
+// Grinders, brewers, kettles and scales owned by a user
+// ==========================================
+//
+// Grinders and brewers carry a `model`: the grinder id from /api/grinders or
+// the method id (built-in or custom_<id>). The default grinder/brewer is the
+// inventory view of users.grinder_preference / method_preference and the two
+// are kept in step: marking a default updates the preference, and the
+// single-preference endpoints move the default flag to a matching item.
+
+import { reexpressCoffeeGrind } from './grinders.js';
+import { stripHTML, truncateString } from './sanitize.js';
+
+export const EQUIPMENT_TYPES = ['grinder', 'brewer', 'kettle', 'scale'];
+export const MAX_EQUIPMENT_ITEMS = 50;
+
+// Equipment type whose model is a catalog key, and the catalog it is checked against
+const CATALOG_TYPES = { grinder: 'grinders', brewer: 'methods' };
+
+/**
+ * brews column holding the item id of a type
+ */
+export function equipmentColumn(type) {
+    return `${type}_equipment_id`;
+}
+
+function cleanText(value, maxLength) {
+    return truncateString(stripHTML(String(value)).trim(), maxLength);
+}
+
+/**
+ * Validate an equipment item from POST / PATCH /api/user/equipment
+ * @param {Object} body - request body
+ * @param {Object} catalog - user catalog ({ grinders, methods }, see utils/catalog.js)
+ * @param {Object} [existing] - stored item for PATCH (type cannot change)
+ * @returns {{item: Object}|{error: string}} - item holds column values (+ is_default if requested)
+ */
+export function parseEquipmentInput(body, catalog, existing = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Equipment object required' };
+    }
+
+    const type = existing ? existing.type : body.type;
+    if (existing && body.type !== undefined && body.type !== existing.type) {
+        return { error: 'type cannot be changed' };
+    }
+    if (!EQUIPMENT_TYPES.includes(type)) {
+        return { error: `Valid type required. Options: ${EQUIPMENT_TYPES.join(', ')}` };
+    }
+
+    const item = {
+        type,
+        name: existing?.name ?? null,
+        model: existing?.model ?? null,
+        notes: existing?.notes ?? null
+    };
+
+    if (body.name !== undefined || !existing) {
+        const name = typeof body.name === 'string' ? cleanText(body.name, 100) : '';
+        if (!name) return { error: 'name required' };
+        item.name = name;
+    }
+
+    if (body.model !== undefined || (!existing && CATALOG_TYPES[type])) {
+        const catalogName = CATALOG_TYPES[type];
+        if (catalogName) {
+            const options = Object.keys(catalog[catalogName]);
+            if (typeof body.model !== 'string' || !catalog[catalogName][body.model]) {
+                return { error: `Valid ${type} model required. Options: ${options.join(', ')}` };
+            }
+            item.model = body.model;
+        } else {
+            item.model = body.model === null || body.model === '' ? null : cleanText(body.model, 100);
+        }
+    }
+
+    if (body.notes !== undefined) {
+        item.notes = body.notes === null ? null : cleanText(body.notes, 500);
+    }
+
+    if (body.isDefault !== undefined) {
+        if (body.isDefault !== true) {
+            return { error: 'isDefault can only be set to true (mark another item as default instead)' };
+        }
+        item.is_default = true;
+    }
+
+    return { item };
+}
+
+/**
+ * Check a coffee's equipment references ({ grinder, brewer, kettle, scale } → item id)
+ * Like brew references, every id must be one of the user's items of that type; ids the
+ * stored coffee already holds stay valid after their item is removed.
+ * @param {Object} q - queries or tx.queries
+ * @param {Object} [equipment] - sanitized coffee.equipment
+ * @param {Object} [stored] - equipment of the stored coffee
+ * @returns {Promise<string|null>} error message, null if every reference is fine
+ */
+export async function checkCoffeeEquipment(q, userId, equipment, stored = null) {
+    if (!equipment) return null;
+    for (const type of EQUIPMENT_TYPES) {
+        const id = equipment[type];
+        if (id === null || id === undefined || id === stored?.[type]) continue;
+        const item = await q.getEquipment(userId, id);
+        if (item?.type !== type) return `equipment.${type} is not one of your ${type}s`;
+    }
+    return null;
+}
+
+/**
+ * Database row → API equipment object
+ */
+export function toApiEquipment(row) {
+    return {
+        id: Number(row.id),
+        type: row.type,
+        name: row.name,
+        model: row.model,
+        notes: row.notes,
+        isDefault: row.is_default === true || row.is_default === 1
+    };
+}
+
+/**
+ * Switch the grinder preference and re-express every coffee's dialed-in grind
+ * (initialGrind, grindOffset) in the new grinder's units
+ * Only coffees whose grind changes are saved; they keep their savedAt.
+ * @param {Object} q - tx.queries (runs inside a transaction)
+ * @returns {Promise<number>} number of coffees converted
+ */
+export async function switchGrinderPreference(q, userId, grinder, grinders) {
+    const previous = await q.getGrinderPreference(userId);
+    await q.updateGrinderPreference(userId, grinder);
+    if (previous === grinder) return 0;
+
+    let count = 0;
+    for (const row of await q.getUserCoffees(userId)) {
+        const updated = reexpressCoffeeGrind(JSON.parse(row.data), previous, grinder, grinders);
+        if (updated) {
+            await q.saveCoffee(userId, row.coffee_uid, updated, row.method, { keepSavedAt: true });
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Move the default flag of a type to the first item with this model
+ * (no default if the inventory has none) – used when the preference is set directly
+ * @param {Object} q - tx.queries
+ */
+export async function syncDefaultEquipment(q, userId, type, model) {
+    const current = await q.getDefaultEquipment(userId, type);
+    if (current?.model === model) return;
+
+    const match = (await q.getUserEquipment(userId, type)).find(item => item.model === model);
+    await q.setDefaultEquipment(userId, type, match ? match.id : null);
+}
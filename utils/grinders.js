@@ -0,0 +1,220 @@
+// ==========================================
+// GRINDER CATALOG
+// Grinder settings ⇄ approximate particle size (µm)
+// ==========================================
+//
+// Each grinder maps its dial linearly onto a shared micron scale:
+//   microns = baseMicrons + setting × micronsPerUnit
+// The values are calibrated so common recipes land on the settings the
+// community uses (e.g. V60 ≈ 650 µm ≈ Comandante 24 clicks); they are
+// starting points, not burr-gap measurements.
+//
+// Converting between grinders goes through microns, so a dialed-in setting
+// keeps its grind size when the user switches grinder. A dial can only show
+// whole steps, so a conversion that would lose precision (one Timemore click
+// is less than an Ode third) also keeps the microns in the coffee's
+// grindMicrons – switching back then restores the original setting instead of
+// drifting with every switch.
+//
+// Every lookup takes an optional catalog (built-ins + the user's custom
+// grinders, see utils/catalog.js) and defaults to the built-ins.
+
+export const GRINDERS = {
+    comandante_mk4: { name: 'Comandante C40 MK4', unit: 'clicks',  baseMicrons: 0,   micronsPerUnit: 27,  min: 1, max: 50,  step: 1 },
+    comandante_mk3: { name: 'Comandante C40 MK3', unit: 'clicks',  baseMicrons: 0,   micronsPerUnit: 27,  min: 1, max: 50,  step: 1 },
+    fellow_gen2:    { name: 'Fellow Ode Gen 2',   unit: 'setting', baseMicrons: 150, micronsPerUnit: 100, min: 1, max: 11,  step: 1 / 3, format: 'thirds' },
+    fellow_gen1:    { name: 'Fellow Ode Gen 1',   unit: 'setting', baseMicrons: 450, micronsPerUnit: 100, min: 1, max: 11,  step: 1 / 3, format: 'thirds' },
+    timemore_s3:    { name: 'Timemore Chestnut S3', unit: 'clicks', baseMicrons: 0,  micronsPerUnit: 10,  min: 1, max: 140, step: 1 },
+    timemore_c2:    { name: 'Timemore Chestnut C2', unit: 'clicks', baseMicrons: 0,  micronsPerUnit: 40,  min: 1, max: 36,  step: 1 },
+    '1zpresso':     { name: '1Zpresso JX-Pro',    unit: 'clicks',  baseMicrons: 0,   micronsPerUnit: 7.5, min: 1, max: 200, step: 1 },
+    baratza:        { name: 'Baratza Encore',     unit: 'setting', baseMicrons: 200, micronsPerUnit: 30,  min: 1, max: 40,  step: 1 }
+};
+
+/**
+ * Display a dial value the way the grinder labels it
+ * Fellow Ode: thirds between the numbers → 5, 5.1, 5.2, 6
+ */
+export function formatSetting(grinder, value) {
+    if (grinder.format === 'thirds') {
+        const whole = Math.floor(value + 1e-9);
+        const third = Math.round((value - whole) * 3);
+        return third === 0 ? String(whole) : `${whole}.${third}`;
+    }
+    return String(value);
+}
+
+/**
+ * Dial value → microns
+ * @returns {number|null} - null for unknown grinders
+ */
+export function settingToMicrons(grinderKey, value, catalog = GRINDERS) {
+    const grinder = catalog[grinderKey];
+    if (!grinder) return null;
+    return Math.round(grinder.baseMicrons + value * grinder.micronsPerUnit);
+}
+
+/**
+ * Microns → nearest dial value within the grinder's range
+ * @returns {{grinder: string, value: number, setting: string, unit: string, microns: number}|null}
+ */
+export function micronsToSetting(grinderKey, microns, catalog = GRINDERS) {
+    const grinder = catalog[grinderKey];
+    if (!grinder) return null;
+
+    const raw = (microns - grinder.baseMicrons) / grinder.micronsPerUnit;
+    const stepped = grinder.min + Math.round((raw - grinder.min) / grinder.step) * grinder.step;
+    const value = Math.round(Math.min(grinder.max, Math.max(grinder.min, stepped)) * 1000) / 1000;
+
+    return {
+        grinder: grinderKey,
+        value,
+        setting: formatSetting(grinder, value),
+        unit: grinder.unit,
+        microns: settingToMicrons(grinderKey, value, catalog)
+    };
+}
+
+/**
+ * Parse a stored/entered setting ("24", "24 clicks", 5.1 on an Ode = 5⅓)
+ * @returns {number|null} - dial value, null if no number is found
+ */
+export function parseSetting(grinderKey, input, catalog = GRINDERS) {
+    const grinder = catalog[grinderKey];
+    if (!grinder || input === undefined || input === null) return null;
+
+    const match = String(input).match(/\d+(?:[.,]\d+)?/);
+    if (!match) return null;
+    const text = match[0].replace(',', '.');
+
+    if (grinder.format === 'thirds' && text.includes('.')) {
+        const [whole, third] = text.split('.');
+        if (!/^[0-2]$/.test(third)) return null;
+        return Number(whole) + Number(third) / 3;
+    }
+    return Number(text);
+}
+
+/**
+ * Convert a setting from one grinder to another (same grind size)
+ * @returns {Object|null} - micronsToSetting() result for the target grinder, null if unknown grinder or setting
+ */
+export function convertSetting(fromKey, toKey, setting, catalog = GRINDERS) {
+    const value = parseSetting(fromKey, setting, catalog);
+    if (value === null || !catalog[toKey]) return null;
+    return micronsToSetting(toKey, settingToMicrons(fromKey, value, catalog), catalog);
+}
+
+/**
+ * Grind offset in dial steps → microns
+ */
+function offsetToMicrons(grinder, offset) {
+    return Math.round(offset * grinder.step * grinder.micronsPerUnit);
+}
+
+/**
+ * Microns → grind offset in whole dial steps
+ */
+function micronsToOffset(grinder, microns) {
+    return Math.round(microns / (grinder.step * grinder.micronsPerUnit)) || 0;
+}
+
+/**
+ * Convert a grind offset counted in dial steps (clicks, Ode thirds, …)
+ * @returns {number|null} - whole steps on the target grinder
+ */
+export function convertOffset(fromKey, toKey, offset, catalog = GRINDERS) {
+    const from = catalog[fromKey];
+    const to = catalog[toKey];
+    if (!from || !to || typeof offset !== 'number' || !Number.isFinite(offset)) return null;
+    return micronsToOffset(to, offsetToMicrons(from, offset));
+}
+
+/**
+ * One grind field of a coffee, converted from one grinder to another
+ * toMicrons(key, value) / fromMicrons(key, microns) express the field on a grinder. A stored
+ * canonical value is used as long as it still lands on the value the coffee shows, i.e. the
+ * user has not changed the grind since it was stored.
+ * @returns {{value: number, microns: number, keep: boolean}} - keep: microns are needed to convert back
+ */
+function convertGrindField(value, canonical, fromKey, toKey, toMicrons, fromMicrons) {
+    const measured = toMicrons(fromKey, value);
+    const shown = fromMicrons(fromKey, measured);
+    const consistent = typeof canonical === 'number' && Number.isFinite(canonical)
+        && fromMicrons(fromKey, canonical) === shown;
+    const microns = consistent ? canonical : measured;
+    const converted = fromMicrons(toKey, microns);
+    const roundTrips = fromMicrons(fromKey, toMicrons(toKey, converted)) === shown;
+    return { value: converted, microns, keep: consistent || !roundTrips };
+}
+
+/**
+ * Re-express a coffee's stored grind (initialGrind, grindOffset) for a new grinder.
+ * Feedback history stays as recorded.
+ * @returns {Object|null} - updated coffee, or null if nothing changed
+ */
+export function reexpressCoffeeGrind(coffee, fromKey, toKey, catalog = GRINDERS) {
+    if (fromKey === toKey || !catalog[fromKey] || !catalog[toKey]) return null;
+
+    const stored = coffee.grindMicrons && typeof coffee.grindMicrons === 'object' ? coffee.grindMicrons : {};
+    const updated = { ...coffee };
+    const grindMicrons = {};
+
+    if (typeof coffee.initialGrind === 'string' && coffee.initialGrind.trim()) {
+        const value = parseSetting(fromKey, coffee.initialGrind, catalog);
+        if (value !== null) {
+            const field = convertGrindField(
+                value, stored.initialGrind, fromKey, toKey,
+                (key, dial) => settingToMicrons(key, dial, catalog),
+                (key, microns) => micronsToSetting(key, microns, catalog).value
+            );
+            updated.initialGrind = formatSetting(catalog[toKey], field.value);
+            if (field.keep) grindMicrons.initialGrind = field.microns;
+        }
+    }
+
+    if (typeof coffee.grindOffset === 'number' && Number.isFinite(coffee.grindOffset)
+        && (coffee.grindOffset !== 0 || typeof stored.grindOffset === 'number')) {
+        const field = convertGrindField(
+            coffee.grindOffset, stored.grindOffset, fromKey, toKey,
+            (key, offset) => offsetToMicrons(catalog[key], offset),
+            (key, microns) => micronsToOffset(catalog[key], microns)
+        );
+        updated.grindOffset = field.value;
+        if (field.keep) grindMicrons.grindOffset = field.microns;
+    }
+
+    if (Object.keys(grindMicrons).length > 0) {
+        updated.grindMicrons = grindMicrons;
+    } else {
+        delete updated.grindMicrons;
+    }
+
+    const changed = ['initialGrind', 'grindOffset', 'grindMicrons']
+        .some(key => JSON.stringify(updated[key]) !== JSON.stringify(coffee[key]));
+    return changed ? updated : null;
+}
+
+/**
+ * Catalog entry for API responses
+ */
+export function describeGrinder(grinderKey, catalog = GRINDERS) {
+    const grinder = catalog[grinderKey];
+    if (!grinder) return null;
+    const description = {
+        id: grinderKey,
+        name: grinder.name,
+        unit: grinder.unit,
+        min: formatSetting(grinder, grinder.min),
+        max: formatSetting(grinder, grinder.max),
+        step: Math.round(grinder.step * 1000) / 1000,
+        microns: {
+            min: settingToMicrons(grinderKey, grinder.min, catalog),
+            max: settingToMicrons(grinderKey, grinder.max, catalog)
+        }
+    };
+    if (grinder.custom) {
+        description.custom = true;
+        description.calibration = grinder.calibration;
+    }
+    return description;
+}
@@ -0,0 +1,69 @@
+// ==========================================
+// LIST QUERIES
+// Date range and paging parameters shared by the list endpoints
+// ==========================================
+//
+// from/to are inclusive days (YYYY-MM-DD, UTC) and become an ISO range with an
+// exclusive upper bound; limit/offset page the result. Each endpoint keeps its
+// own filters and page sizes and merges these in.
+
+import { toIsoTimestamp } from './coffeeSync.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse ?from=&to=
+ * @returns {{range: {from?: string, to?: string}}|{error: string}}
+ */
+export function parseDateRange(query) {
+    const range = {};
+
+    for (const key of ['from', 'to']) {
+        if (query[key] === undefined) continue;
+        // Round-trip check rejects impossible days such as 2026-02-30
+        if (typeof query[key] !== 'string' || !DATE_PATTERN.test(query[key])
+            || !toIsoTimestamp(`${query[key]}T00:00:00Z`)?.startsWith(query[key])) {
+            return { error: `${key} must be YYYY-MM-DD` };
+        }
+    }
+    if (query.from) {
+        range.from = `${query.from}T00:00:00.000Z`;
+    }
+    if (query.to) {
+        // Inclusive day → exclusive upper bound at the next midnight
+        const end = new Date(`${query.to}T00:00:00.000Z`);
+        end.setUTCDate(end.getUTCDate() + 1);
+        range.to = end.toISOString();
+    }
+    if (range.from && range.to && range.from >= range.to) {
+        return { error: 'from must not be after to' };
+    }
+
+    return { range };
+}
+
+/**
+ * Parse ?limit=&offset=
+ * @param {Object} sizes - { defaultLimit, maxLimit }
+ * @returns {{page: {limit: number, offset: number}}|{error: string}}
+ */
+export function parsePagination(query, { defaultLimit, maxLimit }) {
+    const page = { limit: defaultLimit, offset: 0 };
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            return { error: `limit must be between 1 and ${maxLimit}` };
+        }
+        page.limit = limit;
+    }
+    if (query.offset !== undefined) {
+        const offset = Number(query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return { error: 'offset must be a non-negative integer' };
+        }
+        page.offset = offset;
+    }
+
+    return { page };
+}
@@ -0,0 +1,186 @@
+// ==========================================
+// MAIL (Resend)
+// Branded transactional mails: beta token, account recovery
+// ==========================================
+
+const FROM = 'drip·mate <hello@dripmate.app>';
+
+/**
+ * Frontend base URL for links in mails (read per call – .env is loaded after imports)
+ */
+export function appUrl() {
+    return (process.env.APP_URL || 'https://dripmate.app').replace(/\/+$/, '');
+}
+
+/**
+ * Send one mail via Resend
+ * @throws {Error} if Resend rejects the mail
+ */
+export async function sendMail({ to, subject, html }) {
+    const res = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ from: FROM, to, subject, html })
+    });
+
+    if (!res.ok) {
+        const err = await res.text();
+        throw new Error(`Resend error: ${err}`);
+    }
+}
+
+// ── Highlighted box (token, code) ───────────────────
+function renderBox({ label, value }) {
+    return `
+                                <!-- Token Box -->
+                                <table width="100%" cellpadding="0" cellspacing="0" style="margin-bottom:32px;">
+                                    <tr>
+                                        <td style="background:#faf8f5;border:1.5px solid #8b6f47;border-radius:12px;padding:24px 20px;text-align:center;">
+                                            <p style="margin:0 0 8px;font-size:0.6rem;text-transform:uppercase;letter-spacing:0.22em;color:#aaaaaa;">
+                                                ${label}
+                                            </p>
+                                            <p style="margin:0;font-size:2rem;font-family:'Courier New',Courier,monospace;letter-spacing:0.12em;color:#8b6f47;font-weight:600;">
+                                                ${value}
+                                            </p>
+                                        </td>
+                                    </tr>
+                                </table>
+`;
+}
+
+/**
+ * Mail layout: logo header, card with eyebrow, intro, optional box, text and button, footer
+ */
+function renderMail({ email, eyebrow, intro, box, text, cta, reason }) {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="margin:0;padding:0;background:#f5f5f0;font-family:'Helvetica Neue',Arial,sans-serif;">
+        <table width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f0;padding:48px 20px;">
+            <tr>
+                <td align="center">
+                    <table width="100%" cellpadding="0" cellspacing="0" style="max-width:480px;">
+
+                        <!-- Header: Logo + Brand -->
+                        <tr>
+                            <td style="padding-bottom:28px;">
+                                <table cellpadding="0" cellspacing="0">
+                                    <tr>
+                                        <td style="vertical-align:middle;padding-right:14px;">
+                                            <img src="https://dripmate.app/logo_dunkel_light.svg"
+                                                 alt="drip·mate"
+                                                 width="48"
+                                                 height="48"
+                                                 style="display:block;width:48px;height:48px;">
+                                        </td>
+                                        <td style="vertical-align:middle;">
+                                            <p style="margin:0 0 3px;font-size:1.5rem;font-weight:200;letter-spacing:0.32em;color:#000000;line-height:1;">
+                                                d r i p<span style="color:#8b6f47;margin:0 0.1em;">·</span>m a t e
+                                            </p>
+                                            <p style="margin:0;font-size:0.58rem;font-weight:300;letter-spacing:0.22em;text-transform:uppercase;color:#8b6f47;opacity:0.8;">
+                                                Precision meets Ritual.
+                                            </p>
+                                        </td>
+                                    </tr>
+                                </table>
+                            </td>
+                        </tr>
+
+                        <!-- Card -->
+                        <tr>
+                            <td style="background:#ffffff;border:1px solid #e0e0e0;border-radius:20px;padding:40px 36px;">
+
+                                <p style="margin:0 0 8px;font-size:0.65rem;text-transform:uppercase;letter-spacing:0.2em;color:#aaaaaa;font-weight:400;">
+                                    ${eyebrow}
+                                </p>
+
+                                <p style="margin:0 0 32px;font-size:1rem;color:#1a1a1a;line-height:1.6;font-weight:300;">
+                                    ${intro}
+                                </p>
+
+${box ? renderBox(box) : ''}
+                                <!-- Text -->
+                                <p style="margin:0 0 8px;font-size:0.88rem;color:#444444;line-height:1.8;font-weight:300;">
+                                    ${text}
+                                </p>
+
+                                <!-- Divider -->
+                                <table width="100%" cellpadding="0" cellspacing="0" style="margin:28px 0;">
+                                    <tr>
+                                        <td style="border-top:1px solid #e8e8e8;"></td>
+                                    </tr>
+                                </table>
+
+                                <!-- CTA -->
+                                <table width="100%" cellpadding="0" cellspacing="0">
+                                    <tr>
+                                        <td align="center">
+                                            <a href="${cta.href}"
+                                               style="display:inline-block;background:#8b6f47;color:#ffffff;text-decoration:none;padding:14px 36px;border-radius:10px;font-size:0.88rem;font-weight:600;letter-spacing:0.05em;">
+                                                ${cta.label}
+                                            </a>
+                                        </td>
+                                    </tr>
+                                </table>
+
+                            </td>
+                        </tr>
+
+                        <!-- Footer -->
+                        <tr>
+                            <td style="padding-top:24px;">
+                                <p style="margin:0;font-size:0.7rem;color:#aaaaaa;text-align:center;line-height:1.6;">
+                                    Diese Mail wurde an ${email} gesendet.<br>
+                                    ${reason}
+                                </p>
+                            </td>
+                        </tr>
+
+                    </table>
+                </td>
+            </tr>
+        </table>
+    </body>
+    </html>
+`;
+}
+
+// ── Beta-Zugang: Token per Mail ──────────────────────
+export async function sendTokenMail(email, token) {
+    await sendMail({
+        to: email,
+        subject: 'Dein dripmate Beta-Zugang ☕',
+        html: renderMail({
+            email,
+            eyebrow: 'Beta-Zugang',
+            intro: 'Willkommen bei dripmate.<br>Hier ist dein persönlicher Zugangs-Token:',
+            box: { label: 'Dein Token', value: token },
+            text: 'Öffne dripmate und gib diesen Token ein um dich anzumelden. Der Token ist einmalig und wird an dein Gerät gebunden. Installiere die App über den Browser auf deinem Homescreen.',
+            cta: { href: appUrl(), label: 'dripmate öffnen' },
+            reason: 'Du erhältst sie weil du zur dripmate Beta eingeladen wurdest.'
+        })
+    });
+}
+
+// ── Konto wiederherstellen: Einmal-Link per Mail ─────
+export async function sendRecoveryMail(email, link, validMinutes) {
+    await sendMail({
+        to: email,
+        subject: 'dripmate: Gerät neu verbinden',
+        html: renderMail({
+            email,
+            eyebrow: 'Konto wiederherstellen',
+            intro: 'Du möchtest dripmate auf einem neuen Gerät nutzen?',
+            text: `Öffne den Link auf dem neuen Gerät. Er ist ${validMinutes} Minuten gültig und funktioniert nur einmal. Alle bisher verbundenen Geräte werden dabei abgemeldet. Wenn du das nicht angefordert hast, kannst du diese Mail ignorieren.`,
+            cta: { href: link, label: 'Gerät verbinden' },
+            reason: 'Du erhältst sie weil für dein dripmate Konto eine Wiederherstellung angefordert wurde.'
+        })
+    });
+}
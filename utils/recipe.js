@@ -0,0 +1,159 @@
+// ==========================================
+// RECIPE ENGINE
+// Deterministic starting recipe from coffee + user preferences
+// ==========================================
+//
+// 1. Start from the method base (dose, ratio, temperature, grind size in µm, pours)
+// 2. Adjust temperature and grind for process, altitude and water hardness
+// 3. Express the grind in the user's grinder units (utils/grinders.js)
+// Same inputs → same recipe; every adjustment is listed in the response.
+
+import { GRINDERS, micronsToSetting } from './grinders.js';
+
+// Pours are cumulative water targets as a fraction of the total water
+export const METHOD_BASES = {
+    v60: {
+        name: 'Hario V60', style: 'pour_over',
+        dose: 15, ratio: 16.7, temperature: 94, grindMicrons: 650, totalTime: 180,
+        pours: [
+            { at: 0,  fraction: 0.18, label: 'bloom' },
+            { at: 45, fraction: 0.6,  label: 'pour' },
+            { at: 90, fraction: 1,    label: 'pour' }
+        ]
+    },
+    chemex: {
+        name: 'Chemex', style: 'pour_over',
+        dose: 30, ratio: 16.7, temperature: 95, grindMicrons: 900, totalTime: 270,
+        pours: [
+            { at: 0,   fraction: 0.12, label: 'bloom' },
+            { at: 45,  fraction: 0.5,  label: 'pour' },
+            { at: 105, fraction: 1,    label: 'pour' }
+        ]
+    },
+    aeropress: {
+        name: 'AeroPress', style: 'immersion',
+        dose: 15, ratio: 15, temperature: 88, grindMicrons: 550, totalTime: 120,
+        pours: [
+            { at: 0,  fraction: 1, label: 'fill & stir' },
+            { at: 90, fraction: 1, label: 'press' }
+        ]
+    }
+};
+
+// Fermented / fruit-dried coffees extract easily: cooler and coarser
+const PROCESS_ADJUSTMENTS = {
+    'washed':                   { temperature: 0,  grindMicrons: 0 },
+    'semi-washed':              { temperature: 0,  grindMicrons: 0 },
+    'nitro washed':             { temperature: 0,  grindMicrons: 0 },
+    'wet hulled':               { temperature: -1, grindMicrons: 20 },
+    'honey':                    { temperature: -1, grindMicrons: 15 },
+    'pulped natural':           { temperature: -1, grindMicrons: 15 },
+    'natural':                  { temperature: -2, grindMicrons: 30 },
+    'anaerobic':                { temperature: -3, grindMicrons: 40 },
+    'anaerobic natural':        { temperature: -3, grindMicrons: 40 },
+    'anaerobic washed':         { temperature: -2, grindMicrons: 30 },
+    'carbonic maceration':      { temperature: -3, grindMicrons: 40 },
+    'yeast inoculated natural': { temperature: -3, grindMicrons: 40 },
+    'extended fermentation':    { temperature: -3, grindMicrons: 40 }
+};
+
+const HIGH_ALTITUDE = 1800;
+const LOW_ALTITUDE = 1200;
+const SOFT_WATER = 3;     // °dH
+const HARD_WATER = 12;
+const VERY_HARD_WATER = 18;
+const MIN_TEMPERATURE = 80;
+const MAX_TEMPERATURE = 99;
+
+/**
+ * Mean altitude in metres from "1900", "1800-2000" or "1800 - 2000"
+ * @returns {number|null}
+ */
+export function parseAltitude(altitude) {
+    if (altitude === undefined || altitude === null) return null;
+    const numbers = String(altitude).match(/\d+/g);
+    if (!numbers) return null;
+
+    const values = numbers.map(Number).filter(n => n >= 100 && n <= 3500);
+    if (values.length === 0) return null;
+    return Math.round(values.reduce((sum, n) => sum + n, 0) / values.length);
+}
+
+function processAdjustment(process) {
+    if (typeof process !== 'string') return null;
+    const key = process.toLowerCase().trim();
+    return PROCESS_ADJUSTMENTS[key] ? { value: key, ...PROCESS_ADJUSTMENTS[key] } : null;
+}
+
+function altitudeAdjustment(altitude) {
+    const metres = parseAltitude(altitude);
+    if (metres === null) return null;
+    // Dense high-grown beans need more energy; low-grown beans extract faster
+    if (metres >= HIGH_ALTITUDE) return { value: metres, temperature: 1, grindMicrons: -20 };
+    if (metres < LOW_ALTITUDE) return { value: metres, temperature: -1, grindMicrons: 20 };
+    return { value: metres, temperature: 0, grindMicrons: 0 };
+}
+
+function waterAdjustment(waterHardness) {
+    if (waterHardness === undefined || waterHardness === null || waterHardness === '') return null;
+    const hardness = Number(waterHardness);
+    if (!Number.isFinite(hardness)) return null;
+    // Soft water extracts less; carbonate hardness buffers acidity and over-extracts bitterness
+    if (hardness < SOFT_WATER) return { value: hardness, temperature: 1, grindMicrons: 0 };
+    if (hardness >= VERY_HARD_WATER) return { value: hardness, temperature: -2, grindMicrons: 0 };
+    if (hardness > HARD_WATER) return { value: hardness, temperature: -1, grindMicrons: 0 };
+    return { value: hardness, temperature: 0, grindMicrons: 0 };
+}
+
+/**
+ * Compute a starting recipe
+ * @param {Object} input
+ * @param {Object} input.coffee - API coffee ({ process, altitude, ... })
+ * @param {string} input.method - key of `methods` (v60 | chemex | aeropress | custom_<id>)
+ * @param {string} input.grinder - key of `grinders`
+ * @param {number|null} [input.waterHardness] - °dH
+ * @param {number} [input.dose] - grams; defaults to the method base
+ * @param {Object} [input.methods] - method catalog, defaults to METHOD_BASES
+ * @param {Object} [input.grinders] - grinder catalog, defaults to the built-in GRINDERS
+ * @returns {Object|null} recipe, or null for an unknown method
+ */
+export function computeRecipe({ coffee = {}, method, grinder, waterHardness = null, dose, methods = METHOD_BASES, grinders = GRINDERS }) {
+    const base = methods[method];
+    if (!base) return null;
+
+    const adjustments = [];
+    const factors = [
+        ['process', processAdjustment(coffee.process)],
+        ['altitude', altitudeAdjustment(coffee.altitude)],
+        ['waterHardness', waterAdjustment(waterHardness)]
+    ];
+
+    let temperature = base.temperature;
+    let grindMicrons = base.grindMicrons;
+    for (const [factor, adjustment] of factors) {
+        if (!adjustment) continue;
+        temperature += adjustment.temperature;
+        grindMicrons += adjustment.grindMicrons;
+        adjustments.push({ factor, ...adjustment });
+    }
+    temperature = Math.min(MAX_TEMPERATURE, Math.max(MIN_TEMPERATURE, temperature));
+
+    const doseGrams = dose ?? base.dose;
+    const water = Math.round(doseGrams * base.ratio);
+
+    return {
+        method,
+        dose: doseGrams,
+        water,
+        ratio: base.ratio,
+        temperature,
+        grind: micronsToSetting(grinder, grindMicrons, grinders) || { grinder, microns: grindMicrons },
+        pours: base.pours.map(pour => ({
+            at: pour.at,
+            water: Math.round(water * pour.fraction),
+            label: pour.label
+        })),
+        totalTime: base.totalTime,
+        adjustments
+    };
+}
@@ -0,0 +1,41 @@
+// ==========================================
+// ACCOUNT RECOVERY
+// One-time links that move an account onto a new device
+// ==========================================
+//
+// POST /api/auth/recover mails a link to the address the beta token was sent
+// to. Redeeming it revokes every device of the account and binds the device
+// that opened the link. Only a SHA-256 hash of the code is stored.
+
+import crypto from 'crypto';
+import { appUrl } from './mail.js';
+
+export const RECOVERY_CODE_TTL_MS = 30 * 60 * 1000;
+export const MAX_RECOVERY_MAILS_PER_HOUR = 3;
+
+export function generateRecoveryCode() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+/**
+ * Code from a request body (base64url, 43 characters)
+ * @returns {string|null}
+ */
+export function parseRecoveryCode(value) {
+    return typeof value === 'string' && /^[A-Za-z0-9_-]{43}$/.test(value.trim()) ? value.trim() : null;
+}
+
+export function recoveryLink(code) {
+    return `${appUrl()}/?recover=${encodeURIComponent(code)}`;
+}
+
+/**
+ * expires_at threshold for codes issued within the last hour (see countRecoveryCodesExpiringAfter)
+ */
+export function recentRecoveryThreshold(now = Date.now()) {
+    return new Date(now - 60 * 60 * 1000 + RECOVERY_CODE_TTL_MS).toISOString();
+}
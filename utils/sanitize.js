@@ -19,6 +19,8 @@
 // acknowledging that complete XSS prevention requires multiple layers.
 // ==========================================
 
+import { EQUIPMENT_TYPES } from './equipment.js';
+
 /**
  * Strip HTML tags from a string
  * Note: This is a basic regex-based approach for defense-in-depth.
@@ -225,7 +227,25 @@ export function sanitizeCoffeeData(coffeeData) {
             sanitized.feedbackHistory = sanitizedHistory;
         }
     }
-    
+
+    // Equipment used for this coffee: { grinder, brewer, kettle, scale } → equipment ids (or null)
+    if (coffeeData.equipment !== undefined) {
+        const equipment = coffeeData.equipment;
+
+        if (equipment && typeof equipment === 'object' && !Array.isArray(equipment)) {
+            const nextEquipment = {};
+            for (const type of EQUIPMENT_TYPES) {
+                const id = equipment[type];
+                if (id === null || (Number.isInteger(id) && id > 0)) {
+                    nextEquipment[type] = id;
+                }
+            }
+            sanitized.equipment = nextEquipment;
+        } else {
+            delete sanitized.equipment;
+        }
+    }
+
     // Preserve fields that don't need sanitization (dates, IDs, metadata)
     const nonStringFields = [
         'addedDate',       // ISO date string when coffee was added
@@ -0,0 +1,211 @@
+// ==========================================
+// SESSIONS
+// Signed access tokens + rotating refresh tokens
+// ==========================================
+//
+// The account token (BREW-XXXXXX) is only exchanged at /api/auth/validate (or
+// handed out by /pair and /recover/redeem). Requests then carry a short-lived
+// access token – an HS256 JWT signed with SESSION_SECRET that authenticateUser
+// checks without touching the database. The refresh token ("<sessionId>.<secret>")
+// is stored as a SHA-256 hash and replaced on every refresh; presenting an
+// already rotated one revokes the session (token theft).
+//
+// Revoked sessions are remembered in memory until their last access token
+// expires, so logout takes effect at once on this instance. Writes and
+// /refresh check the database (middleware/auth.js), so they stop on every
+// instance; reads on other instances keep working until the access token
+// expires (at most ACCESS_TOKEN_TTL_S). Suspended accounts (admin) are
+// remembered the same way, so their access tokens get a clear 403 instead of
+// looking like forged ones. The trade-off is documented in API_DOCUMENTATION.md.
+
+import crypto from 'crypto';
+
+export const ACCESS_TOKEN_TTL_S = 15 * 60;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+let fallbackSecret = null;
+const revokedSessions = new Map(); // session id → ms until its access tokens are expired
+const suspendedUsers = new Map(); // user id → ms until its access tokens are expired
+
+function sessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+        console.warn('⚠️  SESSION_SECRET is not set – using a random secret, sessions end on restart');
+    }
+    return fallbackSecret;
+}
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', sessionSecret()).update(data).digest('base64url');
+}
+
+const JWT_HEADER = base64url({ alg: 'HS256', typ: 'JWT' });
+
+/**
+ * Signed access token for one user on one device
+ * @param {Object} claims - { userId, username, sessionId, deviceRowId, deviceId }
+ */
+export function signAccessToken({ userId, username, sessionId, deviceRowId, deviceId }, now = Date.now()) {
+    const iat = Math.floor(now / 1000);
+    const payload = base64url({
+        sub: Number(userId),
+        name: username,
+        sid: Number(sessionId),
+        did: Number(deviceRowId),
+        dev: deviceId,
+        iat,
+        exp: iat + ACCESS_TOKEN_TTL_S
+    });
+    return `${JWT_HEADER}.${payload}.${sign(`${JWT_HEADER}.${payload}`)}`;
+}
+
+/**
+ * Verify signature and expiry of an access token
+ * @returns {{claims: Object}|{error: string}} - error is 'invalid', 'expired' or 'suspended'
+ */
+export function verifyAccessToken(token, now = Date.now()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3 || parts[0] !== JWT_HEADER) return { error: 'invalid' };
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'invalid' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch {
+        return { error: 'invalid' };
+    }
+    if (!Number.isInteger(claims.exp) || claims.exp * 1000 <= now) return { error: 'expired' };
+    if (isUserSuspended(claims.sub, now)) return { error: 'suspended' };
+    if (isSessionRevoked(claims.sid, now)) return { error: 'invalid' };
+    return { claims };
+}
+
+export function looksLikeAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(`${JWT_HEADER}.`);
+}
+
+// ── Refresh tokens ──────────────────────────────────
+
+export function generateRefreshSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashRefreshSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * "<sessionId>.<secret>" → parts
+ * @returns {{sessionId: number, secret: string}|null}
+ */
+export function parseRefreshToken(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{1,15})\.([A-Za-z0-9_-]{43})$/);
+    return match ? { sessionId: Number(match[1]), secret: match[2] } : null;
+}
+
+/**
+ * Constant-time check of a refresh secret against the stored hash
+ */
+export function refreshSecretMatches(secret, storedHash) {
+    const actual = Buffer.from(hashRefreshSecret(secret), 'hex');
+    const expected = Buffer.from(String(storedHash), 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// ── Revocation (in memory, see header) ──────────────
+
+export function markSessionsRevoked(sessionIds, now = Date.now()) {
+    const until = now + ACCESS_TOKEN_TTL_S * 1000;
+    for (const [id, expiry] of revokedSessions) {
+        if (expiry <= now) revokedSessions.delete(id);
+    }
+    for (const id of sessionIds) {
+        revokedSessions.set(Number(id), until);
+    }
+}
+
+function isSessionRevoked(sessionId, now) {
+    const until = revokedSessions.get(Number(sessionId));
+    return until !== undefined && until > now;
+}
+
+/**
+ * Suspended account: reject its access tokens until the last one has expired
+ * (its sessions are revoked in the database, so no new ones are issued)
+ */
+export function markUserSuspended(userId, now = Date.now()) {
+    for (const [id, expiry] of suspendedUsers) {
+        if (expiry <= now) suspendedUsers.delete(id);
+    }
+    suspendedUsers.set(Number(userId), now + ACCESS_TOKEN_TTL_S * 1000);
+}
+
+export function clearUserSuspended(userId) {
+    suspendedUsers.delete(Number(userId));
+}
+
+function isUserSuspended(userId, now) {
+    const until = suspendedUsers.get(Number(userId));
+    return until !== undefined && until > now;
+}
+
+// ── Issuing ─────────────────────────────────────────
+
+/**
+ * Session API object: access token + refresh token
+ */
+function toApiSession(claims, sessionId, secret, refreshExpiresAt) {
+    return {
+        accessToken: signAccessToken({ ...claims, sessionId }),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_S,
+        refreshToken: `${sessionId}.${secret}`,
+        refreshExpiresAt
+    };
+}
+
+/**
+ * Start a session for a user on a device; earlier sessions of that device end
+ * @param {Object} q - tx.queries
+ * @param {Object} user - users row ({ id, username })
+ * @param {Object} device - devices row ({ id, device_id })
+ */
+export async function issueSession(q, user, device) {
+    const replaced = await q.revokeSessions(user.id, { deviceRowId: device.id });
+    markSessionsRevoked(replaced);
+
+    const secret = generateRefreshSecret();
+    const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+    const sessionId = await q.createSession(user.id, device.id, hashRefreshSecret(secret), refreshExpiresAt);
+
+    return toApiSession(
+        { userId: user.id, username: user.username, deviceRowId: device.id, deviceId: device.device_id },
+        sessionId, secret, refreshExpiresAt
+    );
+}
+
+/**
+ * Replace the refresh token of a session and sign a new access token
+ * @returns {Promise<Object|null>} null if the session changed in the meantime
+ */
+export async function rotateSession(q, session, user, device) {
+    const secret = generateRefreshSecret();
+    const refreshExpiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+    const rotated = await q.rotateSessionRefresh(session.id, session.refresh_hash, hashRefreshSecret(secret), refreshExpiresAt);
+    if (!rotated) return null;
+
+    return toApiSession(
+        { userId: user.id, username: user.username, deviceRowId: device.id, deviceId: device.device_id },
+        session.id, secret, refreshExpiresAt
+    );
+}
@@ -0,0 +1,56 @@
+// ==========================================
+// ACCOUNT TOKENS
+// BREW-XXXXXX tokens sent by mail on registration and rotation
+// ==========================================
+//
+// Only the mail ever contains the token: the database keeps a salted hash
+// (db/tokenHash.js), so a lost token cannot be sent again – it is replaced.
+// A replacement is committed before its mail goes out (no transaction waits on
+// the mail provider) and undone if the mail fails, so the last token that did
+// reach the owner keeps working.
+
+import { randomBytes } from 'crypto';
+
+const TOKEN_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // ohne 0/O/1/I – lesbarer
+
+// ── Token generieren: BREW-XXXXXX ──────────────────
+export function generateToken() {
+    let token = 'BREW-';
+    for (let i = 0; i < 6; i++) {
+        token += TOKEN_CHARS[randomBytes(1)[0] % TOKEN_CHARS.length];
+    }
+    return token;
+}
+
+/**
+ * New token that no registration or user holds yet
+ * @param {Object} q - queries or tx.queries
+ */
+export async function generateUniqueToken(q) {
+    let token;
+    let attempts = 0;
+    do {
+        token = generateToken();
+        if (!(await q.tokenExists(token))) break;
+        attempts++;
+    } while (attempts < 10);
+    return token;
+}
+
+/**
+ * Mail a token that is already stored; undo the change if the mail fails
+ * @param {Function} send - () => Promise, e.g. sendTokenMail
+ * @param {Function} undo - () => Promise restoring the previous token
+ */
+export async function mailOrUndo(send, undo) {
+    try {
+        await send();
+    } catch (err) {
+        try {
+            await undo();
+        } catch (undoErr) {
+            console.error('Token undo failed:', undoErr.message);
+        }
+        throw err;
+    }
+}
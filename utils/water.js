@@ -0,0 +1,169 @@
+// ==========================================
+// WATER CHEMISTRY
+// Water profiles (GH, KH, Ca, Mg, TDS) and hardness unit conversion
+// ==========================================
+//
+// Stored units: GH/KH in °dH, calcium/magnesium in mg/L of the ion, TDS in ppm.
+// API units for the hardness fields:
+//   dH        – German degrees (1 °dH = 10 mg/L CaO)
+//   ppm_caco3 – ppm (mg/L) expressed as CaCO3
+//   mg_l      – mg/L: the ion for calcium/magnesium, as CaCO3 for GH/KH
+//
+// The active profile's GH is mirrored into users.water_hardness, which the
+// legacy /api/user/water-hardness endpoint, the recipe engine and the brew
+// log read.
+
+import { stripHTML, truncateString } from './sanitize.js';
+
+export const HARDNESS_UNITS = ['dH', 'ppm_caco3', 'mg_l'];
+export const MAX_WATER_PROFILES = 20;
+
+// mg/L per °dH
+const CACO3_PER_DH = 17.848;
+const CALCIUM_PER_DH = 7.147;
+const MAGNESIUM_PER_DH = 4.336;
+
+// API field → column, what it measures, the stored unit and the range in that unit
+// (TDS is always ppm and not converted)
+const WATER_FIELDS = [
+    { field: 'gh',        column: 'gh_dh',          species: 'caco3',     storedUnit: 'dH',   max: 50 },
+    { field: 'kh',        column: 'kh_dh',          species: 'caco3',     storedUnit: 'dH',   max: 50 },
+    { field: 'calcium',   column: 'calcium_mg_l',   species: 'calcium',   storedUnit: 'mg_l', max: 300 },
+    { field: 'magnesium', column: 'magnesium_mg_l', species: 'magnesium', storedUnit: 'mg_l', max: 150 },
+    { field: 'tds',       column: 'tds_ppm',        species: null,        storedUnit: null,   max: 2000 }
+];
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Convert a hardness value between units
+ * @param {number} value
+ * @param {string} from - HARDNESS_UNITS
+ * @param {string} to - HARDNESS_UNITS
+ * @param {string} [species] - 'caco3' (GH/KH), 'calcium' or 'magnesium'; decides what mg/L means
+ * @returns {number|null} - null for unknown units
+ */
+export function convertHardness(value, from, to, species = 'caco3') {
+    if (!HARDNESS_UNITS.includes(from) || !HARDNESS_UNITS.includes(to)) return null;
+
+    const ionPerDh = { caco3: CACO3_PER_DH, calcium: CALCIUM_PER_DH, magnesium: MAGNESIUM_PER_DH }[species];
+    if (!ionPerDh) return null;
+    const perDh = { dH: 1, ppm_caco3: CACO3_PER_DH, mg_l: ionPerDh };
+
+    return (value / perDh[from]) * perDh[to];
+}
+
+/**
+ * General hardness (°dH) from calcium and magnesium (mg/L)
+ */
+export function ghFromMinerals(calcium, magnesium) {
+    return (calcium ?? 0) / CALCIUM_PER_DH + (magnesium ?? 0) / MAGNESIUM_PER_DH;
+}
+
+/**
+ * Validate a water profile from POST / PATCH /api/user/water-profiles
+ * body: { name, unit?, gh?, kh?, calcium?, magnesium?, tds?, isActive? }
+ * gh may be left out when calcium and/or magnesium are given (it is then derived from them).
+ * @param {Object} [existing] - stored profile for PATCH
+ * @returns {{profile: Object}|{error: string}} - profile holds column values (+ is_active if requested)
+ */
+export function parseWaterProfileInput(body, existing = null) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Water profile object required' };
+    }
+
+    const unit = body.unit ?? 'dH';
+    if (!HARDNESS_UNITS.includes(unit)) {
+        return { error: `Invalid unit. Options: ${HARDNESS_UNITS.join(', ')}` };
+    }
+
+    const profile = { name: existing?.name ?? null };
+    for (const spec of WATER_FIELDS) {
+        profile[spec.column] = existing?.[spec.column] ?? null;
+    }
+
+    if (body.name !== undefined || !existing) {
+        const name = typeof body.name === 'string' ? truncateString(stripHTML(body.name).trim(), 60) : '';
+        if (!name) return { error: 'name required' };
+        profile.name = name;
+    }
+
+    for (const spec of WATER_FIELDS) {
+        const value = body[spec.field];
+        if (value === undefined) continue;
+        if (value === null && spec.field !== 'gh') {
+            profile[spec.column] = null;
+            continue;
+        }
+
+        const number = typeof value === 'number' ? value : Number(value);
+        let stored = null;
+        if (value !== '' && value !== null && Number.isFinite(number)) {
+            stored = spec.species ? convertHardness(number, unit, spec.storedUnit, spec.species) : number;
+        }
+        if (stored === null || stored < 0 || stored > spec.max) {
+            const max = spec.species ? round(convertHardness(spec.max, spec.storedUnit, unit, spec.species), 1) : spec.max;
+            return { error: `${spec.field} must be a number between 0 and ${max} (${spec.species ? unit : 'ppm'})` };
+        }
+        profile[spec.column] = round(stored, 4);
+    }
+
+    // Without an explicit gh, GH follows the minerals whenever they are sent
+    const mineralsGiven = (body.calcium !== undefined || body.magnesium !== undefined)
+        && (profile.calcium_mg_l !== null || profile.magnesium_mg_l !== null);
+    if (body.gh === undefined && (profile.gh_dh === null || mineralsGiven)) {
+        if (profile.calcium_mg_l === null && profile.magnesium_mg_l === null) {
+            return { error: 'gh required (or calcium/magnesium to derive it)' };
+        }
+        profile.gh_dh = round(ghFromMinerals(profile.calcium_mg_l, profile.magnesium_mg_l), 4);
+        if (profile.gh_dh > 50) {
+            return { error: 'calcium and magnesium add up to more than 50 °dH' };
+        }
+    }
+
+    if (body.isActive !== undefined) {
+        if (body.isActive !== true) {
+            return { error: 'isActive can only be set to true (activate another profile instead)' };
+        }
+        profile.is_active = true;
+    }
+
+    return { profile };
+}
+
+/**
+ * Database row → API water profile, hardness fields in the requested unit
+ */
+export function toApiWaterProfile(row, unit = 'dH') {
+    const profile = {
+        id: Number(row.id),
+        name: row.name,
+        isActive: row.is_active === true || row.is_active === 1,
+        unit
+    };
+    for (const spec of WATER_FIELDS) {
+        const value = row[spec.column];
+        if (value === null || value === undefined) {
+            profile[spec.field] = null;
+        } else if (!spec.species) {
+            profile[spec.field] = Number(value);
+        } else {
+            profile[spec.field] = round(convertHardness(Number(value), spec.storedUnit, unit, spec.species));
+        }
+    }
+    return profile;
+}
+
+/**
+ * Mirror the active profile's GH into users.water_hardness
+ * @param {Object} q - tx.queries
+ */
+export async function syncWaterHardness(q, userId) {
+    const active = await q.getActiveWaterProfile(userId);
+    if (active) {
+        await q.updateWaterHardness(userId, round(Number(active.gh_dh), 1));
+    }
+}
@@ -0,0 +1,218 @@
+// ==========================================
+// WATER RECIPE
+// Mineral additions for brewing water built from distilled / RO water
+// ==========================================
+//
+// Targets are GH/KH in ppm as CaCO3. GH is split between calcium chloride and
+// Epsom salt (calciumShare), KH comes from baking soda. The start water is
+// assumed to have no minerals of its own.
+// Concentrates hold the salt for 1 ppm CaCO3 per mL per litre of brewing water,
+// so mL of concentrate = ppm × litres.
+
+import { HARDNESS_UNITS, convertHardness } from './water.js';
+
+export const RECIPE_FORMS = ['powder', 'concentrate'];
+export const ROAST_LEVELS = ['light', 'medium', 'dark'];
+
+// Grams of salt for 1 ppm CaCO3 in 1000 L (= mg per litre per ppm)
+const MINERALS = [
+    { key: 'calcium_chloride', name: 'Calcium chloride (CaCl2·2H2O)', contributes: 'gh', mgPerPpm: 1.4688 },
+    { key: 'epsom_salt',       name: 'Epsom salt (MgSO4·7H2O)',       contributes: 'gh', mgPerPpm: 2.4625 },
+    { key: 'baking_soda',      name: 'Baking soda (NaHCO3)',          contributes: 'kh', mgPerPpm: 1.6786 }
+];
+
+// mg/L sodium per ppm CaCO3 of alkalinity from baking soda
+const SODIUM_PER_PPM = 22.99 / 50.044;
+
+export const DEFAULT_CALCIUM_SHARE = 0.4;
+const MIN_VOLUME = 0.1;   // litres
+const MAX_VOLUME = 50;
+const MAX_TARGET_PPM = 300;
+
+// Suggested water, ppm as CaCO3: a balanced base, shifted by process and roast.
+// Fermented / fruit-dried coffees extract easily: less GH. Light roasts need
+// more extraction and less buffering; dark roasts the opposite.
+const BASE_TARGET = { gh: 90, kh: 40 };
+const PROCESS_TARGETS = {
+    'washed':                   { gh: 0,   kh: 0 },
+    'semi-washed':              { gh: 0,   kh: 0 },
+    'nitro washed':             { gh: 0,   kh: 0 },
+    'wet hulled':               { gh: -10, kh: 5 },
+    'honey':                    { gh: -10, kh: 0 },
+    'pulped natural':           { gh: -10, kh: 0 },
+    'natural':                  { gh: -20, kh: 0 },
+    'anaerobic':                { gh: -25, kh: 5 },
+    'anaerobic natural':        { gh: -25, kh: 5 },
+    'anaerobic washed':         { gh: -15, kh: 5 },
+    'carbonic maceration':      { gh: -25, kh: 5 },
+    'yeast inoculated natural': { gh: -25, kh: 5 },
+    'extended fermentation':    { gh: -25, kh: 5 }
+};
+const ROAST_TARGETS = {
+    light:  { gh: 15,  kh: -10 },
+    medium: { gh: 0,   kh: 0 },
+    dark:   { gh: -20, kh: 15 }
+};
+const SUGGESTED_GH = { min: 40, max: 150 };
+const SUGGESTED_KH = { min: 20, max: 80 };
+
+function round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function clamp(value, { min, max }) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Roast level from free text ("Light", "medium-dark", "Omni light roast")
+ * @returns {string|null} - ROAST_LEVELS entry
+ */
+export function normalizeRoastLevel(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.toLowerCase();
+    if (text.includes('dark')) return 'dark';
+    if (text.includes('light')) return 'light';
+    if (text.includes('medium')) return 'medium';
+    return null;
+}
+
+/**
+ * Suggested target water for a coffee
+ * @param {Object} coffee - API coffee ({ process, roastLevel?, ... })
+ * @param {string} [roast] - overrides the coffee's roast level
+ * @returns {{gh: number, kh: number, adjustments: Array}} - ppm as CaCO3
+ */
+export function suggestWaterTarget(coffee, roast) {
+    const target = { ...BASE_TARGET };
+    const adjustments = [];
+
+    const process = typeof coffee?.process === 'string' ? coffee.process.toLowerCase().trim() : null;
+    if (process && PROCESS_TARGETS[process]) {
+        adjustments.push({ factor: 'process', value: process, ...PROCESS_TARGETS[process] });
+    }
+
+    const roastLevel = normalizeRoastLevel(roast ?? coffee?.roastLevel ?? coffee?.roast);
+    if (roastLevel) {
+        adjustments.push({ factor: 'roast', value: roastLevel, ...ROAST_TARGETS[roastLevel] });
+    }
+
+    for (const adjustment of adjustments) {
+        target.gh += adjustment.gh;
+        target.kh += adjustment.kh;
+    }
+
+    return {
+        gh: clamp(target.gh, SUGGESTED_GH),
+        kh: clamp(target.kh, SUGGESTED_KH),
+        adjustments
+    };
+}
+
+/**
+ * Validate the options of POST /api/water/recipe (everything except the target source)
+ * body: { unit?, volume?, form?, calciumShare?, roast? }
+ * @returns {{options: Object}|{error: string}}
+ */
+export function parseRecipeOptions(body) {
+    const unit = body.unit ?? 'dH';
+    if (!HARDNESS_UNITS.includes(unit)) {
+        return { error: `Invalid unit. Options: ${HARDNESS_UNITS.join(', ')}` };
+    }
+
+    const volume = body.volume === undefined ? 1 : Number(body.volume);
+    if (body.volume === null || !Number.isFinite(volume) || volume < MIN_VOLUME || volume > MAX_VOLUME) {
+        return { error: `volume must be between ${MIN_VOLUME} and ${MAX_VOLUME} L` };
+    }
+
+    const form = body.form ?? 'powder';
+    if (!RECIPE_FORMS.includes(form)) {
+        return { error: `Invalid form. Options: ${RECIPE_FORMS.join(', ')}` };
+    }
+
+    const calciumShare = body.calciumShare === undefined ? DEFAULT_CALCIUM_SHARE : Number(body.calciumShare);
+    if (body.calciumShare === null || !Number.isFinite(calciumShare) || calciumShare < 0 || calciumShare > 1) {
+        return { error: 'calciumShare must be between 0 and 1' };
+    }
+
+    let roast;
+    if (body.roast !== undefined) {
+        roast = normalizeRoastLevel(body.roast);
+        if (!roast) return { error: `Invalid roast. Options: ${ROAST_LEVELS.join(', ')}` };
+    }
+
+    return { options: { unit, volume, form, calciumShare, roast } };
+}
+
+/**
+ * Explicit gh / kh from the request, converted to ppm as CaCO3
+ * kh may be left out (no baking soda).
+ * @returns {{target: {gh: number, kh: number}}|{error: string}}
+ */
+export function parseTargetInput(body, unit) {
+    const target = {};
+    for (const field of ['gh', 'kh']) {
+        const value = body[field];
+        if (value === undefined && field === 'kh') {
+            target.kh = 0;
+            continue;
+        }
+        const number = typeof value === 'number' ? value : Number(value);
+        const ppm = value !== null && value !== '' && Number.isFinite(number)
+            ? convertHardness(number, unit, 'ppm_caco3')
+            : null;
+        if (ppm === null || ppm < 0 || ppm > MAX_TARGET_PPM) {
+            const max = round(convertHardness(MAX_TARGET_PPM, 'ppm_caco3', unit), 1);
+            return { error: `${field} must be a number between 0 and ${max} (${unit})` };
+        }
+        target[field] = ppm;
+    }
+    return { target };
+}
+
+/**
+ * Salt amounts for a target water
+ * @param {Object} input
+ * @param {number} input.gh - ppm as CaCO3
+ * @param {number} input.kh - ppm as CaCO3
+ * @param {number} input.volume - litres
+ * @param {string} [input.form] - 'powder' (grams) or 'concentrate' (mL)
+ * @param {number} [input.calciumShare] - part of GH from calcium (0–1)
+ * @param {string} [input.unit] - unit of the resulting `water` hardness values (sodium is always mg/L)
+ * @returns {Object} { form, volume, minerals, water }
+ */
+export function computeWaterRecipe({ gh, kh, volume, form = 'powder', calciumShare = DEFAULT_CALCIUM_SHARE, unit = 'dH' }) {
+    const ppm = {
+        calcium_chloride: gh * calciumShare,
+        epsom_salt: gh * (1 - calciumShare),
+        baking_soda: kh
+    };
+
+    const minerals = MINERALS
+        .filter(mineral => ppm[mineral.key] > 0)
+        .map(mineral => {
+            const entry = { mineral: mineral.key, name: mineral.name, contributes: mineral.contributes };
+            if (form === 'concentrate') {
+                entry.ml = round(ppm[mineral.key] * volume, 1);
+                entry.concentrateGramsPerLiter = mineral.mgPerPpm;
+            } else {
+                entry.grams = round(ppm[mineral.key] * volume * mineral.mgPerPpm / 1000, 3);
+            }
+            return entry;
+        });
+
+    return {
+        form,
+        volume,
+        minerals,
+        water: {
+            unit,
+            gh: round(convertHardness(gh, 'ppm_caco3', unit)),
+            kh: round(convertHardness(kh, 'ppm_caco3', unit)),
+            calcium: round(convertHardness(ppm.calcium_chloride, 'ppm_caco3', unit, 'calcium')),
+            magnesium: round(convertHardness(ppm.epsom_salt, 'ppm_caco3', unit, 'magnesium')),
+            sodium: round(kh * SODIUM_PER_PPM, 1)
+        }
+    };
+}
@@ -0,0 +1,196 @@
+// ==========================================
+// WHITELIST IMPORT / EXPORT + INVITES
+// CSV columns: email, name, website, note (utils/csv.js)
+// ==========================================
+//
+// Imports accept an optional header row – with one, columns are matched by
+// name and may come in any order; without one they are read in the order
+// above. Every row gets a result: added, duplicate (already on the whitelist
+// or earlier in the file) or invalid. Exports prefix cells that a spreadsheet
+// would run as a formula (=, +, -, @) with an apostrophe; imports strip it again.
+//
+// Invites mail a registration token to an entry without waiting for the person
+// to use the register form. A pending registration gets a new token (the old
+// one is only stored hashed); mails to the same address are at least
+// INVITE_RESEND_COOLDOWN_MS apart, whether an admin or the register form asks.
+
+import { formatCsv, parseCsv } from './csv.js';
+import { toIsoTimestamp } from './coffeeSync.js';
+import { sendTokenMail } from './mail.js';
+import { generateUniqueToken, mailOrUndo } from './tokens.js';
+
+export const WHITELIST_FIELDS = ['email', 'name', 'website', 'note'];
+export const EXPORT_CSV_COLUMNS = [...WHITELIST_FIELDS, 'status', 'added_at'];
+export const MAX_IMPORT_ROWS = 5000;
+export const INVITE_RESEND_COOLDOWN_MS = 60 * 60 * 1000;
+export const MAX_BULK_INVITES = 100;
+
+const MAX_EMAIL_LENGTH = 254;
+const MAX_FIELD_LENGTH = 500;
+const EMAIL_PATTERN = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+export function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(email);
+}
+
+function unescapeFormula(value) {
+    return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function escapeFormula(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Column positions from an optional header row
+ * @returns {{columns: Object, header: boolean}|{error: string}}
+ */
+function readHeader(fields) {
+    const names = fields.map(field => field.trim().toLowerCase());
+    if (!names.includes('email')) {
+        return { columns: Object.fromEntries(WHITELIST_FIELDS.map((name, index) => [name, index])), header: false };
+    }
+
+    const unknown = names.filter(name => name && !EXPORT_CSV_COLUMNS.includes(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown column(s): ${unknown.join(', ')} – expected ${WHITELIST_FIELDS.join(', ')}` };
+    }
+    return {
+        columns: Object.fromEntries(WHITELIST_FIELDS.map(name => [name, names.indexOf(name)])),
+        header: true
+    };
+}
+
+/**
+ * Parse an import file into rows to add and per-row errors
+ * Duplicates within the file are reported here; the caller checks the database.
+ * @returns {{rows: Array<{line, email, name, website, note}>, results: Array<{line, email, status, error?}>}|{error: string}}
+ */
+export function parseWhitelistCsv(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { error: 'CSV required' };
+    }
+
+    const parsed = parseCsv(text);
+    if (parsed.error) return { error: parsed.error };
+
+    const { columns, header, error } = readHeader(parsed.records[0].fields);
+    if (error) return { error };
+
+    const records = header ? parsed.records.slice(1) : parsed.records;
+    if (records.length === 0) return { error: 'CSV has no rows' };
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+    }
+
+    const rows = [];
+    const results = [];
+    const seen = new Set();
+
+    for (const { line, fields } of records) {
+        const value = (name) => columns[name] >= 0 ? unescapeFormula((fields[columns[name]] ?? '').trim()) : '';
+        const email = value('email').toLowerCase();
+
+        if (!isValidEmail(email)) {
+            results.push({ line, email, status: 'invalid', error: 'Invalid email' });
+            continue;
+        }
+        const tooLong = ['name', 'website', 'note'].find(name => value(name).length > MAX_FIELD_LENGTH);
+        if (tooLong) {
+            results.push({ line, email, status: 'invalid', error: `${tooLong} longer than ${MAX_FIELD_LENGTH} characters` });
+            continue;
+        }
+        if (seen.has(email)) {
+            results.push({ line, email, status: 'duplicate', error: 'Duplicate in file' });
+            continue;
+        }
+
+        seen.add(email);
+        rows.push({ line, email, name: value('name'), website: value('website'), note: value('note') });
+    }
+
+    return { rows, results };
+}
+
+/**
+ * Whitelist entries with status (getWhitelistWithStatus) → CSV
+ */
+export function whitelistToCsv(entries) {
+    return formatCsv([
+        EXPORT_CSV_COLUMNS,
+        ...entries.map(entry => [
+            entry.email,
+            entry.name,
+            entry.website,
+            entry.note,
+            entry.status,
+            toIsoTimestamp(entry.added_at)
+        ].map(escapeFormula))
+    ]);
+}
+
+/**
+ * Seconds until a registration's token may be mailed again
+ * @returns {number} 0 if a new mail may go out now
+ */
+export function inviteRetryAfter(tokenSentAt, now = Date.now()) {
+    const sentAt = toIsoTimestamp(tokenSentAt);
+    if (!sentAt) return 0;
+    const wait = Date.parse(sentAt) + INVITE_RESEND_COOLDOWN_MS - now;
+    return wait > 0 ? Math.ceil(wait / 1000) : 0;
+}
+
+/**
+ * Mail a registration token to a whitelisted address – new, or replacing a pending one
+ * The token is stored before the mail goes out and the change undone if it fails.
+ * @param {Object} q - queries
+ * @param {Object|null} registration - getRegistrationByEmail(email)
+ * @returns {Promise<{status: 'sent'|'resent'|'already_registered'|'throttled', registrationId?: number, retryAfter?: number}>}
+ */
+export async function sendRegistrationToken(q, email, registration) {
+    if (registration?.user_id || registration?.used) {
+        return { status: 'already_registered' };
+    }
+    const retryAfter = registration ? inviteRetryAfter(registration.token_sent_at) : 0;
+    if (retryAfter) {
+        return { status: 'throttled', retryAfter };
+    }
+
+    const token = await generateUniqueToken(q);
+    if (!registration) {
+        const registrationId = await q.createRegistration(email, token);
+        await mailOrUndo(() => sendTokenMail(email, token), () => q.deletePendingRegistration(registrationId));
+        return { status: 'sent', registrationId };
+    }
+
+    const swap = await q.updateRegistrationToken(registration.id, token);
+    if (!swap) {
+        // Used or replaced by a parallel request meanwhile
+        const current = await q.getRegistrationByEmail(email);
+        return current?.user_id || current?.used
+            ? { status: 'already_registered' }
+            : { status: 'throttled', retryAfter: Math.max(1, inviteRetryAfter(current?.token_sent_at)) };
+    }
+    await mailOrUndo(() => sendTokenMail(email, token), () => q.restoreRegistrationToken(registration.id, swap));
+    return { status: 'resent', registrationId: registration.id };
+}
+
+/**
+ * Entry ids for a bulk invite ({ ids: [1, 2, …] })
+ * @returns {{ids: number[]}|{error: string}}
+ */
+export function parseInviteIds(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { error: 'ids must be a non-empty array' };
+    }
+    if (value.length > MAX_BULK_INVITES) {
+        return { error: `At most ${MAX_BULK_INVITES} invites per request` };
+    }
+    const ids = value.map(Number);
+    if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+        return { error: 'ids must be positive integers' };
+    }
+    return { ids: [...new Set(ids)] };
+}